@@ -0,0 +1,118 @@
+// backend/eval/metrics.js
+/**
+ * Scoring for the evaluation harness: set precision/recall of extracted entities. Narratives
+ * are checked with the production grounding check (src/utils/grounding.js).
+ */
+
+const ENTITY_FIELDS = ["place_names", "place_types", "locations"];
+
+/**
+ * Lowercases, strips accents and collapses whitespace.
+ * @param {string} value
+ * @returns {string}
+ */
+const normalize = (value) =>
+  String(value)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Compares predicted values with the expected ones. An expected value may be a list of accepted
+ * spellings ("Jogja" or "Yogyakarta"); each matches at most one prediction.
+ * @param {Array<string | string[]>} expected
+ * @param {string[]} predicted
+ * @returns {{tp: number, fp: number, fn: number, missing: string[], unexpected: string[]}}
+ */
+const compareSets = (expected = [], predicted = []) => {
+  const remaining = [...new Set(predicted.map(normalize))];
+  const missing = [];
+  let tp = 0;
+  for (const value of expected) {
+    const variants = (Array.isArray(value) ? value : [value]).map(normalize);
+    const index = remaining.findIndex((p) => variants.includes(p));
+    if (index === -1) {
+      missing.push(Array.isArray(value) ? value[0] : value);
+    } else {
+      tp += 1;
+      remaining.splice(index, 1);
+    }
+  }
+  return {
+    tp,
+    fp: remaining.length,
+    fn: missing.length,
+    missing,
+    unexpected: remaining,
+  };
+};
+
+/**
+ * Micro-averaged precision, recall and F1 of summed counts. Null when undefined (no predictions
+ * or nothing expected).
+ * @param {{tp: number, fp: number, fn: number}} counts
+ * @returns {{tp: number, fp: number, fn: number, precision: number | null, recall: number | null, f1: number | null}}
+ */
+const score = ({ tp, fp, fn }) => {
+  const precision = tp + fp > 0 ? tp / (tp + fp) : null;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : null;
+  const f1 =
+    precision !== null && recall !== null && precision + recall > 0
+      ? (2 * precision * recall) / (precision + recall)
+      : null;
+  return { tp, fp, fn, precision, recall, f1 };
+};
+
+/**
+ * Scores the extraction of one prompt, per field.
+ * @param {object} expected The labeled entities.
+ * @param {object} predicted The entities returned by extractLocationEntities.
+ * @returns {{fields: object, exact: boolean}}
+ */
+const scoreExtraction = (expected, predicted) => {
+  const fields = {};
+  for (const field of ENTITY_FIELDS) {
+    fields[field] = compareSets(expected[field], predicted?.[field]);
+  }
+  return {
+    fields,
+    exact: Object.values(fields).every(({ fp, fn }) => fp === 0 && fn === 0),
+  };
+};
+
+/**
+ * Sums per-prompt extraction scores into per-field precision/recall/F1 and the share of
+ * prompts extracted exactly.
+ * @param {Array<{fields: object, exact: boolean}>} scores
+ * @returns {{fields: object, exact_match: number | null}}
+ */
+const aggregateExtraction = (scores) => {
+  const fields = {};
+  for (const field of ENTITY_FIELDS) {
+    const counts = { tp: 0, fp: 0, fn: 0 };
+    for (const { fields: itemFields } of scores) {
+      counts.tp += itemFields[field].tp;
+      counts.fp += itemFields[field].fp;
+      counts.fn += itemFields[field].fn;
+    }
+    fields[field] = score(counts);
+  }
+  return {
+    fields,
+    exact_match:
+      scores.length > 0
+        ? scores.filter(({ exact }) => exact).length / scores.length
+        : null,
+  };
+};
+
+module.exports = {
+  ENTITY_FIELDS,
+  normalize,
+  compareSets,
+  score,
+  scoreExtraction,
+  aggregateExtraction,
+};
@@ -0,0 +1,146 @@
+// backend/eval/report.js
+/**
+ * Renders evaluation reports (see run.js) as a standalone HTML page, one column per report, so
+ * runs with different models or prompt versions can be compared side by side.
+ */
+const { ENTITY_FIELDS } = require("./metrics");
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const percent = (value) =>
+  value === null || value === undefined ? "–" : `${(value * 100).toFixed(1)}%`;
+
+const milliseconds = (value) =>
+  value === null || value === undefined ? "–" : `${Math.round(value)} ms`;
+
+/**
+ * The column heading of a report: its label, model and prompt versions.
+ */
+const heading = (report) => `
+  <th>
+    ${escapeHtml(report.label)}<br>
+    <small>${escapeHtml(`${report.llm.provider} · ${report.llm.model}`)}</small><br>
+    <small>${escapeHtml(report.prompt_versions.join(", "))}</small><br>
+    <small>${escapeHtml(report.generated_at)}</small>
+  </th>`;
+
+const summaryRows = (reports) => {
+  const row = (label, cell) =>
+    `<tr><th>${escapeHtml(label)}</th>${reports.map((report) => `<td>${cell(report)}</td>`).join("")}</tr>`;
+
+  return [
+    ...ENTITY_FIELDS.flatMap((field) => [
+      row(`${field} precision`, (r) =>
+        percent(r.extraction.fields[field].precision)
+      ),
+      row(`${field} recall`, (r) => percent(r.extraction.fields[field].recall)),
+      row(`${field} F1`, (r) => percent(r.extraction.fields[field].f1)),
+    ]),
+    row("Exact extractions", (r) => percent(r.extraction.exact_match)),
+    row("Extraction errors", (r) => r.extraction.errors),
+    row("Extraction latency (mean)", (r) =>
+      milliseconds(r.extraction.mean_latency_ms)
+    ),
+    row("Narratives checked", (r) => r.narrative.cases),
+    row("Narratives with unsupported claims", (r) =>
+      percent(r.narrative.hallucination_rate)
+    ),
+    row("Narrative latency (mean)", (r) =>
+      milliseconds(r.narrative.mean_latency_ms)
+    ),
+  ].join("\n");
+};
+
+/**
+ * One cell per report for a dataset item: what was wrong with the extraction and the narrative.
+ */
+const itemCell = (item) => {
+  if (!item) return "<td>–</td>";
+  if (item.error) return `<td class="bad">${escapeHtml(item.error)}</td>`;
+
+  const problems = ENTITY_FIELDS.flatMap((field) => {
+    const { missing, unexpected } = item.scores.fields[field];
+    return [
+      ...missing.map((value) => `missing ${field}: ${value}`),
+      ...unexpected.map((value) => `unexpected ${field}: ${value}`),
+    ];
+  });
+  const lines = problems.length > 0 ? problems : ["exact"];
+  if (item.narrative) {
+    lines.push(
+      item.narrative.error
+        ? `narrative failed: ${item.narrative.error}`
+        : item.narrative.ungrounded.length > 0
+          ? `ungrounded: ${item.narrative.ungrounded.join(", ")}`
+          : "narrative grounded"
+    );
+  }
+  const ok = problems.length === 0 && !item.narrative?.ungrounded?.length;
+  return `<td class="${ok ? "good" : "bad"}">${lines.map(escapeHtml).join("<br>")}${
+    item.narrative?.text
+      ? `<details><summary>narrative</summary>${escapeHtml(item.narrative.text)}</details>`
+      : ""
+  }</td>`;
+};
+
+const itemRows = (reports) => {
+  const ids = [
+    ...new Set(reports.flatMap((report) => report.items.map(({ id }) => id))),
+  ];
+  return ids
+    .map((id) => {
+      const items = reports.map((report) =>
+        report.items.find((item) => item.id === id)
+      );
+      const { prompt, language } = items.find(Boolean);
+      return `<tr><th>${escapeHtml(id)}<br><small>${escapeHtml(`[${language}] ${prompt}`)}</small></th>${items.map(itemCell).join("")}</tr>`;
+    })
+    .join("\n");
+};
+
+/**
+ * Renders one or more reports.
+ * @param {Array<object>} reports Reports written by run.js.
+ * @returns {string} An HTML document.
+ */
+const renderHtml = (reports) => `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>LLM evaluation</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; }
+  table { border-collapse: collapse; margin-bottom: 2rem; }
+  th, td { border: 1px solid #ddd; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+  thead th { background: #f5f5f5; }
+  td.good { background: #eefaf0; }
+  td.bad { background: #fdf0ef; }
+  small { color: #666; font-weight: normal; }
+</style>
+</head>
+<body>
+<h1>LLM evaluation</h1>
+<h2>Summary</h2>
+<table>
+<thead><tr><th></th>${reports.map(heading).join("")}</tr></thead>
+<tbody>
+${summaryRows(reports)}
+</tbody>
+</table>
+<h2>Prompts</h2>
+<table>
+<thead><tr><th></th>${reports.map(heading).join("")}</tr></thead>
+<tbody>
+${itemRows(reports)}
+</tbody>
+</table>
+</body>
+</html>
+`;
+
+module.exports = { renderHtml };
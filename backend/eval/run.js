@@ -0,0 +1,240 @@
+// backend/eval/run.js
+/**
+ * Offline evaluation of entity extraction and narrative grounding against the configured LLM.
+ *
+ *   npm run eval                              # every prompt of eval/dataset.json
+ *   npm run eval -- --limit 5 --no-narrative  # a quick extraction-only run
+ *   npm run eval -- --label mistral-v2        # name the run in reports
+ *   npm run eval -- --compare a.json b.json   # side-by-side HTML of earlier runs
+ *
+ * Each run writes <timestamp>-<label>.json and .html to eval/reports (--out). Narratives are
+ * generated from the places stored in the dataset, so no Maps calls are made.
+ */
+const fs = require("fs");
+const path = require("path");
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "warn";
+// No Maps calls are made, so do not insist on a Google key.
+if (!process.env.GOOGLE_MAPS_API_KEY) {
+  process.env.MAPS_PROVIDER = process.env.MAPS_PROVIDER || "osm";
+}
+
+const config = require("../src/config/config");
+const llmService = require("../src/services/llmService");
+const promptService = require("../src/services/promptService");
+const { checkGrounding } = require("../src/utils/grounding");
+const { scoreExtraction, aggregateExtraction } = require("./metrics");
+const { renderHtml } = require("./report");
+
+const USAGE =
+  "Usage: npm run eval -- [--dataset file] [--out dir] [--label name] [--limit n] [--no-narrative]\n" +
+  "       npm run eval -- --compare report.json [report.json ...] [--out dir]";
+
+const parseArgs = (argv) => {
+  const options = {
+    dataset: path.join(__dirname, "dataset.json"),
+    out: path.join(__dirname, "reports"),
+    label: config.llm.model,
+    limit: Infinity,
+    narrative: true,
+    compare: null,
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      i += 1;
+      return argv[i];
+    };
+    if (arg === "--dataset") options.dataset = path.resolve(value());
+    else if (arg === "--out") options.out = path.resolve(value());
+    else if (arg === "--label") options.label = value();
+    else if (arg === "--limit") options.limit = Number(value());
+    else if (arg === "--no-narrative") options.narrative = false;
+    else if (arg === "--compare") {
+      options.compare = [];
+      while (argv[i + 1] && !argv[i + 1].startsWith("--")) {
+        i += 1;
+        options.compare.push(path.resolve(argv[i]));
+      }
+    } else throw new Error(`Unknown option ${arg}`);
+  }
+  if (!(options.limit > 0)) throw new Error("--limit must be positive");
+  if (options.compare && options.compare.length === 0) {
+    throw new Error("--compare needs report files");
+  }
+  return options;
+};
+
+const mean = (values) =>
+  values.length > 0
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : null;
+
+const timed = async (fn) => {
+  const start = Date.now();
+  const value = await fn();
+  return { value, ms: Date.now() - start };
+};
+
+/**
+ * Runs one dataset item: extraction, then the narrative when the item has places.
+ */
+const evaluateItem = async (item, { narrative }) => {
+  const result = {
+    id: item.id,
+    language: item.language,
+    prompt: item.prompt,
+    expected: item.expected,
+  };
+  try {
+    const extraction = await timed(() =>
+      llmService.extractLocationEntities(item.prompt, item.language)
+    );
+    result.predicted = extraction.value;
+    result.latency_ms = extraction.ms;
+    result.scores = scoreExtraction(item.expected, extraction.value);
+  } catch (error) {
+    result.error = error.message;
+    return result;
+  }
+
+  if (narrative && item.places?.length > 0) {
+    try {
+      const generated = await timed(() =>
+        llmService.narratePlaces(item.prompt, item.places, {
+          language: item.language,
+          locations: result.predicted.locations,
+        })
+      );
+      result.narrative = {
+        text: generated.value.llm_text,
+        prompt_versions: generated.value.prompt_versions,
+        latency_ms: generated.ms,
+        grounding_action: generated.value.grounding?.action ?? null,
+        ungrounded: checkGrounding(generated.value.llm_text, item.places, {
+          prompt: item.prompt,
+          allowed: (item.expected.locations || []).flat(),
+        }).unsupported.map((claim) => claim.text),
+      };
+    } catch (error) {
+      result.narrative = { error: error.message, ungrounded: [] };
+    }
+  }
+  return result;
+};
+
+const summarize = (options, items, startedAt) => {
+  const scored = items.filter((item) => item.scores);
+  const narratives = items.filter(
+    (item) => item.narrative && !item.narrative.error
+  );
+  return {
+    label: options.label,
+    generated_at: new Date().toISOString(),
+    duration_ms: Date.now() - startedAt,
+    dataset: path.relative(process.cwd(), options.dataset),
+    llm: {
+      provider: config.llm.provider,
+      model: config.llm.model,
+      fixtures: config.fixtures.mode,
+    },
+    prompt_versions: [
+      promptService.get("entity_extraction_system").id,
+      ...new Set(narratives.flatMap((item) => item.narrative.prompt_versions)),
+    ],
+    extraction: {
+      ...aggregateExtraction(scored.map((item) => item.scores)),
+      errors: items.length - scored.length,
+      mean_latency_ms: mean(scored.map((item) => item.latency_ms)),
+    },
+    narrative: {
+      cases: narratives.length,
+      errors: items.filter((item) => item.narrative?.error).length,
+      hallucination_rate:
+        narratives.length > 0
+          ? narratives.filter((item) => item.narrative.ungrounded.length > 0)
+              .length / narratives.length
+          : null,
+      mean_latency_ms: mean(
+        narratives.map((item) => item.narrative.latency_ms)
+      ),
+    },
+    items,
+  };
+};
+
+const write = (file, content) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+  console.log(`Wrote ${path.relative(process.cwd(), file)}`);
+};
+
+const timestamp = () =>
+  new Date().toISOString().replace(/[-:]/g, "").replace("T", "-").slice(0, 15);
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.compare) {
+    const reports = options.compare.map((file) =>
+      JSON.parse(fs.readFileSync(file, "utf8"))
+    );
+    write(
+      path.join(options.out, `comparison-${timestamp()}.html`),
+      renderHtml(reports)
+    );
+    return;
+  }
+
+  const { items } = JSON.parse(fs.readFileSync(options.dataset, "utf8"));
+  const selected = items.slice(0, options.limit);
+  console.log(
+    `Evaluating ${selected.length} prompts with ${config.llm.provider}/${config.llm.model}`
+  );
+
+  const startedAt = Date.now();
+  const results = [];
+  for (const item of selected) {
+    const result = await evaluateItem(item, options);
+    const status = result.error
+      ? `error: ${result.error}`
+      : `${result.scores.exact ? "exact" : "partial"}${
+          result.narrative?.ungrounded.length
+            ? `, ungrounded: ${result.narrative.ungrounded.join(", ")}`
+            : ""
+        }`;
+    console.log(`  ${item.id}: ${status}`);
+    results.push(result);
+  }
+
+  const report = summarize(options, results, startedAt);
+  for (const [field, { precision, recall }] of Object.entries(
+    report.extraction.fields
+  )) {
+    console.log(
+      `${field}: precision ${precision?.toFixed(2) ?? "–"}, recall ${recall?.toFixed(2) ?? "–"}`
+    );
+  }
+  if (report.narrative.cases > 0) {
+    console.log(
+      `Narratives with unsupported claims: ${report.narrative.hallucination_rate.toFixed(2)}`
+    );
+  }
+
+  const base = path.join(
+    options.out,
+    `${timestamp()}-${options.label.replace(/[^a-z0-9.-]+/gi, "_")}`
+  );
+  write(`${base}.json`, `${JSON.stringify(report, null, 2)}\n`);
+  write(`${base}.html`, renderHtml([report]));
+};
+
+main()
+  .catch((error) => {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+  })
+  // The Redis client required through the services keeps the process alive.
+  .finally(() => process.exit());
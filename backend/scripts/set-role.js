@@ -0,0 +1,40 @@
+// backend/scripts/set-role.js
+/**
+ * Changes the role of a registered user. Admins are promoted this way, out of band, as
+ * registration is open and emails are not verified.
+ *
+ *   npm run set-role -- ops@example.com admin
+ *   npm run set-role -- ops@example.com user   # demote
+ *
+ * It needs the store the server uses: Redis (CACHE_BACKEND=redis or tiered). The memory
+ * backend lives inside the server process, so its users cannot be changed from here.
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "warn";
+
+const config = require("../src/config/config");
+const authService = require("../src/services/authService");
+
+const USAGE = "Usage: npm run set-role -- <email> <user|admin>";
+
+const main = async () => {
+  const [email, role] = process.argv.slice(2);
+  if (!email || !role) {
+    throw new Error("An email and a role are required");
+  }
+  if (config.cache.backend === "memory") {
+    throw new Error(
+      "CACHE_BACKEND=memory keeps users inside the server process"
+    );
+  }
+  const user = await authService.setRole(email, role);
+  console.log(`${user.email} (${user.id}) is now ${user.role}`);
+};
+
+main()
+  .catch((error) => {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+  })
+  // The Redis client required through the services keeps the process alive.
+  .finally(() => process.exit());
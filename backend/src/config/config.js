@@ -1,13 +1,29 @@
 require("dotenv").config();
+const os = require("os");
+const path = require("path");
+
+/**
+ * Reads a number of seconds where 0 is meaningful (e.g. "never serve stale").
+ */
+const seconds = (value, fallback) =>
+  value === undefined || value === "" ? fallback : parseInt(value) || 0;
 
 module.exports = {
   // Server
   port: process.env.PORT || 5000,
   nodeEnv: process.env.NODE_ENV || "development",
+  // The API as the browser reaches it, used in URLs handed to the frontend (e.g. photos)
+  publicApiUrl: (
+    process.env.PUBLIC_API_URL ||
+    `http://localhost:${process.env.PORT || 5000}/api`
+  ).replace(/\/+$/, ""),
 
   // Google Maps
   googleMaps: {
     apiKey: process.env.GOOGLE_MAPS_API_KEY,
+    // A key restricted to the Maps Embed API and our HTTP referrers, safe to expose in embed URLs.
+    // Without it, embeds use the keyless coordinates map.
+    browserKey: process.env.GOOGLE_MAPS_BROWSER_KEY || "",
     defaultRegion: process.env.MAPS_DEFAULT_REGION || "ID",
     defaultLanguage: process.env.MAPS_DEFAULT_LANGUAGE || "id",
     defaultLocation: {
@@ -15,17 +31,79 @@ module.exports = {
       lng: parseFloat(process.env.MAPS_DEFAULT_LNG) || 107.6073,
     },
     searchRadius: 5000,
+    // next_page_token is not valid immediately after it is issued
+    pageTokenDelayMs: parseInt(process.env.MAPS_PAGE_TOKEN_DELAY_MS) || 2000,
+    // Driving times from the Distance Matrix API (billed per element, so opt-in); estimates otherwise
+    distanceMatrix: process.env.MAPS_DISTANCE_MATRIX === "true",
+  },
+
+  // Place photos, served through GET /api/photo/:photoReference and cached on disk
+  photos: {
+    cacheDir:
+      process.env.PHOTO_CACHE_DIR || path.join(os.tmpdir(), "llm-maps-photos"),
+    cacheTtl: parseInt(process.env.PHOTO_CACHE_TTL) || 86400,
+  },
+
+  // LLM prompt templates (see services/promptService.js), reloaded on change in development
+  prompts: {
+    dir: process.env.PROMPTS_DIR || path.join(__dirname, "../../prompts"),
+    hotReload: process.env.PROMPTS_HOT_RELOAD
+      ? process.env.PROMPTS_HOT_RELOAD === "true"
+      : (process.env.NODE_ENV || "development") === "development",
+  },
+
+  // Maps provider: "google" (Places API) or "osm" (Nominatim + Overpass)
+  maps: {
+    provider: process.env.MAPS_PROVIDER || "google",
+    osm: {
+      nominatimUrl:
+        process.env.OSM_NOMINATIM_URL || "https://nominatim.openstreetmap.org",
+      overpassUrl:
+        process.env.OSM_OVERPASS_URL ||
+        "https://overpass-api.de/api/interpreter",
+      // The public Nominatim/Overpass instances require an identifying User-Agent
+      userAgent: process.env.OSM_USER_AGENT || "llm-maps-integration/1.0",
+      timeout: parseInt(process.env.OSM_TIMEOUT) || 15000,
+    },
+  },
+
+  // Google Maps cost accounting (see services/costService.js)
+  mapsBudget: {
+    // Record every billable Google Maps call in Redis and estimate the daily spend
+    tracking: process.env.MAPS_COST_TRACKING !== "false",
+    // Daily budget in USD (0 = no limit). Past `reducedAt` of it cheaper calls are used, and past
+    // the budget no calls are made (only cached answers are served) until 00:00 UTC.
+    dailyUsd: parseFloat(process.env.MAPS_DAILY_BUDGET_USD) || 0,
+    reducedAt: parseFloat(process.env.MAPS_BUDGET_REDUCED_AT) || 0.8,
   },
 
   // LLM
   llm: {
+    // "ollama", "llamacpp" or "openai" (any OpenAI-compatible server such as vLLM or LM Studio)
     provider: process.env.LLM_PROVIDER || "ollama",
-    endpoint: process.env.LLM_ENDPOINT || "http://localhost:11434",
+    // For "openai" this is the base URL including /v1, e.g. http://localhost:8000/v1
+    endpoint: (process.env.LLM_ENDPOINT || "http://localhost:11434").replace(
+      /\/+$/,
+      ""
+    ),
     model: process.env.LLM_MODEL || "mistral:7b-instruct-q4_0",
+    // Used by the semantic query cache (ignored by llama.cpp, which embeds with its loaded model)
+    embeddingModel: process.env.LLM_EMBEDDING_MODEL || "nomic-embed-text",
+    apiKey: process.env.LLM_API_KEY || "",
     maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 500,
     temperature: parseFloat(process.env.LLM_TEMPERATURE) || 0.7,
     timeout: parseInt(process.env.LLM_TIMEOUT) || 1000000,
     keepAlive: "5m",
+    // Narrative claims the places do not support: "flag", "strip", "regenerate" or "off"
+    grounding: process.env.LLM_GROUNDING || "flag",
+  },
+
+  // Offline fixtures for tests and demos.
+  // "off", "replay" (serve recorded Maps/LLM responses) or "record" (call the real services and save responses)
+  fixtures: {
+    mode: process.env.FIXTURE_MODE || "off",
+    dir:
+      process.env.FIXTURE_DIR || path.join(__dirname, "../../tests/fixtures"),
   },
 
   // Redis
@@ -34,6 +112,98 @@ module.exports = {
     port: parseInt(process.env.REDIS_PORT) || 6379,
     password: process.env.REDIS_PASSWORD || "",
     ttl: parseInt(process.env.CACHE_TTL) || 1800,
+    // A command taking longer counts as a failure of Redis
+    timeoutMs: parseInt(process.env.REDIS_TIMEOUT_MS) || 1000,
+  },
+
+  // Cache tiers. An entry is fresh for `ttl` seconds, then served for `stale` more seconds while
+  // it is refreshed in the background (stale-while-revalidate).
+  cache: {
+    // "redis", "memory" (in-process, for development without Redis) or "tiered" (memory in
+    // front of Redis, serving on its own while Redis is unavailable)
+    backend: process.env.CACHE_BACKEND || "tiered",
+    // The in-process LRU of the memory and tiered backends
+    memory: {
+      maxEntries: parseInt(process.env.CACHE_MEMORY_MAX_ENTRIES) || 10000,
+      maxBytes: (parseInt(process.env.CACHE_MEMORY_MAX_MB) || 64) * 1024 * 1024,
+      // Tiered: seconds a cached entry is served from memory before Redis is asked again
+      localTtl: seconds(process.env.CACHE_MEMORY_TTL, 60),
+    },
+    // After `threshold` Redis failures in a row, Redis is not called for `cooldownMs`
+    breaker: {
+      threshold: parseInt(process.env.CACHE_BREAKER_THRESHOLD) || 5,
+      cooldownMs: parseInt(process.env.CACHE_BREAKER_COOLDOWN_MS) || 30000,
+    },
+    tiers: {
+      // Whole answers (see cacheService#getQuery); keep within the freshness of places
+      query: {
+        ttl: seconds(process.env.CACHE_QUERY_TTL, 300),
+        stale: seconds(process.env.CACHE_QUERY_STALE_TTL, 1800),
+      },
+      // Entities extracted from a prompt
+      entities: {
+        ttl: seconds(process.env.CACHE_ENTITIES_TTL, 86400),
+        stale: seconds(process.env.CACHE_ENTITIES_STALE_TTL, 0),
+      },
+      // Places search results; `open_now` goes stale quickly
+      places: {
+        ttl: seconds(process.env.CACHE_PLACES_TTL, 300),
+        stale: seconds(process.env.CACHE_PLACES_STALE_TTL, 1800),
+      },
+      // Nearby searches (POST /api/nearby), as fresh as places
+      nearby: {
+        ttl: seconds(process.env.CACHE_PLACES_TTL, 300),
+        stale: seconds(process.env.CACHE_PLACES_STALE_TTL, 1800),
+      },
+      // Narratives, per prompt and set of places (and whether they are open)
+      narrative: {
+        ttl: seconds(process.env.CACHE_NARRATIVE_TTL, 86400),
+        stale: seconds(process.env.CACHE_NARRATIVE_STALE_TTL, 0),
+      },
+    },
+    // Concurrent identical loads wait up to this long for the first one
+    lockTtl: seconds(process.env.CACHE_LOCK_TTL, 60),
+    // Cache warm-up jobs (see warmupService): how long each prompt may take to answer
+    warmPromptTimeout: seconds(process.env.CACHE_WARM_PROMPT_TIMEOUT, 120),
+  },
+
+  // Query cache (see cacheService#getQuery)
+  queryCache: {
+    // Queries from the same geohash cell share answers; 7 characters is a cell of ~150 m
+    geohashPrecision: parseInt(process.env.CACHE_GEOHASH_PRECISION) || 7,
+    // Also answer near-duplicate prompts, compared by the LLM's embeddings
+    semantic: process.env.SEMANTIC_CACHE_ENABLED === "true",
+    similarityThreshold:
+      parseFloat(process.env.SEMANTIC_CACHE_THRESHOLD) || 0.95,
+    // Prompts remembered per location cell, filters and language
+    maxEntries: parseInt(process.env.SEMANTIC_CACHE_MAX_ENTRIES) || 200,
+  },
+
+  // Readiness checks (GET /api/health/ready and the startup self-check)
+  health: {
+    // Each dependency must answer within this time
+    timeoutMs: parseInt(process.env.HEALTH_TIMEOUT_MS) || 3000,
+    // Reports are reused for this many seconds, so frequent probes do not load the LLM or Maps
+    cacheTtl: seconds(process.env.HEALTH_CACHE_TTL, 10),
+  },
+
+  // Conversation sessions
+  session: {
+    ttl: parseInt(process.env.SESSION_TTL) || 86400,
+  },
+
+  // Itinerary planning
+  itinerary: {
+    // Time zone of the default start time (now) and of opening hours
+    timeZone: process.env.ITINERARY_TIME_ZONE || "Asia/Jakarta",
+  },
+
+  // Authentication
+  auth: {
+    // Require a JWT or API key on the search endpoints (set to "false" for local demos)
+    required: process.env.AUTH_REQUIRED !== "false",
+    tokenTtl: process.env.JWT_EXPIRES_IN || "12h",
+    allowRegistration: process.env.AUTH_ALLOW_REGISTRATION !== "false",
   },
 
   // Security
@@ -43,7 +213,22 @@ module.exports = {
     corsOrigin: process.env.CORS_ORIGIN || "http://localhost:3000",
   },
 
-  // Rate Limiting
+  // Per-user/per-API-key quotas, counted in Redis. Anonymous callers are counted by IP.
+  quota: {
+    enabled: process.env.QUOTA_ENABLED !== "false",
+    // Requests that call the LLM (queries, follow-ups, itineraries)
+    llm: {
+      perMinute: parseInt(process.env.QUOTA_LLM_PER_MINUTE) || 10,
+      perDay: parseInt(process.env.QUOTA_LLM_PER_DAY) || 200,
+    },
+    // Requests that call the Maps provider (every search and place lookup)
+    maps: {
+      perMinute: parseInt(process.env.QUOTA_MAPS_PER_MINUTE) || 30,
+      perDay: parseInt(process.env.QUOTA_MAPS_PER_DAY) || 1000,
+    },
+  },
+
+  // Rate Limiting (global, in memory, per IP)
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000,
     maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 30,
@@ -0,0 +1,200 @@
+const costService = require("../services/costService");
+const cacheService = require("../services/cacheService");
+const warmupService = require("../services/warmupService");
+const promptService = require("../services/promptService");
+const { getLocale, resolveLanguage } = require("../locales");
+const logger = require("../utils/logger");
+
+/**
+ * Reports the Google Maps calls and estimated spend of a day, and the current budget mode.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const getMapsCosts = async (req, res) => {
+  try {
+    const report = await costService.getReport(req.query.date);
+    res.json({ ...report, mode: await costService.getMode() });
+  } catch (error) {
+    logger.error("Failed to report Maps costs:", error);
+    res.status(500).json({ error: "Failed to report Maps costs" });
+  }
+};
+
+/**
+ * Lists the loaded prompt templates.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const listPrompts = (req, res) => {
+  res.json({ templates: promptService.list() });
+};
+
+/**
+ * Renders a prompt template with the given variables, without calling the LLM. Picks the
+ * template a query in `language` would use (Javanese and Sundanese use the Indonesian ones).
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const previewPrompt = (req, res) => {
+  const { name, language, variables = {} } = req.body;
+  const locale = language ? getLocale(language) : null;
+  try {
+    const { id, text } = promptService.render(
+      name,
+      locale ? locale.templateLanguage || locale.code : null,
+      variables
+    );
+    res.json({ id, prompt: text });
+  } catch (error) {
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error("Failed to preview a prompt:", error);
+    res.status(500).json({ error: "Failed to preview the prompt" });
+  }
+};
+
+/**
+ * The query a prompt is cached under, with the defaults of POST /api/query.
+ * @param {string} prompt
+ * @param {object} body The request body: `user_location`, `max_results`, `filters`, `sort_by`
+ *   and `language`.
+ * @returns {object}
+ */
+const cacheQueryFor = (prompt, body) => ({
+  prompt,
+  user_location: body.user_location,
+  max_results: body.max_results || 5,
+  filters: body.filters,
+  sort_by: body.sort_by || "relevance",
+  language: resolveLanguage({ language: body.language, text: prompt }),
+});
+
+/**
+ * Reports hits, misses and keys per cache namespace, and Redis memory use.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const getCacheStats = async (req, res) => {
+  try {
+    res.json(await cacheService.getStats());
+  } catch (error) {
+    logger.error("Failed to report cache stats:", error);
+    res.status(500).json({ error: "Failed to report cache stats" });
+  }
+};
+
+/**
+ * Shows the cached answer of a prompt and location, as POST /api/query would look it up.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const lookupCachedQuery = async (req, res) => {
+  try {
+    res.json(
+      await cacheService.inspectQuery(cacheQueryFor(req.body.prompt, req.body))
+    );
+  } catch (error) {
+    logger.error("Failed to look up a cached query:", error);
+    res.status(500).json({ error: "Failed to look up the cached query" });
+  }
+};
+
+/**
+ * Deletes every key of a cache namespace.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const purgeCacheNamespace = async (req, res) => {
+  const { namespace } = req.params;
+  try {
+    const deleted = await cacheService.purgeNamespace(namespace);
+    logger.info(`Purged ${deleted} keys of cache namespace ${namespace}`);
+    res.json({ namespace, deleted });
+  } catch (error) {
+    logger.error("Failed to purge a cache namespace:", error);
+    res.status(500).json({ error: "Failed to purge the cache namespace" });
+  }
+};
+
+/**
+ * Deletes the cached details of a place and every cached entry listing it.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const purgeCachedPlace = async (req, res) => {
+  const { placeId } = req.params;
+  try {
+    const deleted = await cacheService.purgePlace(placeId);
+    logger.info(`Purged ${deleted} cache keys listing place ${placeId}`);
+    res.json({ place_id: placeId, deleted });
+  } catch (error) {
+    logger.error("Failed to purge a cached place:", error);
+    res.status(500).json({ error: "Failed to purge the cached place" });
+  }
+};
+
+/**
+ * Starts answering popular prompts ahead of users, in the background (see warmupService).
+ * Answers 202 with the job, to be followed at the `Location` it names.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const warmCache = async (req, res) => {
+  try {
+    const job = await warmupService.start(
+      req.body.prompts.map((prompt) => cacheQueryFor(prompt, req.body))
+    );
+    res.status(202).location(`/api/admin/cache/warm/${job.job_id}`).json(job);
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ error: error.message });
+    }
+    logger.error("Failed to start a cache warm-up:", error);
+    res.status(500).json({ error: "Failed to start the cache warm-up" });
+  }
+};
+
+/**
+ * Reports the progress of a cache warm-up.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const getWarmJob = async (req, res) => {
+  const job = await warmupService.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: "Cache warm-up not found" });
+  }
+  res.json(job);
+};
+
+/**
+ * Cancels a running cache warm-up.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const cancelWarmJob = async (req, res) => {
+  try {
+    const job = await warmupService.cancel(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: "Cache warm-up not found" });
+    }
+    res.json(job);
+  } catch (error) {
+    logger.error("Failed to cancel a cache warm-up:", error);
+    res.status(500).json({ error: "Failed to cancel the cache warm-up" });
+  }
+};
+
+module.exports = {
+  getMapsCosts,
+  listPrompts,
+  previewPrompt,
+  getCacheStats,
+  lookupCachedQuery,
+  purgeCacheNamespace,
+  purgeCachedPlace,
+  warmCache,
+  getWarmJob,
+  cancelWarmJob,
+};
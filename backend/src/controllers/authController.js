@@ -0,0 +1,127 @@
+const authService = require("../services/authService");
+const logger = require("../utils/logger");
+
+/**
+ * Answers with the status carried by a service error (401, 403, 409) or a 500.
+ */
+const sendError = (res, error, message) => {
+  if ([401, 403, 404, 409].includes(error.status)) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  logger.error(`${message}:`, error);
+  res.status(500).json({ error: message });
+};
+
+/**
+ * Creates an account and signs the user in.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const register = async (req, res) => {
+  try {
+    const { email, password, name } = req.body;
+    const result = await authService.register(email, password, name);
+    res.status(201).json(result);
+  } catch (error) {
+    sendError(res, error, "Failed to register");
+  }
+};
+
+/**
+ * Exchanges an email and password for a JWT.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    res.json(await authService.login(email, password));
+  } catch (error) {
+    sendError(res, error, "Failed to log in");
+  }
+};
+
+/**
+ * Returns the signed-in user.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const me = async (req, res) => {
+  try {
+    const user = await authService.getUser(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    res.json(authService.publicUser(user));
+  } catch (error) {
+    sendError(res, error, "Failed to get user");
+  }
+};
+
+/**
+ * API keys are for calling the API, not for minting or revoking other keys.
+ */
+const rejectApiKeyCaller = (req, res) => {
+  if (!req.user.api_key_id) return false;
+  res.status(403).json({ error: "Sign in with a token to manage API keys" });
+  return true;
+};
+
+/**
+ * Creates an API key. The key is only returned by this call.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const createApiKey = async (req, res) => {
+  if (rejectApiKeyCaller(req, res)) return;
+  try {
+    res
+      .status(201)
+      .json(await authService.createApiKey(req.user, req.body.name));
+  } catch (error) {
+    sendError(res, error, "Failed to create API key");
+  }
+};
+
+/**
+ * Lists the signed-in user's API keys.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const listApiKeys = async (req, res) => {
+  try {
+    res.json({ api_keys: await authService.listApiKeys(req.user.id) });
+  } catch (error) {
+    sendError(res, error, "Failed to list API keys");
+  }
+};
+
+/**
+ * Revokes one of the signed-in user's API keys.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const revokeApiKey = async (req, res) => {
+  if (rejectApiKeyCaller(req, res)) return;
+  try {
+    const revoked = await authService.revokeApiKey(
+      req.user.id,
+      req.params.keyId
+    );
+    if (!revoked) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, "Failed to revoke API key");
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  me,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+};
@@ -0,0 +1,49 @@
+const healthService = require("../services/healthService");
+const logger = require("../utils/logger");
+
+/**
+ * Reports that the server is running (kept for existing clients; see liveness).
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const healthCheck = (req, res) => {
+  res.json({
+    status: "healthy",
+    timestamp: Date.now(),
+  });
+};
+
+/**
+ * Reports that the process is up, without checking its dependencies.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const liveness = (req, res) => {
+  res.json({
+    status: "ok",
+    uptime_s: Math.round(process.uptime()),
+    timestamp: Date.now(),
+  });
+};
+
+/**
+ * Reports whether the server can answer queries, per dependency. Answers 503 when a
+ * dependency is down.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const readiness = async (req, res) => {
+  try {
+    const report = await healthService.check();
+    res.status(report.status === "down" ? 503 : 200).json(report);
+  } catch (error) {
+    logger.error("Readiness check failed:", error);
+    res.status(500).json({ error: "Readiness check failed" });
+  }
+};
+
+module.exports = {
+  healthCheck,
+  liveness,
+  readiness,
+};
@@ -0,0 +1,52 @@
+const itineraryService = require("../services/itineraryService");
+const logger = require("../utils/logger");
+const { requestLanguage } = require("./queryController");
+
+/**
+ * Plans a multi-stop itinerary from a natural-language request.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const planItinerary = async (req, res) => {
+  const startTime = Date.now();
+  const requestId = `req_${Date.now()}`;
+
+  try {
+    const {
+      prompt,
+      user_location,
+      mode = "walking",
+      start_time,
+      date,
+      optimize_order = false,
+      candidates_per_stop = 3,
+    } = req.body;
+    const language = requestLanguage(req);
+
+    const plan = await itineraryService.planItinerary(prompt, user_location, {
+      mode,
+      startTime: start_time,
+      date,
+      optimizeOrder: optimize_order,
+      candidatesPerStop: candidates_per_stop,
+      language,
+    });
+
+    res.json({
+      ...plan,
+      language,
+      request_id: requestId,
+      processing_time: Date.now() - startTime,
+    });
+  } catch (error) {
+    logger.error("Itinerary planning failed:", error);
+    res.status(500).json({
+      error: "Failed to plan itinerary",
+      request_id: requestId,
+    });
+  }
+};
+
+module.exports = {
+  planItinerary,
+};
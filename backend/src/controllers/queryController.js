@@ -1,7 +1,121 @@
 const llmService = require("../services/llmService");
 const mapsService = require("../services/mapsService");
 const cacheService = require("../services/cacheService");
+const sessionService = require("../services/sessionService");
+const quotaService = require("../services/quotaService");
+const costService = require("../services/costService");
+const photoService = require("../services/photoService");
+const config = require("../config/config");
 const logger = require("../utils/logger");
+const { verifyUrlSignature } = require("../utils/urlSignature");
+const { openEventStream } = require("../utils/sse");
+const {
+  cacheableAnswer,
+  filtersKey,
+  locationKey,
+} = require("../utils/queryCache");
+const { LANGUAGES, getLocale, resolveLanguage } = require("../locales");
+
+/**
+ * Loads the conversation a query belongs to.
+ * @param {string | undefined} sessionId The `session_id` sent with the query.
+ * @param {object | null} user The authenticated caller.
+ * @returns {Promise<object | null>} The session, or null for a stateless query.
+ * @throws {Error} With `status` 404 when the session does not exist (or expired) or belongs
+ *   to another user.
+ */
+const loadSession = async (sessionId, user) => {
+  if (!sessionId) return null;
+  const session = await sessionService.get(sessionId);
+  if (!session || !sessionService.isAccessibleBy(session, user)) {
+    const error = new Error("Session not found");
+    error.status = 404;
+    throw error;
+  }
+  return session;
+};
+
+/**
+ * Records a RAG answer as a new turn of the session.
+ * @param {object | null} session The session, or null for a stateless query.
+ * @param {string} requestId The request id.
+ * @param {string} prompt The user's prompt.
+ * @param {object} recommendation The result of findPlacesAndGenerateNarrativeWithRAG.
+ */
+const recordTurn = async (session, requestId, prompt, recommendation) => {
+  if (!session) return;
+  await sessionService.appendTurn(session, {
+    request_id: requestId,
+    prompt,
+    entities: recommendation.entities,
+    places: recommendation.places,
+    next_page_token: recommendation.next_page_token,
+    llm_text: recommendation.llm_text,
+    segments: recommendation.segments,
+    filters: recommendation.filters,
+    refined: recommendation.refined,
+    prompt_versions: recommendation.prompt_versions,
+    grounding: recommendation.grounding,
+  });
+};
+
+/**
+ * The language to answer a query in: the `language` field (or query parameter), then
+ * Accept-Language, then the language of the prompt (see locales/index.js). A bare wildcard
+ * header expresses no preference.
+ * @param {object} req - The Express request object.
+ * @returns {string} A supported language code.
+ */
+const requestLanguage = (req) => {
+  const header = req.get("Accept-Language");
+  return resolveLanguage({
+    language: req.body?.language ?? req.query.language,
+    accepted:
+      header && header.trim() !== "*" && req.acceptsLanguages(LANGUAGES),
+    text: req.body?.prompt,
+  });
+};
+
+/**
+ * Embeds prompts for the semantic query cache (see cacheService#getQuery).
+ * @param {string} text
+ * @returns {Promise<number[]>}
+ */
+const embedPrompt = (text) => llmService.embed(text);
+
+/**
+ * Describes a query cache hit for the response. A stale answer is served as is and answered
+ * again in the background, so the next request gets fresh places.
+ * @param {object} hit The result of cacheService#getQuery.
+ * @param {object} cacheQuery The query it was looked up with.
+ * @returns {{hit_type: string, similarity: number, stale: boolean}}
+ */
+const serveCached = (hit, cacheQuery) => {
+  if (hit.stale) {
+    const { prompt, user_location, max_results, filters, sort_by, language } =
+      cacheQuery;
+    cacheService.refreshQuery(
+      cacheQuery,
+      async () =>
+        cacheableAnswer(
+          await llmService.findPlacesAndGenerateNarrativeWithRAG(
+            prompt,
+            user_location,
+            max_results,
+            {},
+            { filters, sortBy: sort_by, language, cache: true }
+          ),
+          language
+        ),
+      embedPrompt
+    );
+  }
+  return {
+    hit_type: hit.hit_type,
+    similarity: hit.similarity,
+    stale: hit.stale,
+  };
+};
 
 /**
  * Handles the main query processing flow using a RAG (Retrieval-Augmented Generation) approach.
@@ -19,18 +133,65 @@ const processQuery = async (req, res) => {
       user_location,
       max_results = 5,
       use_cache = true,
+      page_token,
+      session_id,
+      filters,
+      sort_by = "relevance",
     } = req.body;
 
-    const cacheKey = [prompt, JSON.stringify(user_location)];
-    if (use_cache) {
-      const cachedResult = await cacheService.get(...cacheKey);
-      if (cachedResult) {
-        logger.info(`[${requestId}] Using cached result.`);
+    // "Load more": fetch the next page of places without regenerating the narrative.
+    if (page_token) {
+      const page = await mapsService.continueSearch(page_token, {
+        maxResults: max_results,
+      });
+      return res.json({
+        places: page.places,
+        next_page_token: page.next_page_token,
+        filters: page.filters,
+        request_id: requestId,
+        cached: false,
+        processing_time: Date.now() - startTime,
+      });
+    }
+
+    const session = await loadSession(session_id, req.user);
+    const context = sessionService.buildContext(session);
+    // Follow-ups depend on the earlier turns, so they are never cached; the first turn of a
+    // conversation is answered like any other query.
+    const useCache = use_cache && !context;
+
+    const language = requestLanguage(req);
+    const cacheQuery = {
+      prompt,
+      user_location,
+      max_results,
+      filters,
+      sort_by,
+      language,
+    };
+    if (useCache) {
+      const hit = await cacheService.getQuery(cacheQuery, embedPrompt);
+      if (hit) {
+        logger.info(`[${requestId}] Using cached result (${hit.hit_type}).`);
+        // A stale answer is answered again in the background, which does use the budgets.
+        if (!hit.stale) await quotaService.refund(req.quota, ["llm", "maps"]);
+        const { entities, ...answer } = hit.value;
+        await recordTurn(session, requestId, prompt, {
+          ...hit.value,
+          refined: false,
+        });
         return res.json({
-          ...cachedResult,
+          ...answer,
           cached: true,
+          cache: serveCached(hit, cacheQuery),
           request_id: requestId,
           processing_time: Date.now() - startTime,
+          ...(session && {
+            session_id: session.session_id,
+            entities,
+            refined: false,
+            warnings: [],
+          }),
         });
       }
     }
@@ -44,7 +205,15 @@ const processQuery = async (req, res) => {
       await llmService.findPlacesAndGenerateNarrativeWithRAG(
         prompt,
         user_location,
-        max_results
+        max_results,
+        {},
+        {
+          context,
+          filters,
+          sortBy: sort_by,
+          language,
+          cache: use_cache,
+        }
       );
 
     if (!recommendation) {
@@ -54,21 +223,41 @@ const processQuery = async (req, res) => {
       });
     }
 
+    const { entities, ...answer } = cacheableAnswer(recommendation, language);
     const responseData = {
-      llm_text: recommendation.llm_text,
-      places: recommendation.places,
+      ...answer,
       request_id: requestId,
       cached: false,
+      cache: null,
       processing_time: Date.now() - startTime,
     };
 
-    if (use_cache) {
-      await cacheService.set(responseData, 1800, ...cacheKey);
+    if (session) {
+      await recordTurn(session, requestId, prompt, recommendation);
+      responseData.session_id = session.session_id;
+      responseData.entities = entities;
+      responseData.refined = recommendation.refined;
+      responseData.warnings = recommendation.warnings;
+    }
+
+    if (useCache) {
+      await cacheService.setQuery(
+        cacheQuery,
+        cacheableAnswer(recommendation, language),
+        embedPrompt
+      );
     }
 
-    logger.info(`[${requestId}] Finished in ${responseData.processing_time}ms`);
+    logger.info(
+      `[${requestId}] Finished in ${responseData.processing_time}ms (prompts: ${recommendation.prompt_versions.join(", ")})`
+    );
     res.json(responseData);
   } catch (error) {
+    if (error.status === 400 || error.status === 404) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, request_id: requestId });
+    }
     logger.error(`[${requestId}] Query processing failed:`, error);
     res.status(500).json({
       error: "Failed to process query",
@@ -77,22 +266,238 @@ const processQuery = async (req, res) => {
   }
 };
 
+/**
+ * Serves a place photo through the backend, so the Maps API key stays on the server. The URL
+ * must carry the signature generated with it (see GooglePlacesProvider#generatePhotoUrl).
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const getPhoto = async (req, res) => {
+  try {
+    const { photoReference } = req.params;
+    const maxWidth = Number(req.query.maxwidth) || 400;
+    if (!verifyUrlSignature(req.query.sig, photoReference, maxWidth)) {
+      return res.status(403).json({ error: "Invalid photo signature" });
+    }
+
+    const photo = await photoService.getPhoto(photoReference, maxWidth);
+    if (!photo) {
+      return res.status(404).json({ error: "Photo not found" });
+    }
+
+    res.set({
+      "Content-Type": photo.contentType,
+      "Cache-Control": `public, max-age=${config.photos.cacheTtl}, immutable`,
+      ETag: `"${photo.etag}"`,
+      // The frontend runs on another origin; helmet would block the image otherwise.
+      "Cross-Origin-Resource-Policy": "cross-origin",
+    });
+    // Answers 304 when If-None-Match matches the ETag.
+    res.send(photo.data);
+  } catch (error) {
+    logger.error("Failed to get photo:", error);
+    res.status(500).json({ error: "Failed to get photo" });
+  }
+};
+
+/**
+ * Streams the RAG flow to the client as Server-Sent Events.
+ * Events are emitted in stages: `entities`, `places`, `token` (narrative chunks) and a final
+ * `done` event carrying the request id, timings, the grounding check and the cited `segments` of
+ * the narrative (plus the final `llm_text` when it differs from the streamed text). Failures are reported as an `error` event.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const streamQuery = async (req, res) => {
+  const startTime = Date.now();
+  const requestId = `req_${Date.now()}`;
+  const {
+    prompt,
+    user_location,
+    max_results = 5,
+    use_cache = true,
+    session_id,
+    filters,
+    sort_by = "relevance",
+  } = req.body;
+
+  const stream = openEventStream(res);
+  const abortController = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      logger.info(`[${requestId}] Client disconnected, aborting stream.`);
+      abortController.abort();
+    }
+  });
+
+  const timings = {};
+  let streamedText = "";
+
+  try {
+    const session = await loadSession(session_id, req.user);
+    const context = sessionService.buildContext(session);
+    const useCache = use_cache && !context;
+
+    const language = requestLanguage(req);
+    const cacheQuery = {
+      prompt,
+      user_location,
+      max_results,
+      filters,
+      sort_by,
+      language,
+    };
+    if (useCache) {
+      const hit = await cacheService.getQuery(cacheQuery, embedPrompt);
+      if (hit) {
+        const cachedResult = hit.value;
+        // A stale answer is answered again in the background, which does use the budgets.
+        if (!hit.stale) await quotaService.refund(req.quota, ["llm", "maps"]);
+        logger.info(
+          `[${requestId}] Streaming cached result (${hit.hit_type}).`
+        );
+        stream.send("places", {
+          places: cachedResult.places,
+          next_page_token: cachedResult.next_page_token || null,
+          filters: cachedResult.filters || {},
+        });
+        stream.send("token", { text: cachedResult.llm_text });
+        await recordTurn(session, requestId, prompt, {
+          ...cachedResult,
+          refined: false,
+        });
+        stream.send("done", {
+          request_id: requestId,
+          language,
+          prompt_versions: cachedResult.prompt_versions,
+          grounding: cachedResult.grounding || null,
+          segments: cachedResult.segments,
+          cached: true,
+          cache: serveCached(hit, cacheQuery),
+          processing_time: Date.now() - startTime,
+          timings,
+          ...(session && {
+            session_id: session.session_id,
+            refined: false,
+            warnings: [],
+          }),
+        });
+        return stream.close();
+      }
+    }
+
+    logger.info(
+      `[${requestId}] Streaming query with RAG approach: "${prompt}"`
+    );
+
+    const recommendation =
+      await llmService.findPlacesAndGenerateNarrativeWithRAG(
+        prompt,
+        user_location,
+        max_results,
+        {
+          signal: abortController.signal,
+          onEntities: (entities) => {
+            timings.entities_ms = Date.now() - startTime;
+            stream.send("entities", { entities });
+          },
+          onPlaces: (places, nextPageToken, appliedFilters) => {
+            timings.places_ms = Date.now() - startTime;
+            stream.send("places", {
+              places,
+              next_page_token: nextPageToken,
+              filters: appliedFilters,
+            });
+          },
+          onToken: (text) => {
+            if (timings.first_token_ms === undefined) {
+              timings.first_token_ms = Date.now() - startTime;
+            }
+            streamedText += text;
+            stream.send("token", { text });
+          },
+        },
+        {
+          context,
+          filters,
+          sortBy: sort_by,
+          language,
+          cache: use_cache,
+        }
+      );
+
+    const processingTime = Date.now() - startTime;
+    timings.narrative_ms = processingTime;
+
+    await recordTurn(session, requestId, prompt, recommendation);
+
+    if (useCache) {
+      await cacheService.setQuery(
+        cacheQuery,
+        cacheableAnswer(recommendation, language),
+        embedPrompt
+      );
+    }
+
+    stream.send("done", {
+      request_id: requestId,
+      language,
+      prompt_versions: recommendation.prompt_versions,
+      grounding: recommendation.grounding,
+      segments: recommendation.segments,
+      // The streamed narrative still had its citations, or was rewritten by the grounding check.
+      ...(recommendation.llm_text !== streamedText && {
+        llm_text: recommendation.llm_text,
+      }),
+      cached: false,
+      cache: null,
+      processing_time: processingTime,
+      timings,
+      ...(session && {
+        session_id: session.session_id,
+        refined: recommendation.refined,
+        warnings: recommendation.warnings,
+      }),
+    });
+    logger.info(
+      `[${requestId}] Stream finished in ${processingTime}ms (prompts: ${recommendation.prompt_versions.join(", ")})`
+    );
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      return;
+    }
+    logger.error(`[${requestId}] Streaming query failed:`, error);
+    stream.send("error", {
+      error: error.status === 404 ? error.message : "Failed to process query",
+      request_id: requestId,
+    });
+  } finally {
+    stream.close();
+  }
+};
+
 const getPlaceDetails = async (req, res) => {
   try {
     const { placeId } = req.params;
+    const language = getLocale(requestLanguage(req)).mapsLanguage;
 
-    const cachedDetails = await cacheService.get("place", placeId);
+    const cachedDetails = await cacheService.get("place", placeId, language);
     if (cachedDetails) {
       return res.json(cachedDetails);
     }
 
-    const details = await mapsService.getPlaceDetails(placeId);
+    const details = await mapsService.getPlaceDetails(placeId, { language });
 
     if (!details) {
+      if ((await costService.getMode()) === "cache_only") {
+        return res
+          .status(503)
+          .json({ error: "Place details are unavailable until tomorrow" });
+      }
       return res.status(404).json({ error: "Place not found" });
     }
 
-    await cacheService.set(details, 3600, "place", placeId);
+    await cacheService.set(details, 3600, "place", placeId, language);
 
     res.json(details);
   } catch (error) {
@@ -103,7 +508,16 @@ const getPlaceDetails = async (req, res) => {
 
 const nearbySearch = async (req, res) => {
   try {
-    const { location, place_type, radius = 1000, keyword } = req.body;
+    const {
+      location,
+      place_type,
+      radius = 1000,
+      keyword,
+      max_results = 5,
+      page_token,
+      filters,
+      sort_by = "relevance",
+    } = req.body;
 
     if (!location || !place_type) {
       return res
@@ -111,33 +525,63 @@ const nearbySearch = async (req, res) => {
         .json({ error: "Location and place_type are required" });
     }
 
-    const results = await mapsService.nearbySearch(
-      `${location.lat},${location.lng}`,
-      place_type,
-      radius,
-      keyword
-    );
+    const language = getLocale(requestLanguage(req)).mapsLanguage;
+    const search = () =>
+      mapsService.nearbySearch(
+        `${location.lat},${location.lng}`,
+        place_type,
+        radius,
+        keyword,
+        { maxResults: max_results, filters, sortBy: sort_by, language }
+      );
+    // Empty results are not cached: they may only mean the Maps budget is spent.
+    const { value: results, status } = page_token
+      ? {
+          value: await mapsService.continueSearch(page_token, {
+            maxResults: max_results,
+          }),
+          status: "miss",
+        }
+      : await cacheService.fetch(
+          "nearby",
+          [
+            mapsService.provider.name,
+            locationKey(location, config.queryCache.geohashPrecision),
+            place_type,
+            radius,
+            keyword || "",
+            max_results,
+            filtersKey(filters),
+            sort_by,
+            language,
+          ],
+          search,
+          { cacheable: (result) => result.places.length > 0 }
+        );
+    if (status === "fresh") {
+      await quotaService.refund(req.quota, ["maps"]);
+    }
 
     res.json({
-      places: results,
-      total: results.length,
+      places: results.places,
+      total: results.places.length,
+      next_page_token: results.next_page_token,
+      filters: results.filters,
     });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     logger.error("Nearby search failed:", error);
     res.status(500).json({ error: "Nearby search failed" });
   }
 };
 
-const healthCheck = (req, res) => {
-  res.json({
-    status: "healthy",
-    timestamp: Date.now(),
-  });
-};
-
 module.exports = {
   processQuery,
+  streamQuery,
   getPlaceDetails,
+  getPhoto,
   nearbySearch,
-  healthCheck,
+  requestLanguage,
 };
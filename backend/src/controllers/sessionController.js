@@ -0,0 +1,87 @@
+const sessionService = require("../services/sessionService");
+const logger = require("../utils/logger");
+const { processQuery, streamQuery } = require("./queryController");
+
+/**
+ * Starts a new conversation.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const createSession = async (req, res) => {
+  try {
+    const session = await sessionService.create(req.user?.id);
+    res.status(201).json(session);
+  } catch (error) {
+    logger.error("Failed to create session:", error);
+    res.status(500).json({ error: "Failed to create session" });
+  }
+};
+
+/**
+ * Returns a conversation with all its turns.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const getSession = async (req, res) => {
+  try {
+    const session = await sessionService.get(req.params.sessionId);
+    if (!session || !sessionService.isAccessibleBy(session, req.user)) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    res.json(session);
+  } catch (error) {
+    logger.error("Failed to get session:", error);
+    res.status(500).json({ error: "Failed to get session" });
+  }
+};
+
+/**
+ * Ends a conversation.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const deleteSession = async (req, res) => {
+  try {
+    const session = await sessionService.get(req.params.sessionId);
+    if (!session || !sessionService.isAccessibleBy(session, req.user)) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    const deleted = await sessionService.delete(req.params.sessionId);
+    if (!deleted) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    res.status(204).end();
+  } catch (error) {
+    logger.error("Failed to delete session:", error);
+    res.status(500).json({ error: "Failed to delete session" });
+  }
+};
+
+/**
+ * Posts a message to a conversation. Same as `POST /query` with `session_id`.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const postMessage = (req, res) => {
+  req.body.session_id = req.params.sessionId;
+  return processQuery(req, res);
+};
+
+/**
+ * Posts a message to a conversation and streams the answer. Same as `POST /query/stream`
+ * with `session_id`.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const streamMessage = (req, res) => {
+  req.body.session_id = req.params.sessionId;
+  return streamQuery(req, res);
+};
+
+module.exports = {
+  createSession,
+  getSession,
+  deleteSession,
+  postMessage,
+  streamMessage,
+};
@@ -0,0 +1,29 @@
+const config = require("../config/config");
+const quotaService = require("../services/quotaService");
+const logger = require("../utils/logger");
+
+/**
+ * Reports the caller's quotas and how much of them is left.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ */
+const getUsage = async (req, res) => {
+  try {
+    const subject = quotaService.subjectFor(req.user, req.ip);
+    if (!config.quota.enabled) {
+      return res.json({ enabled: false, subject, quotas: null });
+    }
+    res.json({
+      enabled: true,
+      subject,
+      quotas: await quotaService.getUsage(subject),
+    });
+  } catch (error) {
+    logger.error("Usage lookup failed:", error);
+    res.status(500).json({ error: "Failed to get usage" });
+  }
+};
+
+module.exports = {
+  getUsage,
+};
@@ -0,0 +1,71 @@
+// backend/src/locales/en.js
+module.exports = {
+  code: "en",
+  name: "English",
+  mapsLanguage: "en",
+  detectionWords: [
+    "the",
+    "a",
+    "an",
+    "in",
+    "on",
+    "find",
+    "where",
+    "near",
+    "nearby",
+    "with",
+    "open",
+    "cheap",
+    "best",
+    "good",
+    "show",
+    "me",
+    "for",
+    "some",
+    "what",
+    "is",
+    "are",
+    "looking",
+    "want",
+    "places",
+    "shops",
+    "coffee",
+    "food",
+    "recommend",
+    "plan",
+    "trip",
+    "then",
+  ],
+  placeTypes: {
+    restaurant: ["restaurant", "diner", "eatery", "bistro", "place to eat"],
+    cafe: ["cafe", "café", "coffee shop", "coffee"],
+    hotel: ["hotel", "hostel", "guesthouse", "accommodation"],
+    mall: ["mall", "shopping center", "shopping centre"],
+    park: ["park", "garden"],
+    museum: ["museum"],
+    point_of_interest: ["tourist attraction", "attraction", "sightseeing"],
+  },
+  // The place name ends at the next clause ("in Bandung that is open now").
+  locationPattern:
+    /\b(?:in|near|around)\s+(?!the\b|a\b|an\b)([a-z\u00C0-\u017F' -]{3,40}?)(?=\s+(?:that|which|with|for|and|or|open|near|under|over|above|rated|to|at|on)\b|[,.!?:;]|$)/gi,
+  prompts: {
+    conversation: (history, userPrompt) => `Previous conversation:
+${history.map((turn) => `User: ${turn.prompt}\nAssistant: ${turn.llm_text || "-"}`).join("\n")}
+
+The user's latest message: "${userPrompt}". Answer that latest message.
+`,
+    filters: (filters) =>
+      `Filters applied by the user: ${JSON.stringify(filters)}.\n`,
+    distance: ({ name, distance, walkingMinutes }) =>
+      `Distances (distance_m) and travel times (travel) are measured from the user's location. The closest option is "${name}", ${distance} away (about ${walkingMinutes} minutes on foot); mention distances when relevant.\n`,
+    travelMode: (mode) => (mode === "driving" ? "car" : "on foot"),
+  },
+  messages: {
+    noPlacesForStop: (label) => `No places found for "${label}".`,
+    noneOpenForStop: (label) =>
+      `No place for "${label}" is open on arrival; picked one anyway.`,
+    mayBeClosed: (name, time) => `${name} may be closed at ${time}.`,
+    noPriceLevels: () =>
+      "None of these places lists its price level, so they could not be narrowed down to cheaper ones.",
+  },
+};
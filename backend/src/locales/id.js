@@ -0,0 +1,64 @@
+// backend/src/locales/id.js
+/**
+ * Indonesian (the default). Keywords also cover the English words Indonesians commonly mix in.
+ */
+module.exports = {
+  code: "id",
+  name: "Bahasa Indonesia",
+  mapsLanguage: "id",
+  detectionWords: [
+    "yang",
+    "yg",
+    "di",
+    "cari",
+    "carikan",
+    "dekat",
+    "terdekat",
+    "tempat",
+    "murah",
+    "buka",
+    "sekarang",
+    "makan",
+    "ada",
+    "mau",
+    "ingin",
+    "saya",
+    "dong",
+    "untuk",
+    "dengan",
+    "rekomendasi",
+    "bagus",
+    "lebih",
+  ],
+  placeTypes: {
+    restaurant: ["restaurant", "restoran", "rumah makan", "warung", "resto"],
+    cafe: ["cafe", "kafe", "coffee shop", "kedai", "kedai kopi"],
+    hotel: ["hotel"],
+    mall: ["mall"],
+    park: ["park", "taman"],
+    point_of_interest: ["tempat wisata"],
+  },
+  // "di atas"/"di bawah" mean above/below ("rating di atas 4.5"), not a place.
+  locationPattern:
+    /\b(?:kota|kabupaten|di|di kota)\s+(?!atas\b|bawah\b)([A-Za-z\u00C0-\u017F' -]{3,40})/gi,
+  prompts: {
+    conversation: (history, userPrompt) => `Percakapan sebelumnya:
+${history.map((turn) => `Pengguna: ${turn.prompt}\nAsisten: ${turn.llm_text || "-"}`).join("\n")}
+
+Pesan terbaru pengguna: "${userPrompt}". Jawab pesan terbaru tersebut.
+`,
+    filters: (filters) =>
+      `Filter yang diterapkan pengguna: ${JSON.stringify(filters)}.\n`,
+    distance: ({ name, distance, walkingMinutes }) =>
+      `Jarak (distance_m) dan waktu tempuh (travel) dihitung dari lokasi pengguna. Pilihan terdekat adalah "${name}", ${distance} dari pengguna (sekitar ${walkingMinutes} menit jalan kaki); sebutkan jarak jika relevan.\n`,
+    travelMode: (mode) => (mode === "driving" ? "mobil" : "jalan kaki"),
+  },
+  messages: {
+    noPlacesForStop: (label) => `Tidak ada tempat untuk "${label}".`,
+    noneOpenForStop: (label) =>
+      `Tidak ada tempat untuk "${label}" yang buka saat tiba; tetap dipilih satu.`,
+    mayBeClosed: (name, time) => `${name} mungkin tutup pukul ${time}.`,
+    noPriceLevels: () =>
+      "Tidak ada tempat yang mencantumkan tingkat harga, jadi tidak bisa dipilih yang lebih murah.",
+  },
+};
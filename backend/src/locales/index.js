@@ -0,0 +1,85 @@
+// backend/src/locales/index.js
+/**
+ * Response languages. Each locale provides the conversation, filter, distance and travel mode
+ * snippets of the prompts, the itinerary and follow-up warnings (`messages`), the keywords and
+ * location pattern of the regex entity fallbacks, the words used to detect it in a prompt and
+ * the language to request place data in (`mapsLanguage`).
+ * The prompts themselves are templates in backend/prompts (see services/promptService.js), in
+ * the locale's `templateLanguage` (its own code by default).
+ */
+const config = require("../config/config");
+
+const LOCALES = {
+  id: require("./id"),
+  en: require("./en"),
+  jv: require("./jv"),
+  su: require("./su"),
+};
+
+const LANGUAGES = Object.keys(LOCALES);
+
+/**
+ * The languages place data is requested in (each locale's `mapsLanguage`).
+ */
+const MAPS_LANGUAGES = [
+  ...new Set(Object.values(LOCALES).map((locale) => locale.mapsLanguage)),
+];
+
+/**
+ * `MAPS_DEFAULT_LANGUAGE` when it is supported, Indonesian otherwise.
+ */
+const DEFAULT_LANGUAGE =
+  config.googleMaps.defaultLanguage in LOCALES
+    ? config.googleMaps.defaultLanguage
+    : "id";
+
+/**
+ * Returns the locale of a language code, or the default locale for unknown codes.
+ * @param {string} [language]
+ * @returns {object}
+ */
+const getLocale = (language) => LOCALES[language] || LOCALES[DEFAULT_LANGUAGE];
+
+/**
+ * Guesses the language of a prompt by counting the locales' detection words.
+ * @param {string} text
+ * @returns {string | null} The language code, or null when no locale (or more than one) scores best.
+ */
+const detectLanguage = (text) => {
+  const words = String(text || "")
+    .toLowerCase()
+    .split(/[^a-z\u00C0-\u017F-]+/);
+  const scores = LANGUAGES.map((language) => {
+    const vocabulary = new Set(LOCALES[language].detectionWords);
+    return words.filter((word) => vocabulary.has(word)).length;
+  });
+  const best = Math.max(...scores);
+  if (best === 0 || scores.filter((score) => score === best).length > 1) {
+    return null;
+  }
+  return LANGUAGES[scores.indexOf(best)];
+};
+
+/**
+ * Picks the response language: the requested one, then the caller's Accept-Language, then the
+ * language detected in the prompt, then the default.
+ * @param {object} sources
+ * @param {string} [sources.language] The `language` field of the request.
+ * @param {string | false} [sources.accepted] The best supported Accept-Language match.
+ * @param {string} [sources.text] The user's prompt.
+ * @returns {string} A language code of LANGUAGES.
+ */
+const resolveLanguage = ({ language, accepted, text } = {}) => {
+  if (language in LOCALES) return language;
+  if (accepted in LOCALES) return accepted;
+  return detectLanguage(text) || DEFAULT_LANGUAGE;
+};
+
+module.exports = {
+  LANGUAGES,
+  MAPS_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  getLocale,
+  detectLanguage,
+  resolveLanguage,
+};
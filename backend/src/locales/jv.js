@@ -0,0 +1,75 @@
+// backend/src/locales/jv.js
+/**
+ * Javanese. Google Maps has no Javanese, so place data comes back in Indonesian; the prompts are
+ * the Indonesian templates asking for a Javanese answer, which models follow more reliably than
+ * Javanese instructions.
+ */
+const id = require("./id");
+
+module.exports = {
+  code: "jv",
+  name: "Bahasa Jawa",
+  mapsLanguage: "id",
+  detectionWords: [
+    "aku",
+    "kula",
+    "arep",
+    "pengin",
+    "kepengin",
+    "golek",
+    "goleki",
+    "pados",
+    "nang",
+    "ning",
+    "neng",
+    "sing",
+    "opo",
+    "piye",
+    "endi",
+    "ngendi",
+    "panggonan",
+    "mangan",
+    "dhahar",
+    "ngombe",
+    "cedhak",
+    "cedak",
+    "caket",
+    "saiki",
+    "ora",
+    "iso",
+    "ono",
+    "kuwi",
+    "iki",
+    "badhe",
+    "tulung",
+  ],
+  placeTypes: {
+    restaurant: [
+      "restaurant",
+      "restoran",
+      "rumah makan",
+      "warung",
+      "resto",
+      "angkringan",
+      "panggonan mangan",
+    ],
+    cafe: ["cafe", "kafe", "kedai", "warung kopi", "ngopi"],
+    hotel: ["hotel", "penginapan"],
+    mall: ["mall"],
+    park: ["taman", "alun-alun"],
+    point_of_interest: ["panggonan wisata", "tempat wisata"],
+  },
+  // "nang dhuwur"/"ning ngisor" mean above/below, not a place.
+  locationPattern:
+    /\b(?:kutha|kota|kabupaten|nang|ning|neng|ing|di)\s+(?!dhuwur\b|ngisor\b|atas\b|bawah\b)([A-Za-z\u00C0-\u017F' -]{3,40})/gi,
+  templateLanguage: "id",
+  prompts: id.prompts,
+  messages: {
+    noPlacesForStop: (label) => `Ora ana panggonan kanggo "${label}".`,
+    noneOpenForStop: (label) =>
+      `Ora ana panggonan kanggo "${label}" sing bukak pas tekan; tetep dipilih siji.`,
+    mayBeClosed: (name, time) => `${name} bisa uga tutup jam ${time}.`,
+    noPriceLevels: () =>
+      "Ora ana panggonan sing nyantumake tingkat rega, dadi ora bisa dipilih sing luwih murah.",
+  },
+};
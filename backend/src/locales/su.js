@@ -0,0 +1,65 @@
+// backend/src/locales/su.js
+/**
+ * Sundanese. Like Javanese (see jv.js), place data comes back in Indonesian and the prompts are
+ * the Indonesian templates asking for a Sundanese answer.
+ */
+const id = require("./id");
+
+module.exports = {
+  code: "su",
+  name: "Bahasa Sunda",
+  mapsLanguage: "id",
+  detectionWords: [
+    "abdi",
+    "hoyong",
+    "milarian",
+    "neangan",
+    "nu",
+    "kumaha",
+    "teh",
+    "atuh",
+    "mah",
+    "tuang",
+    "dahar",
+    "deukeut",
+    "caket",
+    "sae",
+    "raos",
+    "ayeuna",
+    "naon",
+    "dimana",
+    "punten",
+    "mangga",
+    "wae",
+    "pisan",
+  ],
+  placeTypes: {
+    restaurant: [
+      "restaurant",
+      "restoran",
+      "rumah makan",
+      "warung",
+      "resto",
+      "tempat tuang",
+      "tempat dahar",
+    ],
+    cafe: ["cafe", "kafe", "kedai", "warung kopi", "ngopi"],
+    hotel: ["hotel", "panginepan", "penginapan"],
+    mall: ["mall"],
+    park: ["taman", "alun-alun"],
+    point_of_interest: ["tempat wisata", "tempat plesiran"],
+  },
+  // "di luhur"/"di handap" mean above/below, not a place.
+  locationPattern:
+    /\b(?:kota|dayeuh|kabupaten|di|ka)\s+(?!luhur\b|handap\b|atas\b|bawah\b)([A-Za-z\u00C0-\u017F' -]{3,40})/gi,
+  templateLanguage: "id",
+  prompts: id.prompts,
+  messages: {
+    noPlacesForStop: (label) => `Teu aya tempat kanggo "${label}".`,
+    noneOpenForStop: (label) =>
+      `Teu aya tempat kanggo "${label}" anu buka nalika dugi; tetep dipilih hiji.`,
+    mayBeClosed: (name, time) => `${name} panginten tutup tabuh ${time}.`,
+    noPriceLevels: () =>
+      "Teu aya tempat anu nyantumkeun tingkat harga, janten teu tiasa dipilih anu langkung mirah.",
+  },
+};
@@ -0,0 +1,67 @@
+const config = require("../config/config");
+const authService = require("../services/authService");
+const logger = require("../utils/logger");
+
+/**
+ * Resolves the caller from `Authorization: Bearer <jwt>` or `X-API-Key: <key>`.
+ * @returns {Promise<object | null>} The principal, or null when no credentials were sent.
+ * @throws {Error} With `status` 401 when the credentials are invalid.
+ */
+const resolvePrincipal = async (req) => {
+  const apiKey = req.get("X-API-Key");
+  if (apiKey) {
+    return authService.verifyApiKey(apiKey);
+  }
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  if (scheme === "Bearer" && token) {
+    return authService.verifyToken(token);
+  }
+  return null;
+};
+
+const authenticateWith = (required) => async (req, res, next) => {
+  try {
+    const principal = await resolvePrincipal(req);
+    if (!principal && required()) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+    req.user = principal;
+    next();
+  } catch (error) {
+    if (error.status === 401) {
+      return res.status(401).json({ error: error.message });
+    }
+    logger.error("Authentication failed:", error);
+    res.status(500).json({ error: "Authentication failed" });
+  }
+};
+
+/**
+ * Protects the search endpoints. Callers must authenticate unless `AUTH_REQUIRED=false`;
+ * invalid credentials are rejected either way. Sets `req.user` (null for anonymous callers).
+ */
+const authenticate = authenticateWith(() => config.auth.required);
+
+/**
+ * Like `authenticate`, but always requires credentials (account and API key management).
+ */
+const requireUser = authenticateWith(() => true);
+
+/**
+ * Lets only callers with one of `roles` through. Must run after `requireUser`.
+ * @param {...string} roles E.g. "admin".
+ */
+const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!roles.includes(req.user?.role)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+    next();
+  };
+
+module.exports = {
+  authenticate,
+  requireUser,
+  requireRole,
+};
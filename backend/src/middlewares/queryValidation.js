@@ -1,14 +1,153 @@
-const { body, validationResult } = require("express-validator");
+const { body, param, query, validationResult } = require("express-validator");
+const { SORT_OPTIONS } = require("../utils/placeRanking");
+const { LANGUAGES } = require("../locales");
+const { namespaces: CACHE_NAMESPACES } = require("../services/cacheService");
+
+/**
+ * Optional structured filters (see utils/placeFilters.js) under the given body field.
+ */
+const filterRules = (field) => [
+  body(field).optional({ values: "null" }).isObject(),
+  body(`${field}.open_now`)
+    .optional({ values: "null" })
+    .isBoolean()
+    .toBoolean(),
+  body(`${field}.min_price`)
+    .optional({ values: "null" })
+    .isInt({ min: 0, max: 4 })
+    .toInt(),
+  body(`${field}.max_price`)
+    .optional({ values: "null" })
+    .isInt({ min: 0, max: 4 })
+    .toInt(),
+  body(`${field}.min_rating`)
+    .optional({ values: "null" })
+    .isFloat({ min: 0, max: 5 })
+    .toFloat(),
+  body(`${field}.min_reviews`)
+    .optional({ values: "null" })
+    .isInt({ min: 0 })
+    .toInt(),
+];
 
 const validateQuery = [
   body("prompt").isString().isLength({ min: 3, max: 500 }),
   body("user_location").optional().isObject(),
   body("user_location.lat").optional().isFloat({ min: -90, max: 90 }),
   body("user_location.lng").optional().isFloat({ min: -180, max: 180 }),
-  body("max_results").optional().isInt({ min: 1, max: 10 }),
+  body("max_results").optional().isInt({ min: 1, max: 60 }).toInt(),
   body("use_cache").optional().isBoolean(),
+  body("page_token").optional().isString().notEmpty(),
+  body("session_id").optional().isUUID(),
+  ...filterRules("filters"),
+  body("sort_by").optional().isIn(SORT_OPTIONS),
+  body("language").optional().isIn(LANGUAGES),
+];
+
+const validateSessionId = [param("sessionId").isUUID()];
+
+const validateNearby = [
+  body("location").isObject(),
+  body("location.lat").isFloat({ min: -90, max: 90 }),
+  body("location.lng").isFloat({ min: -180, max: 180 }),
+  body("place_type").isString().notEmpty(),
+  body("radius").optional().isInt({ min: 1, max: 50000 }).toInt(),
+  body("keyword").optional().isString(),
+  body("max_results").optional().isInt({ min: 1, max: 60 }).toInt(),
+  body("page_token").optional().isString().notEmpty(),
+  ...filterRules("filters"),
+  body("sort_by").optional().isIn(SORT_OPTIONS),
+  body("language").optional().isIn(LANGUAGES),
+];
+
+const validateItinerary = [
+  body("prompt").isString().isLength({ min: 3, max: 500 }),
+  body("user_location").optional().isObject(),
+  body("user_location.lat").optional().isFloat({ min: -90, max: 90 }),
+  body("user_location.lng").optional().isFloat({ min: -180, max: 180 }),
+  body("mode").optional().isIn(["walking", "driving"]),
+  body("start_time")
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+  body("date")
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .isISO8601({ strict: true }),
+  body("optimize_order").optional().isBoolean().toBoolean(),
+  body("candidates_per_stop").optional().isInt({ min: 1, max: 5 }).toInt(),
+  body("language").optional().isIn(LANGUAGES),
+];
+
+const validateRegister = [
+  body("email").isEmail().isLength({ max: 254 }),
+  body("password").isString().isLength({ min: 8, max: 128 }),
+  body("name").optional().isString().trim().isLength({ max: 100 }),
+];
+
+const validateLogin = [
+  body("email").isString().notEmpty(),
+  body("password").isString().notEmpty(),
 ];
 
+const validateApiKey = [
+  body("name").isString().trim().isLength({ min: 1, max: 100 }),
+];
+
+const validateApiKeyId = [param("keyId").isUUID()];
+
+const validatePlaceDetails = [query("language").optional().isIn(LANGUAGES)];
+
+const validatePhoto = [
+  param("photoReference").isString().isLength({ min: 1, max: 1000 }),
+  query("maxwidth").optional().isInt({ min: 1, max: 1600 }),
+  query("sig").isString().notEmpty(),
+];
+
+const validateCostReport = [
+  query("date")
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .isISO8601({ strict: true }),
+];
+
+const validatePromptPreview = [
+  body("name").isString().notEmpty(),
+  body("language").optional().isIn(LANGUAGES),
+  body("variables").optional().isObject(),
+];
+
+/**
+ * The query fields a cached answer depends on (see cacheService#getQuery).
+ */
+const cacheQueryRules = [
+  body("user_location").optional().isObject(),
+  body("user_location.lat").optional().isFloat({ min: -90, max: 90 }),
+  body("user_location.lng").optional().isFloat({ min: -180, max: 180 }),
+  body("max_results").optional().isInt({ min: 1, max: 60 }).toInt(),
+  ...filterRules("filters"),
+  body("sort_by").optional().isIn(SORT_OPTIONS),
+  body("language").optional().isIn(LANGUAGES),
+];
+
+const validateCacheLookup = [
+  body("prompt").isString().isLength({ min: 3, max: 500 }),
+  ...cacheQueryRules,
+];
+
+const validateCacheNamespace = [param("namespace").isIn(CACHE_NAMESPACES)];
+
+const validateCachedPlace = [
+  param("placeId").isString().isLength({ min: 1, max: 300 }),
+];
+
+const validateCacheWarm = [
+  body("prompts").isArray({ min: 1, max: 20 }),
+  body("prompts.*").isString().isLength({ min: 3, max: 500 }),
+  ...cacheQueryRules,
+];
+
+const validateWarmJobId = [param("jobId").isUUID()];
+
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -19,5 +158,21 @@ const handleValidationErrors = (req, res, next) => {
 
 module.exports = {
   validateQuery,
+  validateNearby,
+  validateSessionId,
+  validateItinerary,
+  validateRegister,
+  validateLogin,
+  validateApiKey,
+  validateApiKeyId,
+  validateCostReport,
+  validatePlaceDetails,
+  validatePhoto,
+  validatePromptPreview,
+  validateCacheLookup,
+  validateCacheNamespace,
+  validateCachedPlace,
+  validateCacheWarm,
+  validateWarmJobId,
   handleValidationErrors,
 };
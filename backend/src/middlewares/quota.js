@@ -0,0 +1,69 @@
+const config = require("../config/config");
+const quotaService = require("../services/quotaService");
+const logger = require("../utils/logger");
+
+/**
+ * Sets the `RateLimit-*` headers from the window closest to exhaustion. `RateLimit-Policy`
+ * lists every window the request was counted in, e.g. `10;w=60, 200;w=86400`.
+ */
+const setRateLimitHeaders = (res, usage) => {
+  const { limit, remaining, reset } = quotaService.tightest(usage);
+  const policy = Object.values(usage)
+    .flatMap((windows) => Object.entries(windows))
+    .map(
+      ([window, { limit }]) =>
+        `${limit};w=${quotaService.windowSeconds(window)}`
+    );
+  res.set({
+    "RateLimit-Policy": policy.join(", "),
+    "RateLimit-Limit": String(limit),
+    "RateLimit-Remaining": String(remaining),
+    "RateLimit-Reset": String(reset),
+  });
+};
+
+/**
+ * Counts the request against the caller's quotas and answers 429 when one is used up. Must run
+ * after `authenticate`, which identifies the caller, and after validation, so invalid requests
+ * are not counted. Lets the request through when the counters cannot be read. What was counted
+ * is left in `req.quota`, for handlers to give back what they do not use (see
+ * quotaService#refund).
+ * @param {...string | function(object): string[]} budgets The budgets the route uses: "llm",
+ *   "maps"; or a function of the request returning them.
+ */
+const quota =
+  (...budgets) =>
+  async (req, res, next) => {
+    if (!config.quota.enabled) return next();
+
+    const subject = quotaService.subjectFor(req.user, req.ip);
+    const used = typeof budgets[0] === "function" ? budgets[0](req) : budgets;
+    const now = Date.now();
+    try {
+      const usage = await quotaService.consume(subject, used, now);
+      setRateLimitHeaders(res, usage);
+      req.quota = { subject, budgets: used, now };
+      next();
+    } catch (error) {
+      if (error.status !== 429) {
+        logger.error("Quota check failed:", error);
+        return next();
+      }
+      setRateLimitHeaders(res, error.usage);
+      res.set("Retry-After", String(error.retryAfter));
+      res.status(429).json({ error: error.message, usage: error.usage });
+    }
+  };
+
+/**
+ * The budgets of a query: "load more" pages (`page_token`) only call Maps.
+ * @param {object} req - The Express request object.
+ * @returns {string[]}
+ */
+const queryBudgets = (req) =>
+  req.body.page_token ? ["maps"] : ["llm", "maps"];
+
+module.exports = {
+  quota,
+  queryBudgets,
+};
@@ -0,0 +1,671 @@
+const express = require("express");
+const {
+  validateCostReport,
+  validatePromptPreview,
+  validateCacheLookup,
+  validateCacheNamespace,
+  validateCachedPlace,
+  validateCacheWarm,
+  validateWarmJobId,
+  handleValidationErrors,
+} = require("../middlewares/queryValidation");
+const { requireUser, requireRole } = require("../middlewares/auth");
+const {
+  getMapsCosts,
+  listPrompts,
+  previewPrompt,
+  getCacheStats,
+  lookupCachedQuery,
+  purgeCacheNamespace,
+  purgeCachedPlace,
+  warmCache,
+  getWarmJob,
+  cancelWarmJob,
+} = require("../controllers/adminController");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /admin/maps-costs:
+ *   get:
+ *     summary: Report Google Maps calls and estimated spend.
+ *     description: |
+ *       Calls are counted per SKU and priced with Google's list prices, so the spend is an
+ *       estimate. `mode` is how mapsService currently behaves against `MAPS_DAILY_BUDGET_USD`:
+ *       "full", "reduced" (cheaper field mask, estimated travel times) or "cache_only".
+ *       Admins only.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: The UTC day to report. Defaults to today.
+ *     responses:
+ *       200:
+ *         description: The day's usage.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 date:
+ *                   type: string
+ *                   format: date
+ *                 tracking:
+ *                   type: boolean
+ *                   description: False when `MAPS_COST_TRACKING=false`.
+ *                 budget_usd:
+ *                   type: number
+ *                   nullable: true
+ *                 spend_usd:
+ *                   type: number
+ *                 mode:
+ *                   type: string
+ *                   enum: [full, reduced, cache_only]
+ *                 skus:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       sku:
+ *                         type: string
+ *                         example: "text_search"
+ *                       calls:
+ *                         type: integer
+ *                       unit_price_usd:
+ *                         type: number
+ *                       cost_usd:
+ *                         type: number
+ *       400:
+ *         description: Invalid date.
+ *       401:
+ *         description: Missing or invalid credentials.
+ *       403:
+ *         description: The caller is not an admin.
+ */
+router.get(
+  "/admin/maps-costs",
+  requireUser,
+  requireRole("admin"),
+  validateCostReport,
+  handleValidationErrors,
+  getMapsCosts
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PromptTemplate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The name, the language when the template has one, and the version.
+ *           example: "narrative.en@1"
+ *         name:
+ *           type: string
+ *           example: "narrative"
+ *         language:
+ *           type: string
+ *           nullable: true
+ *           description: Null for templates used with every language.
+ *         version:
+ *           type: integer
+ *         description:
+ *           type: string
+ *         variables:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["conversation", "filters", "distance", "language", "places"]
+ */
+
+/**
+ * @swagger
+ * /admin/prompts:
+ *   get:
+ *     summary: List the LLM prompt templates.
+ *     description: |
+ *       Templates are loaded from `PROMPTS_DIR`. Query responses list the ids of the templates
+ *       they were generated with in `prompt_versions`. Admins only.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: The loaded templates.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 templates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PromptTemplate'
+ *       401:
+ *         description: Missing or invalid credentials.
+ *       403:
+ *         description: The caller is not an admin.
+ */
+router.get("/admin/prompts", requireUser, requireRole("admin"), listPrompts);
+
+/**
+ * @swagger
+ * /admin/prompts/preview:
+ *   post:
+ *     summary: Render a prompt template without calling the LLM.
+ *     description: |
+ *       Uses the template for `language`, or the language-neutral one when there is none.
+ *       Admins only.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "no_results"
+ *               language:
+ *                 $ref: '#/components/schemas/Language'
+ *               variables:
+ *                 type: object
+ *                 description: A value for each of the template's variables.
+ *                 example:
+ *                   conversation: ""
+ *                   filters: ""
+ *                   language: "English"
+ *                   user_prompt: "Find a planetarium on Mars"
+ *     responses:
+ *       200:
+ *         description: The rendered prompt.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                   example: "no_results.en@1"
+ *                 prompt:
+ *                   type: string
+ *       400:
+ *         description: Invalid body, or a variable of the template is missing.
+ *       401:
+ *         description: Missing or invalid credentials.
+ *       403:
+ *         description: The caller is not an admin.
+ *       404:
+ *         description: No such template.
+ */
+router.post(
+  "/admin/prompts/preview",
+  requireUser,
+  requireRole("admin"),
+  validatePromptPreview,
+  handleValidationErrors,
+  previewPrompt
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CacheQuery:
+ *       type: object
+ *       description: The fields a cached answer depends on, with the defaults of POST /query.
+ *       properties:
+ *         user_location:
+ *           type: object
+ *           properties:
+ *             lat:
+ *               type: number
+ *             lng:
+ *               type: number
+ *         max_results:
+ *           type: integer
+ *           default: 5
+ *         filters:
+ *           $ref: '#/components/schemas/PlaceFilters'
+ *         sort_by:
+ *           type: string
+ *           default: relevance
+ *         language:
+ *           $ref: '#/components/schemas/Language'
+ */
+
+/**
+ * @swagger
+ * /admin/cache:
+ *   get:
+ *     summary: Report cache hits, misses, keys and memory use.
+ *     description: |
+ *       Hits and misses are counted per namespace since the counters were created; keys are
+ *       counted when the report is made. With the tiered backend, keys and memory are those of
+ *       Redis, or of the in-process cache while Redis is unavailable. The redis backend reports
+ *       `connected: false` while Redis is unavailable. Admins only.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: The cache report.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 backend:
+ *                   type: string
+ *                   enum: [redis, memory, tiered]
+ *                   description: The `CACHE_BACKEND`.
+ *                 connected:
+ *                   type: boolean
+ *                   description: Whether the cache is serving.
+ *                 redis:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Null for the memory backend.
+ *                   properties:
+ *                     connected:
+ *                       type: boolean
+ *                     circuit:
+ *                       type: string
+ *                       enum: [closed, open, half_open]
+ *                       description: |
+ *                         "open" while Redis is left alone after repeated failures.
+ *                 keys:
+ *                   type: integer
+ *                   description: Every key of the cache, including users and sessions.
+ *                 memory:
+ *                   type: object
+ *                   properties:
+ *                     used_bytes:
+ *                       type: integer
+ *                     peak_bytes:
+ *                       type: integer
+ *                     max_bytes:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: Null when Redis has no memory limit.
+ *                 namespaces:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       namespace:
+ *                         type: string
+ *                         example: "query"
+ *                       keys:
+ *                         type: integer
+ *                       hits:
+ *                         type: integer
+ *                       misses:
+ *                         type: integer
+ *                       hit_rate:
+ *                         type: number
+ *                         nullable: true
+ *       401:
+ *         description: Missing or invalid credentials.
+ *       403:
+ *         description: The caller is not an admin.
+ */
+router.get("/admin/cache", requireUser, requireRole("admin"), getCacheStats);
+
+/**
+ * @swagger
+ * /admin/cache/lookup:
+ *   post:
+ *     summary: Show the cached answer of a prompt and location.
+ *     description: |
+ *       Looks the query up as POST /query would, without semantic matching and without counting
+ *       the lookup. Admins only.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CacheQuery'
+ *               - type: object
+ *                 required:
+ *                   - prompt
+ *                 properties:
+ *                   prompt:
+ *                     type: string
+ *                     example: "Cafe di Bandung"
+ *     responses:
+ *       200:
+ *         description: The cache key and, when found, the entry.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 key:
+ *                   type: string
+ *                   example: "llm_maps:query:qqu88tp:5:none:relevance:id:cafe di bandung"
+ *                 found:
+ *                   type: boolean
+ *                 stale:
+ *                   type: boolean
+ *                 ttl:
+ *                   type: integer
+ *                   description: Seconds until the entry is dropped.
+ *                 entry:
+ *                   type: object
+ *                   description: The cached answer, as POST /query returns it.
+ *       400:
+ *         description: Invalid body.
+ *       401:
+ *         description: Missing or invalid credentials.
+ *       403:
+ *         description: The caller is not an admin.
+ */
+router.post(
+  "/admin/cache/lookup",
+  requireUser,
+  requireRole("admin"),
+  validateCacheLookup,
+  handleValidationErrors,
+  lookupCachedQuery
+);
+
+/**
+ * @swagger
+ * /admin/cache/namespaces/{namespace}:
+ *   delete:
+ *     summary: Purge a cache namespace.
+ *     description: |
+ *       Deletes every key of the namespace. Purging `query` also clears the semantic cache
+ *       index. Users, sessions, API keys and counters cannot be purged. Admins only.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: namespace
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [query, entities, places, nearby, narrative, place]
+ *     responses:
+ *       200:
+ *         description: The number of keys deleted.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 namespace:
+ *                   type: string
+ *                 deleted:
+ *                   type: integer
+ *       400:
+ *         description: Not a cache namespace.
+ *       401:
+ *         description: Missing or invalid credentials.
+ *       403:
+ *         description: The caller is not an admin.
+ */
+router.delete(
+  "/admin/cache/namespaces/:namespace",
+  requireUser,
+  requireRole("admin"),
+  validateCacheNamespace,
+  handleValidationErrors,
+  purgeCacheNamespace
+);
+
+/**
+ * @swagger
+ * /admin/cache/places/{placeId}:
+ *   delete:
+ *     summary: Purge a place from the cache.
+ *     description: |
+ *       Deletes the cached details of the place and every cached answer, search and narrative
+ *       that lists it, e.g. after the place closed. Admins only.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: placeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The number of keys deleted.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 place_id:
+ *                   type: string
+ *                 deleted:
+ *                   type: integer
+ *       401:
+ *         description: Missing or invalid credentials.
+ *       403:
+ *         description: The caller is not an admin.
+ */
+router.delete(
+  "/admin/cache/places/:placeId",
+  requireUser,
+  requireRole("admin"),
+  validateCachedPlace,
+  handleValidationErrors,
+  purgeCachedPlace
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WarmJob:
+ *       type: object
+ *       properties:
+ *         job_id:
+ *           type: string
+ *           format: uuid
+ *         status:
+ *           type: string
+ *           enum: [running, done, cancelled]
+ *         total:
+ *           type: integer
+ *           description: The number of prompts.
+ *         results:
+ *           type: array
+ *           description: One entry per prompt answered so far, in order.
+ *           items:
+ *             type: object
+ *             properties:
+ *               prompt:
+ *                 type: string
+ *               language:
+ *                 $ref: '#/components/schemas/Language'
+ *               status:
+ *                 type: string
+ *                 enum: [fresh, warmed, failed]
+ *                 description: |
+ *                   "fresh" when a fresh answer was already cached, "failed" when no answer
+ *                   could be generated in time.
+ *               places:
+ *                 type: integer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         finished_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /admin/cache/warm:
+ *   post:
+ *     summary: Answer popular prompts ahead of users.
+ *     description: |
+ *       Starts a background job that answers each prompt, one at a time, and caches the answer
+ *       as POST /query would. Prompts with a fresh cached answer are skipped; each prompt has
+ *       `CACHE_WARM_PROMPT_TIMEOUT` seconds. The job's lookups are not counted in the cache
+ *       stats. Follow it at the `Location` returned. Admins only.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CacheQuery'
+ *               - type: object
+ *                 required:
+ *                   - prompts
+ *                 properties:
+ *                   prompts:
+ *                     type: array
+ *                     minItems: 1
+ *                     maxItems: 20
+ *                     items:
+ *                       type: string
+ *                     example: ["Cafe di Bandung", "Museum near Gedung Sate"]
+ *     responses:
+ *       202:
+ *         description: The job was started.
+ *         headers:
+ *           Location:
+ *             schema:
+ *               type: string
+ *             description: Where to follow the job.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WarmJob'
+ *       400:
+ *         description: Invalid body.
+ *       401:
+ *         description: Missing or invalid credentials.
+ *       403:
+ *         description: The caller is not an admin.
+ *       409:
+ *         description: Another warm-up is still running on this instance.
+ */
+router.post(
+  "/admin/cache/warm",
+  requireUser,
+  requireRole("admin"),
+  validateCacheWarm,
+  handleValidationErrors,
+  warmCache
+);
+
+/**
+ * @swagger
+ * /admin/cache/warm/{jobId}:
+ *   get:
+ *     summary: Follow a cache warm-up.
+ *     description: Jobs can be read for a day after their last update. Admins only.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: The job.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WarmJob'
+ *       404:
+ *         description: No such job.
+ *   delete:
+ *     summary: Cancel a cache warm-up.
+ *     description: |
+ *       Stops a running job; the prompt being answered is aborted and the answers cached so far
+ *       stay. Admins only.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: The job, cancelled unless it had finished.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WarmJob'
+ *       404:
+ *         description: No such job.
+ */
+router.get(
+  "/admin/cache/warm/:jobId",
+  requireUser,
+  requireRole("admin"),
+  validateWarmJobId,
+  handleValidationErrors,
+  getWarmJob
+);
+
+router.delete(
+  "/admin/cache/warm/:jobId",
+  requireUser,
+  requireRole("admin"),
+  validateWarmJobId,
+  handleValidationErrors,
+  cancelWarmJob
+);
+
+module.exports = router;
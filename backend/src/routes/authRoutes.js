@@ -0,0 +1,277 @@
+const express = require("express");
+const {
+  validateRegister,
+  validateLogin,
+  validateApiKey,
+  validateApiKeyId,
+  handleValidationErrors,
+} = require("../middlewares/queryValidation");
+const { requireUser } = require("../middlewares/auth");
+const {
+  register,
+  login,
+  me,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+} = require("../controllers/authController");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *       description: A token from `POST /auth/login` or `POST /auth/register`.
+ *     apiKeyAuth:
+ *       type: apiKey
+ *       in: header
+ *       name: X-API-Key
+ *       description: A key from `POST /auth/api-keys`, for server-to-server callers.
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         email:
+ *           type: string
+ *         name:
+ *           type: string
+ *           nullable: true
+ *         role:
+ *           type: string
+ *           enum: [user, admin]
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     AuthResponse:
+ *       type: object
+ *       properties:
+ *         user:
+ *           $ref: '#/components/schemas/User'
+ *         token:
+ *           type: string
+ *           description: 'A JWT to send as `Authorization: Bearer <token>`.'
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         prefix:
+ *           type: string
+ *           description: The first characters of the key, to recognise it.
+ *           example: "lmk_3f9a1c"
+ *         user_id:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /auth/register:
+ *   post:
+ *     summary: Create an account.
+ *     security: []
+ *     description: New users get the user role; admins are promoted with `npm run set-role`. Disabled with `AUTH_ALLOW_REGISTRATION=false`.
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, password]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The new user and a token.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Invalid email or password too short.
+ *       403:
+ *         description: Registration is disabled.
+ *       409:
+ *         description: The email is already registered.
+ */
+router.post(
+  "/auth/register",
+  validateRegister,
+  handleValidationErrors,
+  register
+);
+
+/**
+ * @swagger
+ * /auth/login:
+ *   post:
+ *     summary: Sign in.
+ *     security: []
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, password]
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The user and a token.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Wrong email or password.
+ */
+router.post("/auth/login", validateLogin, handleValidationErrors, login);
+
+/**
+ * @swagger
+ * /auth/me:
+ *   get:
+ *     summary: Get the signed-in user.
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: The user.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Missing or invalid credentials.
+ */
+router.get("/auth/me", requireUser, me);
+
+/**
+ * @swagger
+ * /auth/api-keys:
+ *   post:
+ *     summary: Create an API key.
+ *     description: The key is only returned by this call; store it safely.
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "backend-worker"
+ *     responses:
+ *       201:
+ *         description: The key metadata and the `key` itself.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiKey'
+ *                 - type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *       401:
+ *         description: Missing or invalid credentials.
+ *   get:
+ *     summary: List your API keys.
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The keys, without the secret part.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 api_keys:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Missing or invalid credentials.
+ */
+router.post(
+  "/auth/api-keys",
+  requireUser,
+  validateApiKey,
+  handleValidationErrors,
+  createApiKey
+);
+router.get("/auth/api-keys", requireUser, listApiKeys);
+
+/**
+ * @swagger
+ * /auth/api-keys/{keyId}:
+ *   delete:
+ *     summary: Revoke an API key.
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: The key was revoked.
+ *       401:
+ *         description: Missing or invalid credentials.
+ *       404:
+ *         description: No such key.
+ */
+router.delete(
+  "/auth/api-keys/:keyId",
+  requireUser,
+  validateApiKeyId,
+  handleValidationErrors,
+  revokeApiKey
+);
+
+module.exports = router;
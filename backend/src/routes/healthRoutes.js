@@ -0,0 +1,177 @@
+const express = require("express");
+const {
+  healthCheck,
+  liveness,
+  readiness,
+} = require("../controllers/healthController");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /health:
+ *   get:
+ *     summary: Check that the API server is running.
+ *     description: Does not check dependencies; see /health/ready.
+ *     security: []
+ *     tags:
+ *       - Utility
+ *     responses:
+ *       200:
+ *         description: The server is running.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "healthy"
+ *                 timestamp:
+ *                   type: number
+ *                   example: 1678886400000
+ */
+router.get("/health", healthCheck);
+
+/**
+ * @swagger
+ * /health/live:
+ *   get:
+ *     summary: Liveness probe.
+ *     description: Answers as long as the process serves requests; dependencies are not checked.
+ *     security: []
+ *     tags:
+ *       - Utility
+ *     responses:
+ *       200:
+ *         description: The process is up.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: "ok"
+ *                 uptime_s:
+ *                   type: integer
+ *                 timestamp:
+ *                   type: number
+ */
+router.get("/health/live", liveness);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DependencyCheck:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [ok, degraded, down]
+ *         latency_ms:
+ *           type: integer
+ *         error:
+ *           type: string
+ *           description: What failed.
+ *         hint:
+ *           type: string
+ *           description: What to do about it.
+ *           example: 'Pull the model with "ollama pull mistral:7b-instruct-q4_0" or set LLM_MODEL.'
+ *       additionalProperties: true
+ */
+
+/**
+ * @swagger
+ * /health/ready:
+ *   get:
+ *     summary: Readiness probe.
+ *     description: |
+ *       Checks the LLM server and its models, the cache (Redis) and the maps provider (for
+ *       Google, a free Place Details request that validates the key). The LLM and maps are
+ *       needed to answer: when either fails the server is "down". A missing embedding model
+ *       (with the semantic cache on) or an unreachable Redis behind the tiered cache only
+ *       makes it "degraded". Reports are reused for `HEALTH_CACHE_TTL` seconds.
+ *     security: []
+ *     tags:
+ *       - Utility
+ *     responses:
+ *       200:
+ *         description: Ready ("ok" or "degraded").
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HealthReport'
+ *       503:
+ *         description: A dependency needed to answer is down.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HealthReport'
+ * components:
+ *   schemas:
+ *     HealthReport:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [ok, degraded, down]
+ *         timestamp:
+ *           type: number
+ *         duration_ms:
+ *           type: integer
+ *         checks:
+ *           type: object
+ *           properties:
+ *             llm:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/DependencyCheck'
+ *                 - type: object
+ *                   properties:
+ *                     provider:
+ *                       type: string
+ *                     model:
+ *                       type: string
+ *                     model_available:
+ *                       type: boolean
+ *                       nullable: true
+ *                       description: Null when the server cannot list its models (llama.cpp).
+ *                     embedding_model_available:
+ *                       type: boolean
+ *                       nullable: true
+ *                     fixtures:
+ *                       type: boolean
+ *                       description: True when recorded fixtures are replayed (nothing checked).
+ *             cache:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/DependencyCheck'
+ *                 - type: object
+ *                   properties:
+ *                     backend:
+ *                       type: string
+ *                       enum: [redis, memory, tiered]
+ *                     redis:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         connected:
+ *                           type: boolean
+ *                         circuit:
+ *                           type: string
+ *                           enum: [closed, open, half_open]
+ *             maps:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/DependencyCheck'
+ *                 - type: object
+ *                   properties:
+ *                     provider:
+ *                       type: string
+ *                       enum: [google, osm]
+ *                     probed:
+ *                       type: boolean
+ *                       description: False when nothing was requested (replayed fixtures).
+ */
+router.get("/health/ready", readiness);
+
+module.exports = router;
@@ -0,0 +1,201 @@
+const express = require("express");
+const {
+  validateItinerary,
+  handleValidationErrors,
+} = require("../middlewares/queryValidation");
+const { authenticate } = require("../middlewares/auth");
+const { quota } = require("../middlewares/quota");
+const { planItinerary } = require("../controllers/itineraryController");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ItineraryPayload:
+ *       type: object
+ *       required:
+ *         - prompt
+ *       properties:
+ *         prompt:
+ *           type: string
+ *           description: The trip, in natural language. Stops are visited in the order given.
+ *           example: "plan a food tour in Bandung: breakfast, a museum, then coffee"
+ *         user_location:
+ *           type: object
+ *           description: Where the trip starts. Without it, the trip starts at the first stop.
+ *           properties:
+ *             lat:
+ *               type: number
+ *               format: double
+ *               example: -6.917464
+ *             lng:
+ *               type: number
+ *               format: double
+ *               example: 107.619125
+ *         mode:
+ *           type: string
+ *           enum: [walking, driving]
+ *           default: walking
+ *         start_time:
+ *           type: string
+ *           description: '"HH:MM" in `ITINERARY_TIME_ZONE`. Defaults to now.'
+ *           example: "08:00"
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: The day of the trip, used for opening hours. Defaults to today.
+ *         optimize_order:
+ *           type: boolean
+ *           default: false
+ *           description: |
+ *             Let the Directions API reorder the stops between the first and the last to
+ *             minimize travel. Ignored when a stop has a fixed time.
+ *         candidates_per_stop:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *           default: 3
+ *           description: How many places are considered for each stop.
+ *         language:
+ *           $ref: '#/components/schemas/Language'
+ *     ItineraryStop:
+ *       type: object
+ *       properties:
+ *         order:
+ *           type: integer
+ *           example: 1
+ *         label:
+ *           type: string
+ *           example: "Breakfast"
+ *         query:
+ *           type: string
+ *           description: The search query used for this stop.
+ *         place:
+ *           type: object
+ *           description: The chosen place, with `opening_hours` when known.
+ *         arrival_time:
+ *           type: string
+ *           example: "08:15"
+ *         departure_time:
+ *           type: string
+ *           example: "09:15"
+ *         wait_minutes:
+ *           type: integer
+ *           description: Time spent waiting for the place to open.
+ *         stay_minutes:
+ *           type: integer
+ *         open_at_arrival:
+ *           type: boolean
+ *           nullable: true
+ *           description: Null when the place's opening hours are unknown.
+ *         alternatives:
+ *           type: array
+ *           description: The other places considered for this stop.
+ *           items:
+ *             type: object
+ *     ItineraryResponse:
+ *       type: object
+ *       properties:
+ *         mode:
+ *           type: string
+ *         date:
+ *           type: string
+ *         start_time:
+ *           type: string
+ *         end_time:
+ *           type: string
+ *           nullable: true
+ *         stops:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ItineraryStop'
+ *         legs:
+ *           type: array
+ *           description: One leg per hop, in order (`from` is "start" for the user's location).
+ *           items:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *               to:
+ *                 type: string
+ *               distance_m:
+ *                 type: number
+ *               duration_s:
+ *                 type: number
+ *               source:
+ *                 type: string
+ *                 enum: [directions, estimate]
+ *         total_distance_m:
+ *           type: number
+ *         total_duration_s:
+ *           type: number
+ *           description: Travel time only, without visits.
+ *         route_url:
+ *           type: string
+ *           nullable: true
+ *           description: Directions through every stop on the provider's map.
+ *         llm_text:
+ *           type: string
+ *         warnings:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Stops without places or closed on arrival, in the response language.
+ *         language:
+ *           $ref: '#/components/schemas/Language'
+ *         prompt_versions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: The prompt templates the narrative was generated with.
+ *           example: ["itinerary_decomposition_system@1", "itinerary.en@1", "narrative_system@1"]
+ *         request_id:
+ *           type: string
+ *         processing_time:
+ *           type: number
+ */
+
+/**
+ * @swagger
+ * /itinerary:
+ *   post:
+ *     summary: Plan a multi-stop trip.
+ *     description: |
+ *       The LLM splits the request into ordered stops, each stop is searched with the maps
+ *       provider, and one place per stop is chosen so the trip finishes earliest while every
+ *       place is open on arrival.
+ *     tags:
+ *       - Maps & LLM
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ItineraryPayload'
+ *     responses:
+ *       200:
+ *         description: The planned itinerary.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ItineraryResponse'
+ *       400:
+ *         description: Bad request due to invalid input.
+ *       500:
+ *         description: Internal server error.
+ *       429:
+ *         $ref: '#/components/responses/QuotaExceeded'
+ */
+router.post(
+  "/itinerary",
+  authenticate,
+  validateItinerary,
+  handleValidationErrors,
+  quota("llm", "maps"),
+  planItinerary
+);
+
+module.exports = router;
@@ -1,13 +1,19 @@
 const express = require("express");
 const {
   validateQuery,
+  validateNearby,
+  validatePlaceDetails,
+  validatePhoto,
   handleValidationErrors,
 } = require("../middlewares/queryValidation");
+const { authenticate } = require("../middlewares/auth");
+const { quota, queryBudgets } = require("../middlewares/quota");
 const {
   processQuery,
+  streamQuery,
   getPlaceDetails,
+  getPhoto,
   nearbySearch,
-  healthCheck,
 } = require("../controllers/queryController");
 
 const router = express.Router();
@@ -16,6 +22,52 @@ const router = express.Router();
  * @swagger
  * components:
  *   schemas:
+ *     PlaceFilters:
+ *       type: object
+ *       description: |
+ *         Structured constraints on the places. Only the filters that constrain something are
+ *         echoed back; the OSM provider supports none of them.
+ *       properties:
+ *         open_now:
+ *           type: boolean
+ *           example: true
+ *         min_price:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 4
+ *           nullable: true
+ *           description: Google price level, 0 (free) to 4 (very expensive).
+ *         max_price:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 4
+ *           nullable: true
+ *           example: 1
+ *         min_rating:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 5
+ *           nullable: true
+ *           example: 4.5
+ *         min_reviews:
+ *           type: integer
+ *           minimum: 0
+ *           nullable: true
+ *     SortBy:
+ *       type: string
+ *       enum: [relevance, distance, rating, reviews, score]
+ *       default: relevance
+ *       description: |
+ *         Order of the places in each page. `distance` needs `user_location` (or the nearby
+ *         `location`); `score` blends the review-adjusted rating with proximity. Only each page
+ *         is sorted: the provider picks the places of a page, so a closer place may come later.
+ *     Language:
+ *       type: string
+ *       enum: [id, en, jv, su]
+ *       description: |
+ *         The response language (Indonesian, English, Javanese or Sundanese). Without it, the
+ *         `Accept-Language` header is used, then the language of the prompt. Javanese and
+ *         Sundanese answers use Indonesian place data.
  *     QueryPayload:
  *       type: object
  *       required:
@@ -41,12 +93,106 @@ const router = express.Router();
  *               example: 107.619125
  *         max_results:
  *           type: integer
+ *           minimum: 1
+ *           maximum: 60
  *           description: The maximum number of places to return.
  *           example: 5
  *         use_cache:
  *           type: boolean
- *           description: Flag to enable/disable caching for the query.
+ *           description: |
+ *             Flag to enable/disable caching for the query. Cached answers are shared by prompts
+ *             that differ only in case, spacing or end punctuation, and by locations in the same
+ *             geohash cell; with `SEMANTIC_CACHE_ENABLED`, also by near-duplicate prompts.
  *           example: true
+ *         page_token:
+ *           type: string
+ *           description: |
+ *             The `next_page_token` of a previous response. When set, only the next page of
+ *             places is returned (no narrative is generated).
+ *         session_id:
+ *           type: string
+ *           format: uuid
+ *           description: |
+ *             Continue a conversation created with `POST /sessions`. Follow-ups can refine the
+ *             previous places; follow-ups are never cached (a first turn is).
+ *         filters:
+ *           description: |
+ *             Replaces the filters extracted from the prompt (e.g. after the user removed one).
+ *           allOf:
+ *             - $ref: '#/components/schemas/PlaceFilters'
+ *         sort_by:
+ *           $ref: '#/components/schemas/SortBy'
+ *         language:
+ *           $ref: '#/components/schemas/Language'
+ *     GroundingClaim:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [place, rating, number]
+ *         text:
+ *           type: string
+ *           description: The claim as written in the narrative.
+ *           example: "4.9"
+ *     Grounding:
+ *       type: object
+ *       nullable: true
+ *       description: |
+ *         The check of the narrative's place names, ratings and numbers against the returned
+ *         places. Null when no places were found or the check is off (`LLM_GROUNDING`).
+ *       properties:
+ *         supported:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/GroundingClaim'
+ *         unsupported:
+ *           type: array
+ *           description: Claims of `llm_text` the places do not back up; worth a warning.
+ *           items:
+ *             $ref: '#/components/schemas/GroundingClaim'
+ *         action:
+ *           type: string
+ *           enum: [none, flagged, stripped, regenerated]
+ *           description: |
+ *             `none` when every claim is supported; otherwise whether the claims were only
+ *             flagged, the sentences making them removed, or the narrative generated again.
+ *         removed:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: The sentences removed (`stripped` only).
+ *     CacheHit:
+ *       type: object
+ *       nullable: true
+ *       description: How a cached answer was found; null when it was not served from cache.
+ *       properties:
+ *         hit_type:
+ *           type: string
+ *           enum: [exact, semantic]
+ *           description: |
+ *             `exact` for the same normalized prompt, `semantic` for an earlier prompt whose
+ *             embedding is similar enough (`SEMANTIC_CACHE_THRESHOLD`).
+ *         similarity:
+ *           type: number
+ *           description: Cosine similarity of the prompts (1 for exact hits).
+ *           example: 0.97
+ *         stale:
+ *           type: boolean
+ *           description: |
+ *             The answer is past `CACHE_QUERY_TTL`; it is being answered again in the background
+ *             for the next request.
+ *     NarrativeSegment:
+ *       type: object
+ *       description: A sentence of the narrative and the places it cites.
+ *       properties:
+ *         text:
+ *           type: string
+ *           example: "Several highly rated cafes are good for working. "
+ *         place_ids:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: The `place_id`s of the cited places, in citation order.
  *     QueryResponse:
  *       type: object
  *       properties:
@@ -58,11 +204,43 @@ const router = express.Router();
  *           type: array
  *           items:
  *             type: object
- *           description: Details of a place found by the search.
+ *           description: |
+ *             Details of a place found by the search. With `user_location`, each place also has
+ *             `distance_m` (straight line) and `travel.walking` / `travel.driving`
+ *             (`distance_m`, `duration_s`, and `source`: `distance_matrix` or `estimate`).
+ *         next_page_token:
+ *           type: string
+ *           nullable: true
+ *           description: Pass back as `page_token` to load more places; null when there are no more.
+ *         filters:
+ *           description: The filters that were applied to the places.
+ *           allOf:
+ *             - $ref: '#/components/schemas/PlaceFilters'
+ *         language:
+ *           description: The language the answer was generated in.
+ *           allOf:
+ *             - $ref: '#/components/schemas/Language'
+ *         prompt_versions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: The prompt templates the answer was generated with (see `GET /admin/prompts`).
+ *           example: ["entity_extraction_system@1", "narrative.en@1", "narrative_system@1"]
+ *         segments:
+ *           type: array
+ *           description: |
+ *             `llm_text` split into sentences, each with the places it cites (the LLM cites the
+ *             numbered places it was given). The texts add up to `llm_text`.
+ *           items:
+ *             $ref: '#/components/schemas/NarrativeSegment'
+ *         grounding:
+ *           $ref: '#/components/schemas/Grounding'
  *         cached:
  *           type: boolean
  *           description: Indicates if the result was served from cache.
  *           example: false
+ *         cache:
+ *           $ref: '#/components/schemas/CacheHit'
  *         processing_time:
  *           type: number
  *           description: Time taken to process the request in milliseconds.
@@ -71,6 +249,20 @@ const router = express.Router();
  *           type: string
  *           description: A unique identifier for the request.
  *           example: "req_1678886400000"
+ *         session_id:
+ *           type: string
+ *           description: Only set when the query was part of a conversation.
+ *         entities:
+ *           type: object
+ *           description: Only in conversations. The entities used for the answer, including inherited ones.
+ *         refined:
+ *           type: boolean
+ *           description: Only in conversations. True when the previous places were filtered instead of searching again.
+ *         warnings:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Only in conversations. Refinements that could not be applied, e.g. "cheaper" when no place lists its price level.
  *     NearbySearchPayload:
  *       type: object
  *       required:
@@ -102,6 +294,23 @@ const router = express.Router();
  *           type: string
  *           description: An optional keyword to filter results.
  *           example: "pizza"
+ *         max_results:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 60
+ *           description: The maximum number of places to return.
+ *           example: 5
+ *         page_token:
+ *           type: string
+ *           description: The `next_page_token` of a previous response, to fetch the next page.
+ *         filters:
+ *           $ref: '#/components/schemas/PlaceFilters'
+ *         sort_by:
+ *           $ref: '#/components/schemas/SortBy'
+ *         language:
+ *           description: The language of the place names and addresses.
+ *           allOf:
+ *             - $ref: '#/components/schemas/Language'
  *     NearbySearchResponse:
  *       type: object
  *       properties:
@@ -109,11 +318,19 @@ const router = express.Router();
  *           type: array
  *           items:
  *             type: object
- *           description: Details of a place found by the search.
+ *           description: Details of a place found by the search, with `distance_m` and `travel` times from `location`.
  *         total:
  *           type: integer
- *           description: The total number of places found.
+ *           description: The number of places in this page.
  *           example: 5
+ *         next_page_token:
+ *           type: string
+ *           nullable: true
+ *           description: Pass back as `page_token` to load more places; null when there are no more.
+ *         filters:
+ *           description: The filters that were applied to the places.
+ *           allOf:
+ *             - $ref: '#/components/schemas/PlaceFilters'
  */
 
 /**
@@ -138,10 +355,64 @@ const router = express.Router();
  *               $ref: '#/components/schemas/QueryResponse'
  *       400:
  *         description: Bad request, validation failed.
+ *       404:
+ *         description: The session does not exist or has expired.
  *       500:
  *         description: Internal server error.
+ *       429:
+ *         $ref: '#/components/responses/QuotaExceeded'
  */
-router.post("/query", validateQuery, handleValidationErrors, processQuery);
+router.post(
+  "/query",
+  authenticate,
+  validateQuery,
+  handleValidationErrors,
+  quota(queryBudgets),
+  processQuery
+);
+
+/**
+ * @swagger
+ * /query/stream:
+ *   post:
+ *     summary: Process a query and stream the result as Server-Sent Events.
+ *     description: |
+ *       Emits `entities` (extracted entities), `places` (as soon as the search returns),
+ *       `token` (narrative chunks as the LLM produces them) and finally `done`
+ *       with the request id, the answer language, `prompt_versions`, `grounding`, `segments`,
+ *       `cache` (see CacheHit) and timings. The tokens include the LLM's citations ("[1]"); when
+ *       the final `llm_text` differs from the streamed text (citations removed, or rewritten by
+ *       the grounding check), `done` also carries it to replace the streamed tokens. Failures are
+ *       sent as an `error` event.
+ *     tags:
+ *       - Maps & LLM
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QueryPayload'
+ *     responses:
+ *       200:
+ *         description: An event stream of query progress.
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "event: token\ndata: {\"text\":\"Ada beberapa\"}\n\n"
+ *       400:
+ *         description: Bad request, validation failed.
+ *       429:
+ *         $ref: '#/components/responses/QuotaExceeded'
+ */
+router.post(
+  "/query/stream",
+  authenticate,
+  validateQuery,
+  handleValidationErrors,
+  quota(queryBudgets),
+  streamQuery
+);
 
 /**
  * @swagger
@@ -157,15 +428,87 @@ router.post("/query", validateQuery, handleValidationErrors, processQuery);
  *         description: The unique ID of the place.
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: language
+ *         description: |
+ *           The language of the name, address and opening hours. Without it, the
+ *           `Accept-Language` header is used.
+ *         schema:
+ *           $ref: '#/components/schemas/Language'
  *     responses:
  *       200:
  *         description: Successful response with place details.
  *       404:
  *         description: Place not found.
+ *       503:
+ *         description: The daily Maps budget is spent and the place is not cached.
  *       500:
  *         description: Internal server error.
+ *       429:
+ *         $ref: '#/components/responses/QuotaExceeded'
  */
-router.get("/place/:placeId", getPlaceDetails);
+router.get(
+  "/place/:placeId",
+  authenticate,
+  validatePlaceDetails,
+  handleValidationErrors,
+  quota("maps"),
+  getPlaceDetails
+);
+
+/**
+ * @swagger
+ * /photo/{photoReference}:
+ *   get:
+ *     summary: Get a place photo.
+ *     description: |
+ *       Proxies the Places Photo API so the API key stays on the server. Use the URLs in a
+ *       place's `photos`; they carry a signature, so other references or widths are refused.
+ *       Photos are cached on disk and sent with `Cache-Control` and an `ETag`.
+ *     security: []
+ *     tags:
+ *       - Maps & LLM
+ *     parameters:
+ *       - in: path
+ *         name: photoReference
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: maxwidth
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1600
+ *           default: 400
+ *       - in: query
+ *         name: sig
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The image.
+ *         content:
+ *           image/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       304:
+ *         description: Not modified (`If-None-Match`).
+ *       400:
+ *         description: Invalid parameters.
+ *       403:
+ *         description: Invalid signature.
+ *       404:
+ *         description: Photo not found.
+ */
+router.get(
+  "/photo/:photoReference",
+  validatePhoto,
+  handleValidationErrors,
+  getPhoto
+);
 
 /**
  * @swagger
@@ -191,31 +534,16 @@ router.get("/place/:placeId", getPlaceDetails);
  *         description: Bad request, location and place_type are required.
  *       500:
  *         description: Internal server error.
+ *       429:
+ *         $ref: '#/components/responses/QuotaExceeded'
  */
-router.post("/nearby", nearbySearch);
-
-/**
- * @swagger
- * /health:
- *   get:
- *     summary: Check the health of the API server.
- *     tags:
- *       - Utility
- *     responses:
- *       200:
- *         description: The server is running and healthy.
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: "healthy"
- *                 timestamp:
- *                   type: number
- *                   example: 1678886400000
- */
-router.get("/health", healthCheck);
+router.post(
+  "/nearby",
+  authenticate,
+  validateNearby,
+  handleValidationErrors,
+  quota("maps"),
+  nearbySearch
+);
 
 module.exports = router;
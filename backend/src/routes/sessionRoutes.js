@@ -0,0 +1,244 @@
+const express = require("express");
+const {
+  validateQuery,
+  validateSessionId,
+  handleValidationErrors,
+} = require("../middlewares/queryValidation");
+const { authenticate } = require("../middlewares/auth");
+const { quota, queryBudgets } = require("../middlewares/quota");
+const {
+  createSession,
+  getSession,
+  deleteSession,
+  postMessage,
+  streamMessage,
+} = require("../controllers/sessionController");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       properties:
+ *         session_id:
+ *           type: string
+ *           format: uuid
+ *           example: "5f0c6a1e-8d7b-4b7e-9f1a-2a4c3d9e8b10"
+ *         user_id:
+ *           type: string
+ *           nullable: true
+ *           description: The owner. Only they can read or continue the session; null for anonymous sessions.
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *         turns:
+ *           type: array
+ *           description: The conversation so far, oldest first (the last 20 turns are kept).
+ *           items:
+ *             type: object
+ *             properties:
+ *               request_id:
+ *                 type: string
+ *               prompt:
+ *                 type: string
+ *               entities:
+ *                 type: object
+ *               places:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               next_page_token:
+ *                 type: string
+ *                 nullable: true
+ *               llm_text:
+ *                 type: string
+ *               segments:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/NarrativeSegment'
+ *               filters:
+ *                 $ref: '#/components/schemas/PlaceFilters'
+ *               refined:
+ *                 type: boolean
+ *               prompt_versions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               grounding:
+ *                 $ref: '#/components/schemas/Grounding'
+ *               created_at:
+ *                 type: string
+ *                 format: date-time
+ */
+
+/**
+ * @swagger
+ * /sessions:
+ *   post:
+ *     summary: Start a conversation.
+ *     description: |
+ *       Send messages with `POST /sessions/{sessionId}/messages` (or `session_id` on `/query`).
+ *       Sessions expire after `SESSION_TTL` seconds without activity.
+ *     tags:
+ *       - Sessions
+ *     responses:
+ *       201:
+ *         description: The new, empty session.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Session'
+ *       500:
+ *         description: Internal server error.
+ */
+router.post("/sessions", authenticate, createSession);
+
+/**
+ * @swagger
+ * /sessions/{sessionId}:
+ *   get:
+ *     summary: Get a conversation and its history.
+ *     tags:
+ *       - Sessions
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: The session.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Session'
+ *       404:
+ *         description: The session does not exist or has expired.
+ *   delete:
+ *     summary: Delete a conversation.
+ *     tags:
+ *       - Sessions
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       204:
+ *         description: The session was deleted.
+ *       404:
+ *         description: The session does not exist or has expired.
+ */
+router.get(
+  "/sessions/:sessionId",
+  authenticate,
+  validateSessionId,
+  handleValidationErrors,
+  getSession
+);
+router.delete(
+  "/sessions/:sessionId",
+  authenticate,
+  validateSessionId,
+  handleValidationErrors,
+  deleteSession
+);
+
+/**
+ * @swagger
+ * /sessions/{sessionId}/messages:
+ *   post:
+ *     summary: Send a message to a conversation.
+ *     description: |
+ *       Runs the query with the conversation as context. Follow-ups such as
+ *       "yang lebih murah?" or "which of those is open now?" filter the previous places;
+ *       new searches inherit the place types and locations the user did not repeat.
+ *     tags:
+ *       - Sessions
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QueryPayload'
+ *     responses:
+ *       200:
+ *         description: The answer, also recorded as a turn of the session.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QueryResponse'
+ *       400:
+ *         description: Bad request, validation failed.
+ *       404:
+ *         description: The session does not exist or has expired.
+ *       429:
+ *         $ref: '#/components/responses/QuotaExceeded'
+ */
+router.post(
+  "/sessions/:sessionId/messages",
+  authenticate,
+  validateSessionId,
+  validateQuery,
+  handleValidationErrors,
+  quota(queryBudgets),
+  postMessage
+);
+
+/**
+ * @swagger
+ * /sessions/{sessionId}/messages/stream:
+ *   post:
+ *     summary: Send a message to a conversation and stream the answer as Server-Sent Events.
+ *     description: Same events as `POST /query/stream`; `done` also carries `session_id`, `refined` and `warnings`.
+ *     tags:
+ *       - Sessions
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QueryPayload'
+ *     responses:
+ *       200:
+ *         description: An event stream of query progress.
+ *       400:
+ *         description: Bad request, validation failed.
+ *       429:
+ *         $ref: '#/components/responses/QuotaExceeded'
+ */
+router.post(
+  "/sessions/:sessionId/messages/stream",
+  authenticate,
+  validateSessionId,
+  validateQuery,
+  handleValidationErrors,
+  quota(queryBudgets),
+  streamMessage
+);
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require("express");
+const { authenticate } = require("../middlewares/auth");
+const { getUsage } = require("../controllers/usageController");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QuotaWindow:
+ *       type: object
+ *       properties:
+ *         limit:
+ *           type: integer
+ *         used:
+ *           type: integer
+ *         remaining:
+ *           type: integer
+ *         reset:
+ *           type: integer
+ *           description: Seconds until the window resets. Day windows reset at 00:00 UTC.
+ *     QuotaBudget:
+ *       type: object
+ *       properties:
+ *         minute:
+ *           $ref: '#/components/schemas/QuotaWindow'
+ *         day:
+ *           $ref: '#/components/schemas/QuotaWindow'
+ *   responses:
+ *     QuotaExceeded:
+ *       description: |
+ *         A quota is used up. `Retry-After` gives the seconds until it resets; the `RateLimit-*`
+ *         headers describe the window closest to exhaustion.
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               error:
+ *                 type: string
+ *                 example: "The LLM quota for this minute is used up"
+ *               usage:
+ *                 type: object
+ *                 additionalProperties:
+ *                   $ref: '#/components/schemas/QuotaBudget'
+ */
+
+/**
+ * @swagger
+ * /usage:
+ *   get:
+ *     summary: Show the caller's quotas and what is left of them.
+ *     description: |
+ *       Requests that call the LLM count against the `llm` budget and requests that call the Maps
+ *       provider against the `maps` budget. API keys have their own budgets, separate from their
+ *       owner's; anonymous callers are counted by IP.
+ *     tags:
+ *       - Utility
+ *     responses:
+ *       200:
+ *         description: The caller's usage.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 enabled:
+ *                   type: boolean
+ *                   description: False when quotas are turned off (`QUOTA_ENABLED=false`).
+ *                 subject:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [api_key, user, ip]
+ *                     id:
+ *                       type: string
+ *                 quotas:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     llm:
+ *                       $ref: '#/components/schemas/QuotaBudget'
+ *                     maps:
+ *                       $ref: '#/components/schemas/QuotaBudget'
+ *       401:
+ *         description: Missing or invalid credentials.
+ */
+router.get("/usage", authenticate, getUsage);
+
+module.exports = router;
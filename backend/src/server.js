@@ -11,7 +11,16 @@ require("dotenv").config();
 
 const config = require("./config/config");
 const logger = require("./utils/logger");
+const healthRoutes = require("./routes/healthRoutes");
 const apiRoutes = require("./routes/queryRoutes");
+const sessionRoutes = require("./routes/sessionRoutes");
+const itineraryRoutes = require("./routes/itineraryRoutes");
+const authRoutes = require("./routes/authRoutes");
+const usageRoutes = require("./routes/usageRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const authService = require("./services/authService");
+const cacheService = require("./services/cacheService");
+const healthService = require("./services/healthService");
 
 const app = express();
 
@@ -38,6 +47,7 @@ app.use(
   })
 );
 
+// A coarse per-IP flood guard; per-user budgets are enforced by the quota middleware.
 const limiter = rateLimit({
   windowMs: config.rateLimit.windowMs,
   max: config.rateLimit.maxRequests,
@@ -62,14 +72,22 @@ const swaggerOptions = {
         url: `http://localhost:${config.port}/api`,
       },
     ],
+    // Endpoints without credentials (health, login) override this with `security: []`.
+    security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
   },
-  apis: ["./src/routes/queryRoutes.js"],
+  apis: ["./src/routes/*.js"],
 };
 const swaggerSpec = swaggerJsdoc(swaggerOptions);
 
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
+app.use("/api", healthRoutes);
+app.use("/api", authRoutes);
 app.use("/api", apiRoutes);
+app.use("/api", sessionRoutes);
+app.use("/api", itineraryRoutes);
+app.use("/api", usageRoutes);
+app.use("/api", adminRoutes);
 
 app.use((req, res) => {
   res.status(404).json({ error: "Route not found" });
@@ -87,17 +105,46 @@ app.use((err, req, res, next) => {
   res.status(500).json(response);
 });
 
-const PORT = config.port || 3000;
-app.listen(PORT, () => {
-  logger.info(`Server running on port ${PORT}`);
-  logger.info(
-    `Environment: ${config.nodeEnv || process.env.NODE_ENV || "unknown"}`
-  );
-  logger.info(`LLM Provider: ${config.llm?.provider || "not configured"}`);
-  logger.info(`LLM Model: ${config.llm?.model || "not configured"}`);
-  logger.info(
-    `API Documentation available at http://localhost:${PORT}/api-docs`
-  );
-});
+// Only listen when started directly, so tests can import the app without binding a port.
+if (require.main === module) {
+  const insecureSecrets = authService.insecureSecrets();
+  if (insecureSecrets.length > 0 && config.nodeEnv === "production") {
+    const message = `Refusing to start in production with the default ${insecureSecrets.join(", ")}. Set them in the environment.`;
+    logger.error(message);
+    // Production logs only go to files, which process.exit would cut short: close the cache
+    // connection instead and let the process end once they are written.
+    process.exitCode = 1;
+    cacheService.client.quit();
+  } else {
+    if (insecureSecrets.length > 0) {
+      logger.warn(
+        `Using the default ${insecureSecrets.join(", ")}; set real secrets before deploying.`
+      );
+    }
+    if (!config.auth.required) {
+      logger.warn("AUTH_REQUIRED=false: the search endpoints are public");
+    }
+
+    const PORT = config.port || 3000;
+    app.listen(PORT, () => {
+      logger.info(`Server running on port ${PORT}`);
+      logger.info(
+        `Environment: ${config.nodeEnv || process.env.NODE_ENV || "unknown"}`
+      );
+      logger.info(`LLM Provider: ${config.llm?.provider || "not configured"}`);
+      logger.info(`LLM Model: ${config.llm?.model || "not configured"}`);
+      if (config.fixtures.mode !== "off") {
+        logger.warn(
+          `Fixture mode '${config.fixtures.mode}' is active (${config.fixtures.dir})`
+        );
+      }
+      logger.info(
+        `API Documentation available at http://localhost:${PORT}/api-docs`
+      );
+      // Log what needs fixing now rather than at the first query.
+      healthService.selfCheck();
+    });
+  }
+}
 
 module.exports = app;
@@ -0,0 +1,313 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const config = require("../config/config");
+const cacheService = require("./cacheService");
+const logger = require("../utils/logger");
+
+/**
+ * The placeholder secrets shipped in config.js. Production refuses to boot while any is in use.
+ */
+const PLACEHOLDER_SECRETS = {
+  JWT_SECRET: "default-secret-change-this",
+  SESSION_SECRET: "default-session-secret",
+};
+
+const BCRYPT_ROUNDS = 10;
+
+/**
+ * The roles a user can have. Everyone registers as a "user"; admins are promoted with setRole
+ * (see scripts/set-role.js), as emails are not verified.
+ */
+const ROLES = ["user", "admin"];
+
+/**
+ * API keys start with this prefix so they are easy to recognise (and to grep for in leaks).
+ */
+const API_KEY_PREFIX = "lmk_";
+
+/**
+ * Builds an error carrying the HTTP status the controllers should answer with.
+ */
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * @class AuthService
+ * @description Users, JWTs and API keys. Users and API keys are stored in Redis through
+ * `cacheService` without expiry; API keys are only stored as SHA-256 hashes, so a key is shown
+ * once, when it is created.
+ */
+class AuthService {
+  /**
+   * Registers a user. The email is claimed atomically before the user is stored, so of two
+   * concurrent registrations of one email only the first succeeds.
+   * @param {string} email The login email.
+   * @param {string} password The plain-text password (hashed with bcrypt).
+   * @param {string} [name] A display name.
+   * @returns {Promise<{user: object, token: string}>} The public user and a JWT.
+   * @throws {Error} With `status` 403 when registration is disabled and 409 when the email is taken.
+   */
+  async register(email, password, name = null) {
+    if (!config.auth.allowRegistration) {
+      throw httpError(403, "Registration is disabled");
+    }
+    const normalizedEmail = email.trim().toLowerCase();
+    // Also moves an email registered under the old key format, which the claim would miss.
+    if (await cacheService.get("user_email", normalizedEmail)) {
+      throw httpError(409, "Email is already registered");
+    }
+
+    const user = {
+      id: crypto.randomUUID(),
+      email: normalizedEmail,
+      name: name || null,
+      role: "user",
+      password_hash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+      created_at: new Date().toISOString(),
+    };
+    const claimed = await cacheService.setIfAbsent(
+      user.id,
+      "user_email",
+      user.email
+    );
+    if (claimed === null) {
+      throw new Error(`Failed to claim the email of user ${user.id}`);
+    }
+    if (!claimed) {
+      throw httpError(409, "Email is already registered");
+    }
+    try {
+      await this._saveUser(user);
+    } catch (error) {
+      await cacheService.delete("user_email", user.email);
+      throw error;
+    }
+    logger.info(`Registered user ${user.id}`);
+
+    return { user: this.publicUser(user), token: this.issueToken(user) };
+  }
+
+  /**
+   * Checks a user's credentials.
+   * @param {string} email The login email.
+   * @param {string} password The plain-text password.
+   * @returns {Promise<{user: object, token: string}>} The public user and a JWT.
+   * @throws {Error} With `status` 401 when the credentials are wrong.
+   */
+  async login(email, password) {
+    const userId = await cacheService.get(
+      "user_email",
+      email.trim().toLowerCase()
+    );
+    const user = userId ? await this.getUser(userId) : null;
+    // Compare against a dummy hash for unknown emails so timing does not reveal them.
+    this._dummyHash ??= await bcrypt.hash(crypto.randomUUID(), BCRYPT_ROUNDS);
+    const valid = await bcrypt.compare(
+      password,
+      user?.password_hash || this._dummyHash
+    );
+    if (!user || !valid) {
+      throw httpError(401, "Invalid email or password");
+    }
+    return { user: this.publicUser(user), token: this.issueToken(user) };
+  }
+
+  /**
+   * Changes the role of a registered user, e.g. to promote an admin. Tokens already issued
+   * get the new role at once (see verifyToken).
+   * @param {string} email The login email.
+   * @param {string} role One of "user" or "admin".
+   * @returns {Promise<object>} The public user.
+   * @throws {Error} With `status` 400 for an unknown role and 404 for an unknown email.
+   */
+  async setRole(email, role) {
+    if (!ROLES.includes(role)) {
+      throw httpError(
+        400,
+        `Unknown role: ${role}. Use one of: ${ROLES.join(", ")}`
+      );
+    }
+    const userId = await cacheService.get(
+      "user_email",
+      email.trim().toLowerCase()
+    );
+    const user = userId ? await this.getUser(userId) : null;
+    if (!user) {
+      throw httpError(404, `No user is registered with ${email}`);
+    }
+    await this._saveUser({ ...user, role });
+    logger.info(`Set the role of user ${user.id} to ${role}`);
+    return this.publicUser({ ...user, role });
+  }
+
+  /**
+   * Loads a user.
+   * @param {string} userId The user id.
+   * @returns {Promise<object | null>} The stored user (with its password hash) or null.
+   */
+  getUser(userId) {
+    return cacheService.get("user", userId);
+  }
+
+  /**
+   * Signs a JWT for a user. The token carries the id, email and role; verifyToken still loads
+   * the user, as the claims go stale when the user is deleted or demoted.
+   * @param {object} user The user.
+   * @returns {string}
+   */
+  issueToken(user) {
+    return jwt.sign(
+      { sub: user.id, email: user.email, role: user.role },
+      config.security.jwtSecret,
+      { expiresIn: config.auth.tokenTtl }
+    );
+  }
+
+  /**
+   * Verifies a JWT and loads its user, whose stored role wins over the one in the token.
+   * @param {string} token The bearer token.
+   * @returns {Promise<{id: string, email: string, role: string}>} The authenticated principal.
+   * @throws {Error} With `status` 401 when the token is invalid or expired, or its user no
+   *   longer exists.
+   */
+  async verifyToken(token) {
+    let claims;
+    try {
+      claims = jwt.verify(token, config.security.jwtSecret);
+    } catch (error) {
+      throw httpError(
+        401,
+        error.name === "TokenExpiredError" ? "Token expired" : "Invalid token"
+      );
+    }
+    const user = await this.getUser(claims.sub);
+    if (!user) {
+      throw httpError(401, "Invalid token");
+    }
+    return { id: user.id, email: user.email, role: user.role };
+  }
+
+  /**
+   * Creates an API key for server-to-server callers.
+   * @param {object} principal The authenticated user (see verifyToken).
+   * @param {string} name A label to recognise the key by.
+   * @returns {Promise<object>} The key metadata and, this one time, the `key` itself.
+   */
+  async createApiKey(principal, name) {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString("hex")}`;
+    const record = {
+      id: crypto.randomUUID(),
+      name,
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      user_id: principal.id,
+      created_at: new Date().toISOString(),
+    };
+
+    await cacheService.setPersistent(record, "api_key", this._hashKey(key));
+    const keys = await this._userKeys(principal.id);
+    await cacheService.setPersistent(
+      [...keys, { ...record, hash: this._hashKey(key) }],
+      "api_keys",
+      principal.id
+    );
+    logger.info(`Created API key ${record.id} for user ${principal.id}`);
+    return { ...record, key };
+  }
+
+  /**
+   * Lists a user's API keys (without the keys themselves).
+   * @param {string} userId The user id.
+   * @returns {Promise<Array<object>>}
+   */
+  async listApiKeys(userId) {
+    const keys = await this._userKeys(userId);
+    return keys.map(({ hash, ...record }) => record);
+  }
+
+  /**
+   * Revokes one of a user's API keys.
+   * @param {string} userId The user id.
+   * @param {string} keyId The key id.
+   * @returns {Promise<boolean>} Whether a key was revoked.
+   */
+  async revokeApiKey(userId, keyId) {
+    const keys = await this._userKeys(userId);
+    const revoked = keys.find((record) => record.id === keyId);
+    if (!revoked) return false;
+
+    await cacheService.delete("api_key", revoked.hash);
+    await cacheService.setPersistent(
+      keys.filter((record) => record !== revoked),
+      "api_keys",
+      userId
+    );
+    logger.info(`Revoked API key ${keyId} of user ${userId}`);
+    return true;
+  }
+
+  /**
+   * Resolves an API key to its owner.
+   * @param {string} key The `X-API-Key` header.
+   * @returns {Promise<{id: string, email: string, role: string, api_key_id: string}>}
+   * @throws {Error} With `status` 401 when the key is unknown or revoked.
+   */
+  async verifyApiKey(key) {
+    const record = key.startsWith(API_KEY_PREFIX)
+      ? await cacheService.get("api_key", this._hashKey(key))
+      : null;
+    const user = record ? await this.getUser(record.user_id) : null;
+    if (!user) {
+      throw httpError(401, "Invalid API key");
+    }
+    return {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      api_key_id: record.id,
+    };
+  }
+
+  /**
+   * The user as returned by the API (no password hash).
+   * @param {object} user The stored user.
+   * @returns {object}
+   */
+  publicUser({ password_hash, ...user }) {
+    return user;
+  }
+
+  /**
+   * Names the secrets that still hold their placeholder value.
+   * @returns {string[]} Environment variable names, e.g. ["JWT_SECRET"].
+   */
+  insecureSecrets() {
+    const current = {
+      JWT_SECRET: config.security.jwtSecret,
+      SESSION_SECRET: config.security.sessionSecret,
+    };
+    return Object.keys(PLACEHOLDER_SECRETS).filter(
+      (name) => current[name] === PLACEHOLDER_SECRETS[name]
+    );
+  }
+
+  async _saveUser(user) {
+    const saved = await cacheService.setPersistent(user, "user", user.id);
+    if (!saved) {
+      throw new Error(`Failed to save user ${user.id}`);
+    }
+  }
+
+  async _userKeys(userId) {
+    return (await cacheService.get("api_keys", userId)) || [];
+  }
+
+  _hashKey(key) {
+    return crypto.createHash("sha256").update(key).digest("hex");
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,332 @@
+/**
+ * Keys scanned per batch by scanIterator, when the caller does not ask for a COUNT.
+ */
+const DEFAULT_SCAN_COUNT = 100;
+
+/**
+ * How often a write drops every expired key, so keys nobody reads again (the counters of past
+ * quota windows, expired locks and sessions) do not pile up outside the LRU bounds.
+ */
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Turns a Redis MATCH pattern (`*` and `?` wildcards) into a regular expression.
+ */
+const matcher = (pattern) =>
+  new RegExp(
+    `^${pattern
+      .split("")
+      .map((char) =>
+        char === "*"
+          ? ".*"
+          : char === "?"
+            ? "."
+            : char.replace(/[.+^${}()|[\]\\]/g, "\\$&")
+      )
+      .join("")}$`
+  );
+
+/**
+ * @class MemoryStore
+ * @description An in-process stand-in for Redis: the subset of commands cacheService uses,
+ * with node-redis return values, so it can run without Redis (`CACHE_BACKEND=memory`) or in
+ * front of it (see tieredStore.js). Evictable keys are evicted least recently used first once
+ * there are more than `maxEntries` of them or they take more than `maxBytes`; the others
+ * (users, sessions, counters, locks) are outside these bounds and kept until they are deleted
+ * or expire. Keys expire like Redis keys: when read, and in a sweep at most every minute.
+ * Values are strings or, for hashes, Maps of strings.
+ */
+class MemoryStore {
+  /**
+   * @param {object} options
+   * @param {number} options.maxEntries The most evictable keys kept.
+   * @param {number} options.maxBytes The most bytes of evictable keys and values kept
+   *   (approximately).
+   * @param {function(string): boolean} [options.evictable] Whether a key may be evicted, asked
+   *   whenever it is written (defaults to every key).
+   */
+  constructor({ maxEntries, maxBytes, evictable = () => true }) {
+    this.name = "memory";
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.evictable = evictable;
+    // key -> {value, expiresAt, bytes, evictable}, least recently used first
+    this.entries = new Map();
+    this.bytes = 0;
+    // What counts towards the bounds
+    this.evictableKeys = 0;
+    this.evictableBytes = 0;
+    this.peakBytes = 0;
+    this.nextSweep = Date.now() + SWEEP_INTERVAL_MS;
+    this.isReady = true;
+    this.redisStatus = null;
+  }
+
+  async get(key) {
+    const entry = this._read(key);
+    return typeof entry?.value === "string" ? entry.value : null;
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} value
+   * @param {object} [options]
+   * @param {number} [options.EX] Expiry in seconds.
+   * @param {boolean} [options.NX] Only set the key when it does not exist.
+   * @returns {Promise<"OK" | null>}
+   */
+  async set(key, value, { EX, NX } = {}) {
+    if (NX && this._read(key)) return null;
+    this._write(key, String(value), EX ? Date.now() + EX * 1000 : null);
+    return "OK";
+  }
+
+  async setEx(key, seconds, value) {
+    return this.set(key, value, { EX: seconds });
+  }
+
+  async del(keys) {
+    let deleted = 0;
+    for (const key of [].concat(keys)) {
+      if (this._read(key)) {
+        this._remove(key);
+        deleted += 1;
+      }
+    }
+    return deleted;
+  }
+
+  async unlink(keys) {
+    return this.del(keys);
+  }
+
+  async exists(key) {
+    return this._read(key) ? 1 : 0;
+  }
+
+  async mGet(keys) {
+    return Promise.all(keys.map((key) => this.get(key)));
+  }
+
+  /**
+   * Adds to a counter, keeping its expiry like Redis INCRBY.
+   */
+  async incrBy(key, amount) {
+    const entry = this._read(key);
+    const value = (Number(entry?.value) || 0) + amount;
+    this._write(key, String(value), entry?.expiresAt ?? null);
+    return value;
+  }
+
+  async decr(key) {
+    return this.incrBy(key, -1);
+  }
+
+  async expire(key, seconds) {
+    const entry = this._read(key);
+    if (!entry) return 0;
+    entry.expiresAt = Date.now() + seconds * 1000;
+    return 1;
+  }
+
+  /**
+   * @returns {Promise<number>} Seconds until the key expires, -1 without expiry, -2 when it
+   *   does not exist.
+   */
+  async ttl(key) {
+    const entry = this._read(key);
+    if (!entry) return -2;
+    if (entry.expiresAt === null) return -1;
+    return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+  }
+
+  async hGetAll(key) {
+    const hash = this._readHash(key);
+    return hash ? Object.fromEntries(hash) : {};
+  }
+
+  async hSet(key, field, value) {
+    const entry = this._read(key);
+    const hash = new Map(this._readHash(key) || []);
+    const added = hash.has(field) ? 0 : 1;
+    hash.set(field, String(value));
+    this._write(key, hash, entry?.expiresAt ?? null);
+    return added;
+  }
+
+  async hDel(key, fields) {
+    const entry = this._read(key);
+    const hash = this._readHash(key);
+    if (!hash) return 0;
+    const remaining = new Map(hash);
+    let deleted = 0;
+    for (const field of [].concat(fields)) {
+      if (remaining.delete(field)) deleted += 1;
+    }
+    if (remaining.size === 0) {
+      this._remove(key);
+    } else {
+      this._write(key, remaining, entry.expiresAt);
+    }
+    return deleted;
+  }
+
+  async hLen(key) {
+    return this._readHash(key)?.size || 0;
+  }
+
+  async hExists(key, field) {
+    return this._readHash(key)?.has(field) ? 1 : 0;
+  }
+
+  async hIncrBy(key, field, amount) {
+    const value = (Number(this._readHash(key)?.get(field)) || 0) + amount;
+    await this.hSet(key, field, value);
+    return value;
+  }
+
+  /**
+   * Lists the live keys matching `MATCH`, `COUNT` at a time, like node-redis' scanIterator.
+   */
+  async *scanIterator({ MATCH = "*", COUNT = DEFAULT_SCAN_COUNT } = {}) {
+    const pattern = matcher(MATCH);
+    const keys = [...this.entries.keys()].filter(
+      (key) => pattern.test(key) && this._live(key)
+    );
+    for (let i = 0; i < keys.length; i += COUNT) {
+      yield keys.slice(i, i + COUNT);
+    }
+  }
+
+  async dbSize() {
+    return [...this.entries.keys()].filter((key) => this._live(key)).length;
+  }
+
+  async ping() {
+    return "PONG";
+  }
+
+  /**
+   * @returns {Promise<{used_bytes: number, peak_bytes: number, max_bytes: number}>}
+   */
+  async memoryUsage() {
+    return {
+      used_bytes: this.bytes,
+      peak_bytes: this.peakBytes,
+      max_bytes: this.maxBytes,
+    };
+  }
+
+  async quit() {
+    this.entries.clear();
+    this.bytes = 0;
+    this.evictableKeys = 0;
+    this.evictableBytes = 0;
+  }
+
+  /**
+   * Returns a live entry and marks it recently used.
+   * @private
+   */
+  _read(key) {
+    if (!this._live(key)) return null;
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * @private
+   */
+  _readHash(key) {
+    const value = this._read(key)?.value;
+    return value instanceof Map ? value : null;
+  }
+
+  /**
+   * Whether a key exists and has not expired, dropping it when it has.
+   * @private
+   */
+  _live(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this._remove(key);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _write(key, value, expiresAt) {
+    this._remove(key);
+    const size =
+      value instanceof Map
+        ? [...value].reduce(
+            (total, [field, item]) => total + field.length + item.length,
+            0
+          )
+        : value.length;
+    const bytes = (key.length + size) * 2;
+    const evictable = this.evictable(key);
+    this.entries.set(key, { value, expiresAt, bytes, evictable });
+    this.bytes += bytes;
+    if (evictable) {
+      this.evictableKeys += 1;
+      this.evictableBytes += bytes;
+    }
+    this.peakBytes = Math.max(this.peakBytes, this.bytes);
+    this._sweep();
+    this._evict();
+  }
+
+  /**
+   * @private
+   */
+  _remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+    if (entry.evictable) {
+      this.evictableKeys -= 1;
+      this.evictableBytes -= entry.bytes;
+    }
+  }
+
+  /**
+   * Drops every expired key, unless that was done less than SWEEP_INTERVAL_MS ago.
+   * @private
+   */
+  _sweep() {
+    const now = Date.now();
+    if (now < this.nextSweep) return;
+    this.nextSweep = now + SWEEP_INTERVAL_MS;
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) {
+        this._remove(key);
+      }
+    }
+  }
+
+  /**
+   * Drops the least recently used evictable keys until the store is within its bounds.
+   * @private
+   */
+  _evict() {
+    for (const [key, entry] of this.entries) {
+      if (
+        this.evictableKeys <= this.maxEntries &&
+        this.evictableBytes <= this.maxBytes
+      ) {
+        return;
+      }
+      if (entry.evictable) this._remove(key);
+    }
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,181 @@
+const redis = require("redis");
+const logger = require("../../utils/logger");
+const CircuitBreaker = require("../../utils/circuitBreaker");
+
+/**
+ * The commands cacheService uses (see memoryStore.js), passed to node-redis through the
+ * circuit breaker. Error replies (e.g. WRONGTYPE) do not count as failures.
+ */
+const COMMANDS = [
+  "get",
+  "set",
+  "setEx",
+  "del",
+  "unlink",
+  "exists",
+  "mGet",
+  "incrBy",
+  "decr",
+  "expire",
+  "ttl",
+  "hGetAll",
+  "hSet",
+  "hDel",
+  "hLen",
+  "hExists",
+  "hIncrBy",
+  "dbSize",
+  "ping",
+];
+
+/**
+ * Thrown instead of calling Redis while it is unreachable or the circuit is open.
+ */
+const unavailable = () => {
+  const error = new Error("Redis is unavailable");
+  error.code = "CACHE_UNAVAILABLE";
+  return error;
+};
+
+/**
+ * @class RedisStore
+ * @description Redis behind a circuit breaker. Commands fail at once while Redis is
+ * unreachable instead of queueing until it is back, and after `breaker.threshold` failures
+ * in a row (timeouts included) Redis is left alone for `breaker.cooldownMs`. Reconnection is
+ * logged once per outage.
+ */
+class RedisStore {
+  /**
+   * @param {object} options
+   * @param {string} options.host
+   * @param {number} options.port
+   * @param {string} [options.password]
+   * @param {number} options.timeoutMs How long a command may take before it counts as failed.
+   * @param {object} options.breaker `threshold` and `cooldownMs` (see utils/circuitBreaker.js).
+   */
+  constructor({ host, port, password, timeoutMs, breaker }) {
+    this.name = "redis";
+    this.timeoutMs = timeoutMs;
+    this.breaker = new CircuitBreaker("Redis", breaker);
+    this.down = false;
+    this.client = redis.createClient({
+      socket: {
+        host,
+        port,
+        connectTimeout: timeoutMs,
+        // Retry delay in ms, max 30s
+        reconnectStrategy: (retries) => Math.min(2 ** retries * 100, 30000),
+      },
+      password: password || undefined,
+      disableOfflineQueue: true,
+    });
+
+    this.client.on("error", (error) => {
+      if (!this.down) {
+        logger.error(`Redis error: ${error.message || error}`);
+      }
+      this.down = true;
+    });
+    this.client.on("ready", () => {
+      logger.info(
+        this.down ? "Redis reconnected" : "Redis client ready for commands"
+      );
+      this.down = false;
+    });
+
+    this.client.connect().catch((error) => {
+      logger.error(
+        `Redis initial connection failed: ${error.message || error}`
+      );
+    });
+  }
+
+  /**
+   * Whether commands are sent to Redis now.
+   * @returns {boolean}
+   */
+  get isReady() {
+    return this.client.isReady && this.breaker.state !== "open";
+  }
+
+  /**
+   * @returns {{connected: boolean, circuit: "closed" | "open" | "half_open"}}
+   */
+  get redisStatus() {
+    return { connected: this.client.isReady, circuit: this.breaker.state };
+  }
+
+  /**
+   * Lists keys with SCAN; see node-redis' scanIterator.
+   */
+  scanIterator(options) {
+    if (!this.isReady) throw unavailable();
+    return this.client.scanIterator(options);
+  }
+
+  /**
+   * Reports Redis memory use from INFO.
+   * @returns {Promise<{used_bytes: number, peak_bytes: number, max_bytes: number | null}>}
+   */
+  async memoryUsage() {
+    const info = Object.fromEntries(
+      (await this._call("info", ["memory"]))
+        .split("\r\n")
+        .map((line) => line.split(":"))
+    );
+    return {
+      used_bytes: Number(info.used_memory),
+      peak_bytes: Number(info.used_memory_peak),
+      max_bytes: Number(info.maxmemory) || null,
+    };
+  }
+
+  async quit() {
+    if (this.client.isReady) {
+      await this.client.quit();
+      logger.info("Redis connection closed by application");
+    } else if (this.client.isOpen) {
+      // Still (re)connecting: stop retrying instead of waiting for a connection.
+      this.client.destroy();
+    }
+  }
+
+  /**
+   * Sends a command unless the circuit is open, counting failures and timeouts.
+   * @private
+   */
+  async _call(command, args) {
+    if (!this.client.isReady || !this.breaker.allow()) throw unavailable();
+    let timer;
+    try {
+      const result = await Promise.race([
+        this.client[command](...args),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(
+            () => reject(new Error(`Redis ${command} timed out`)),
+            this.timeoutMs
+          );
+        }),
+      ]);
+      this.breaker.success();
+      return result;
+    } catch (error) {
+      if (error instanceof redis.ErrorReply) {
+        this.breaker.success();
+      } else {
+        this.breaker.failure(error);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+for (const command of COMMANDS) {
+  RedisStore.prototype[command] = function (...args) {
+    return this._call(command, args);
+  };
+}
+
+module.exports = RedisStore;
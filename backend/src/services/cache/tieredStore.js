@@ -0,0 +1,188 @@
+const logger = require("../../utils/logger");
+
+/**
+ * @class TieredStore
+ * @description An in-memory LRU (see memoryStore.js) in front of Redis (see redisStore.js).
+ *
+ * Writes go to both, so the memory copy keeps serving while Redis is unavailable. Keys for
+ * which `local(key)` is true (cached answers, places, narratives) are read from memory first;
+ * while Redis is up, they are kept there for at most `localTtl` seconds, so with several
+ * backend instances an entry changed or purged by one reaches the others within that time.
+ * Other keys (users, sessions, locks) and counters are read from Redis whenever it is up, so
+ * instances agree on them, and from memory only during an outage. The memory copy of state
+ * may be evicted while Redis holds it, but not state written to memory alone during an outage
+ * (see the `evictable` option of MemoryStore, set up in cacheService.js).
+ */
+class TieredStore {
+  /**
+   * @param {import("./memoryStore")} memory
+   * @param {import("./redisStore")} redis
+   * @param {object} options
+   * @param {function(string): boolean} options.local Whether a key may be read from memory
+   *   first.
+   * @param {number} options.localTtl Seconds a value read from Redis is kept in memory.
+   */
+  constructor(memory, redis, { local, localTtl }) {
+    this.name = "tiered";
+    this.memory = memory;
+    this.redis = redis;
+    this.local = local;
+    this.localTtl = localTtl;
+    this.isReady = true;
+  }
+
+  /**
+   * @returns {{connected: boolean, circuit: string}} See RedisStore#redisStatus.
+   */
+  get redisStatus() {
+    return this.redis.redisStatus;
+  }
+
+  async get(key) {
+    if (this.local(key)) {
+      const value = await this.memory.get(key);
+      if (value !== null) return value;
+    }
+    return this._read(
+      async (store) => {
+        const value = await store.get(key);
+        if (value !== null && store === this.redis && this.local(key)) {
+          await this.memory.set(key, value, { EX: this.localTtl });
+        }
+        return value;
+      },
+      () => this.memory.get(key)
+    );
+  }
+
+  /**
+   * Sets a key in both stores. With NX (locks) Redis decides, as the lock is shared.
+   */
+  async set(key, value, options = {}) {
+    if (options.NX) {
+      return this._read(
+        async (store) => {
+          const result = await store.set(key, value, options);
+          if (result && store === this.redis) {
+            await this.memory.set(key, value, { EX: options.EX });
+          }
+          return result;
+        },
+        () => this.memory.set(key, value, options)
+      );
+    }
+    const stored = await this._read(
+      (store) => store.set(key, value, options),
+      () => null
+    );
+    // Once Redis has it, the local copy of a local key lives as long as one read from Redis.
+    const localOptions =
+      stored && this.local(key)
+        ? { EX: Math.min(options.EX || Infinity, this.localTtl) }
+        : options;
+    return this.memory.set(key, value, localOptions);
+  }
+
+  async setEx(key, seconds, value) {
+    return this.set(key, value, { EX: seconds });
+  }
+
+  async del(keys) {
+    return this._write((store) => store.del(keys));
+  }
+
+  async unlink(keys) {
+    return this._write((store) => store.unlink(keys));
+  }
+
+  async expire(key, seconds) {
+    return this._write((store) => store.expire(key, seconds));
+  }
+
+  async hSet(key, field, value) {
+    return this._write((store) => store.hSet(key, field, value));
+  }
+
+  async hDel(key, fields) {
+    return this._write((store) => store.hDel(key, fields));
+  }
+
+  /**
+   * Counters are not copied: during an outage they restart in memory.
+   */
+  async incrBy(key, amount) {
+    return this._read((store) => store.incrBy(key, amount));
+  }
+
+  async decr(key) {
+    return this._read((store) => store.decr(key));
+  }
+
+  async hIncrBy(key, field, amount) {
+    return this._read((store) => store.hIncrBy(key, field, amount));
+  }
+
+  scanIterator(options) {
+    return this.redis.isReady
+      ? this.redis.scanIterator(options)
+      : this.memory.scanIterator(options);
+  }
+
+  /**
+   * Pings Redis; memory needs no checking.
+   */
+  async ping() {
+    return this.redis.ping();
+  }
+
+  async memoryUsage() {
+    return this._read((store) => store.memoryUsage());
+  }
+
+  async quit() {
+    await Promise.all([this.redis.quit(), this.memory.quit()]);
+  }
+
+  /**
+   * Runs a command on Redis, or on memory when Redis is unavailable.
+   * @param {function(object): Promise<*>} command Runs the command on a store.
+   * @param {function(): Promise<*>} [fallback] Runs it on memory (defaults to `command`).
+   * @private
+   */
+  async _read(command, fallback = () => command(this.memory)) {
+    if (this.redis.isReady) {
+      try {
+        return await command(this.redis);
+      } catch (error) {
+        logger.debug(`Cache falling back to memory: ${error.message}`);
+      }
+    }
+    return fallback();
+  }
+
+  /**
+   * Runs a command on both stores, returning the result of Redis when it is available.
+   * @private
+   */
+  async _write(command) {
+    const local = await command(this.memory);
+    return this._read(command, () => local);
+  }
+}
+
+// Other reads: Redis while it is up, memory otherwise.
+for (const command of [
+  "exists",
+  "mGet",
+  "ttl",
+  "hGetAll",
+  "hLen",
+  "hExists",
+  "dbSize",
+]) {
+  TieredStore.prototype[command] = function (...args) {
+    return this._read((store) => store[command](...args));
+  };
+}
+
+module.exports = TieredStore;
@@ -1,70 +1,203 @@
-const redis = require("redis");
 const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
 const config = require("../config/config");
 const logger = require("../utils/logger");
+const MemoryStore = require("./cache/memoryStore");
+const { normalizePrompt, queryScope } = require("../utils/queryCache");
+const { MAPS_LANGUAGES } = require("../locales");
 
-class CacheService {
-  constructor() {
-    this.client = redis.createClient({
-      socket: {
-        host: config.redis.host,
-        port: config.redis.port,
-        reconnectStrategy: (retries) => {
-          // Retry delay in ms, max 10s
-          const delay = Math.min(retries * 100, 10000);
-          logger.warn(`Redis reconnect attempt #${retries} in ${delay}ms`);
-          return delay;
-        },
-      },
-      password: config.redis.password || undefined,
-    });
+/**
+ * Every key starts with it: `llm_maps:<namespace>:<part>:…`.
+ */
+const KEY_PREFIX = "llm_maps";
 
-    this.defaultTTL = config.redis.ttl || 3600;
+/**
+ * Namespaces holding cached data, which can be inspected and purged (see the admin API). The
+ * others hold state: users, API keys, sessions, quota and cost counters, locks.
+ */
+const CACHE_NAMESPACES = [
+  "query",
+  "entities",
+  "places",
+  "nearby",
+  "narrative",
+  "place",
+];
 
-    this._setupEventListeners();
+/**
+ * Whether a key holds cached data (see CACHE_NAMESPACES).
+ */
+const isCachedData = (key) =>
+  CACHE_NAMESPACES.some((namespace) =>
+    key.startsWith(`${KEY_PREFIX}:${namespace}:`)
+  );
 
-    // Langsung connect saat class dibuat
-    this._connect();
-  }
+/**
+ * Whether the in-process LRU may evict a key: cached data and the semantic index, which can be
+ * rebuilt. State, and the place index purgePlace relies on, are kept until deleted or expired.
+ */
+const isEvictable = (key) =>
+  isCachedData(key) || key.startsWith(`${KEY_PREFIX}:query_index:`);
+
+/**
+ * Namespaces whose keys are still read from their old MD5 form (before keys were readable) and
+ * moved on the first read, so accounts and API keys survive the change.
+ */
+const LEGACY_NAMESPACES = [
+  "user",
+  "user_email",
+  "api_key",
+  "api_keys",
+  "session",
+];
+
+/**
+ * Cache tiers whose entries list places. Their keys are indexed by place, so purgePlace finds
+ * them without reading every entry.
+ */
+const PLACE_TIERS = ["query", "places", "nearby", "narrative"];
+
+/**
+ * The places an entry lists: searches and answers hold them in `places`.
+ */
+const listedPlaceIds = (value) =>
+  (value?.places || []).map((place) => place.place_id).filter(Boolean);
+
+/**
+ * Where lookups of the cache namespaces are counted, per namespace.
+ */
+const STATS_KEY = `${KEY_PREFIX}:stats`;
+
+/**
+ * Set while lookups are not counted in the stats (see withoutStats).
+ */
+const uncounted = new AsyncLocalStorage();
+
+/**
+ * Escapes the separator out of a key part, keeping it readable.
+ */
+const escapeKeyPart = (part) =>
+  String(part).replace(/%/g, "%25").replace(/:/g, "%3A");
 
-  _setupEventListeners() {
-    this.client.on("error", (error) => {
-      logger.error("Redis error:", error);
-    });
+/**
+ * Keys scanned, read or deleted per Redis call by the admin operations.
+ */
+const SCAN_BATCH = 500;
 
-    this.client.on("connect", () => {
-      logger.info("Redis connected");
-    });
+/**
+ * How often a request waiting for another one's load checks for the entry.
+ */
+const LOCK_POLL_MS = 200;
 
-    this.client.on("ready", () => {
-      logger.info("Redis client ready for commands");
-    });
+/**
+ * Prompt embeddings kept in memory, so a miss followed by storing the answer embeds once.
+ */
+const EMBEDDING_MEMO_SIZE = 50;
 
-    this.client.on("end", () => {
-      logger.warn("Redis connection closed");
-    });
+/**
+ * Cosine similarity of two vectors (0 when either is empty or of another length).
+ */
+const cosineSimilarity = (a, b) => {
+  if (!a?.length || a.length !== b?.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
   }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
 
-  async _connect() {
-    try {
-      if (!this.client.isOpen) {
-        await this.client.connect();
+/**
+ * Stored embeddings are rounded, which barely moves similarities but halves the index size.
+ */
+const roundVector = (vector) => vector.map((x) => Math.round(x * 1e5) / 1e5);
+
+/**
+ * Connection settings of the redis and tiered backends.
+ */
+const redisOptions = () => ({
+  host: config.redis.host,
+  port: config.redis.port,
+  password: config.redis.password,
+  timeoutMs: config.redis.timeoutMs,
+  breaker: config.cache.breaker,
+});
+
+/**
+ * Factories for the cache backends (see services/cache/). Redis is required lazily, so the
+ * memory backend never opens a connection.
+ */
+const BACKENDS = {
+  memory: () =>
+    new MemoryStore({ ...config.cache.memory, evictable: isEvictable }),
+  redis: () => new (require("./cache/redisStore"))(redisOptions()),
+  tiered: () => {
+    const redis = new (require("./cache/redisStore"))(redisOptions());
+    return new (require("./cache/tieredStore"))(
+      new MemoryStore({
+        ...config.cache.memory,
+        // State written while Redis is up is only a copy; during an outage memory holds it alone.
+        evictable: (key) => isEvictable(key) || redis.isReady,
+      }),
+      redis,
+      {
+        // Cached data may be served from memory first; state is shared through Redis.
+        local: isCachedData,
+        localTtl: config.cache.memory.localTtl,
       }
-    } catch (error) {
-      logger.error("Redis initial connection failed:", error);
+    );
+  },
+};
+
+/**
+ * @class CacheService
+ * @description Keeps cached answers and shared state (users, sessions, counters, locks) in the
+ * backend selected by `CACHE_BACKEND`: Redis, an in-process LRU, or both (see
+ * services/cache/). Failures are logged and reported as misses, so requests go on without the
+ * cache.
+ */
+class CacheService {
+  constructor() {
+    const factory = BACKENDS[config.cache.backend];
+    if (!factory) {
+      throw new Error(
+        `Unknown cache backend: ${config.cache.backend}. Use one of: ${Object.keys(BACKENDS).join(", ")}`
+      );
     }
+    this.client = factory();
+    this.backend = this.client.name;
+    logger.info(`Cache backend: ${this.backend}`);
+
+    this.defaultTTL = config.redis.ttl || 3600;
+    this.tiers = config.cache.tiers;
+    this.lockTtl = config.cache.lockTtl;
+    this.queryCache = config.queryCache;
+    this.namespaces = CACHE_NAMESPACES;
+    this.promptEmbeddings = new Map();
   }
 
-  generateKey(...args) {
-    const keyString = args.join(":");
-    return `llm_maps:${crypto.createHash("md5").update(keyString).digest("hex")}`;
+  /**
+   * Builds a readable key, `llm_maps:<namespace>:<part>:…`, so a namespace can be listed with
+   * `llm_maps:<namespace>:*`.
+   * @param {string} namespace E.g. "query", "place" or "session".
+   * @param {...*} parts The rest of the key.
+   * @returns {string}
+   */
+  generateKey(namespace, ...parts) {
+    return [KEY_PREFIX, namespace, ...parts.map(escapeKeyPart)].join(":");
   }
 
   async get(...args) {
     try {
-      if (!this.client.isOpen) await this._connect();
       const key = this.generateKey(...args);
-      const value = await this.client.get(key);
+      let value = await this.client.get(key);
+      if (!value && LEGACY_NAMESPACES.includes(args[0])) {
+        value = await this._moveLegacyKey(key, args);
+      }
+      this._countLookup(args[0], Boolean(value));
       if (value) {
         logger.debug(`Cache hit for key: ${key}`);
         return JSON.parse(value);
@@ -72,28 +205,100 @@ class CacheService {
       logger.debug(`Cache miss for key: ${key}`);
       return null;
     } catch (error) {
-      logger.error("Cache get error:", error);
+      this._logError("Cache get error:", error);
       return null;
     }
   }
 
+  /**
+   * Moves a value from its MD5 key (the key format before readable keys) to its readable one,
+   * keeping its expiry.
+   * @returns {Promise<string | null>} The raw value, or null when there was no old key.
+   * @private
+   */
+  async _moveLegacyKey(key, args) {
+    const legacyKey = `${KEY_PREFIX}:${crypto
+      .createHash("md5")
+      .update(args.join(":"))
+      .digest("hex")}`;
+    const value = await this.client.get(legacyKey);
+    if (!value) return null;
+    const ttl = await this.client.ttl(legacyKey);
+    await this.client.set(key, value, ttl > 0 ? { EX: ttl } : {});
+    await this.client.del(legacyKey);
+    logger.info(`Moved ${legacyKey} to ${key}`);
+    return value;
+  }
+
+  /**
+   * Runs a function without counting its lookups (and those of the work it starts) in the
+   * stats, e.g. to warm the cache without skewing the hit rate.
+   * @param {function(): Promise<*>} fn
+   * @returns {Promise<*>} What `fn` returns.
+   */
+  withoutStats(fn) {
+    return uncounted.run(true, fn);
+  }
+
+  /**
+   * Counts a hit or miss of a cache namespace, without holding up the lookup.
+   * @private
+   */
+  _countLookup(namespace, hit) {
+    if (!CACHE_NAMESPACES.includes(namespace) || uncounted.getStore()) return;
+    this.client
+      .hIncrBy(STATS_KEY, `${namespace}:${hit ? "hits" : "misses"}`, 1)
+      .catch((error) => this._logError("Cache stats error:", error));
+  }
+
   async set(value, ttl = null, ...args) {
     try {
-      if (!this.client.isOpen) await this._connect();
       const key = this.generateKey(...args);
       const expiry = ttl || this.defaultTTL;
       await this.client.setEx(key, expiry, JSON.stringify(value));
       logger.debug(`Cached key: ${key} with TTL: ${expiry}`);
       return true;
     } catch (error) {
-      logger.error("Cache set error:", error);
+      this._logError("Cache set error:", error);
       return false;
     }
   }
 
+  /**
+   * Stores a value without expiry (users, API keys).
+   */
+  async setPersistent(value, ...args) {
+    try {
+      const key = this.generateKey(...args);
+      await this.client.set(key, JSON.stringify(value));
+      logger.debug(`Stored key: ${key} without expiry`);
+      return true;
+    } catch (error) {
+      this._logError("Cache set error:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Stores a value without expiry unless the key exists, e.g. to claim a unique email.
+   * @returns {Promise<boolean | null>} Whether the value was stored, or null when the cache is
+   *   unavailable.
+   */
+  async setIfAbsent(value, ...args) {
+    try {
+      const key = this.generateKey(...args);
+      const result = await this.client.set(key, JSON.stringify(value), {
+        NX: true,
+      });
+      return result === "OK";
+    } catch (error) {
+      this._logError("Cache set error:", error);
+      return null;
+    }
+  }
+
   async delete(...args) {
     try {
-      if (!this.client.isOpen) await this._connect();
       const key = this.generateKey(...args);
       const result = await this.client.del(key);
       if (result) {
@@ -101,32 +306,587 @@ class CacheService {
       }
       return Boolean(result);
     } catch (error) {
-      logger.error("Cache delete error:", error);
+      this._logError("Cache delete error:", error);
       return false;
     }
   }
 
-  async increment(...args) {
+  /**
+   * Increments a counter. The expiry is set when the counter is created, so the counter covers a
+   * fixed window of `ttl` seconds.
+   * @returns {Promise<number>} The new value, or 0 when the cache is unavailable.
+   */
+  async increment(ttl = 60, ...args) {
+    return this.incrementBy(1, ttl, ...args);
+  }
+
+  /**
+   * Like increment, but adds `amount`.
+   */
+  async incrementBy(amount, ttl = 60, ...args) {
     try {
-      if (!this.client.isOpen) await this._connect();
       const key = this.generateKey(...args);
-      const value = await this.client.incr(key);
-      await this.client.expire(key, 60); // 1 minute expiry for counters
+      const value = await this.client.incrBy(key, amount);
+      if (value === amount) {
+        await this.client.expire(key, ttl);
+      }
       return value;
     } catch (error) {
-      logger.error("Cache increment error:", error);
+      this._logError("Cache increment error:", error);
       return 0;
     }
   }
 
-  async quit() {
+  async decrement(...args) {
+    try {
+      const key = this.generateKey(...args);
+      return await this.client.decr(key);
+    } catch (error) {
+      this._logError("Cache decrement error:", error);
+      return 0;
+    }
+  }
+
+  /**
+   * Reads an entry of a cache tier (see `cache.tiers` in config.js).
+   * @param {string} tier The tier: "query", "entities", "places", "nearby" or "narrative".
+   * @param {...*} args The parts of the key.
+   * @returns {Promise<{value: *, stale: boolean} | null>} The value and whether it is past its
+   *   `ttl` (it is kept for `stale` more seconds).
+   */
+  async getEntry(tier, ...args) {
+    const entry = await this.get(tier, ...args);
+    if (!entry) return null;
+    return { value: entry.value, stale: entry.fresh_until <= Date.now() };
+  }
+
+  /**
+   * Stores an entry of a cache tier, fresh for the tier's `ttl`. A tier with no `ttl` and no
+   * `stale` time is not cached.
+   * @returns {Promise<boolean>} Whether the entry was stored.
+   */
+  async setEntry(tier, value, ...args) {
+    return this._storeEntry(tier, args, value, listedPlaceIds(value));
+  }
+
+  /**
+   * Stores an entry (see setEntry) and indexes it by the places it lists.
+   * @private
+   */
+  async _storeEntry(tier, args, value, placeIds) {
+    const { ttl, stale } = this.tiers[tier];
+    if (ttl + stale <= 0) return false;
+    const stored = await this.set(
+      { value, fresh_until: Date.now() + ttl * 1000 },
+      ttl + stale,
+      tier,
+      ...args
+    );
+    if (stored && PLACE_TIERS.includes(tier)) {
+      await this._indexPlaces(
+        this.generateKey(tier, ...args),
+        placeIds,
+        ttl + stale
+      );
+    }
+    return stored;
+  }
+
+  /**
+   * Adds a key to the index of each place its entry lists (see purgePlace). An index lives as
+   * long as its longest-lived key; keys past their expiry are dropped once it grows large.
+   * @private
+   */
+  async _indexPlaces(key, placeIds, expiry) {
+    const expiresAt = Date.now() + expiry * 1000;
     try {
-      if (this.client.isOpen) {
-        await this.client.quit();
-        logger.info("Redis connection closed by application");
+      for (const placeId of new Set(placeIds)) {
+        const indexKey = this.generateKey("place_index", placeId);
+        await this.client.hSet(indexKey, key, String(expiresAt));
+        if ((await this.client.ttl(indexKey)) < expiry) {
+          await this.client.expire(indexKey, expiry);
+        }
+        if ((await this.client.hLen(indexKey)) > SCAN_BATCH) {
+          const indexed = await this.client.hGetAll(indexKey);
+          const expired = Object.keys(indexed).filter(
+            (candidate) => Number(indexed[candidate]) <= Date.now()
+          );
+          if (expired.length > 0) {
+            await this.client.hDel(indexKey, expired);
+          }
+        }
       }
     } catch (error) {
-      logger.error("Error closing Redis connection:", error);
+      this._logError("Place index error:", error);
+    }
+  }
+
+  /**
+   * Reads an entry of a cache tier, loading it on a miss. A stale entry is returned at once and
+   * refreshed in the background. Concurrent misses of the same entry are single-flight: the
+   * first one loads it under a lock (see acquireLock) and the others wait for its result.
+   * @param {string} tier The tier (see getEntry).
+   * @param {Array} args The parts of the key.
+   * @param {function(boolean): Promise<*>} load Loads the value; called with `true` for
+   *   background refreshes, which must not report progress to the request that started them.
+   * @param {object} [options]
+   * @param {function(*): boolean} [options.cacheable] Whether a loaded value may be stored.
+   * @param {function(*): string[]} [options.placeIds] The places a value lists, for purgePlace
+   *   (defaults to the `place_id`s of its `places`).
+   * @returns {Promise<{value: *, status: "fresh" | "stale" | "miss"}>}
+   */
+  async fetch(
+    tier,
+    args,
+    load,
+    { cacheable = () => true, placeIds = listedPlaceIds } = {}
+  ) {
+    const store = (value) =>
+      cacheable(value) && this._storeEntry(tier, args, value, placeIds(value));
+
+    const entry = await this.getEntry(tier, ...args);
+    if (entry) {
+      if (entry.stale) {
+        this.revalidate([tier, ...args], () => load(true), store);
+      }
+      return { value: entry.value, status: entry.stale ? "stale" : "fresh" };
+    }
+
+    let token = await this.acquireLock(tier, ...args);
+    if (!token) {
+      const loaded = await this._waitForEntry(tier, args);
+      if (loaded) {
+        return { value: loaded.value, status: "fresh" };
+      }
+      // The other load failed or was not cacheable: load it ourselves.
+      token = await this.acquireLock(tier, ...args);
+    }
+    try {
+      const value = await load(false);
+      await store(value);
+      return { value, status: "miss" };
+    } finally {
+      if (token) await this.releaseLock(token, tier, ...args);
+    }
+  }
+
+  /**
+   * Refreshes an entry in the background, unless another request already is.
+   * @param {Array} lock The parts of the lock key.
+   * @param {function(): Promise<*>} load Loads the new value.
+   * @param {function(*): Promise<*>} store Stores it.
+   */
+  revalidate(lock, load, store) {
+    (async () => {
+      const token = await this.acquireLock(...lock);
+      if (!token) return;
+      try {
+        await store(await load());
+        logger.debug(`Refreshed stale cache entry: ${lock[0]}`);
+      } catch (error) {
+        logger.warn(
+          `Cache refresh failed (${lock[0]}):`,
+          error.message || error
+        );
+      } finally {
+        await this.releaseLock(token, ...lock);
+      }
+    })();
+  }
+
+  /**
+   * Takes a lock for `cache.lockTtl` seconds unless someone else holds it. The memory backend
+   * (and the tiered one during an outage) only locks within this process; when the redis
+   * backend is unavailable, every caller gets the lock.
+   * @returns {Promise<string | null>} A token for releaseLock, or null when the lock is taken.
+   */
+  async acquireLock(...args) {
+    const token = crypto.randomUUID();
+    if (!this.client.isReady) return token;
+    try {
+      const result = await this.client.set(
+        this.generateKey("lock", ...args),
+        token,
+        { NX: true, EX: this.lockTtl }
+      );
+      return result === "OK" ? token : null;
+    } catch (error) {
+      this._logError("Cache lock error:", error);
+      return token;
+    }
+  }
+
+  /**
+   * Releases a lock taken with acquireLock, if it still holds it.
+   */
+  async releaseLock(token, ...args) {
+    if (!this.client.isReady) return;
+    try {
+      const key = this.generateKey("lock", ...args);
+      if ((await this.client.get(key)) === token) {
+        await this.client.del(key);
+      }
+    } catch (error) {
+      this._logError("Cache unlock error:", error);
+    }
+  }
+
+  /**
+   * Waits for the request holding the lock of an entry to store it.
+   * @returns {Promise<{value: *, stale: boolean} | null>} The entry, or null when the lock was
+   *   released (or expired) without one.
+   * @private
+   */
+  async _waitForEntry(tier, args) {
+    const lockKey = this.generateKey("lock", tier, ...args);
+    const deadline = Date.now() + this.lockTtl * 1000;
+    while (Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, LOCK_POLL_MS));
+      const entry = await this.getEntry(tier, ...args);
+      if (entry) return entry;
+      try {
+        if (!(await this.client.exists(lockKey))) return null;
+      } catch (error) {
+        this._logError("Cache lock error:", error);
+        return null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Looks up the cached answer of a query. Prompts are compared normalized and locations by
+   * geohash cell (see utils/queryCache.js). With the semantic cache on, a miss falls back to
+   * the most similar earlier prompt of the same scope, if it is similar enough. Answers live in
+   * the "query" tier; a stale one should be refreshed with refreshQuery.
+   * @param {object} query `prompt`, `user_location`, `max_results`, `filters`, `sort_by` and
+   *   `language`.
+   * @param {function(string): Promise<number[]>} [embed] Embeds a prompt, for semantic lookups.
+   * @returns {Promise<{value: object, stale: boolean, hit_type: "exact" | "semantic", similarity: number} | null>}
+   */
+  async getQuery(query, embed = null) {
+    const { prompt, scope } = this._queryParts(query);
+    const entry = await this.getEntry("query", ...scope, prompt);
+    if (entry) {
+      return { ...entry, hit_type: "exact", similarity: 1 };
+    }
+    if (!this.queryCache.semantic || !embed) return null;
+
+    try {
+      const indexKey = this.generateKey("query_index", ...scope);
+      const entries = await this.client.hGetAll(indexKey);
+      if (Object.keys(entries).length === 0) return null;
+
+      const embedding = await this._embedPrompt(prompt, embed);
+      let best = null;
+      for (const [candidate, stored] of Object.entries(entries)) {
+        const { embedding: other, expires_at } = JSON.parse(stored);
+        if (expires_at <= Date.now()) continue;
+        const similarity = cosineSimilarity(embedding, other);
+        if (
+          similarity >= this.queryCache.similarityThreshold &&
+          (!best || similarity > best.similarity)
+        ) {
+          best = { candidate, similarity };
+        }
+      }
+      if (!best) return null;
+
+      const match = await this.getEntry("query", ...scope, best.candidate);
+      if (!match) {
+        await this.client.hDel(indexKey, best.candidate);
+        return null;
+      }
+      logger.debug(
+        `Semantic cache hit: "${prompt}" ~ "${best.candidate}" (${best.similarity.toFixed(3)})`
+      );
+      return {
+        ...match,
+        hit_type: "semantic",
+        similarity: Math.round(best.similarity * 1000) / 1000,
+      };
+    } catch (error) {
+      this._logError("Semantic cache lookup error:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Caches the answer of a query (see getQuery). With the semantic cache on, the prompt's
+   * embedding is added to the index of its scope, which holds at most `maxEntries` prompts.
+   * @param {object} query The query, as given to getQuery.
+   * @param {object} value The answer.
+   * @param {function(string): Promise<number[]>} [embed] Embeds a prompt, for semantic lookups.
+   * @returns {Promise<boolean>} Whether the answer was cached.
+   */
+  async setQuery(query, value, embed = null) {
+    const { prompt, scope } = this._queryParts(query);
+    const stored = await this.setEntry("query", value, ...scope, prompt);
+    if (!stored || !this.queryCache.semantic || !embed) return stored;
+
+    try {
+      const indexKey = this.generateKey("query_index", ...scope);
+      const expiry = this.tiers.query.ttl + this.tiers.query.stale;
+      if (!(await this._makeIndexRoom(indexKey, prompt))) {
+        logger.debug(`Semantic cache index full for scope: ${scope.join(":")}`);
+        return stored;
+      }
+      const embedding = await this._embedPrompt(prompt, embed);
+      await this.client.hSet(
+        indexKey,
+        prompt,
+        JSON.stringify({
+          embedding: roundVector(embedding),
+          expires_at: Date.now() + expiry * 1000,
+        })
+      );
+      // The index lives as long as its newest answer.
+      await this.client.expire(indexKey, expiry);
+    } catch (error) {
+      this._logError("Semantic cache index error:", error);
+    }
+    return stored;
+  }
+
+  /**
+   * Answers a query again in the background and caches the answer (see revalidate), e.g. after
+   * getQuery returned a stale one.
+   * @param {object} query The query, as given to getQuery.
+   * @param {function(): Promise<object>} load Answers the query.
+   * @param {function(string): Promise<number[]>} [embed] Embeds a prompt, for semantic lookups.
+   */
+  refreshQuery(query, load, embed = null) {
+    const { prompt, scope } = this._queryParts(query);
+    this.revalidate(["query", ...scope, prompt], load, (value) =>
+      this.setQuery(query, value, embed)
+    );
+  }
+
+  /**
+   * @private
+   */
+  _queryParts(query) {
+    return {
+      prompt: normalizePrompt(query.prompt),
+      scope: queryScope(query, this.queryCache.geohashPrecision),
+    };
+  }
+
+  /**
+   * Whether a prompt fits in a semantic index, dropping expired prompts when it is full.
+   * @private
+   */
+  async _makeIndexRoom(indexKey, prompt) {
+    const size = await this.client.hLen(indexKey);
+    if (size < this.queryCache.maxEntries) return true;
+    if (await this.client.hExists(indexKey, prompt)) return true;
+
+    const entries = await this.client.hGetAll(indexKey);
+    const expired = Object.keys(entries).filter(
+      (candidate) => JSON.parse(entries[candidate]).expires_at <= Date.now()
+    );
+    if (expired.length > 0) {
+      await this.client.hDel(indexKey, expired);
+    }
+    return size - expired.length < this.queryCache.maxEntries;
+  }
+
+  /**
+   * Embeds a normalized prompt, remembering the last few embeddings.
+   * @private
+   */
+  async _embedPrompt(prompt, embed) {
+    if (this.promptEmbeddings.has(prompt)) {
+      return this.promptEmbeddings.get(prompt);
+    }
+    const embedding = await embed(prompt);
+    this.promptEmbeddings.set(prompt, embedding);
+    if (this.promptEmbeddings.size > EMBEDDING_MEMO_SIZE) {
+      this.promptEmbeddings.delete(this.promptEmbeddings.keys().next().value);
+    }
+    return embedding;
+  }
+
+  /**
+   * Reports the cache: the backend, hits, misses and keys per cache namespace, and memory use
+   * (of Redis, or of the in-process LRU while it serves alone).
+   * @returns {Promise<{backend: string, connected: boolean, redis: object | null, keys?: number, memory?: object, namespaces: Array<object>}>}
+   *   `redis` is null for the memory backend.
+   */
+  async getStats() {
+    const status = {
+      backend: this.backend,
+      connected: this.client.isReady,
+      redis: this.client.redisStatus,
+    };
+    if (!this.client.isReady) {
+      return { ...status, namespaces: [] };
+    }
+    const [counts, memory, keys] = await Promise.all([
+      this.client.hGetAll(STATS_KEY),
+      this.client.memoryUsage(),
+      this.client.dbSize(),
+    ]);
+
+    const namespaces = [];
+    for (const namespace of CACHE_NAMESPACES) {
+      const hits = Number(counts[`${namespace}:hits`]) || 0;
+      const misses = Number(counts[`${namespace}:misses`]) || 0;
+      namespaces.push({
+        namespace,
+        keys: await this._countKeys(namespace),
+        hits,
+        misses,
+        hit_rate:
+          hits + misses > 0
+            ? Math.round((hits / (hits + misses)) * 1000) / 1000
+            : null,
+      });
+    }
+    return { ...status, keys, memory, namespaces };
+  }
+
+  /**
+   * Shows the cached answer of a query without counting a lookup (see getQuery; no semantic
+   * matching).
+   * @param {object} query The query, as given to getQuery.
+   * @returns {Promise<{key: string, found: boolean, stale?: boolean, ttl?: number, entry?: object}>}
+   *   `ttl` is the number of seconds until the answer is dropped.
+   */
+  async inspectQuery(query) {
+    const { prompt, scope } = this._queryParts(query);
+    const key = this.generateKey("query", ...scope, prompt);
+    if (!this.client.isReady) {
+      return { key, found: false };
+    }
+    const raw = await this.client.get(key);
+    if (!raw) {
+      return { key, found: false };
+    }
+    const { value, fresh_until } = JSON.parse(raw);
+    return {
+      key,
+      found: true,
+      stale: fresh_until <= Date.now(),
+      ttl: await this.client.ttl(key),
+      entry: value,
+    };
+  }
+
+  /**
+   * Deletes every key of a cache namespace. Purging "query" also clears the semantic index.
+   * @param {string} namespace One of the cache namespaces.
+   * @returns {Promise<number>} The number of keys deleted.
+   */
+  async purgeNamespace(namespace) {
+    if (!this.client.isReady) return 0;
+    const keys = await this._scanKeys(namespace);
+    if (namespace === "query") {
+      keys.push(...(await this._scanKeys("query_index")));
+    }
+    return this._deleteKeys(keys);
+  }
+
+  /**
+   * Deletes the cached details of a place, in every language, and every cached search, answer
+   * and narrative that lists it, as found in the place's index (see _indexPlaces). An indexed
+   * key since stored again without the place is deleted too.
+   * @param {string} placeId
+   * @returns {Promise<number>} The number of keys deleted.
+   */
+  async purgePlace(placeId) {
+    if (!this.client.isReady) return 0;
+    const indexKey = this.generateKey("place_index", placeId);
+    const keys = [
+      ...MAPS_LANGUAGES.map((language) =>
+        this.generateKey("place", placeId, language)
+      ),
+      ...Object.keys(await this.client.hGetAll(indexKey)),
+    ];
+    const deleted = await this._deleteKeys(keys);
+    await this.client.unlink(indexKey);
+    return deleted;
+  }
+
+  /**
+   * Lists the keys of a namespace.
+   * @private
+   */
+  async _scanKeys(namespace) {
+    const keys = [];
+    for await (const batch of this.client.scanIterator({
+      MATCH: `${KEY_PREFIX}:${namespace}:*`,
+      COUNT: SCAN_BATCH,
+    })) {
+      keys.push(...batch);
+    }
+    return keys;
+  }
+
+  /**
+   * Counts the keys of a namespace, a batch at a time.
+   * @private
+   */
+  async _countKeys(namespace) {
+    let count = 0;
+    for await (const batch of this.client.scanIterator({
+      MATCH: `${KEY_PREFIX}:${namespace}:*`,
+      COUNT: SCAN_BATCH,
+    })) {
+      count += batch.length;
+    }
+    return count;
+  }
+
+  /**
+   * @private
+   */
+  async _deleteKeys(keys) {
+    let deleted = 0;
+    for (let i = 0; i < keys.length; i += SCAN_BATCH) {
+      deleted += await this.client.unlink(keys.slice(i, i + SCAN_BATCH));
+    }
+    return deleted;
+  }
+
+  /**
+   * Checks that the cache answers (see healthService). The tiered backend is degraded while
+   * Redis is unavailable, as it serves from memory alone; the redis backend is down.
+   * @returns {Promise<{status: "ok" | "degraded" | "down", backend: string, redis: object | null, error?: string}>}
+   */
+  async checkHealth() {
+    const report = { backend: this.backend };
+    try {
+      await this.client.ping();
+      return { status: "ok", ...report, redis: this.client.redisStatus };
+    } catch (error) {
+      return {
+        status: this.backend === "tiered" ? "degraded" : "down",
+        ...report,
+        redis: this.client.redisStatus,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Logs a failed cache command. An unavailable Redis is only logged when the outage starts
+   * (see services/cache/redisStore.js).
+   * @private
+   */
+  _logError(message, error) {
+    if (error.code === "CACHE_UNAVAILABLE") {
+      logger.debug(`${message} ${error.message}`);
+    } else {
+      logger.error(message, error);
+    }
+  }
+
+  async quit() {
+    try {
+      await this.client.quit();
+    } catch (error) {
+      logger.error("Error closing the cache:", error);
     }
   }
 }
@@ -0,0 +1,135 @@
+const config = require("../config/config");
+const cacheService = require("./cacheService");
+const logger = require("../utils/logger");
+
+/**
+ * Google Maps Platform list prices in USD per 1,000 billable events (Places API and Routes,
+ * legacy SKUs). Estimates only: volume tiers and the monthly credit are not taken into account.
+ */
+const SKU_PRICES = {
+  text_search: 32,
+  nearby_search: 32,
+  // Details are billed as a base SKU plus one SKU per data group in the field mask.
+  place_details: 17,
+  details_contact_data: 3,
+  details_atmosphere_data: 5,
+  // Counted when the photo proxy fetches a photo (cached photos are free).
+  place_photo: 7,
+  distance_matrix_element: 5,
+  directions: 5,
+  // More than 10 waypoints or waypoint optimization.
+  directions_advanced: 10,
+};
+
+/**
+ * Daily counters are kept this long, so recent days can still be reported.
+ */
+const RETENTION_SECONDS = 35 * 86400;
+
+/**
+ * How long the budget mode is reused before the spend is read again.
+ */
+const MODE_CACHE_MS = 10000;
+
+/**
+ * @class CostService
+ * @description Records billable Google Maps calls per SKU in daily Redis counters (UTC days) and
+ * turns the estimated spend into a budget mode for mapsService:
+ * "full", "reduced" (past `MAPS_BUDGET_REDUCED_AT` of the budget: cheaper calls) or
+ * "cache_only" (budget spent: no calls).
+ */
+class CostService {
+  constructor() {
+    this._mode = null;
+  }
+
+  /**
+   * Whether calls are being recorded (`MAPS_COST_TRACKING`).
+   * @returns {boolean}
+   */
+  isTracking() {
+    return config.mapsBudget.tracking;
+  }
+
+  /**
+   * Records billable events. Does not wait for Redis.
+   * @param {string} sku A key of SKU_PRICES.
+   * @param {number} [units=1] The number of billable events (e.g. Distance Matrix elements).
+   */
+  record(sku, units = 1) {
+    if (!this.isTracking() || units <= 0) return;
+    if (!(sku in SKU_PRICES)) {
+      logger.warn(`Unknown Maps SKU '${sku}' is not priced`);
+    }
+    cacheService
+      .incrementBy(units, RETENTION_SECONDS, "maps_cost", this._day(), sku)
+      .catch((error) => logger.error("Failed to record Maps usage:", error));
+  }
+
+  /**
+   * The budget mode for today's spend. Always "full" without tracking or a budget.
+   * @returns {Promise<"full" | "reduced" | "cache_only">}
+   */
+  async getMode() {
+    const { dailyUsd, reducedAt } = config.mapsBudget;
+    if (!this.isTracking() || dailyUsd <= 0) return "full";
+    if (this._mode && Date.now() - this._mode.at < MODE_CACHE_MS) {
+      return this._mode.value;
+    }
+
+    const { spend_usd } = await this.getReport();
+    let value = "full";
+    if (spend_usd >= dailyUsd) {
+      value = "cache_only";
+    } else if (spend_usd >= dailyUsd * reducedAt) {
+      value = "reduced";
+    }
+    if (value !== this._mode?.value && value !== "full") {
+      logger.warn(
+        `Maps spend $${spend_usd.toFixed(2)} of $${dailyUsd} today: switching to '${value}'`
+      );
+    }
+    this._mode = { value, at: Date.now() };
+    return value;
+  }
+
+  /**
+   * Reports the calls and estimated spend of one day.
+   * @param {string} [date] "YYYY-MM-DD" (UTC). Defaults to today.
+   * @returns {Promise<object>} `{date, tracking, budget_usd, spend_usd, skus: [{sku, calls, unit_price_usd, cost_usd}]}`.
+   */
+  async getReport(date = this._day()) {
+    const skus = await Promise.all(
+      Object.entries(SKU_PRICES).map(async ([sku, pricePer1000]) => {
+        const calls = this.isTracking()
+          ? Number(await cacheService.get("maps_cost", date, sku)) || 0
+          : 0;
+        return {
+          sku,
+          calls,
+          unit_price_usd: pricePer1000 / 1000,
+          cost_usd: this._round((calls * pricePer1000) / 1000),
+        };
+      })
+    );
+    return {
+      date,
+      tracking: this.isTracking(),
+      budget_usd: config.mapsBudget.dailyUsd || null,
+      spend_usd: this._round(
+        skus.reduce((sum, { cost_usd }) => sum + cost_usd, 0)
+      ),
+      skus,
+    };
+  }
+
+  _day(now = new Date()) {
+    return now.toISOString().slice(0, 10);
+  }
+
+  _round(usd) {
+    return Math.round(usd * 10000) / 10000;
+  }
+}
+
+module.exports = new CostService();
@@ -0,0 +1,210 @@
+const config = require("../config/config");
+const llmService = require("./llmService");
+const mapsService = require("./mapsService");
+const cacheService = require("./cacheService");
+const logger = require("../utils/logger");
+
+/**
+ * Statuses from best to worst; a report is as bad as its worst check.
+ */
+const STATUSES = ["ok", "degraded", "down"];
+
+/**
+ * What to do about a failing check, for the report and the startup log.
+ */
+const HINTS = {
+  llmUnreachable: (provider) =>
+    `Start the ${provider} server or point LLM_ENDPOINT at it.`,
+  modelMissing: (provider, model) =>
+    provider === "ollama"
+      ? `Pull the model with "ollama pull ${model}" or set LLM_MODEL.`
+      : `Load the model "${model}" on the server or set LLM_MODEL.`,
+  embeddingModelMissing: (provider, model) =>
+    provider === "ollama"
+      ? `Pull the model with "ollama pull ${model}" or set LLM_EMBEDDING_MODEL; similar prompts are not matched until then.`
+      : `Serve the model "${model}" or set LLM_EMBEDDING_MODEL; similar prompts are not matched until then.`,
+  maps: {
+    google:
+      "Check GOOGLE_MAPS_API_KEY and that the Places API is enabled for it, or use MAPS_PROVIDER=osm.",
+    osm: "Check OSM_NOMINATIM_URL, or try again later if the public instance is busy.",
+  },
+  cache: "Start Redis or check REDIS_HOST, REDIS_PORT and REDIS_PASSWORD.",
+};
+
+/**
+ * @class HealthService
+ * @description Checks the dependencies a query needs: the LLM server and its models, the
+ * cache (Redis) and the maps provider. Each check reports a status ("ok", "degraded" or
+ * "down"), its latency and, when it fails, a hint. The LLM and maps are needed to answer, so
+ * they are down when they fail; the semantic cache's embedding model and the tiered cache's
+ * Redis only degrade answers.
+ */
+class HealthService {
+  constructor() {
+    this.timeoutMs = config.health.timeoutMs;
+    this.cacheTtl = config.health.cacheTtl;
+    this.lastReport = null;
+    this.pending = null;
+  }
+
+  /**
+   * Checks every dependency. A report younger than `HEALTH_CACHE_TTL` seconds is reused, and
+   * concurrent callers share one check.
+   * @param {object} [options]
+   * @param {boolean} [options.fresh=false] Ignore the last report.
+   * @returns {Promise<{status: string, timestamp: number, duration_ms: number, checks: object}>}
+   */
+  async check({ fresh = false } = {}) {
+    if (
+      !fresh &&
+      this.lastReport &&
+      Date.now() - this.lastReport.timestamp < this.cacheTtl * 1000
+    ) {
+      return this.lastReport;
+    }
+    if (!this.pending) {
+      this.pending = this._run().finally(() => {
+        this.pending = null;
+      });
+    }
+    this.lastReport = await this.pending;
+    return this.lastReport;
+  }
+
+  /**
+   * Checks every dependency at startup and logs what needs fixing.
+   * @returns {Promise<void>}
+   */
+  async selfCheck() {
+    const report = await this.check({ fresh: true });
+    const problems = Object.entries(report.checks).filter(
+      ([, check]) => check.status !== "ok"
+    );
+    if (problems.length === 0) {
+      logger.info(
+        `Self-check passed: ${Object.entries(report.checks)
+          .map(([name, check]) => `${name} ${check.latency_ms}ms`)
+          .join(", ")}`
+      );
+      return;
+    }
+    for (const [name, check] of problems) {
+      logger.log(
+        check.status === "down" ? "error" : "warn",
+        `Self-check: ${name} is ${check.status}${check.error ? ` (${check.error})` : ""}. ${check.hint || ""}`.trim()
+      );
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _run() {
+    const started = Date.now();
+    const [llm, cache, maps] = await Promise.all([
+      this._timed(
+        () => this._checkLlm(),
+        HINTS.llmUnreachable(llmService.provider)
+      ),
+      this._timed(() => cacheService.checkHealth(), HINTS.cache),
+      this._timed(
+        () => this._checkMaps(),
+        HINTS.maps[mapsService.provider.name]
+      ),
+    ]);
+    const checks = { llm, cache, maps };
+    return {
+      status:
+        STATUSES[
+          Math.max(
+            ...Object.values(checks).map((check) =>
+              STATUSES.indexOf(check.status)
+            )
+          )
+        ],
+      timestamp: Date.now(),
+      duration_ms: Date.now() - started,
+      checks,
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _checkLlm() {
+    const { provider, model, embeddingModel } = llmService;
+    const report = {
+      provider,
+      ...(await llmService.checkHealth({ timeout: this.timeoutMs })),
+    };
+    // The served models are only needed here, not in the report.
+    delete report.models;
+    if (report.model_available === false) {
+      return {
+        status: "down",
+        ...report,
+        error: `Model "${model}" is not available`,
+        hint: HINTS.modelMissing(provider, model),
+      };
+    }
+    if (
+      config.queryCache.semantic &&
+      report.embedding_model_available === false
+    ) {
+      return {
+        status: "degraded",
+        ...report,
+        error: `Embedding model "${embeddingModel}" is not available`,
+        hint: HINTS.embeddingModelMissing(provider, embeddingModel),
+      };
+    }
+    return { status: "ok", ...report };
+  }
+
+  /**
+   * @private
+   */
+  async _checkMaps() {
+    return {
+      status: "ok",
+      ...(await mapsService.checkHealth({ timeout: this.timeoutMs })),
+    };
+  }
+
+  /**
+   * Runs a check within `timeoutMs`, adding its latency. A check that throws or times out is
+   * down, with the given hint.
+   * @private
+   */
+  async _timed(check, hint) {
+    const started = Date.now();
+    let timer;
+    try {
+      const result = await Promise.race([
+        check(),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(
+            () => reject(new Error(`No answer within ${this.timeoutMs}ms`)),
+            this.timeoutMs
+          );
+        }),
+      ]);
+      return {
+        ...result,
+        latency_ms: Date.now() - started,
+        ...(result.status !== "ok" && { hint: result.hint || hint }),
+      };
+    } catch (error) {
+      return {
+        status: "down",
+        error: error.message,
+        latency_ms: Date.now() - started,
+        hint,
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = new HealthService();
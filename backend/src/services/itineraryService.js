@@ -0,0 +1,495 @@
+const config = require("../config/config");
+const logger = require("../utils/logger");
+const llmService = require("./llmService");
+const mapsService = require("./mapsService");
+const promptService = require("./promptService");
+const { DEFAULT_LANGUAGE, getLocale } = require("../locales");
+const { haversineMeters, estimateTravel } = require("../utils/geo");
+const {
+  MINUTES_PER_DAY,
+  parseTime,
+  formatTime,
+  earliestVisit,
+} = require("../utils/openingHours");
+
+/**
+ * How long a visit lasts when the user did not say, by place type (minutes).
+ */
+const DEFAULT_STAY_MINUTES = {
+  cafe: 45,
+  bakery: 30,
+  restaurant: 60,
+  museum: 90,
+  park: 60,
+  mall: 90,
+  tourist_attraction: 60,
+};
+const FALLBACK_STAY_MINUTES = 60;
+
+/**
+ * The longest we are willing to wait for a place to open before picking another one.
+ */
+const MAX_WAIT_MINUTES = 180;
+
+/**
+ * @class ItineraryService
+ * @description Plans multi-stop outings ("breakfast, a museum, then coffee"): the LLM splits the
+ * request into stops, each stop is searched with the maps provider, and the places are chosen
+ * so that the whole trip finishes earliest while every place is open when the user gets there.
+ */
+class ItineraryService {
+  /**
+   * Plans an itinerary.
+   * @param {string} prompt The user's request.
+   * @param {{lat: number, lng: number} | null} userLocation Where the trip starts. Without it the
+   *   trip starts at the first stop.
+   * @param {object} [options]
+   * @param {"walking" | "driving"} [options.mode="walking"] The travel mode.
+   * @param {string} [options.startTime] "HH:MM" in `config.itinerary.timeZone`. Defaults to now.
+   * @param {string} [options.date] "YYYY-MM-DD", used for opening hours. Defaults to today.
+   * @param {boolean} [options.optimizeOrder=false] Let the routing service reorder the stops
+   *   between the first and the last (ignored when a stop has a fixed time).
+   * @param {number} [options.candidatesPerStop=3] How many places are considered per stop.
+   * @param {string} [options.language] The response language (see locales/index.js).
+   * @returns {Promise<object>} The plan: ordered stops with times, legs, totals, a route URL,
+   *   the narrative, warnings and the prompt templates used (`prompt_versions`).
+   */
+  async planItinerary(
+    prompt,
+    userLocation = null,
+    {
+      mode = "walking",
+      startTime = null,
+      date = null,
+      optimizeOrder = false,
+      candidatesPerStop = 3,
+      language = DEFAULT_LANGUAGE,
+    } = {}
+  ) {
+    const origin = userLocation
+      ? mapsService.provider.parseLocation(userLocation)
+      : null;
+    const start = this._resolveStart(date, startTime);
+    const locale = getLocale(language);
+    const templateLanguage = locale.templateLanguage || locale.code;
+    const warnings = [];
+    const promptVersions = [
+      promptService.get("itinerary_decomposition_system").id,
+    ];
+
+    const itinerary = await llmService.decomposeItinerary(prompt);
+    logger.info(
+      `Itinerary stops: ${itinerary.stops.map((s) => s.label).join(" -> ")}`
+    );
+
+    // Step 1: Candidate places per stop, with their opening hours.
+    const searched = await Promise.all(
+      itinerary.stops.map((stop) =>
+        this._findCandidates(
+          stop,
+          itinerary.location,
+          origin,
+          candidatesPerStop,
+          locale.mapsLanguage
+        )
+      )
+    );
+    const stops = [];
+    itinerary.stops.forEach((stop, i) => {
+      if (searched[i].length > 0) {
+        stops.push({ ...stop, candidates: searched[i] });
+      } else {
+        warnings.push(locale.messages.noPlacesForStop(stop.label));
+      }
+    });
+
+    if (stops.length === 0) {
+      const noResultsPrompt = promptService.render(
+        "itinerary_no_results",
+        templateLanguage,
+        { user_prompt: prompt, language: locale.name }
+      );
+      const noResultsSystem = promptService.render(
+        "no_results_system",
+        templateLanguage,
+        { language: locale.name }
+      );
+      const llm_text = await llmService.generateResponse(
+        noResultsPrompt.text,
+        noResultsSystem.text
+      );
+      return this._plan({
+        mode,
+        start,
+        stops: [],
+        legs: [],
+        llm_text,
+        warnings,
+        promptVersions: [
+          ...promptVersions,
+          noResultsPrompt.id,
+          noResultsSystem.id,
+        ],
+      });
+    }
+
+    // Step 2: Pick one place per stop so the trip finishes earliest.
+    let chosen = this._selectPlaces(
+      stops,
+      start.minute,
+      origin,
+      mode,
+      warnings,
+      locale
+    );
+
+    // Step 3: Route through the chosen places.
+    const points = [
+      ...(origin ? [origin] : []),
+      ...chosen.map((stop) => stop.place),
+    ];
+    let legs = [];
+    if (points.length > 1) {
+      const optimize =
+        optimizeOrder && stops.every((stop) => !stop.time) && chosen.length > 2;
+      const route = await mapsService.getRoute(points, {
+        mode,
+        optimize,
+        language: locale.mapsLanguage,
+      });
+      const offset = origin ? 1 : 0;
+      chosen = route.order.slice(offset).map((index) => chosen[index - offset]);
+      legs = route.legs;
+    }
+
+    // Step 4: Timeline with opening hours.
+    const scheduled = this._schedule(
+      chosen,
+      legs,
+      start.minute,
+      Boolean(origin),
+      warnings,
+      locale
+    );
+    const routePoints = [
+      ...(origin ? [origin] : []),
+      ...scheduled.map(({ place }) => ({
+        lat: place.lat,
+        lng: place.lng,
+        place_id: place.place_id,
+      })),
+    ];
+
+    // Step 5: Narrative.
+    const narrative = promptService.render("itinerary", templateLanguage, {
+      user_prompt: prompt,
+      mode: locale.prompts.travelMode(mode),
+      language: locale.name,
+      plan: this._planSummary(scheduled, legs, Boolean(origin)),
+    });
+    const system = promptService.render("narrative_system", templateLanguage, {
+      language: locale.name,
+    });
+    const llm_text = await llmService.generateResponse(
+      narrative.text,
+      system.text
+    );
+
+    return this._plan({
+      mode,
+      start,
+      stops: scheduled,
+      legs,
+      llm_text,
+      warnings,
+      route_url:
+        routePoints.length > 1
+          ? mapsService.generateRouteUrl(routePoints, mode)
+          : null,
+      hasOrigin: Boolean(origin),
+      promptVersions: [...promptVersions, narrative.id, system.id],
+    });
+  }
+
+  /**
+   * Searches one stop and loads the opening hours of each candidate, in `language` (see
+   * locales/index.js, `mapsLanguage`).
+   * @private
+   */
+  async _findCandidates(stop, location, origin, candidatesPerStop, language) {
+    const query = [stop.query, location].filter(Boolean).join(" ");
+    const { places } = await mapsService.searchPlaces(
+      query,
+      origin ? `${origin.lat},${origin.lng}` : null,
+      null,
+      null,
+      { maxResults: candidatesPerStop, origin, language }
+    );
+
+    return Promise.all(
+      places
+        .filter(
+          (place) => Number.isFinite(place.lat) && Number.isFinite(place.lng)
+        )
+        .map(async (place) => {
+          const details = await mapsService.getPlaceDetails(place.place_id, {
+            language,
+          });
+          return {
+            place: details?.opening_hours?.length
+              ? { ...place, opening_hours: details.opening_hours }
+              : place,
+            periods: details?.opening_periods || null,
+          };
+        })
+    );
+  }
+
+  /**
+   * Chooses one candidate per stop. A dynamic program over the stops keeps, for every
+   * candidate, the earliest time the user can leave it (travel estimated from the straight-line
+   * distance, waits for opening included). A candidate closed on arrival is skipped; when every
+   * candidate of a stop is, the stop falls back to ignoring opening hours.
+   * @private
+   */
+  _selectPlaces(stops, startMinute, origin, mode, warnings, locale) {
+    let layer = [{ point: origin, departure: startMinute, prev: null }];
+
+    stops.forEach((stop) => {
+      const reach = (respectHours) =>
+        stop.candidates
+          .map((candidate) => {
+            let best = null;
+            layer.forEach((node) => {
+              if (node.candidate?.place.place_id === candidate.place.place_id) {
+                return;
+              }
+              const arrival = this._fixedArrival(
+                stop,
+                node.departure +
+                  this._travelMinutes(node.point, candidate.place, mode),
+                startMinute
+              );
+              const visit = respectHours
+                ? earliestVisit(candidate.periods, arrival, MAX_WAIT_MINUTES)
+                : { start: arrival };
+              if (!visit) return;
+              const departure = visit.start + this._stayMinutes(stop);
+              if (!best || departure < best.departure) {
+                best = {
+                  point: candidate.place,
+                  departure,
+                  prev: node,
+                  candidate,
+                };
+              }
+            });
+            return best;
+          })
+          .filter(Boolean);
+
+      let next = reach(true);
+      if (next.length === 0) {
+        warnings.push(locale.messages.noneOpenForStop(stop.label));
+        next = reach(false);
+      }
+      // Only one candidate, already used by the previous stop: allow the repeat.
+      layer =
+        next.length > 0
+          ? next
+          : layer.map((node) => ({
+              point: stop.candidates[0].place,
+              departure: node.departure + this._stayMinutes(stop),
+              prev: node,
+              candidate: stop.candidates[0],
+            }));
+    });
+
+    const chosen = [];
+    let node = layer.reduce((a, b) => (b.departure < a.departure ? b : a));
+    stops
+      .slice()
+      .reverse()
+      .forEach((stop) => {
+        chosen.unshift({
+          ...stop,
+          place: node.candidate.place,
+          periods: node.candidate.periods,
+        });
+        node = node.prev;
+      });
+    return chosen;
+  }
+
+  /**
+   * Lays the chosen stops out in time along the route legs.
+   * @private
+   */
+  _schedule(chosen, legs, startMinute, hasOrigin, warnings, locale) {
+    let clock = startMinute;
+    return chosen.map((stop, i) => {
+      const leg = hasOrigin ? legs[i] : legs[i - 1];
+      const arrival = this._fixedArrival(
+        stop,
+        clock + (leg ? leg.duration_s / 60 : 0),
+        startMinute
+      );
+      const visit = earliestVisit(stop.periods, arrival, MAX_WAIT_MINUTES);
+      if (!visit) {
+        warnings.push(
+          locale.messages.mayBeClosed(stop.place.name, formatTime(arrival))
+        );
+      }
+      const visitStart = visit ? visit.start : arrival;
+      const stay = this._stayMinutes(stop);
+      clock = visitStart + stay;
+
+      return {
+        order: i + 1,
+        label: stop.label,
+        query: stop.query,
+        place: stop.place,
+        arrival_time: formatTime(visitStart),
+        departure_time: formatTime(clock),
+        wait_minutes: Math.round(visitStart - arrival),
+        stay_minutes: stay,
+        // null when the place has no opening hours to check against.
+        open_at_arrival: visit ? (visit.known ? true : null) : false,
+        alternatives: stop.candidates
+          .filter(({ place }) => place.place_id !== stop.place.place_id)
+          .map(({ place }) => ({
+            place_id: place.place_id,
+            name: place.name,
+            rating: place.rating,
+            maps_url: place.maps_url,
+          })),
+      };
+    });
+  }
+
+  /**
+   * Assembles the response.
+   * @private
+   */
+  _plan({
+    mode,
+    start,
+    stops,
+    legs,
+    llm_text,
+    warnings,
+    route_url = null,
+    hasOrigin = false,
+    promptVersions,
+  }) {
+    const name = (i) =>
+      i < 0 ? "start" : stops[i] ? stops[i].place.name : null;
+    const offset = hasOrigin ? 1 : 0;
+    return {
+      mode,
+      date: start.date,
+      start_time: start.time,
+      end_time:
+        stops.length > 0 ? stops[stops.length - 1].departure_time : null,
+      stops,
+      legs: legs.map((leg, i) => ({
+        from: name(i - offset),
+        to: name(i - offset + 1),
+        ...leg,
+      })),
+      total_distance_m: legs.reduce((sum, leg) => sum + leg.distance_m, 0),
+      total_duration_s: legs.reduce((sum, leg) => sum + leg.duration_s, 0),
+      route_url,
+      llm_text,
+      warnings,
+      prompt_versions: promptVersions,
+    };
+  }
+
+  /**
+   * Serializes the schedule for the narrative prompt (the `plan` of the itinerary template).
+   * @private
+   */
+  _planSummary(stops, legs, hasOrigin) {
+    const offset = hasOrigin ? 0 : 1;
+    const plan = stops.map((stop, i) => ({
+      order: stop.order,
+      activity: stop.label,
+      place: stop.place.name,
+      address: stop.place.address,
+      rating: stop.place.rating,
+      arrival: stop.arrival_time,
+      departure: stop.departure_time,
+      travel_minutes: legs[i - offset]
+        ? Math.round(legs[i - offset].duration_s / 60)
+        : 0,
+    }));
+    return JSON.stringify(plan, null, 2);
+  }
+
+  /**
+   * Travel time between two points, estimated from the straight-line distance (minutes).
+   * @private
+   */
+  _travelMinutes(from, to, mode) {
+    if (!from) return 0;
+    return estimateTravel(haversineMeters(from, to), mode).duration_s / 60;
+  }
+
+  /**
+   * Delays the arrival to the stop's fixed time, if it has one.
+   * @private
+   */
+  _fixedArrival(stop, arrival, startMinute) {
+    if (!stop.time) return arrival;
+    const dayStart =
+      Math.floor(startMinute / MINUTES_PER_DAY) * MINUTES_PER_DAY;
+    return Math.max(arrival, dayStart + parseTime(stop.time));
+  }
+
+  /**
+   * @private
+   */
+  _stayMinutes(stop) {
+    return (
+      stop.duration_minutes ||
+      DEFAULT_STAY_MINUTES[stop.place_type] ||
+      FALLBACK_STAY_MINUTES
+    );
+  }
+
+  /**
+   * Resolves the start of the trip in the configured time zone.
+   * @private
+   * @returns {{date: string, time: string, minute: number}} `minute` counts from Sunday 00:00.
+   */
+  _resolveStart(date, startTime) {
+    let today = date;
+    let time = startTime;
+    if (!today || !time) {
+      const parts = Object.fromEntries(
+        new Intl.DateTimeFormat("en-CA", {
+          timeZone: config.itinerary.timeZone,
+          year: "numeric",
+          month: "2-digit",
+          day: "2-digit",
+          hour: "2-digit",
+          minute: "2-digit",
+          hourCycle: "h23",
+        })
+          .formatToParts(new Date())
+          .map(({ type, value }) => [type, value])
+      );
+      today = today || `${parts.year}-${parts.month}-${parts.day}`;
+      time = time || `${parts.hour}:${parts.minute}`;
+    }
+    const weekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+    return {
+      date: today,
+      time,
+      minute: weekday * MINUTES_PER_DAY + parseTime(time),
+    };
+  }
+}
+
+module.exports = new ItineraryService();
@@ -0,0 +1,95 @@
+const crypto = require("crypto");
+const config = require("../config/config");
+const FixtureStore = require("../utils/fixtureStore");
+
+/**
+ * @class LLMFixtures
+ * @description Canned LLM outputs for tests and offline demos.
+ * Replay looks for an exact recording first (`llm/<hash>.json`, written in record mode) and then
+ * for the first matching rule in `llm/rules.json`:
+ *   [{ "match": "<regex on the prompt>", "system": "<optional regex on the system prompt>",
+ *      "response": "<text>" | {json} }]
+ * Embeddings are only replayed from recordings (`llm/embedding-<hash>.json`).
+ */
+class LLMFixtures {
+  constructor(dir = config.fixtures.dir) {
+    this.store = new FixtureStore(dir);
+  }
+
+  /**
+   * Returns the canned response for a prompt.
+   * @param {string} prompt The user prompt sent to the LLM.
+   * @param {string | null} systemPrompt The system prompt sent to the LLM.
+   * @returns {string} The recorded or rule-based response.
+   * @throws {Error} When no fixture matches, so callers exercise their failure paths.
+   */
+  replay(prompt, systemPrompt) {
+    const name = this._name(prompt, systemPrompt);
+    const recorded = this.store.read("llm", name);
+    if (recorded) {
+      return recorded.response;
+    }
+
+    const rules = this.store.read("llm", "rules") || [];
+    const rule = rules.find(
+      (r) =>
+        new RegExp(r.match, "i").test(prompt) &&
+        (!r.system || new RegExp(r.system, "i").test(systemPrompt || ""))
+    );
+    if (rule) {
+      return typeof rule.response === "string"
+        ? rule.response
+        : JSON.stringify(rule.response);
+    }
+
+    throw new Error(`No LLM fixture for prompt (recording name: ${name})`);
+  }
+
+  /**
+   * Saves a real LLM response so it can be replayed later.
+   */
+  record(prompt, systemPrompt, response) {
+    this.store.write("llm", this._name(prompt, systemPrompt), {
+      system: systemPrompt,
+      prompt,
+      response,
+    });
+  }
+
+  /**
+   * Returns the recorded embedding of a text (`llm/embedding-<hash>.json`). Embeddings have no
+   * rules: they only make sense as a real model computed them.
+   * @param {string} text The embedded text.
+   * @returns {number[]} The recorded embedding.
+   * @throws {Error} When the text was never recorded.
+   */
+  replayEmbedding(text) {
+    const name = this._embeddingName(text);
+    const recorded = this.store.read("llm", name);
+    if (recorded) {
+      return recorded.embedding;
+    }
+    throw new Error(`No embedding fixture for text (recording name: ${name})`);
+  }
+
+  /**
+   * Saves a real embedding so it can be replayed later.
+   */
+  recordEmbedding(text, embedding) {
+    this.store.write("llm", this._embeddingName(text), { text, embedding });
+  }
+
+  _embeddingName(text) {
+    return `embedding-${this._name(text, null)}`;
+  }
+
+  _name(prompt, systemPrompt) {
+    return crypto
+      .createHash("sha1")
+      .update(`${systemPrompt || ""}\n\n${prompt}`)
+      .digest("hex")
+      .slice(0, 16);
+  }
+}
+
+module.exports = LLMFixtures;
@@ -2,10 +2,133 @@ const axios = require("axios");
 const config = require("../config/config");
 const logger = require("../utils/logger");
 const mapsService = require("../services/mapsService"); // Import mapsService
+const cacheService = require("./cacheService");
+const { validateSchema } = require("../utils/jsonSchema");
+const { normalizeFilters } = require("../utils/placeFilters");
+const { sortPlaces } = require("../utils/placeRanking");
+const { formatDistance } = require("../utils/geo");
+const {
+  normalizePrompt,
+  filtersKey,
+  locationKey,
+} = require("../utils/queryCache");
+const {
+  numberPlaces,
+  parseCitations,
+  stripCitations,
+} = require("../utils/citations");
+const {
+  GROUNDING_MODES,
+  checkGrounding,
+  stripUnsupported,
+} = require("../utils/grounding");
+const LLMFixtures = require("./llmFixtures");
+const promptService = require("./promptService");
+const { DEFAULT_LANGUAGE, getLocale } = require("../locales");
+
+/**
+ * JSON schema for the entities returned by extractLocationEntities.
+ * It is also sent to the providers so they can constrain decoding to it.
+ */
+const ENTITY_SCHEMA = {
+  type: "object",
+  properties: {
+    place_names: { type: "array", items: { type: "string" } },
+    place_types: { type: "array", items: { type: "string" } },
+    locations: { type: "array", items: { type: "string" } },
+    filters: {
+      type: "object",
+      properties: {
+        open_now: { type: "boolean" },
+        min_price: { type: ["integer", "null"], minimum: 0, maximum: 4 },
+        max_price: { type: ["integer", "null"], minimum: 0, maximum: 4 },
+        min_rating: { type: ["number", "null"], minimum: 0, maximum: 5 },
+        min_reviews: { type: ["integer", "null"], minimum: 0 },
+      },
+      required: [
+        "open_now",
+        "min_price",
+        "max_price",
+        "min_rating",
+        "min_reviews",
+      ],
+      additionalProperties: false,
+    },
+  },
+  required: ["place_names", "place_types", "locations", "filters"],
+  additionalProperties: false,
+};
+
+/**
+ * JSON schema for interpretFollowUp: whether a message in a conversation refines the previous
+ * result set, and how.
+ */
+const FOLLOW_UP_SCHEMA = {
+  type: "object",
+  properties: {
+    follow_up: { type: "boolean" },
+    open_now: { type: "boolean" },
+    cheaper: { type: "boolean" },
+    sort_by: {
+      type: "string",
+      enum: ["relevance", "distance", "rating", "reviews", "price"],
+    },
+  },
+  required: ["follow_up", "open_now", "cheaper", "sort_by"],
+  additionalProperties: false,
+};
+
+/**
+ * JSON schema for the stops returned by decomposeItinerary.
+ */
+const ITINERARY_SCHEMA = {
+  type: "object",
+  properties: {
+    location: { type: ["string", "null"] },
+    stops: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          label: { type: "string" },
+          query: { type: "string" },
+          place_type: { type: ["string", "null"] },
+          time: { type: ["string", "null"] },
+          duration_minutes: { type: ["integer", "null"], minimum: 0 },
+        },
+        required: ["label", "query", "place_type", "time", "duration_minutes"],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ["location", "stops"],
+  additionalProperties: false,
+};
+
+/**
+ * The most stops an itinerary can have.
+ */
+const MAX_ITINERARY_STOPS = 6;
+
+/**
+ * How many earlier turns of a conversation are quoted in the prompts.
+ */
+const HISTORY_PROMPT_TURNS = 3;
+
+/**
+ * The narrative only needs the top results; sending all (up to 60) places would overflow
+ * the context window of small local models.
+ */
+const NARRATIVE_CONTEXT_LIMIT = 10;
+
+/**
+ * Embeddings are looked up before answering a query, so a slow server must not hold it up.
+ */
+const EMBEDDING_TIMEOUT_MS = 10000;
 
 /**
  * @class LLMService
- * @description A service to interact with local LLMs and integrate with Google Maps APIs.
+ * @description A service to interact with local LLMs and integrate with the configured maps provider.
  * This version enhances the LLM prompt for structured output and implements a RAG-like approach.
  */
 class LLMService {
@@ -14,18 +137,20 @@ class LLMService {
     this.provider = config.llm.provider;
     this.endpoint = config.llm.endpoint;
     this.model = config.llm.model;
+    this.embeddingModel = config.llm.embeddingModel;
+    this.apiKey = config.llm.apiKey;
     this.timeout = config.llm.timeout || 60000;
     this.defaultTemperature = config.llm.temperature ?? 0.7;
     this.defaultMaxTokens = config.llm.maxTokens ?? 500;
 
-    // Google Maps Configuration (Note: mapsService is now a dependency)
-    this.googleMapsApiKey = config.googleMaps.apiKey;
-    if (!this.googleMapsApiKey) {
-      logger.error(
-        "GOOGLE_MAPS_API_KEY not found. Please set it as an environment variable."
-      );
-      throw new Error("Missing Google Maps API Key.");
-    }
+    // Offline fixtures (see llmFixtures.js)
+    this.fixtureMode = config.fixtures.mode;
+    this.fixtures = this.fixtureMode === "off" ? null : new LLMFixtures();
+
+    // What to do with narrative claims the places do not support (see utils/grounding.js)
+    this.groundingMode = GROUNDING_MODES.includes(config.llm.grounding)
+      ? config.llm.grounding
+      : "flag";
   }
 
   /**
@@ -37,33 +162,211 @@ class LLMService {
    */
   async generateResponse(prompt, systemPrompt = null, opts = {}) {
     try {
-      const options = {
-        temperature:
-          typeof opts.temperature === "number"
-            ? opts.temperature
-            : this.defaultTemperature,
-        maxTokens:
-          typeof opts.maxTokens === "number"
-            ? opts.maxTokens
-            : this.defaultMaxTokens,
-        strictJson: !!opts.strictJson,
-        timeout: typeof opts.timeout === "number" ? opts.timeout : this.timeout,
-      };
+      const options = this._resolveOptions(opts);
 
-      switch (this.provider) {
-        case "ollama":
-          return await this.ollamaGenerate(prompt, systemPrompt, options);
-        case "llamacpp":
-          return await this.llamacppGenerate(prompt, systemPrompt, options);
-        default:
-          throw new Error(`Unknown LLM provider: ${this.provider}`);
+      if (this.fixtureMode === "replay") {
+        return this.fixtures.replay(prompt, systemPrompt);
       }
+
+      const text = await this._generateWithProvider(
+        prompt,
+        systemPrompt,
+        options
+      );
+      if (this.fixtureMode === "record") {
+        this.fixtures.record(prompt, systemPrompt, text);
+      }
+      return text;
     } catch (error) {
       logger.error("LLM generation failed:", error.message || error);
       throw error;
     }
   }
 
+  /**
+   * Dispatches a non-streaming generation to the configured provider.
+   * @private
+   */
+  async _generateWithProvider(prompt, systemPrompt, options) {
+    switch (this.provider) {
+      case "ollama":
+        return await this.ollamaGenerate(prompt, systemPrompt, options);
+      case "llamacpp":
+        return await this.llamacppGenerate(prompt, systemPrompt, options);
+      case "openai":
+        return await this.openaiGenerate(prompt, systemPrompt, options);
+      default:
+        throw new Error(`Unknown LLM provider: ${this.provider}`);
+    }
+  }
+
+  /**
+   * Generates a response from the configured LLM provider, emitting tokens as they arrive.
+   * @param {string} prompt The user's prompt.
+   * @param {string | null} systemPrompt The system prompt to guide the LLM.
+   * @param {function(string): void} onToken Called with each chunk of generated text.
+   * @param {object} opts Additional options for the LLM call (supports `signal` for cancellation).
+   * @returns {Promise<string>} The full text response once generation has finished.
+   */
+  async generateStream(prompt, systemPrompt = null, onToken, opts = {}) {
+    try {
+      const options = this._resolveOptions(opts);
+
+      if (this.fixtureMode === "replay") {
+        const text = this.fixtures.replay(prompt, systemPrompt);
+        text.split(/(?<=\s)/).forEach((chunk) => onToken(chunk));
+        return text;
+      }
+
+      const text = await this._streamWithProvider(
+        prompt,
+        systemPrompt,
+        onToken,
+        options
+      );
+      if (this.fixtureMode === "record") {
+        this.fixtures.record(prompt, systemPrompt, text);
+      }
+      return text;
+    } catch (error) {
+      logger.error("LLM streaming failed:", error.message || error);
+      throw error;
+    }
+  }
+
+  /**
+   * Dispatches a streaming generation to the configured provider.
+   * @private
+   */
+  async _streamWithProvider(prompt, systemPrompt, onToken, options) {
+    switch (this.provider) {
+      case "ollama":
+        return await this.ollamaStream(prompt, systemPrompt, onToken, options);
+      case "llamacpp":
+        return await this.llamacppStream(
+          prompt,
+          systemPrompt,
+          onToken,
+          options
+        );
+      case "openai":
+        return await this.openaiStream(prompt, systemPrompt, onToken, options);
+      default:
+        throw new Error(`Unknown LLM provider: ${this.provider}`);
+    }
+  }
+
+  /**
+   * Embeds a text with the embedding model of the configured provider (used by the semantic
+   * query cache). llama.cpp must be started with `--embedding`.
+   * @param {string} text The text to embed.
+   * @returns {Promise<number[]>} The embedding vector.
+   */
+  async embed(text) {
+    try {
+      if (this.fixtureMode === "replay") {
+        return this.fixtures.replayEmbedding(text);
+      }
+
+      const embedding = await this._embedWithProvider(text);
+      if (!Array.isArray(embedding) || embedding.length === 0) {
+        throw new Error(`Invalid embedding from ${this.provider}`);
+      }
+      if (this.fixtureMode === "record") {
+        this.fixtures.recordEmbedding(text, embedding);
+      }
+      return embedding;
+    } catch (error) {
+      logger.error("LLM embedding failed:", error.message || error);
+      throw error;
+    }
+  }
+
+  /**
+   * Dispatches an embedding request to the configured provider.
+   * @private
+   */
+  async _embedWithProvider(text) {
+    const options = { timeout: EMBEDDING_TIMEOUT_MS };
+    switch (this.provider) {
+      case "ollama": {
+        const response = await axios.post(
+          `${this.endpoint}/api/embeddings`,
+          { model: this.embeddingModel, prompt: text },
+          options
+        );
+        return response.data?.embedding;
+      }
+      case "llamacpp": {
+        const response = await axios.post(
+          `${this.endpoint}/embedding`,
+          { content: text },
+          options
+        );
+        // Newer servers answer with a list of embeddings, one per input.
+        const data = Array.isArray(response.data)
+          ? response.data[0]
+          : response.data;
+        const embedding = data?.embedding;
+        return Array.isArray(embedding?.[0]) ? embedding[0] : embedding;
+      }
+      case "openai": {
+        const response = await axios.post(
+          `${this.endpoint}/embeddings`,
+          { model: this.embeddingModel, input: text },
+          { ...options, headers: this._openaiHeaders() }
+        );
+        return response.data?.data?.[0]?.embedding;
+      }
+      default:
+        throw new Error(`Unknown LLM provider: ${this.provider}`);
+    }
+  }
+
+  /**
+   * Applies service defaults to per-call LLM options.
+   * @param {object} opts The options passed by the caller.
+   * @returns {object} The resolved options.
+   * @private
+   */
+  _resolveOptions(opts = {}) {
+    return {
+      temperature:
+        typeof opts.temperature === "number"
+          ? opts.temperature
+          : this.defaultTemperature,
+      maxTokens:
+        typeof opts.maxTokens === "number"
+          ? opts.maxTokens
+          : this.defaultMaxTokens,
+      strictJson: !!opts.strictJson,
+      schema: opts.strictJson ? opts.schema || null : null,
+      timeout: typeof opts.timeout === "number" ? opts.timeout : this.timeout,
+      signal: opts.signal,
+    };
+  }
+
+  /**
+   * Reads a streamed HTTP response body line by line.
+   * @param {import("stream").Readable} stream The response body stream.
+   * @param {function(string): void} onLine Called with each non-empty line.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _readLines(stream, onLine) {
+    let buffer = "";
+    for await (const chunk of stream) {
+      buffer += chunk.toString("utf8");
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf("\n")) !== -1) {
+        const line = buffer.slice(0, newlineIndex).trim();
+        buffer = buffer.slice(newlineIndex + 1);
+        if (line) onLine(line);
+      }
+    }
+    if (buffer.trim()) onLine(buffer.trim());
+  }
+
   /**
    * Sends a request to an Ollama server to generate a chat response.
    * @param {string} prompt The user's prompt.
@@ -72,6 +375,80 @@ class LLMService {
    * @returns {Promise<string>} The text response from Ollama.
    */
   async ollamaGenerate(prompt, systemPrompt, opts = {}) {
+    const body = this._buildOllamaBody(prompt, systemPrompt, opts, false);
+
+    try {
+      logger.info(
+        `Calling Ollama ${this.endpoint}/api/chat model=${this.model}`
+      );
+
+      const response = await axios.post(`${this.endpoint}/api/chat`, body, {
+        timeout: opts.timeout,
+        headers: { "Content-Type": "application/json" },
+        signal: opts.signal,
+      });
+
+      const rawText =
+        response.data?.message?.content || response.data?.response;
+      if (!rawText || typeof rawText !== "string") {
+        throw new Error("Invalid response shape from Ollama");
+      }
+      return rawText;
+    } catch (error) {
+      throw this._translateOllamaError(error);
+    }
+  }
+
+  /**
+   * Streams a chat response from an Ollama server (newline-delimited JSON).
+   * @param {string} prompt The user's prompt.
+   * @param {string | null} systemPrompt The system prompt.
+   * @param {function(string): void} onToken Called with each chunk of generated text.
+   * @param {object} opts Options for the Ollama API call.
+   * @returns {Promise<string>} The full text response from Ollama.
+   */
+  async ollamaStream(prompt, systemPrompt, onToken, opts = {}) {
+    const body = this._buildOllamaBody(prompt, systemPrompt, opts, true);
+
+    try {
+      logger.info(
+        `Streaming from Ollama ${this.endpoint}/api/chat model=${this.model}`
+      );
+
+      const response = await axios.post(`${this.endpoint}/api/chat`, body, {
+        timeout: opts.timeout,
+        headers: { "Content-Type": "application/json" },
+        responseType: "stream",
+        signal: opts.signal,
+      });
+
+      let fullText = "";
+      await this._readLines(response.data, (line) => {
+        const chunk = JSON.parse(line);
+        if (chunk.error) {
+          throw new Error(chunk.error);
+        }
+        const token = chunk.message?.content || chunk.response || "";
+        if (token) {
+          fullText += token;
+          onToken(token);
+        }
+      });
+
+      if (!fullText) {
+        throw new Error("Invalid response shape from Ollama");
+      }
+      return fullText;
+    } catch (error) {
+      throw this._translateOllamaError(error);
+    }
+  }
+
+  /**
+   * Builds the request body for Ollama's /api/chat endpoint.
+   * @private
+   */
+  _buildOllamaBody(prompt, systemPrompt, opts, stream) {
     const messages = [];
     if (systemPrompt) {
       messages.push({ role: "system", content: systemPrompt });
@@ -81,53 +458,202 @@ class LLMService {
     const body = {
       model: this.model,
       messages,
-      stream: false,
+      stream,
       options: {
         temperature: opts.temperature,
         num_predict: opts.maxTokens,
       },
     };
+    if (opts.strictJson) {
+      // Ollama constrains decoding to a JSON schema, or to any JSON with "json".
+      body.format = opts.schema || "json";
+    }
+    return body;
+  }
+
+  /**
+   * Converts an axios/Ollama failure into an actionable error message.
+   * @param {Error} error The original error.
+   * @returns {Error} The translated error.
+   * @private
+   */
+  _translateOllamaError(error) {
+    return this._translateHttpError(error, {
+      label: "Ollama",
+      notFound: `Model '${this.model}' not found. Run: 'ollama pull ${this.model}'`,
+      unreachable:
+        "Cannot connect to Ollama. Ensure 'ollama serve' is running.",
+    });
+  }
+
+  /**
+   * Converts an axios failure from an HTTP-based provider into an actionable error message.
+   * @param {Error} error The original error.
+   * @param {object} hints Provider-specific wording.
+   * @param {string} hints.label The provider name used in messages.
+   * @param {string} hints.notFound Message for a 404 (usually a missing model).
+   * @param {string} hints.unreachable Message for a refused connection.
+   * @returns {Error} The translated error.
+   * @private
+   */
+  _translateHttpError(error, { label, notFound, unreachable }) {
+    if (error.response) {
+      if (error.response.status === 404) {
+        return new Error(notFound);
+      }
+      const data =
+        typeof error.response.data?.pipe === "function"
+          ? "(streamed body)"
+          : JSON.stringify(error.response.data);
+      return new Error(
+        `${label} API error (${error.response.status}): ${data}`
+      );
+    } else if (error.code === "ECONNREFUSED") {
+      return new Error(unreachable);
+    } else if (error.code === "ETIMEDOUT") {
+      return new Error(
+        `${label} request timed out. The model may be loading or the server is busy.`
+      );
+    }
+    return new Error(
+      `Failed to generate LLM response from ${label}: ${error.message}`
+    );
+  }
+
+  /**
+   * Sends a request to an OpenAI-compatible server (vLLM, LM Studio, ...) to generate a chat completion.
+   * @param {string} prompt The user's prompt.
+   * @param {string | null} systemPrompt The system prompt.
+   * @param {object} opts Options for the chat completions call.
+   * @returns {Promise<string>} The text response from the server.
+   */
+  async openaiGenerate(prompt, systemPrompt, opts = {}) {
+    const body = this._buildOpenAIBody(prompt, systemPrompt, opts, false);
 
     try {
       logger.info(
-        `Calling Ollama ${this.endpoint}/api/chat model=${this.model}`
+        `Calling OpenAI-compatible ${this.endpoint}/chat/completions model=${this.model}`
       );
 
-      const response = await axios.post(`${this.endpoint}/api/chat`, body, {
-        timeout: opts.timeout,
-        headers: { "Content-Type": "application/json" },
-      });
+      const response = await axios.post(
+        `${this.endpoint}/chat/completions`,
+        body,
+        {
+          timeout: opts.timeout,
+          headers: this._openaiHeaders(),
+          signal: opts.signal,
+        }
+      );
 
-      const rawText =
-        response.data?.message?.content || response.data?.response;
+      const rawText = response.data?.choices?.[0]?.message?.content;
       if (!rawText || typeof rawText !== "string") {
-        throw new Error("Invalid response shape from Ollama");
+        throw new Error("Invalid response shape from OpenAI-compatible server");
       }
       return rawText;
     } catch (error) {
-      // Improved error handling
-      if (error.response) {
-        if (error.response.status === 404) {
-          throw new Error(
-            `Model '${this.model}' not found. Run: 'ollama pull ${this.model}'`
-          );
+      throw this._translateOpenAIError(error);
+    }
+  }
+
+  /**
+   * Streams a chat completion from an OpenAI-compatible server (server-sent events).
+   * @param {string} prompt The user's prompt.
+   * @param {string | null} systemPrompt The system prompt.
+   * @param {function(string): void} onToken Called with each chunk of generated text.
+   * @param {object} opts Options for the chat completions call.
+   * @returns {Promise<string>} The full text response from the server.
+   */
+  async openaiStream(prompt, systemPrompt, onToken, opts = {}) {
+    const body = this._buildOpenAIBody(prompt, systemPrompt, opts, true);
+
+    try {
+      logger.info(
+        `Streaming from OpenAI-compatible ${this.endpoint}/chat/completions model=${this.model}`
+      );
+
+      const response = await axios.post(
+        `${this.endpoint}/chat/completions`,
+        body,
+        {
+          timeout: opts.timeout,
+          headers: this._openaiHeaders(),
+          responseType: "stream",
+          signal: opts.signal,
         }
-        throw new Error(
-          `Ollama API error (${error.response.status}): ${JSON.stringify(error.response.data)}`
-        );
-      } else if (error.code === "ECONNREFUSED") {
-        throw new Error(
-          "Cannot connect to Ollama. Ensure 'ollama serve' is running."
-        );
-      } else if (error.code === "ETIMEDOUT") {
-        throw new Error(
-          "Ollama request timed out. The model may be loading or the server is busy."
-        );
-      }
-      throw new Error(
-        `Failed to generate LLM response from Ollama: ${error.message}`
       );
+
+      let fullText = "";
+      await this._readLines(response.data, (line) => {
+        if (!line.startsWith("data:")) return;
+        const payload = line.slice(5).trim();
+        if (payload === "[DONE]") return;
+        const token = JSON.parse(payload).choices?.[0]?.delta?.content;
+        if (token) {
+          fullText += token;
+          onToken(token);
+        }
+      });
+
+      if (!fullText) {
+        throw new Error("Invalid response shape from OpenAI-compatible server");
+      }
+      return fullText;
+    } catch (error) {
+      throw this._translateOpenAIError(error);
+    }
+  }
+
+  /**
+   * Builds the request body for the /chat/completions endpoint.
+   * @private
+   */
+  _buildOpenAIBody(prompt, systemPrompt, opts, stream) {
+    const messages = [];
+    if (systemPrompt) {
+      messages.push({ role: "system", content: systemPrompt });
+    }
+    messages.push({ role: "user", content: prompt });
+
+    const body = {
+      model: this.model,
+      messages,
+      temperature: opts.temperature,
+      max_tokens: opts.maxTokens,
+      stream,
+    };
+    if (opts.strictJson) {
+      body.response_format = opts.schema
+        ? {
+            type: "json_schema",
+            json_schema: { name: "response", schema: opts.schema },
+          }
+        : { type: "json_object" };
+    }
+    return body;
+  }
+
+  /**
+   * Builds request headers for an OpenAI-compatible server.
+   * @private
+   */
+  _openaiHeaders() {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
     }
+    return headers;
+  }
+
+  /**
+   * Converts an axios failure from an OpenAI-compatible server into an actionable error message.
+   * @private
+   */
+  _translateOpenAIError(error) {
+    return this._translateHttpError(error, {
+      label: "OpenAI-compatible server",
+      notFound: `Model '${this.model}' or endpoint '${this.endpoint}/chat/completions' not found. Check LLM_ENDPOINT (it should end with /v1) and LLM_MODEL.`,
+      unreachable: `Cannot connect to the OpenAI-compatible server at ${this.endpoint}. Ensure vLLM or LM Studio is running.`,
+    });
   }
 
   /**
@@ -138,17 +664,11 @@ class LLMService {
    * @returns {Promise<string>} The text response from llama.cpp.
    */
   async llamacppGenerate(prompt, systemPrompt, opts = {}) {
-    const fullPrompt = systemPrompt ? `${systemPrompt}\n\n${prompt}` : prompt;
     try {
       const response = await axios.post(
         `${this.endpoint}/completion`,
-        {
-          prompt: fullPrompt,
-          temperature: opts.temperature,
-          max_tokens: opts.maxTokens,
-          stop: ["\n\n", "User:", "Assistant:"],
-        },
-        { timeout: opts.timeout }
+        this._buildLlamacppBody(prompt, systemPrompt, opts, false),
+        { timeout: opts.timeout, signal: opts.signal }
       );
       const rawText = response.data?.content || response.data?.response;
       if (!rawText) {
@@ -162,85 +682,275 @@ class LLMService {
     }
   }
 
+  /**
+   * Streams a completion from a llama.cpp server (server-sent events).
+   * @param {string} prompt The user's prompt.
+   * @param {string | null} systemPrompt The system prompt.
+   * @param {function(string): void} onToken Called with each chunk of generated text.
+   * @param {object} opts Options for the llama.cpp API call.
+   * @returns {Promise<string>} The full text response from llama.cpp.
+   */
+  async llamacppStream(prompt, systemPrompt, onToken, opts = {}) {
+    try {
+      const response = await axios.post(
+        `${this.endpoint}/completion`,
+        this._buildLlamacppBody(prompt, systemPrompt, opts, true),
+        { timeout: opts.timeout, responseType: "stream", signal: opts.signal }
+      );
+
+      let fullText = "";
+      await this._readLines(response.data, (line) => {
+        if (!line.startsWith("data:")) return;
+        const chunk = JSON.parse(line.slice(5).trim());
+        if (chunk.content) {
+          fullText += chunk.content;
+          onToken(chunk.content);
+        }
+      });
+
+      if (!fullText) {
+        throw new Error("Invalid response shape from llama.cpp");
+      }
+      return fullText;
+    } catch (error) {
+      throw new Error(
+        `Failed to stream LLM response from Llama.cpp: ${error.message || error}`
+      );
+    }
+  }
+
+  /**
+   * Builds the request body for llama.cpp's /completion endpoint.
+   * @private
+   */
+  _buildLlamacppBody(prompt, systemPrompt, opts, stream) {
+    const body = {
+      prompt: systemPrompt ? `${systemPrompt}\n\n${prompt}` : prompt,
+      temperature: opts.temperature,
+      max_tokens: opts.maxTokens,
+      stop: ["\n\n", "User:", "Assistant:"],
+      stream,
+    };
+    if (opts.strictJson) {
+      // The server compiles the schema into a GBNF grammar; an empty schema allows any JSON.
+      body.json_schema = opts.schema || {};
+      body.stop = ["User:", "Assistant:"];
+    }
+    return body;
+  }
+
   /**
    * Implements a RAG (Retrieval-Augmented Generation) approach for recommendations.
    * 1. Extracts entities from the prompt.
    * 2. Searches for relevant places using mapsService.
    * 3. Creates a RAG prompt using the search results as context.
    * 4. Asks the LLM to generate a narrative from the context.
+   * In a conversation (`context` set), a follow-up such as "yang lebih murah?" refines the
+   * previous places instead of searching again, and a new search inherits the place types and
+   * locations the user did not repeat.
    * @param {string} userPrompt - The original prompt from the user.
    * @param {object} userLocation - The user's geographical location (optional).
    * @param {number} maxResults - The maximum number of search results to retrieve.
-   * @returns {Promise<{llm_text: string, places: array}>}
+   * @param {object} [hooks] - Optional progress callbacks used for streaming responses.
+   * @param {function(object): void} [hooks.onEntities] - Called once entities are extracted.
+   * @param {function(array, string|null, object): void} [hooks.onPlaces] - Called as soon as places are retrieved, with the next page token and the applied filters.
+   * @param {function(string): void} [hooks.onToken] - When set, the narrative is streamed token by token.
+   * @param {AbortSignal} [hooks.signal] - Aborts the narrative generation (e.g. client disconnected).
+   * @param {object} [options]
+   * @param {object | null} [options.context] - The conversation so far (see SessionService#buildContext).
+   * @param {object | null} [options.filters] - Filters chosen by the user; replace the extracted ones.
+   * @param {string} [options.sortBy="relevance"] - How to order the places (see utils/placeRanking.js).
+   * @param {string} [options.language] - The response language (see locales/index.js). Also picks the
+   *   language of the place data and of the regex entity fallbacks.
+   * @param {boolean} [options.cache=false] - Cache the entities, places and narrative in their own
+   *   tiers (see CacheService#fetch). Narratives inside a conversation are never cached.
+   * @returns {Promise<{llm_text: string, segments: array, places: array, next_page_token: string|null, entities: object, filters: object, refined: boolean, warnings: string[], prompt_versions: string[], grounding: object|null}>}
+   *   `warnings` explains refinements that could not be applied (e.g. no place has a price level).
+   *   `segments` splits `llm_text` into sentences with the ids of the places they cite (see narratePlaces).
+   *   `prompt_versions` lists the ids of the prompt templates used (see services/promptService.js).
+   *   `grounding` is the result of the narrative check (see narratePlaces); null without places.
    */
   async findPlacesAndGenerateNarrativeWithRAG(
     userPrompt,
     userLocation,
-    maxResults = 5
+    maxResults = 5,
+    hooks = {},
+    {
+      context = null,
+      filters = null,
+      sortBy = "relevance",
+      language = DEFAULT_LANGUAGE,
+      cache = false,
+    } = {}
   ) {
     try {
-      logger.info(`Starting RAG process for prompt: "${userPrompt}"`);
+      logger.info(
+        `Starting RAG process for prompt (${language}): "${userPrompt}"`
+      );
+      const locale = getLocale(language);
+      const promptVersions = [promptService.get("entity_extraction_system").id];
+      const warnings = [];
 
       // Step 1: Entity Extraction
-      const entities = await this.extractLocationEntities(userPrompt);
+      let entities = await this.extractLocationEntities(userPrompt, language, {
+        cache,
+      });
+      let followUp = null;
+      if (context) {
+        followUp = await this.interpretFollowUp(userPrompt, context, entities);
+        promptVersions.push(promptService.get("follow_up_system").id);
+        entities = this._inheritEntities(entities, context.entities);
+      }
       logger.info("Extracted entities:", entities);
+      hooks.onEntities?.(entities);
 
-      const searchKeywords =
-        entities.place_types?.length > 0
-          ? entities.place_types.join(" ")
-          : userPrompt;
-      const searchLocation = entities.locations?.join(" ") || "";
-
-      const mapsQuery = `${searchKeywords} ${searchLocation}`.trim();
-      logger.info(`Maps Query: ${mapsQuery}`);
-
-      // Step 2: Retrieval - Get data from Google Maps
-      const userLocationStr = userLocation
-        ? `${userLocation.lat},${userLocation.lng}`
-        : null;
-
-      const places = await mapsService.searchPlaces(
-        mapsQuery,
-        userLocationStr,
-        null,
-        null
-      );
+      const requestedFilters = filters
+        ? normalizeFilters(filters)
+        : entities.filters;
+      let places;
+      let appliedFilters;
+      let next_page_token = null;
+      const refined = Boolean(followUp?.follow_up && context.places.length > 0);
+
+      if (refined) {
+        // Step 2 (follow-up): Narrow down the places of the previous turn.
+        ({ places, filters: appliedFilters } = mapsService.filterPlaces(
+          this._refinePlaces(context.places, followUp, warnings, locale),
+          requestedFilters
+        ));
+        if (sortBy !== "relevance") {
+          places = sortPlaces(places, sortBy);
+        }
+        logger.info(
+          `Refined ${context.places.length} previous places to ${places.length}`
+        );
+      } else {
+        const searchKeywords =
+          entities.place_types?.length > 0
+            ? entities.place_types.join(" ")
+            : userPrompt;
+        const searchLocation = entities.locations?.join(" ") || "";
+
+        const mapsQuery = `${searchKeywords} ${searchLocation}`.trim();
+        logger.info(`Maps Query: ${mapsQuery}`);
+
+        // Step 2: Retrieval - Get data from the configured maps provider
+        const userLocationStr = userLocation
+          ? `${userLocation.lat},${userLocation.lng}`
+          : null;
+
+        const search = () =>
+          mapsService.searchPlaces(mapsQuery, userLocationStr, null, null, {
+            maxResults,
+            filters: requestedFilters,
+            origin: userLocation,
+            sortBy,
+            language: locale.mapsLanguage,
+          });
+        ({
+          places,
+          next_page_token,
+          filters: appliedFilters,
+        } = cache
+          ? await this._cachedSearch(search, {
+              mapsQuery,
+              userLocation,
+              maxResults,
+              filters: requestedFilters,
+              sortBy,
+              language: locale.mapsLanguage,
+            })
+          : await search());
+      }
 
       // Handle no places found scenario
       if (!places || places.length === 0) {
         logger.warn(
-          "No places found from Google Maps. Generating a friendly response."
+          "No places found by the maps provider. Generating a friendly response."
+        );
+        const templateLanguage = locale.templateLanguage || locale.code;
+        const promptVariables = this._promptVariables(
+          userPrompt,
+          [],
+          locale,
+          context,
+          appliedFilters
         );
-        const noResultsPrompt = `Berikan tanggapan yang ramah kepada pengguna bahwa tidak ada tempat yang ditemukan untuk permintaan mereka: "${userPrompt}".`;
-        const noResultsNarrative = await this.generateResponse(
-          noResultsPrompt,
-          "Kamu adalah asisten rekomendasi yang ramah dan membantu."
+        const noResultsPrompt = promptService.render(
+          refined ? "no_results_refined" : "no_results",
+          templateLanguage,
+          promptVariables
         );
-        return { llm_text: noResultsNarrative, places: [] };
+        const noResultsSystem = promptService.render(
+          "no_results_system",
+          templateLanguage,
+          promptVariables
+        );
+        promptVersions.push(noResultsPrompt.id, noResultsSystem.id);
+        logger.info(`Prompts: ${promptVersions.join(", ")}`);
+        hooks.onPlaces?.([], null, appliedFilters);
+        const noResultsNarrative = parseCitations(
+          await this._generateNarrative(
+            noResultsPrompt.text,
+            noResultsSystem.text,
+            hooks
+          ),
+          []
+        );
+        return {
+          llm_text: noResultsNarrative.text,
+          segments: noResultsNarrative.segments,
+          places: [],
+          next_page_token: null,
+          entities,
+          filters: appliedFilters,
+          refined,
+          warnings,
+          prompt_versions: promptVersions,
+          grounding: null,
+        };
       }
 
       const limitedPlaces = places.slice(0, maxResults);
+      hooks.onPlaces?.(limitedPlaces, next_page_token, appliedFilters);
 
-      // Step 3: Augmentation - Add data to the LLM prompt
-      // The prompt is optimized to provide interpretation, not just a narrative summary.
-      const mapsSummaryPrompt = `
-        Berdasarkan daftar tempat berikut, berikan ringkasan yang menarik dan singkat dalam Bahasa Indonesia.
-        Fokus pada rekomendasi utama, mengapa tempat tersebut menonjol (misalnya, peringkat tinggi, banyak ulasan), atau hubungan antar tempat (misalnya, "ada beberapa pilihan kafe yang cocok untuk kerja").
-        Jangan ulangi nama tempat, alamat, atau link. Cukup berikan ringkasan yang cerdas untuk membantu pengguna menafsirkan daftar di bawah ini.
-        
-        Daftar tempat:
-        ${JSON.stringify(limitedPlaces, null, 2)}
-      `;
-
-      // Step 4: Generation - Ask the LLM to summarize and create a narrative
-      const llmNarrative = await this.generateResponse(
-        mapsSummaryPrompt,
-        "You are a friendly and helpful Indonesian travel & food recommendation assistant."
-      );
+      // Steps 3 and 4: Augmentation and Generation
+      const narrate = (background = false) =>
+        this.narratePlaces(
+          userPrompt,
+          limitedPlaces,
+          {
+            language,
+            context,
+            filters: appliedFilters,
+            locations: entities.locations,
+          },
+          background ? {} : hooks
+        );
+      const narrative =
+        cache && !context
+          ? await this._cachedNarrative(narrate, hooks, {
+              userPrompt,
+              userLocation,
+              places: limitedPlaces,
+              language,
+              filters: appliedFilters,
+            })
+          : await narrate();
+      promptVersions.push(...narrative.prompt_versions);
+      logger.info(`Prompts: ${promptVersions.join(", ")}`);
 
       return {
-        llm_text: llmNarrative,
+        llm_text: narrative.llm_text,
+        segments: narrative.segments,
         places: limitedPlaces,
+        next_page_token,
+        entities,
+        filters: appliedFilters,
+        refined,
+        warnings,
+        prompt_versions: promptVersions,
+        grounding: narrative.grounding,
       };
     } catch (error) {
       logger.error("Failed to execute RAG process:", error.message || error);
@@ -249,49 +959,480 @@ class LLMService {
   }
 
   /**
-   * Extracts location entities (place names, types, locations) from a user's text prompt.
-   * @param {string} text - The user's prompt.
-   * @returns {Promise<object>} A JSON object with extracted entities.
+   * Runs a places search through the "places" cache tier. Empty results are not cached: they
+   * may only mean the Maps budget is spent.
+   * @param {function(): Promise<object>} search Runs the search.
+   * @param {object} key What the results depend on; the user's location by geohash cell.
+   * @returns {Promise<{places: array, next_page_token: string|null, filters: object}>}
+   * @private
    */
-  async extractLocationEntities(text) {
-    const extractionSystem = `
-You are a JSON extractor. You are excellent at extracting location and place information from user queries.
-Your response MUST be a single, valid JSON object and nothing else.
-The JSON object MUST have the following schema:
-{
-  "place_names": string[],  // An array of specific business or place names (e.g., "Warung MJS", "Aroma Kopi").
-  "place_types": string[],  // An array of normalized place types, in English (e.g., "restaurant", "cafe", "park", "museum").
-  "locations": string[]     // An array of city or area names (e.g., "Bandung", "Jakarta").
-}
+  async _cachedSearch(search, { userLocation, filters, ...key }) {
+    const { value, status } = await cacheService.fetch(
+      "places",
+      [
+        mapsService.provider.name,
+        key.mapsQuery,
+        locationKey(userLocation, config.queryCache.geohashPrecision),
+        key.maxResults,
+        filtersKey(filters),
+        key.sortBy,
+        key.language,
+      ],
+      search,
+      { cacheable: (result) => result.places.length > 0 }
+    );
+    logger.info(`Places cache: ${status}`);
+    return value;
+  }
 
-If no entities are found for a key, the array should be empty.
-Use a deterministic style: temperature 0.0, short concise output.
+  /**
+   * Writes a narrative through the "narrative" cache tier, keyed by the model, the grounding mode,
+   * the prompt, the templates, the user's location by geohash cell (narratives quote distances)
+   * and the places described (and whether each is open, which narratives mention). A cached narrative is sent to `hooks.onToken` in one piece.
+   * @param {function(boolean): Promise<object>} narrate Writes the narrative (see narratePlaces).
+   * @param {object} hooks The RAG hooks.
+   * @returns {Promise<object>} The result of narratePlaces.
+   * @private
+   */
+  async _cachedNarrative(
+    narrate,
+    hooks,
+    { userPrompt, userLocation, places, language, filters }
+  ) {
+    const locale = getLocale(language);
+    const templateLanguage = locale.templateLanguage || locale.code;
+    const { value, status } = await cacheService.fetch(
+      "narrative",
+      [
+        this.provider,
+        this.model,
+        this.groundingMode,
+        promptService.get("narrative", templateLanguage).id,
+        language,
+        normalizePrompt(userPrompt),
+        filtersKey(filters),
+        // Narratives quote the distance and travel time from the user.
+        locationKey(userLocation, config.queryCache.geohashPrecision),
+        places
+          .map((place) => `${place.place_id}${place.open_now ? "+" : ""}`)
+          .join(","),
+      ],
+      narrate,
+      { placeIds: () => places.map((place) => place.place_id) }
+    );
+    logger.info(`Narrative cache: ${status}`);
+    if (status !== "miss") {
+      hooks.onToken?.(value.llm_text);
+    }
+    return value;
+  }
 
-Example User Prompt:
-"Where can I find a good restaurant in Bandung? Maybe something like Warung MJS."
+  /**
+   * Writes the narrative about places that were already retrieved: the augmentation and
+   * generation steps of the RAG flow. The evaluation harness (backend/eval) uses it directly.
+   * The places are numbered in the prompt and the LLM cites them ("[1]"); the citations are
+   * turned into `segments` and removed from `llm_text`. The place names, ratings and numbers of
+   * the narrative are checked against the places and unsupported claims are handled according
+   * to `LLM_GROUNDING` (see _groundNarrative).
+   * @param {string} userPrompt - The user's request.
+   * @param {Array<object>} places - The formatted places to describe.
+   * @param {object} [options]
+   * @param {string} [options.language] - The response language (see locales/index.js).
+   * @param {object | null} [options.context] - The conversation so far.
+   * @param {object} [options.filters] - The filters that were applied to the places.
+   * @param {string[]} [options.locations] - The locations searched, which the narrative may name
+   *   even when the prompt does not (e.g. inherited from the conversation).
+   * @param {object} [hooks] - `onToken` and `signal` (see findPlacesAndGenerateNarrativeWithRAG).
+   * @returns {Promise<{llm_text: string, segments: Array<{text: string, place_ids: string[]}>, prompt_versions: string[], grounding: object|null}>}
+   *   The segment texts add up to `llm_text`. `grounding` lists the `supported` and `unsupported` claims of `llm_text` and the `action`
+   *   taken; null when the check is off.
+   */
+  async narratePlaces(
+    userPrompt,
+    places,
+    {
+      language = DEFAULT_LANGUAGE,
+      context = null,
+      filters = {},
+      locations = [],
+    } = {},
+    hooks = {}
+  ) {
+    const locale = getLocale(language);
+    const templateLanguage = locale.templateLanguage || locale.code;
+    const variables = this._promptVariables(
+      userPrompt,
+      places,
+      locale,
+      context,
+      filters
+    );
 
-Example Output:
-{"place_names":["Warung MJS"],"place_types":["restaurant"],"locations":["Bandung"]}
+    const contextPlaces = places.slice(0, NARRATIVE_CONTEXT_LIMIT);
 
-Return only the JSON object.
-`.trim();
+    // The prompt is optimized to provide interpretation, not just a narrative summary.
+    const prompt = promptService.render("narrative", templateLanguage, {
+      ...variables,
+      places: JSON.stringify(numberPlaces(contextPlaces), null, 2),
+    });
+    const system = promptService.render(
+      "narrative_system",
+      templateLanguage,
+      variables
+    );
+    const text = await this._generateNarrative(prompt.text, system.text, hooks);
+    const grounded = await this._groundNarrative(text, contextPlaces, {
+      userPrompt,
+      locations,
+      prompt,
+      system,
+      templateLanguage,
+      variables,
+      signal: hooks.signal,
+    });
+    const cited = parseCitations(grounded.llm_text, contextPlaces);
+    return {
+      llm_text: cited.text,
+      segments: cited.segments,
+      prompt_versions: [prompt.id, system.id, ...grounded.prompt_versions],
+      grounding: grounded.grounding,
+    };
+  }
 
-    const extractionPrompt = `Extract from: """${text}"""`;
+  /**
+   * Checks a narrative against the places it was generated from (see utils/grounding.js) and
+   * deals with the unsupported claims: "flag" only reports them, "strip" removes the sentences
+   * making them (flagging instead when nothing would be left) and "regenerate" asks once more
+   * with the claims as feedback, reporting what the new narrative still gets wrong.
+   * @param {string} text The generated narrative.
+   * @param {Array<object>} places The places given to the LLM.
+   * @param {object} generation The prompts and variables the narrative was generated with.
+   * @returns {Promise<{llm_text: string, grounding: object|null, prompt_versions: string[]}>}
+   *   `prompt_versions` lists the extra templates used (the feedback prompt).
+   * @private
+   */
+  async _groundNarrative(
+    text,
+    places,
+    {
+      userPrompt,
+      locations = [],
+      prompt,
+      system,
+      templateLanguage,
+      variables,
+      signal,
+    }
+  ) {
+    if (this.groundingMode === "off") {
+      return { llm_text: text, grounding: null, prompt_versions: [] };
+    }
+    const options = { prompt: userPrompt, allowed: locations };
+    const grounding = checkGrounding(text, places, options);
+    if (grounding.unsupported.length === 0) {
+      return {
+        llm_text: text,
+        grounding: { ...grounding, action: "none" },
+        prompt_versions: [],
+      };
+    }
+    logger.warn(
+      `Narrative makes unsupported claims: ${grounding.unsupported.map((claim) => claim.text).join(", ")}`
+    );
 
-    try {
-      const llmRaw = await this.generateResponse(
-        extractionPrompt,
-        extractionSystem,
+    if (this.groundingMode === "strip") {
+      const stripped = stripUnsupported(text, places, options);
+      if (stripped.text) {
+        return {
+          llm_text: stripped.text,
+          grounding: {
+            ...checkGrounding(stripped.text, places, options),
+            action: "stripped",
+            removed: stripped.removed.map(stripCitations),
+          },
+          prompt_versions: [],
+        };
+      }
+    }
+
+    if (this.groundingMode === "regenerate") {
+      const feedback = promptService.render(
+        "grounding_feedback",
+        templateLanguage,
         {
-          temperature: 0.0,
-          maxTokens: 200,
-          strictJson: true,
-          timeout: 20000,
+          ...variables,
+          narrative_prompt: prompt.text,
+          claims: grounding.unsupported.map((claim) => claim.text).join(", "),
         }
       );
+      const retried = await this.generateResponse(feedback.text, system.text, {
+        signal,
+      });
+      return {
+        llm_text: retried,
+        grounding: {
+          ...checkGrounding(retried, places, options),
+          action: "regenerated",
+        },
+        prompt_versions: [feedback.id],
+      };
+    }
+
+    return {
+      llm_text: text,
+      grounding: { ...grounding, action: "flagged" },
+      prompt_versions: [],
+    };
+  }
+
+  /**
+   * The variables shared by the narrative and no-results templates.
+   * @private
+   */
+  _promptVariables(userPrompt, places, locale, context, filters) {
+    return {
+      conversation: this._conversationPrompt(context, userPrompt, locale),
+      filters:
+        Object.keys(filters).length > 0 ? locale.prompts.filters(filters) : "",
+      distance: this._distancePrompt(places, locale),
+      language: locale.name,
+      user_prompt: userPrompt,
+    };
+  }
+
+  /**
+   * Decides whether a message continues the conversation by refining the previous places
+   * ("yang lebih murah?", "which of those is open now?") and what the refinement asks for.
+   * Falls back to keyword detection when the LLM output is unusable.
+   * @param {string} text - The user's new message.
+   * @param {object} context - The conversation so far (see SessionService#buildContext).
+   * @param {object} entities - The entities extracted from the new message.
+   * @returns {Promise<{follow_up: boolean, open_now: boolean, cheaper: boolean, sort_by: string}>}
+   */
+  async interpretFollowUp(text, context, entities) {
+    const { text: system } = promptService.render("follow_up_system", null);
+
+    const previous = context.history
+      .slice(-HISTORY_PROMPT_TURNS)
+      .map((turn) => `"${turn.prompt}"`)
+      .join(", ");
+    const prompt = `Previous messages: ${previous}
+New message: """${text}"""`;
+
+    try {
+      return await this.generateJson(prompt, system, FOLLOW_UP_SCHEMA, {
+        temperature: 0.0,
+        maxTokens: 100,
+        timeout: 20000,
+      });
+    } catch (err) {
+      logger.warn(
+        "interpretFollowUp: LLM classification failed, using simple fallback:",
+        err.message || err
+      );
+      return this._detectFollowUp(text, entities);
+    }
+  }
+
+  /**
+   * Keyword-based fallback for interpretFollowUp.
+   * @param {string} text - The user's new message.
+   * @param {object} entities - The entities extracted from the new message.
+   * @returns {{follow_up: boolean, open_now: boolean, cheaper: boolean, sort_by: string}}
+   * @private
+   */
+  _detectFollowUp(text, entities) {
+    const textLower = text.toLowerCase();
+    const open_now = /\b(buka|open)\b/.test(textLower);
+    const cheaper = /(murah|cheap|terjangkau|hemat|budget)/.test(textLower);
+    let sort_by = "relevance";
+    if (/(terdekat|paling dekat|closest|nearest)/.test(textLower)) {
+      sort_by = "distance";
+    } else if (/(rating|terbaik|best|top)/.test(textLower)) {
+      sort_by = "rating";
+    } else if (/(ramai|populer|popular|ulasan|reviews)/.test(textLower)) {
+      sort_by = "reviews";
+    } else if (cheaper) {
+      sort_by = "price";
+    }
+
+    const refersBack =
+      /\b(itu|tersebut|tadi|those|these|them|which|yang mana)\b/.test(
+        textLower
+      );
+    const namesNewTarget =
+      entities.locations.length > 0 || entities.place_names.length > 0;
+
+    return {
+      follow_up:
+        !namesNewTarget &&
+        (refersBack || open_now || cheaper || sort_by !== "relevance"),
+      open_now,
+      cheaper,
+      sort_by,
+    };
+  }
+
+  /**
+   * Fills in the place types and locations a follow-up message did not repeat, so
+   * "how about museums?" after "cafes in Jakarta" searches museums in Jakarta.
+   * @private
+   */
+  _inheritEntities(entities, previous) {
+    if (!previous) return entities;
+    return {
+      ...entities,
+      place_types:
+        entities.place_types.length > 0 || entities.place_names.length > 0
+          ? entities.place_types
+          : previous.place_types || [],
+      locations:
+        entities.locations.length > 0
+          ? entities.locations
+          : previous.locations || [],
+    };
+  }
+
+  /**
+   * Filters and re-ranks the places of the previous turn.
+   * @param {Array<object>} places The previous places.
+   * @param {object} followUp The refinement returned by interpretFollowUp.
+   * @param {string[]} warnings Collects the refinements that could not be applied.
+   * @param {object} locale The response locale.
+   * @returns {Array<object>} The refined places.
+   * @private
+   */
+  _refinePlaces(places, followUp, warnings, locale) {
+    let refined = [...places];
+
+    if (followUp.open_now) {
+      refined = refined.filter((place) => place.open_now === true);
+    }
+
+    if (followUp.cheaper) {
+      const priced = refined.filter(
+        (place) => typeof place.price_level === "number"
+      );
+      const levels = priced.map((place) => place.price_level);
+      const cheaper = priced.filter(
+        (place) => place.price_level < Math.max(...levels)
+      );
+      if (priced.length === 0) {
+        // Without prices there is nothing to compare: keep the places rather than none.
+        warnings.push(locale.messages.noPriceLevels());
+      } else {
+        // When every place costs the same, keep them rather than returning nothing.
+        refined = cheaper.length > 0 ? cheaper : priced;
+      }
+    }
+
+    return sortPlaces(refined, followUp.sort_by);
+  }
+
+  /**
+   * Points the narrative at the closest place, when the places carry distances from the user.
+   * @param {Array<object> | undefined} places - The places of the answer.
+   * @param {object} locale - The response locale.
+   * @returns {string} A prompt sentence, or an empty string without distances.
+   * @private
+   */
+  _distancePrompt(places, locale) {
+    const closest = sortPlaces(
+      (places || []).filter((place) => typeof place.distance_m === "number"),
+      "distance"
+    )[0];
+    if (!closest) return "";
+
+    const walkingMinutes = Math.max(
+      1,
+      Math.round(closest.travel.walking.duration_s / 60)
+    );
+    return locale.prompts.distance({
+      name: closest.name,
+      distance: formatDistance(closest.distance_m),
+      walkingMinutes,
+    });
+  }
+
+  /**
+   * Quotes the last turns of a conversation ahead of a narrative prompt.
+   * @param {object | null} context - The conversation so far.
+   * @param {string} userPrompt - The user's new message.
+   * @param {object} locale - The response locale.
+   * @returns {string} The preamble, or an empty string outside a conversation.
+   * @private
+   */
+  _conversationPrompt(context, userPrompt, locale) {
+    if (!context) return "";
+    return locale.prompts.conversation(
+      context.history.slice(-HISTORY_PROMPT_TURNS),
+      userPrompt
+    );
+  }
+
+  /**
+   * Generates a narrative, streaming it through `hooks.onToken` when provided.
+   * @param {string} prompt The narrative prompt.
+   * @param {string} systemPrompt The system prompt.
+   * @param {object} hooks The RAG hooks (see findPlacesAndGenerateNarrativeWithRAG).
+   * @returns {Promise<string>} The full narrative text.
+   * @private
+   */
+  _generateNarrative(prompt, systemPrompt, hooks = {}) {
+    if (typeof hooks.onToken === "function") {
+      return this.generateStream(prompt, systemPrompt, hooks.onToken, {
+        signal: hooks.signal,
+      });
+    }
+    return this.generateResponse(prompt, systemPrompt);
+  }
+
+  /**
+   * Extracts location entities (place names, types, locations) from a user's text prompt.
+   * @param {string} text - The user's prompt.
+   * @param {string} [language] - The prompt's language, for the regex fallback.
+   * @param {object} [options]
+   * @param {boolean} [options.cache=false] - Cache what the LLM extracts in the "entities" tier
+   *   (see CacheService#fetch), per model and prompt template. The regex fallback is never cached.
+   * @returns {Promise<object>} A JSON object with extracted entities.
+   */
+  async extractLocationEntities(
+    text,
+    language = DEFAULT_LANGUAGE,
+    { cache = false } = {}
+  ) {
+    const { id: promptId, text: extractionSystem } = promptService.render(
+      "entity_extraction_system",
+      null
+    );
+    logger.debug(`Extracting entities with ${promptId}`);
+
+    const extractionPrompt = `Extract from: """${text}"""`;
+    const extract = async () =>
+      this._normalizeEntities(
+        await this.generateJson(
+          extractionPrompt,
+          extractionSystem,
+          ENTITY_SCHEMA,
+          {
+            temperature: 0.0,
+            maxTokens: 200,
+            timeout: 20000,
+          }
+        )
+      );
 
-      const parsed = this._attemptParseJson(llmRaw);
-      return this._normalizeEntities(parsed);
+    try {
+      if (!cache) {
+        return await extract();
+      }
+      const { value, status } = await cacheService.fetch(
+        "entities",
+        [this.provider, this.model, promptId, normalizePrompt(text)],
+        extract
+      );
+      logger.info(`Entities cache: ${status}`);
+      return value;
     } catch (err) {
       logger.warn(
         "extractLocationEntities: LLM extraction failed, using simple fallback:",
@@ -300,12 +1441,160 @@ Return only the JSON object.
       // Simplified fallback logic
       return this._normalizeEntities({
         place_names: [],
-        place_types: this.extractPlaceTypes(text),
-        locations: this.extractLocations(text),
+        place_types: this.extractPlaceTypes(text, language),
+        locations: this.extractLocations(text, language),
+        filters: this.extractFilters(text),
       });
     }
   }
 
+  /**
+   * Breaks an itinerary request ("food tour in Bandung: breakfast, a museum, then coffee") into
+   * ordered stops, each with its own search query. Falls back to splitting the text on commas
+   * and "then"/"lalu" when the LLM output is unusable.
+   * @param {string} text - The user's prompt.
+   * @returns {Promise<{location: string|null, stops: Array<{label: string, query: string, place_type: string|null, time: string|null, duration_minutes: number|null}>}>}
+   */
+  async decomposeItinerary(text) {
+    const { text: system } = promptService.render(
+      "itinerary_decomposition_system",
+      null,
+      { max_stops: MAX_ITINERARY_STOPS }
+    );
+
+    try {
+      const parsed = await this.generateJson(
+        `Plan from: """${text}"""`,
+        system,
+        ITINERARY_SCHEMA,
+        { temperature: 0.0, maxTokens: 400, timeout: 20000 }
+      );
+      const itinerary = this._normalizeItinerary(parsed, text);
+      if (itinerary.stops.length > 0) return itinerary;
+      logger.warn("decomposeItinerary: LLM returned no stops, using fallback");
+    } catch (err) {
+      logger.warn(
+        "decomposeItinerary: LLM decomposition failed, using simple fallback:",
+        err.message || err
+      );
+    }
+    return this._normalizeItinerary(this._splitItinerary(text), text);
+  }
+
+  /**
+   * Keyword fallback for decomposeItinerary: the part after a colon (or the whole prompt) is
+   * split on commas, "then", "lalu", "kemudian" and "and"/"dan".
+   * @private
+   */
+  _splitItinerary(text) {
+    const body = text.includes(":") ? text.slice(text.indexOf(":") + 1) : text;
+    const stops = body
+      .split(/[,;]|\b(?:and then|then|lalu|kemudian|terus|and|dan)\b/i)
+      .map((part) =>
+        part
+          .trim()
+          .replace(/^(?:a|an|the|ke|sebuah)\s+/i, "")
+          .replace(/[.!?]+$/, "")
+      )
+      .filter((part) => part.length > 1)
+      .map((part) => {
+        const timeRegex = /\b(?:jam|pukul|at)\s*(\d{1,2})(?:[.:](\d{2}))?/i;
+        const time = timeRegex.exec(part);
+        const query = part.replace(timeRegex, "").trim() || part;
+        return {
+          label: query.charAt(0).toUpperCase() + query.slice(1),
+          query,
+          place_type: this.extractPlaceTypes(query)[0] || null,
+          time: time ? `${time[1].padStart(2, "0")}:${time[2] || "00"}` : null,
+          duration_minutes: null,
+        };
+      });
+    return { location: this.extractLocations(text)[0] || null, stops };
+  }
+
+  /**
+   * Cleans up decomposed stops: trims strings, validates times and caps the number of stops.
+   * @private
+   */
+  _normalizeItinerary(raw, text) {
+    const location =
+      typeof raw?.location === "string" && raw.location.trim()
+        ? raw.location.trim()
+        : this.extractLocations(text)[0] || null;
+    const stops = (Array.isArray(raw?.stops) ? raw.stops : [])
+      .map((stop) => {
+        const query = String(stop?.query || stop?.label || "").trim();
+        const time = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(
+          String(stop?.time || "").trim()
+        );
+        const duration = Number(stop?.duration_minutes);
+        return {
+          label: String(stop?.label || query).trim(),
+          query,
+          place_type: this._normalizePlaceType(stop?.place_type) || null,
+          time: time ? `${time[1].padStart(2, "0")}:${time[2]}` : null,
+          duration_minutes:
+            Number.isFinite(duration) && duration > 0
+              ? Math.min(Math.round(duration), 480)
+              : null,
+        };
+      })
+      .filter((stop) => stop.query)
+      .slice(0, MAX_ITINERARY_STOPS);
+    return { location, stops };
+  }
+
+  /**
+   * Generates a JSON object constrained to a schema. If the output cannot be parsed or does not
+   * match the schema, the model is asked once to repair it, with the error fed back.
+   * @param {string} prompt The user's prompt.
+   * @param {string} systemPrompt The system prompt describing the expected JSON.
+   * @param {object} schema The JSON schema the output must follow.
+   * @param {object} opts Additional options for the LLM call.
+   * @returns {Promise<object>} The parsed JSON object.
+   */
+  async generateJson(prompt, systemPrompt, schema, opts = {}) {
+    const jsonOpts = { ...opts, strictJson: true, schema };
+    const raw = await this.generateResponse(prompt, systemPrompt, jsonOpts);
+
+    try {
+      return this._parseJsonAgainstSchema(raw, schema);
+    } catch (parseError) {
+      logger.warn(
+        `generateJson: invalid JSON from LLM (${parseError.message}), requesting a repair.`
+      );
+      const repairPrompt = `${prompt}
+
+Your previous reply was:
+${raw}
+
+It was rejected because: ${parseError.message}
+Reply again with only the corrected JSON object.`;
+      const repaired = await this.generateResponse(
+        repairPrompt,
+        systemPrompt,
+        jsonOpts
+      );
+      return this._parseJsonAgainstSchema(repaired, schema);
+    }
+  }
+
+  /**
+   * Parses LLM output and checks it against a JSON schema.
+   * @param {string} str - The raw string from the LLM.
+   * @param {object} schema - The expected JSON schema.
+   * @returns {object} The parsed JSON object.
+   * @private
+   */
+  _parseJsonAgainstSchema(str, schema) {
+    const parsed = this._attemptParseJson(str);
+    const errors = validateSchema(parsed, schema);
+    if (errors.length > 0) {
+      throw new Error(`JSON does not match the schema: ${errors.join("; ")}`);
+    }
+    return parsed;
+  }
+
   /**
    * Attempts to parse a JSON string, handling common LLM output issues like extra text or malformed JSON.
    * @param {string} str - The raw string from the LLM.
@@ -357,6 +1646,7 @@ Return only the JSON object.
       place_names: [],
       place_types: [],
       locations: [],
+      filters: normalizeFilters(null),
     };
     if (!raw || typeof raw !== "object") return out;
 
@@ -385,6 +1675,7 @@ Return only the JSON object.
           ),
         ]
       : [];
+    out.filters = normalizeFilters(raw.filters);
 
     return out;
   }
@@ -419,19 +1710,12 @@ Return only the JSON object.
   /**
    * Simple regex-based fallback to extract common place types from text.
    * @param {string} text - The input text.
+   * @param {string} [language] - Whose keywords to look for (see locales/index.js).
    * @returns {string[]} An array of extracted place types.
    * @private
    */
-  extractPlaceTypes(text) {
-    const placeTypes = {
-      restaurant: ["restaurant", "restoran", "rumah makan", "warung", "resto"],
-      cafe: ["cafe", "kafe", "coffee shop", "kedai", "kedai kopi"],
-      hotel: ["hotel"],
-      mall: ["mall"],
-      park: ["park", "taman"],
-      point_of_interest: ["tempat wisata"],
-      // Add other types as needed
-    };
+  extractPlaceTypes(text, language = DEFAULT_LANGUAGE) {
+    const { placeTypes } = getLocale(language);
     const found = new Set();
     const textLower = text.toLowerCase();
 
@@ -449,10 +1733,11 @@ Return only the JSON object.
   /**
    * Simple regex-based fallback to extract common city locations from text.
    * @param {string} text - The input text.
+   * @param {string} [language] - Whose location phrases ("di ...", "in ...") to look for.
    * @returns {string[]} An array of extracted locations.
    * @private
    */
-  extractLocations(text) {
+  extractLocations(text, language = DEFAULT_LANGUAGE) {
     const locations = [
       "bandung",
       "jakarta",
@@ -480,31 +1765,116 @@ Return only the JSON object.
       }
     });
 
-    const cityRegex =
-      /\b(?:kota|kabupaten|di|di kota)\s+([A-Za-z\u00C0-\u017F' -]{3,40})/gi;
-    let match;
-    while ((match = cityRegex.exec(textLower)) !== null) {
+    for (const match of textLower.matchAll(
+      getLocale(language).locationPattern
+    )) {
       found.add(match[1].trim());
     }
 
     return Array.from(found);
   }
 
-  // Connection and model check methods remain the same
+  /**
+   * Simple regex-based fallback to extract structured filters (open now, price, rating, reviews).
+   * @param {string} text - The input text.
+   * @returns {object} Normalized filters (see utils/placeFilters.js).
+   * @private
+   */
+  extractFilters(text) {
+    const textLower = text.toLowerCase();
+    const filters = {};
+
+    if (
+      /(buka sekarang|sedang buka|lagi buka|masih buka|open now|currently open|still open)/.test(
+        textLower
+      )
+    ) {
+      filters.open_now = true;
+    }
+
+    if (/(murah|terjangkau|hemat|cheap|inexpensive|budget)/.test(textLower)) {
+      filters.max_price = 1;
+    } else if (/(mewah|fancy|upscale|fine dining|luxury)/.test(textLower)) {
+      filters.min_price = 3;
+    }
+
+    // "hotel bintang 5" is the hotel's class, not its rating.
+    const ratingText = textLower.replace(
+      /\b(?:hotel|penginapan|resort)\s+bintang\s*\d\b/g,
+      ""
+    );
+    const ratingMatch = ratingText.match(
+      /(?:rating|bintang|rated|stars?)\s*(?:di atas|diatas|lebih dari|minimal|min\.?|above|over|at least|>=?)?\s*(\d(?:[.,]\d)?)/
+    );
+    if (ratingMatch) {
+      filters.min_rating = parseFloat(ratingMatch[1].replace(",", "."));
+    } else if (/(rating tinggi|highly rated|top rated)/.test(textLower)) {
+      filters.min_rating = 4;
+    }
+
+    const reviewsMatch =
+      textLower.match(/(\d+)\s*\+?\s*(?:ulasan|reviews?)/) ||
+      textLower.match(
+        /(?:ulasan|reviews?)\s*(?:di atas|diatas|lebih dari|minimal|above|over|at least)\s*(\d+)/
+      );
+    if (reviewsMatch) {
+      filters.min_reviews = parseInt(reviewsMatch[1], 10);
+    }
+
+    return normalizeFilters(filters);
+  }
+
+  /**
+   * Checks that the LLM server answers and serves the configured models (see healthService).
+   * Recorded fixtures are replayed without a server.
+   * @param {object} [options]
+   * @param {number} [options.timeout=5000] The request timeout in ms.
+   * @returns {Promise<{model: string, model_available: boolean | null, embedding_model_available: boolean | null, fixtures?: boolean}>}
+   *   Availability is null when the server cannot list its models (llama.cpp serves the model
+   *   it was started with).
+   * @throws When the server cannot be reached or is not ready.
+   */
+  async checkHealth({ timeout = 5000 } = {}) {
+    const report = {
+      model: this.model,
+      model_available: null,
+      embedding_model_available: null,
+    };
+    if (this.fixtureMode === "replay") {
+      return { ...report, fixtures: true };
+    }
+    if (this.provider === "llamacpp") {
+      // Answers 503 while the model is still loading.
+      await axios.get(`${this.endpoint}/health`, { timeout });
+      return report;
+    }
+    let models;
+    if (this.provider === "openai") {
+      models = await this._listOpenAIModels(timeout);
+    } else {
+      const response = await axios.get(`${this.endpoint}/api/tags`, {
+        timeout,
+      });
+      models = (response.data.models || []).map((m) => m.name);
+    }
+    const served = (model) =>
+      models.includes(model) ||
+      (this.provider === "ollama" && models.includes(`${model}:latest`));
+    return {
+      ...report,
+      model_available: served(this.model),
+      embedding_model_available: served(this.embeddingModel),
+      models,
+    };
+  }
+
   async testConnection() {
     try {
-      if (this.provider === "ollama") {
-        const response = await axios.get(`${this.endpoint}/api/tags`, {
-          timeout: 5000,
-        });
-        logger.info("Ollama connection test successful");
-        logger.info(
-          "Available models:",
-          response.data.models?.map((m) => m.name).join(", ")
-        );
-        return true;
-      }
-      return false;
+      const { models } = await this.checkHealth();
+      logger.info(
+        `LLM connection test successful. Available models: ${(models || []).join(", ")}`
+      );
+      return true;
     } catch (error) {
       logger.error("LLM connection test failed:", error.message);
       return false;
@@ -513,27 +1883,33 @@ Return only the JSON object.
 
   async checkModel() {
     try {
-      if (this.provider === "ollama") {
-        const response = await axios.get(`${this.endpoint}/api/tags`, {
-          timeout: 5000,
-        });
-        const models = response.data.models || [];
-        const modelExists = models.some((m) => m.name === this.model);
-        if (!modelExists) {
-          logger.warn(
-            `Model '${this.model}' not found. Available models: ${models.map((m) => m.name).join(", ")}`
-          );
-          return false;
-        }
-        logger.info(`Model '${this.model}' is available`);
-        return true;
+      const { model_available, models } = await this.checkHealth();
+      if (model_available === false) {
+        logger.warn(
+          `Model '${this.model}' not found. Available models: ${models.join(", ")}`
+        );
+        return false;
       }
+      logger.info(`Model '${this.model}' is available`);
       return true;
     } catch (error) {
       logger.error("Failed to check model availability:", error.message);
       return false;
     }
   }
+
+  /**
+   * Lists the model ids served by an OpenAI-compatible server.
+   * @returns {Promise<string[]>}
+   * @private
+   */
+  async _listOpenAIModels(timeout = 5000) {
+    const response = await axios.get(`${this.endpoint}/models`, {
+      timeout,
+      headers: this._openaiHeaders(),
+    });
+    return (response.data?.data || []).map((m) => m.id);
+  }
 }
 
 module.exports = new LLMService();
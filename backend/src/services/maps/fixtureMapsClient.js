@@ -0,0 +1,163 @@
+const crypto = require("crypto");
+const config = require("../../config/config");
+const FixtureStore = require("../../utils/fixtureStore");
+
+/**
+ * @class FixtureMapsClient
+ * @description Stand-in for the `@googlemaps/google-maps-services-js` Client used by
+ * GooglePlacesProvider. In "replay" mode it serves recorded Places API responses from the
+ * fixtures directory; in "record" mode it forwards calls to the real client and saves the
+ * responses. Fixtures are named after the query (text search), the type/keyword/location
+ * (nearby search), the page token (follow-up pages), the place id (details), the photo reference
+ * and width (photos) or the mode and coordinates (distance matrix, directions), e.g.
+ * `maps/textsearch/cafe-bandung.json`.
+ */
+class FixtureMapsClient {
+  /**
+   * @param {object} client The real Google Maps client (used in record mode).
+   * @param {string} mode "replay" or "record".
+   */
+  constructor(client, mode = config.fixtures.mode) {
+    this.client = client;
+    this.mode = mode;
+    this.store = new FixtureStore(config.fixtures.dir);
+  }
+
+  textSearch(request) {
+    const { query, type } = request.params;
+    const name =
+      this._pageName(request) ||
+      FixtureStore.slug([query, type].filter(Boolean).join(" "));
+    return this._call("textSearch", "textsearch", name, request, {
+      status: "ZERO_RESULTS",
+      results: [],
+    });
+  }
+
+  placesNearby(request) {
+    const { type, keyword, location } = request.params;
+    const name =
+      this._pageName(request) ||
+      FixtureStore.slug(
+        [type, keyword, this._locationName(location)].filter(Boolean).join(" ")
+      );
+    return this._call("placesNearby", "nearby", name, request, {
+      status: "ZERO_RESULTS",
+      results: [],
+    });
+  }
+
+  placeDetails(request) {
+    const name = FixtureStore.slug(request.params.place_id);
+    return this._call("placeDetails", "details", name, request, {
+      status: "NOT_FOUND",
+    });
+  }
+
+  distancematrix(request) {
+    const { origins, destinations, mode } = request.params;
+    // Coordinate lists are too long for a readable name, so they are hashed.
+    const hash = crypto
+      .createHash("sha1")
+      .update([...origins, ...destinations].join("|"))
+      .digest("hex")
+      .slice(0, 16);
+    const name = `${mode}-${hash}`;
+    return this._call("distancematrix", "distancematrix", name, request, {
+      status: "ZERO_RESULTS",
+      rows: [],
+    });
+  }
+
+  directions(request) {
+    const {
+      origin,
+      destination,
+      waypoints = [],
+      mode,
+      optimize,
+    } = request.params;
+    const hash = crypto
+      .createHash("sha1")
+      .update([origin, ...waypoints, destination, optimize].join("|"))
+      .digest("hex")
+      .slice(0, 16);
+    return this._call("directions", "directions", `${mode}-${hash}`, request, {
+      status: "ZERO_RESULTS",
+      routes: [],
+    });
+  }
+
+  /**
+   * Photos are binary, so fixtures store them base64-encoded with their content type. Missing
+   * photos reject like the API's 404.
+   */
+  async placePhoto(request) {
+    const { photoreference, maxwidth } = request.params;
+    const name = FixtureStore.slug(`${photoreference} ${maxwidth}`);
+    if (this.mode === "record") {
+      const response = await this.client.placePhoto(request);
+      this.store.write("maps/photo", name, {
+        request: { photoreference, maxwidth },
+        response: {
+          content_type: response.headers["content-type"],
+          data: Buffer.from(response.data).toString("base64"),
+        },
+      });
+      return response;
+    }
+
+    const fixture = this.store.read("maps/photo", name);
+    if (!fixture) {
+      throw new Error(`No photo fixture: maps/photo/${name}`);
+    }
+    return {
+      status: 200,
+      headers: { "content-type": fixture.response.content_type },
+      data: Buffer.from(fixture.response.data, "base64"),
+    };
+  }
+
+  /**
+   * Replays or records one Places API call.
+   * @private
+   */
+  async _call(method, kind, name, request, emptyResponse) {
+    if (this.mode === "record") {
+      const response = await this.client[method](request);
+      const { key, ...params } = request.params;
+      this.store.write(`maps/${kind}`, name, {
+        request: params,
+        response: response.data,
+      });
+      return response;
+    }
+
+    const fixture = this.store.read(`maps/${kind}`, name);
+    return { status: 200, data: fixture ? fixture.response : emptyResponse };
+  }
+
+  /**
+   * Follow-up pages are requested with only a page token, so they are named after it.
+   * @private
+   */
+  _pageName(request) {
+    const token = request.params.pagetoken;
+    return token ? `page-${FixtureStore.slug(token)}` : null;
+  }
+
+  /**
+   * Rounds a location to ~100 m so nearby fixtures survive tiny coordinate changes.
+   * @private
+   */
+  _locationName(location) {
+    if (!location) return "";
+    const [lat, lng] =
+      typeof location === "string"
+        ? location.split(",").map(Number)
+        : [location.lat, location.lng];
+    return `${lat.toFixed(3)} ${lng.toFixed(3)}`;
+  }
+}
+
+module.exports = FixtureMapsClient;
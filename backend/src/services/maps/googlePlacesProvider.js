@@ -0,0 +1,676 @@
+const { Client } = require("@googlemaps/google-maps-services-js");
+const config = require("../../config/config");
+const logger = require("../../utils/logger");
+const PlacesProvider = require("./placesProvider");
+const FixtureMapsClient = require("./fixtureMapsClient");
+const { applyFilters } = require("../../utils/placeFilters");
+const { signUrl } = require("../../utils/urlSignature");
+
+/**
+ * Place Details field masks. Details are billed per data group in the mask, so "reduced" (used
+ * when the daily Maps budget runs low) leaves out the Atmosphere fields and the photos.
+ */
+const DETAILS_FIELDS = {
+  full: [
+    "name",
+    "formatted_address",
+    "geometry",
+    "rating",
+    "opening_hours",
+    "formatted_phone_number",
+    "website",
+    "photos",
+    "reviews",
+    "types",
+  ],
+  reduced: [
+    "name",
+    "formatted_address",
+    "geometry",
+    "opening_hours",
+    "formatted_phone_number",
+    "website",
+    "types",
+  ],
+};
+
+/**
+ * Fields billed as Contact Data and Atmosphere Data on top of the Place Details base SKU.
+ */
+const CONTACT_FIELDS = [
+  "opening_hours",
+  "current_opening_hours",
+  "formatted_phone_number",
+  "international_phone_number",
+  "website",
+];
+const ATMOSPHERE_FIELDS = [
+  "rating",
+  "reviews",
+  "user_ratings_total",
+  "price_level",
+];
+
+/**
+ * The SKU billed for each search method.
+ */
+const SEARCH_SKUS = {
+  textSearch: "text_search",
+  placesNearby: "nearby_search",
+};
+
+/**
+ * Probed by checkHealth: Place Details asking only for the place id are not billed.
+ */
+const HEALTH_PROBE_PLACE_ID = "ChIJN1t_tDeuEmsRUsoyG83frY4";
+
+/**
+ * @class GooglePlacesProvider
+ * @description Places provider backed by the Google Maps Platform (Places API).
+ */
+class GooglePlacesProvider extends PlacesProvider {
+  constructor() {
+    super("google");
+    this.supportedFilters = [
+      "open_now",
+      "min_price",
+      "max_price",
+      "min_rating",
+      "min_reviews",
+    ];
+    const client = new Client({});
+    this.client =
+      config.fixtures.mode === "off" ? client : new FixtureMapsClient(client);
+    this.apiKey =
+      config.googleMaps.apiKey ||
+      (config.fixtures.mode === "replay" ? "fixture-key" : undefined);
+    // Skip the page-token wait when replaying fixtures.
+    this.pageTokenDelayMs =
+      config.fixtures.mode === "replay"
+        ? 0
+        : config.googleMaps.pageTokenDelayMs;
+    if (!this.apiKey) {
+      logger.error(
+        "GOOGLE_MAPS_API_KEY not found. Please set it as an environment variable or use MAPS_PROVIDER=osm."
+      );
+      throw new Error("Missing Google Maps API Key.");
+    }
+  }
+
+  /**
+   * Checks the API key with a Place Details request for the place id only, which is free.
+   * Replayed fixtures are not probed.
+   * @param {object} [options]
+   * @param {number} [options.timeout=5000] The request timeout in ms.
+   * @returns {Promise<{probed: boolean}>}
+   * @throws When Google cannot be reached or rejects the key.
+   */
+  async checkHealth({ timeout = 5000 } = {}) {
+    if (config.fixtures.mode === "replay") return { probed: false };
+    let data;
+    try {
+      ({ data } = await this.client.placeDetails({
+        params: {
+          key: this.apiKey,
+          place_id: HEALTH_PROBE_PLACE_ID,
+          fields: ["place_id"],
+        },
+        timeout,
+      }));
+    } catch (error) {
+      data = error.response?.data;
+      if (!data?.status) throw error;
+    }
+    if (data.status !== "OK") {
+      throw new Error(
+        `Places API answered ${data.status}${data.error_message ? `: ${data.error_message}` : ""}`
+      );
+    }
+    return { probed: true };
+  }
+
+  /**
+   * Searches for places based on a text query.
+   * @param {string} query The text string on which to search.
+   * @param {string | null} location The latitude/longitude around which to retrieve place information. Defaults to config.
+   * @param {number | null} radius The radius in meters to search in. Defaults to config.
+   * @param {string | null} placeType Restricts the results to places of the specified type.
+   * @param {object} [options] Pagination options.
+   * @param {number} [options.maxResults=5] The maximum number of places to return (Google caps a search at 60).
+   * @param {object | null} [options.page] The `nextPage` state returned by a previous call.
+   * @param {object} [options.filters] Active filters. open_now and the price range are sent to the
+   *   API; rating and review count are applied to the results.
+   * @param {string | null} [options.language] The result language. Defaults to config.
+   * @returns {Promise<{places: Array<object>, nextPage: object | null}>} Formatted places and the state to fetch the next page.
+   */
+  async searchPlaces(
+    query,
+    location = null,
+    radius = null,
+    placeType = null,
+    { maxResults = 5, page = null, filters = {}, language = null } = {}
+  ) {
+    try {
+      const params = {
+        key: this.apiKey,
+        query,
+        language: language || config.googleMaps.defaultLanguage,
+        region: config.googleMaps.defaultRegion,
+        location: location || config.googleMaps.defaultLocation,
+        radius: radius || config.googleMaps.searchRadius,
+      };
+
+      if (placeType) {
+        params.type = placeType;
+      }
+      this._addFilterParams(params, filters);
+
+      const result = await this._collectPages("textSearch", params, {
+        maxResults,
+        page,
+        filters,
+      });
+
+      logger.info(`Found ${result.places.length} places for query: ${query}`);
+      return result;
+    } catch (error) {
+      logger.error("Places search failed:", error);
+      return { places: [], nextPage: null };
+    }
+  }
+
+  /**
+   * Retrieves detailed information about a specific place.
+   * @param {string} placeId The unique identifier of the place.
+   * @param {object} [options]
+   * @param {"full" | "reduced"} [options.fieldMask="full"] See DETAILS_FIELDS.
+   * @param {string | null} [options.language] The result language. Defaults to config.
+   * @returns {Promise<object | null>} A promise that resolves to a formatted place details object or null if not found.
+   */
+  async getPlaceDetails(placeId, { fieldMask = "full", language = null } = {}) {
+    try {
+      const fields = DETAILS_FIELDS[fieldMask] || DETAILS_FIELDS.full;
+      const response = await this.client.placeDetails({
+        params: {
+          key: this.apiKey,
+          place_id: placeId,
+          fields,
+          language: language || config.googleMaps.defaultLanguage,
+        },
+      });
+      this._recordUsage("place_details");
+      if (fields.some((field) => CONTACT_FIELDS.includes(field))) {
+        this._recordUsage("details_contact_data");
+      }
+      if (fields.some((field) => ATMOSPHERE_FIELDS.includes(field))) {
+        this._recordUsage("details_atmosphere_data");
+      }
+
+      if (response.data.result) {
+        return this.formatPlaceDetails(response.data.result);
+      }
+
+      return null;
+    } catch (error) {
+      logger.error("Failed to get place details:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Performs a nearby search for places of a certain type or keyword.
+   * @param {string} location The latitude/longitude around which to search.
+   * @param {string} placeType Restricts the results to places of the specified type.
+   * @param {number} [radius=1000] The radius in meters to search in.
+   * @param {string | null} keyword A keyword to match against place names, types, and addresses.
+   * @param {object} [options] Pagination and filter options (see searchPlaces).
+   * @returns {Promise<{places: Array<object>, nextPage: object | null}>} Formatted places and the state to fetch the next page.
+   */
+  async nearbySearch(
+    location,
+    placeType,
+    radius = 1000,
+    keyword = null,
+    { maxResults = 5, page = null, filters = {}, language = null } = {}
+  ) {
+    try {
+      const params = {
+        key: this.apiKey,
+        location,
+        radius,
+        type: placeType,
+        language: language || config.googleMaps.defaultLanguage,
+      };
+
+      if (keyword) {
+        params.keyword = keyword;
+      }
+      this._addFilterParams(params, filters);
+
+      return await this._collectPages("placesNearby", params, {
+        maxResults,
+        page,
+        filters,
+      });
+    } catch (error) {
+      logger.error("Nearby search failed:", error);
+      return { places: [], nextPage: null };
+    }
+  }
+
+  /**
+   * Follows Google's `next_page_token` until `maxResults` places are collected.
+   * Google returns at most 20 results per page (60 per search), so when we stop part-way
+   * through a page the returned `nextPage` records the page token and an offset into it.
+   * @param {string} method The client method ("textSearch" or "placesNearby").
+   * @param {object} params The request params for the first page.
+   * @param {object} options
+   * @param {number} options.maxResults The maximum number of places to collect.
+   * @param {{token: string | null, offset: number} | null} options.page Where to resume.
+   * @param {object} [options.filters] Filters applied to each page before counting results, so
+   *   offsets stay valid when resuming with the same filters.
+   * @returns {Promise<{places: Array<object>, nextPage: object | null}>}
+   * @private
+   */
+  async _collectPages(method, params, { maxResults, page, filters = {} }) {
+    const places = [];
+    let token = page?.token || null;
+    let offset = page?.offset || 0;
+    // A token from an earlier request has usually aged enough to be used right away.
+    let freshToken = false;
+
+    for (;;) {
+      const requestParams = token
+        ? { key: this.apiKey, pagetoken: token }
+        : params;
+      const response = await this._fetchPage(method, requestParams, freshToken);
+      const results = applyFilters(
+        (response.data.results || []).map((place) => this.formatPlace(place)),
+        filters
+      );
+
+      const pageSlice = results.slice(
+        offset,
+        offset + maxResults - places.length
+      );
+      places.push(...pageSlice);
+      const consumed = offset + pageSlice.length;
+      const nextToken = response.data.next_page_token || null;
+
+      if (consumed < results.length) {
+        return { places, nextPage: { token, offset: consumed } };
+      }
+      if (!nextToken) {
+        return { places, nextPage: null };
+      }
+      if (places.length >= maxResults) {
+        return { places, nextPage: { token: nextToken, offset: 0 } };
+      }
+
+      token = nextToken;
+      offset = 0;
+      freshToken = true;
+    }
+  }
+
+  /**
+   * Looks up travel times with the Distance Matrix API (at most 25 destinations per request).
+   * @param {{lat: number, lng: number}} origin The starting point.
+   * @param {Array<{lat: number, lng: number}>} destinations The places to reach.
+   * @param {"walking" | "driving"} mode The travel mode.
+   * @param {object} [options]
+   * @param {string | null} [options.language] The result language. Defaults to config.
+   * @returns {Promise<Array<{distance_m: number, duration_s: number} | null> | null>} One entry
+   *   per destination, or null when the lookup is disabled or failed.
+   */
+  async getTravelTimes(origin, destinations, mode, { language = null } = {}) {
+    if (!config.googleMaps.distanceMatrix || destinations.length === 0) {
+      return null;
+    }
+
+    try {
+      const results = [];
+      for (let i = 0; i < destinations.length; i += 25) {
+        const batch = destinations.slice(i, i + 25);
+        const response = await this.client.distancematrix({
+          params: {
+            key: this.apiKey,
+            origins: [`${origin.lat},${origin.lng}`],
+            destinations: batch.map(({ lat, lng }) => `${lat},${lng}`),
+            mode,
+            language: language || config.googleMaps.defaultLanguage,
+          },
+        });
+
+        this._recordUsage("distance_matrix_element", batch.length);
+
+        const elements = response.data.rows?.[0]?.elements;
+        if (response.data.status !== "OK" || !elements) {
+          logger.warn(
+            `Distance Matrix returned ${response.data.status}, using estimates.`
+          );
+          return null;
+        }
+        results.push(
+          ...elements.map((element) =>
+            element.status === "OK"
+              ? {
+                  distance_m: element.distance.value,
+                  duration_s: element.duration.value,
+                }
+              : null
+          )
+        );
+      }
+      return results;
+    } catch (error) {
+      logger.warn("Distance Matrix lookup failed:", error.message || error);
+      return null;
+    }
+  }
+
+  /**
+   * Plans a route with the Directions API. With `optimize`, Google reorders the waypoints to
+   * minimize travel (waypoint optimization).
+   * @param {{lat: number, lng: number}} origin The starting point.
+   * @param {{lat: number, lng: number}} destination The last point.
+   * @param {Array<{lat: number, lng: number}>} waypoints The points in between (at most 25).
+   * @param {object} [options]
+   * @param {"walking" | "driving"} [options.mode="walking"] The travel mode.
+   * @param {boolean} [options.optimize=false] Whether the waypoints may be reordered.
+   * @param {string | null} [options.language] The result language. Defaults to config.
+   * @returns {Promise<{order: number[], legs: Array<{distance_m: number, duration_s: number}>} | null>}
+   *   The waypoint order and one leg per hop, or null when the lookup failed.
+   */
+  async getRoute(
+    origin,
+    destination,
+    waypoints,
+    { mode = "walking", optimize = false, language = null } = {}
+  ) {
+    const point = ({ lat, lng }) => `${lat},${lng}`;
+    const advanced =
+      waypoints.length > 10 || (optimize && waypoints.length > 1);
+    try {
+      const response = await this.client.directions({
+        params: {
+          key: this.apiKey,
+          origin: point(origin),
+          destination: point(destination),
+          waypoints: waypoints.map(point),
+          optimize: optimize && waypoints.length > 1,
+          mode,
+          language: language || config.googleMaps.defaultLanguage,
+        },
+      });
+      this._recordUsage(advanced ? "directions_advanced" : "directions");
+
+      const route = response.data.routes?.[0];
+      if (response.data.status !== "OK" || !route) {
+        logger.warn(
+          `Directions returned ${response.data.status}, using estimates.`
+        );
+        return null;
+      }
+      return {
+        order: route.waypoint_order?.length
+          ? route.waypoint_order
+          : waypoints.map((_, index) => index),
+        legs: route.legs.map((leg) => ({
+          distance_m: leg.distance.value,
+          duration_s: leg.duration.value,
+        })),
+      };
+    } catch (error) {
+      logger.warn("Directions lookup failed:", error.message || error);
+      return null;
+    }
+  }
+
+  /**
+   * Adds the filters the Places API supports natively (`opennow`, `minprice`, `maxprice`).
+   * @private
+   */
+  _addFilterParams(params, filters) {
+    if (filters.open_now) {
+      params.opennow = true;
+    }
+    if (filters.min_price !== undefined) {
+      params.minprice = filters.min_price;
+    }
+    if (filters.max_price !== undefined) {
+      params.maxprice = filters.max_price;
+    }
+  }
+
+  /**
+   * Fetches one page of results. A `next_page_token` only becomes valid a short while after it
+   * is issued (Google answers INVALID_REQUEST until then), so fresh tokens are delayed and
+   * INVALID_REQUEST on a token is retried a few times.
+   * @private
+   */
+  async _fetchPage(method, params, freshToken) {
+    const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+    const maxAttempts = params.pagetoken ? 3 : 1;
+
+    if (freshToken) {
+      await delay(this.pageTokenDelayMs);
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await this.client[method]({ params });
+        if (response.data.status !== "INVALID_REQUEST") {
+          this._recordUsage(SEARCH_SKUS[method]);
+          return response;
+        }
+        if (attempt >= maxAttempts) {
+          throw new Error(`Places ${method} failed: INVALID_REQUEST`);
+        }
+      } catch (error) {
+        const status = error.response?.data?.status;
+        if (status !== "INVALID_REQUEST" || attempt >= maxAttempts) {
+          throw error;
+        }
+      }
+      await delay(this.pageTokenDelayMs);
+    }
+  }
+
+  /**
+   * Formats a raw place object from the API response into a cleaner format.
+   * @param {object} place The raw place object.
+   * @returns {object} The formatted place object.
+   */
+  formatPlace(place) {
+    const location = place.geometry?.location || {};
+
+    return {
+      place_id: place.place_id,
+      name: place.name,
+      address: place.formatted_address || place.vicinity,
+      lat: location.lat,
+      lng: location.lng,
+      rating: place.rating,
+      user_ratings_total: place.user_ratings_total,
+      types: place.types || [],
+      open_now: place.opening_hours?.open_now || null,
+      price_level: place.price_level,
+      maps_url: this.generateMapsUrl(location.lat, location.lng, place.name),
+      directions_url: this.generateDirectionsUrl(location.lat, location.lng),
+      embed_url: this.generateEmbedUrl(
+        place.place_id,
+        location.lat,
+        location.lng
+      ),
+    };
+  }
+
+  /**
+   * Formats a raw place details object from the API response.
+   * @param {object} place The raw place details object.
+   * @returns {object} The formatted place details object.
+   */
+  formatPlaceDetails(place) {
+    const formatted = this.formatPlace(place);
+
+    formatted.phone = place.formatted_phone_number;
+    formatted.website = place.website;
+    formatted.opening_hours = place.opening_hours?.weekday_text || [];
+    // Machine-readable hours (see utils/openingHours.js), null when unknown.
+    formatted.opening_periods = place.opening_hours?.periods || null;
+    formatted.reviews = this.formatReviews(place.reviews || []);
+    formatted.photos = this.formatPhotos(place.photos || []);
+
+    return formatted;
+  }
+
+  /**
+   * Formats and limits the number of reviews.
+   * @param {Array<object>} reviews An array of raw review objects.
+   * @param {number} [maxReviews=3] The maximum number of reviews to return.
+   * @returns {Array<object>} An array of formatted review objects.
+   */
+  formatReviews(reviews, maxReviews = 3) {
+    return reviews.slice(0, maxReviews).map((review) => ({
+      author: review.author_name,
+      rating: review.rating,
+      text: review.text,
+      time: review.relative_time_description,
+    }));
+  }
+
+  /**
+   * Formats and limits the number of photos, generating URLs of our photo proxy (the Places
+   * Photo URL would expose the API key).
+   * @param {Array<object>} photos An array of raw photo objects.
+   * @param {number} [maxPhotos=3] The maximum number of photos to return.
+   * @returns {Array<string>} An array of photo URLs.
+   */
+  formatPhotos(photos, maxPhotos = 3) {
+    return photos
+      .slice(0, maxPhotos)
+      .map((photo) => {
+        if (photo.photo_reference) {
+          return this.generatePhotoUrl(photo.photo_reference);
+        }
+        return null;
+      })
+      .filter((url) => url !== null);
+  }
+
+  /**
+   * Generates a signed URL of the photo proxy (GET /api/photo/:photoReference).
+   * @param {string} reference The photo reference.
+   * @param {number} [maxWidth=400] The maximum width in pixels.
+   * @returns {string} The photo URL.
+   */
+  generatePhotoUrl(reference, maxWidth = 400) {
+    const params = new URLSearchParams({
+      maxwidth: String(maxWidth),
+      sig: signUrl(reference, maxWidth),
+    });
+    return `${config.publicApiUrl}/photo/${encodeURIComponent(reference)}?${params}`;
+  }
+
+  /**
+   * Fetches a photo from the Places Photo API (billed per photo).
+   * @param {string} reference The photo reference.
+   * @param {number} maxWidth The maximum width in pixels (1-1600).
+   * @returns {Promise<{contentType: string, data: Buffer} | null>} The image, or null when the
+   *   photo does not exist or the lookup failed.
+   */
+  async getPhoto(reference, maxWidth) {
+    try {
+      const response = await this.client.placePhoto({
+        params: {
+          key: this.apiKey,
+          photoreference: reference,
+          maxwidth: maxWidth,
+        },
+        responseType: "arraybuffer",
+      });
+      this._recordUsage("place_photo");
+      if (!response?.data) return null;
+      return {
+        contentType: response.headers?.["content-type"] || "image/jpeg",
+        data: Buffer.from(response.data),
+      };
+    } catch (error) {
+      logger.warn("Place photo lookup failed:", error.message || error);
+      return null;
+    }
+  }
+
+  /**
+   * Generates a Google Maps URL for a specific location and name.
+   * @param {number} lat The latitude of the place.
+   * @param {number} lng The longitude of the place.
+   * @param {string} name The name of the place.
+   * @returns {string} The formatted Google Maps URL.
+   */
+  generateMapsUrl(lat, lng, name) {
+    return `https://www.google.com/maps/search/?api=1&query=${lat},${lng}&query_place_name=${encodeURIComponent(name)}`;
+  }
+
+  /**
+   * Generates a Google Maps directions URL.
+   * @param {number} lat The latitude of the destination.
+   * @param {number} lng The longitude of the destination.
+   * @returns {string} The formatted Google Maps directions URL.
+   */
+  generateDirectionsUrl(lat, lng) {
+    return `https://www.google.com/maps/dir/?api=1&destination=${lat},${lng}`;
+  }
+
+  /**
+   * Generates a Google Maps directions URL through several stops.
+   * @param {{lat: number, lng: number, place_id?: string}} origin The starting point.
+   * @param {{lat: number, lng: number, place_id?: string}} destination The last stop.
+   * @param {Array<{lat: number, lng: number, place_id?: string}>} waypoints The stops in between.
+   * @param {"walking" | "driving"} mode The travel mode.
+   * @returns {string} The formatted Google Maps directions URL.
+   */
+  generateRouteUrl(origin, destination, waypoints, mode) {
+    const point = ({ lat, lng }) => `${lat},${lng}`;
+    const params = new URLSearchParams({
+      api: "1",
+      origin: point(origin),
+      destination: point(destination),
+      travelmode: mode,
+    });
+    if (origin.place_id) params.set("origin_place_id", origin.place_id);
+    if (destination.place_id) {
+      params.set("destination_place_id", destination.place_id);
+    }
+    if (waypoints.length > 0) {
+      params.set("waypoints", waypoints.map(point).join("|"));
+      if (waypoints.every((waypoint) => waypoint.place_id)) {
+        params.set(
+          "waypoint_place_ids",
+          waypoints.map((waypoint) => waypoint.place_id).join("|")
+        );
+      }
+    }
+    return `https://www.google.com/maps/dir/?${params}`;
+  }
+
+  /**
+   * Generates an embeddable Google Maps URL for an iframe. The Embed API needs a key in the URL,
+   * so only the restricted browser key (`GOOGLE_MAPS_BROWSER_KEY`) is used; without one the
+   * keyless map centred on the coordinates is embedded.
+   * @param {string} placeId The unique identifier of the place.
+   * @param {number} lat The latitude of the place.
+   * @param {number} lng The longitude of the place.
+   * @returns {string} The formatted embed URL.
+   */
+  generateEmbedUrl(placeId, lat, lng) {
+    const { browserKey } = config.googleMaps;
+    if (browserKey) {
+      return `https://www.google.com/maps/embed/v1/place?key=${encodeURIComponent(browserKey)}&q=place_id:${placeId}`;
+    }
+    return `https://maps.google.com/maps?q=${lat},${lng}&z=16&output=embed`;
+  }
+}
+
+module.exports = GooglePlacesProvider;
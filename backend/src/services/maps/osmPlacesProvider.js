@@ -0,0 +1,372 @@
+const axios = require("axios");
+const config = require("../../config/config");
+const logger = require("../../utils/logger");
+const PlacesProvider = require("./placesProvider");
+
+/**
+ * Maps the Google-style place types used across the app to OpenStreetMap tags.
+ * Unknown types fall back to `amenity=<type>`.
+ */
+const TYPE_TAGS = {
+  restaurant: ["amenity", "restaurant"],
+  cafe: ["amenity", "cafe"],
+  bar: ["amenity", "bar"],
+  bakery: ["shop", "bakery"],
+  hotel: ["tourism", "hotel"],
+  lodging: ["tourism", "hotel"],
+  museum: ["tourism", "museum"],
+  park: ["leisure", "park"],
+  mall: ["shop", "mall"],
+  shopping_mall: ["shop", "mall"],
+  supermarket: ["shop", "supermarket"],
+  point_of_interest: ["tourism", "attraction"],
+  tourist_attraction: ["tourism", "attraction"],
+  coworking_space: ["amenity", "coworking_space"],
+  hospital: ["amenity", "hospital"],
+  pharmacy: ["amenity", "pharmacy"],
+  bank: ["amenity", "bank"],
+  atm: ["amenity", "atm"],
+  gas_station: ["amenity", "fuel"],
+};
+
+const OSM_TYPE_PREFIX = { node: "N", way: "W", relation: "R" };
+
+/**
+ * @class OsmPlacesProvider
+ * @description Places provider backed by OpenStreetMap: Nominatim for text search and
+ * lookups, Overpass for nearby/type queries. No API key required, but the public
+ * instances expect an identifying User-Agent and modest request rates.
+ */
+class OsmPlacesProvider extends PlacesProvider {
+  constructor() {
+    super("osm");
+    this.nominatimUrl = config.maps.osm.nominatimUrl;
+    this.overpassUrl = config.maps.osm.overpassUrl;
+    this.http = axios.create({
+      timeout: config.maps.osm.timeout,
+      headers: { "User-Agent": config.maps.osm.userAgent },
+    });
+  }
+
+  /**
+   * Checks that Nominatim answers, with its status endpoint.
+   * @param {object} [options]
+   * @param {number} [options.timeout] The request timeout in ms. Defaults to `OSM_TIMEOUT`.
+   * @returns {Promise<{probed: boolean}>}
+   * @throws When Nominatim cannot be reached or reports a problem.
+   */
+  async checkHealth({ timeout } = {}) {
+    const response = await this.http.get(`${this.nominatimUrl}/status`, {
+      params: { format: "json" },
+      timeout,
+    });
+    if (response.data?.status !== 0) {
+      throw new Error(
+        `Nominatim reports: ${response.data?.message || "unknown status"}`
+      );
+    }
+    return { probed: true };
+  }
+
+  /**
+   * Searches for places based on a text query using Nominatim.
+   * @param {string} query The text string on which to search.
+   * @param {string | object | null} location Used to bias results. Defaults to config.
+   * @param {number | null} radius The radius in meters of the bias box. Defaults to config.
+   * @param {string | null} placeType Keeps only results of the specified type.
+   * @param {object} [options] Pagination options (offset-based, Nominatim returns at most 40 results).
+   *   OSM has no ratings, prices or reliable opening state, so no filters are supported.
+   * @returns {Promise<{places: Array<object>, nextPage: object | null}>} Formatted places and the state to fetch the next page.
+   */
+  async searchPlaces(
+    query,
+    location = null,
+    radius = null,
+    placeType = null,
+    { maxResults = 5, page = null, language = null } = {}
+  ) {
+    try {
+      const center =
+        this.parseLocation(location) || config.googleMaps.defaultLocation;
+      const params = {
+        q: query,
+        format: "jsonv2",
+        addressdetails: 1,
+        extratags: 1,
+        limit: 40,
+        "accept-language": language || config.googleMaps.defaultLanguage,
+        countrycodes: config.googleMaps.defaultRegion.toLowerCase(),
+        viewbox: this._viewbox(
+          center,
+          radius || config.googleMaps.searchRadius
+        ),
+      };
+
+      const response = await this.http.get(`${this.nominatimUrl}/search`, {
+        params,
+      });
+
+      let results = response.data || [];
+      const tag = this._tagFor(placeType);
+      if (tag) {
+        const [key, value] = tag;
+        results = results.filter((r) => r.category === key && r.type === value);
+      }
+
+      const result = this.paginate(
+        results.map((r) => this.formatPlace(r)),
+        maxResults,
+        page
+      );
+
+      logger.info(
+        `Found ${result.places.length} OSM places for query: ${query}`
+      );
+      return result;
+    } catch (error) {
+      logger.error("OSM places search failed:", error.message || error);
+      return { places: [], nextPage: null };
+    }
+  }
+
+  /**
+   * Retrieves detailed information about a place using Nominatim's lookup endpoint.
+   * @param {string} placeId The place id produced by formatPlace (e.g. "osm:node:123").
+   * @param {object} [options]
+   * @param {string | null} [options.language] The language of names and addresses. Defaults to
+   *   config.
+   * @returns {Promise<object | null>} A promise that resolves to a formatted place details object or null if not found.
+   */
+  async getPlaceDetails(placeId, { language = null } = {}) {
+    try {
+      const [prefix, osmType, osmId] = String(placeId).split(":");
+      if (prefix !== "osm" || !OSM_TYPE_PREFIX[osmType] || !osmId) {
+        return null;
+      }
+
+      const response = await this.http.get(`${this.nominatimUrl}/lookup`, {
+        params: {
+          osm_ids: `${OSM_TYPE_PREFIX[osmType]}${osmId}`,
+          format: "jsonv2",
+          addressdetails: 1,
+          extratags: 1,
+          "accept-language": language || config.googleMaps.defaultLanguage,
+        },
+      });
+
+      const result = response.data?.[0];
+      return result ? this.formatPlaceDetails(result) : null;
+    } catch (error) {
+      logger.error("Failed to get OSM place details:", error.message || error);
+      return null;
+    }
+  }
+
+  /**
+   * Performs a nearby search with an Overpass query around a point.
+   * @param {string | object} location The latitude/longitude around which to search.
+   * @param {string | null} placeType The type of place to search for.
+   * @param {number} [radius=1000] The radius in meters to search in.
+   * @param {string | null} keyword A keyword to match against place names. Without a place
+   *   type, places are matched by name only.
+   * @param {object} [options] Pagination options (offset-based).
+   * @returns {Promise<{places: Array<object>, nextPage: object | null}>} Formatted places and the state to fetch the next page.
+   */
+  async nearbySearch(
+    location,
+    placeType,
+    radius = 1000,
+    keyword = null,
+    { maxResults = 5, page = null } = {}
+  ) {
+    try {
+      const center = this.parseLocation(location);
+      if (!center) {
+        throw new Error(`Invalid location: ${JSON.stringify(location)}`);
+      }
+
+      const tag = this._tagFor(placeType);
+      if (!tag && !keyword) {
+        throw new Error("A place type or keyword is required");
+      }
+      let filter = tag ? `["${tag[0]}"="${this._escape(tag[1])}"]` : "";
+      if (keyword) {
+        const pattern = keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        filter += `["name"~"${this._escape(pattern)}",i]`;
+      }
+      const around = `(around:${Math.round(radius)},${center.lat},${center.lng})`;
+      const query = `[out:json][timeout:25];nwr${filter}${around};out center tags 60;`;
+
+      const response = await this.http.post(
+        this.overpassUrl,
+        new URLSearchParams({ data: query }).toString(),
+        { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+      );
+
+      const places = (response.data?.elements || [])
+        .filter((element) => element.tags?.name)
+        .map((element) => this.formatPlace(element));
+
+      return this.paginate(places, maxResults, page);
+    } catch (error) {
+      logger.error("OSM nearby search failed:", error.message || error);
+      return { places: [], nextPage: null };
+    }
+  }
+
+  /**
+   * Formats a Nominatim result or Overpass element into the common place shape.
+   * OSM has no ratings, review counts or price levels, so those stay undefined.
+   * @param {object} item The raw Nominatim result or Overpass element.
+   * @returns {object} The formatted place object.
+   */
+  formatPlace(item) {
+    const isOverpass = item.tags !== undefined;
+    const osmType = isOverpass ? item.type : item.osm_type;
+    const osmId = isOverpass ? item.id : item.osm_id;
+    const tags = isOverpass ? item.tags : item.extratags || {};
+    const lat = Number(isOverpass ? (item.lat ?? item.center?.lat) : item.lat);
+    const lng = Number(isOverpass ? (item.lon ?? item.center?.lon) : item.lon);
+    const placeId = `osm:${osmType}:${osmId}`;
+    const name =
+      (isOverpass ? tags.name : item.name) ||
+      String(item.display_name || "").split(",")[0];
+
+    return {
+      place_id: placeId,
+      name,
+      address: isOverpass ? this._addressFromTags(tags) : item.display_name,
+      lat,
+      lng,
+      rating: undefined,
+      user_ratings_total: undefined,
+      types: this._typesFor(isOverpass ? tags : item),
+      open_now: null,
+      price_level: undefined,
+      maps_url: this.generateMapsUrl(lat, lng, name),
+      directions_url: this.generateDirectionsUrl(lat, lng),
+      embed_url: this.generateEmbedUrl(placeId, lat, lng),
+    };
+  }
+
+  /**
+   * Formats a Nominatim lookup result into the common place details shape.
+   * @param {object} item The raw Nominatim result.
+   * @returns {object} The formatted place details object.
+   */
+  formatPlaceDetails(item) {
+    const formatted = this.formatPlace(item);
+    const tags = item.extratags || {};
+
+    formatted.phone = tags.phone || tags["contact:phone"];
+    formatted.website = tags.website || tags["contact:website"];
+    formatted.opening_hours = tags.opening_hours ? [tags.opening_hours] : [];
+    // OSM opening_hours syntax is not parsed, so hours count as unknown.
+    formatted.opening_periods = null;
+    formatted.reviews = [];
+    formatted.photos = [];
+
+    return formatted;
+  }
+
+  /**
+   * Generates an openstreetmap.org URL centred on the place.
+   */
+  generateMapsUrl(lat, lng) {
+    return `https://www.openstreetmap.org/?mlat=${lat}&mlon=${lng}#map=18/${lat}/${lng}`;
+  }
+
+  /**
+   * Generates an openstreetmap.org directions URL to the place.
+   */
+  generateDirectionsUrl(lat, lng) {
+    return `https://www.openstreetmap.org/directions?route=${encodeURIComponent(`;${lat},${lng}`)}`;
+  }
+
+  /**
+   * Generates an openstreetmap.org directions URL. The site only routes between two points, so
+   * the waypoints are left out.
+   */
+  generateRouteUrl(origin, destination, waypoints, mode) {
+    const engine =
+      mode === "driving" ? "fossgis_osrm_car" : "fossgis_osrm_foot";
+    const route = `${origin.lat},${origin.lng};${destination.lat},${destination.lng}`;
+    return `https://www.openstreetmap.org/directions?engine=${engine}&route=${encodeURIComponent(route)}`;
+  }
+
+  /**
+   * Generates an embeddable openstreetmap.org map with a marker on the place.
+   */
+  generateEmbedUrl(placeId, lat, lng) {
+    const d = 0.005;
+    const bbox = [lng - d, lat - d, lng + d, lat + d]
+      .map((v) => v.toFixed(6))
+      .join(",");
+    return `https://www.openstreetmap.org/export/embed.html?bbox=${bbox}&layer=mapnik&marker=${lat},${lng}`;
+  }
+
+  /**
+   * Returns the [key, value] OSM tag for a Google-style place type, or null without a type.
+   * @private
+   */
+  _tagFor(placeType) {
+    if (!placeType) return null;
+    return TYPE_TAGS[placeType] || ["amenity", placeType];
+  }
+
+  /**
+   * Converts OSM tags (or a Nominatim category/type pair) back to Google-style types.
+   * @private
+   */
+  _typesFor(source) {
+    const types = Object.entries(TYPE_TAGS)
+      .filter(
+        ([, [key, value]]) =>
+          source[key] === value ||
+          (source.category === key && source.type === value)
+      )
+      .map(([type]) => type);
+    if (types.length === 0 && source.type) {
+      types.push(source.type);
+    }
+    return types;
+  }
+
+  /**
+   * Builds a readable address from OSM addr:* tags.
+   * @private
+   */
+  _addressFromTags(tags) {
+    const street = [tags["addr:street"], tags["addr:housenumber"]]
+      .filter(Boolean)
+      .join(" ");
+    return [street, tags["addr:suburb"], tags["addr:city"]]
+      .filter(Boolean)
+      .join(", ");
+  }
+
+  /**
+   * Returns a Nominatim viewbox ("left,top,right,bottom") of roughly `radius` meters around a point.
+   * @private
+   */
+  _viewbox(center, radius) {
+    const dLat = radius / 111320;
+    const dLng = radius / (111320 * Math.cos((center.lat * Math.PI) / 180));
+    return [
+      center.lng - dLng,
+      center.lat + dLat,
+      center.lng + dLng,
+      center.lat - dLat,
+    ].join(",");
+  }
+
+  /**
+   * Escapes a value for use inside an Overpass QL string literal.
+   * @private
+   */
+  _escape(value) {
+    return String(value).replace(/[\\"]/g, "\\$&");
+  }
+}
+
+module.exports = OsmPlacesProvider;
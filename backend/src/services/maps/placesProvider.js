@@ -0,0 +1,213 @@
+/**
+ * @class PlacesProvider
+ * @description The contract every maps backend implements. Adapters must return places in the
+ * shape produced by GooglePlacesProvider#formatPlace (place_id, name, address, lat, lng, rating,
+ * user_ratings_total, types, open_now, price_level, maps_url, directions_url, embed_url) so the
+ * rest of the backend and the frontend `Place` type stay provider-agnostic.
+ */
+class PlacesProvider {
+  /**
+   * @param {string} name The provider name used in logs and configuration.
+   */
+  constructor(name) {
+    this.name = name;
+    // The filters (see utils/placeFilters.js) this provider's data can honour. Others are dropped.
+    this.supportedFilters = [];
+    // Set by mapsService to account for billable calls: (sku, units) => void.
+    this.usageListener = null;
+  }
+
+  /**
+   * Searches for places based on a text query.
+   * @param {string} query The text string on which to search.
+   * @param {string | object | null} location "lat,lng" or {lat, lng} used to bias results.
+   * @param {number | null} radius The radius in meters to search in.
+   * @param {string | null} placeType Restricts the results to places of the specified type.
+   * @param {object} [options]
+   * @param {number} [options.maxResults] The maximum number of places to return.
+   * @param {object | null} [options.page] The `nextPage` state returned by a previous call.
+   * @param {object} [options.filters] Active filters, limited to `supportedFilters`. Every
+   *   returned place must match them.
+   * @param {string} [options.language] The language of names and addresses, when the provider
+   *   supports it. Defaults to `MAPS_DEFAULT_LANGUAGE`.
+   * @returns {Promise<{places: Array<object>, nextPage: object | null}>} Formatted places and a
+   *   JSON-serializable state to resume from (null when there are no more results).
+   */
+  async searchPlaces(query, location, radius, placeType, options) {
+    throw new Error(`${this.name}: searchPlaces is not implemented`);
+  }
+
+  /**
+   * Performs a nearby search for places of a certain type or keyword.
+   * @param {string | object} location "lat,lng" or {lat, lng} around which to search.
+   * @param {string} placeType The type of place to search for.
+   * @param {number} radius The radius in meters to search in.
+   * @param {string | null} keyword A keyword to match against place names.
+   * @param {object} [options] Pagination and filter options (see searchPlaces).
+   * @returns {Promise<{places: Array<object>, nextPage: object | null}>} Formatted places and the state to resume from.
+   */
+  async nearbySearch(location, placeType, radius, keyword, options) {
+    throw new Error(`${this.name}: nearbySearch is not implemented`);
+  }
+
+  /**
+   * Retrieves detailed information about a specific place.
+   * @param {string} placeId The provider-specific place identifier.
+   * @param {object} [options]
+   * @param {"full" | "reduced"} [options.fieldMask="full"] "reduced" asks for fewer (cheaper)
+   *   fields: no rating, reviews or photos. Providers without billing may ignore it.
+   * @param {string} [options.language] The language of names, addresses and opening hours, when
+   *   the provider supports it. Defaults to `MAPS_DEFAULT_LANGUAGE`.
+   * @returns {Promise<object | null>} Formatted place details or null if not found.
+   */
+  async getPlaceDetails(placeId, options) {
+    throw new Error(`${this.name}: getPlaceDetails is not implemented`);
+  }
+
+  /**
+   * Looks up road distances and travel times from one origin to several places.
+   * Providers without a routing service return null, and callers fall back to estimates.
+   * @param {{lat: number, lng: number}} origin The starting point.
+   * @param {Array<{lat: number, lng: number}>} destinations The places to reach.
+   * @param {"walking" | "driving"} mode The travel mode.
+   * @param {object} [options]
+   * @param {string} [options.language] The language of the response, when the provider
+   *   supports it.
+   * @returns {Promise<Array<{distance_m: number, duration_s: number} | null> | null>} One entry per
+   *   destination (null when unreachable), or null when travel times are unavailable.
+   */
+  async getTravelTimes(origin, destinations, mode, options) {
+    return null;
+  }
+
+  /**
+   * Plans a route through several points, optionally letting the routing service reorder the
+   * waypoints to minimize travel. Providers without a routing service return null, and callers
+   * fall back to estimates.
+   * @param {{lat: number, lng: number}} origin The starting point.
+   * @param {{lat: number, lng: number}} destination The last point.
+   * @param {Array<{lat: number, lng: number}>} waypoints The points in between.
+   * @param {object} [options]
+   * @param {"walking" | "driving"} [options.mode="walking"] The travel mode.
+   * @param {boolean} [options.optimize=false] Whether the waypoints may be reordered.
+   * @param {string} [options.language] The language of the response, when the provider
+   *   supports it.
+   * @returns {Promise<{order: number[], legs: Array<{distance_m: number, duration_s: number}>} | null>}
+   *   The visiting order of `waypoints` (indexes) and one leg per hop, or null when unavailable.
+   */
+  async getRoute(origin, destination, waypoints, options) {
+    return null;
+  }
+
+  /**
+   * Generates a URL that opens the place on the provider's map.
+   * @param {number} lat The latitude of the place.
+   * @param {number} lng The longitude of the place.
+   * @param {string} name The name of the place.
+   * @returns {string}
+   */
+  generateMapsUrl(lat, lng, name) {
+    throw new Error(`${this.name}: generateMapsUrl is not implemented`);
+  }
+
+  /**
+   * Generates a URL with directions to the given destination.
+   * @param {number} lat The latitude of the destination.
+   * @param {number} lng The longitude of the destination.
+   * @returns {string}
+   */
+  generateDirectionsUrl(lat, lng) {
+    throw new Error(`${this.name}: generateDirectionsUrl is not implemented`);
+  }
+
+  /**
+   * Generates a URL with directions through several points, in order.
+   * @param {{lat: number, lng: number, place_id?: string}} origin The starting point.
+   * @param {{lat: number, lng: number, place_id?: string}} destination The last point.
+   * @param {Array<{lat: number, lng: number, place_id?: string}>} waypoints The points in between.
+   * @param {"walking" | "driving"} mode The travel mode.
+   * @returns {string}
+   */
+  generateRouteUrl(origin, destination, waypoints, mode) {
+    throw new Error(`${this.name}: generateRouteUrl is not implemented`);
+  }
+
+  /**
+   * Generates an embeddable map URL for an iframe.
+   * @param {string} placeId The provider-specific place identifier.
+   * @param {number} lat The latitude of the place.
+   * @param {number} lng The longitude of the place.
+   * @returns {string}
+   */
+  generateEmbedUrl(placeId, lat, lng) {
+    throw new Error(`${this.name}: generateEmbedUrl is not implemented`);
+  }
+
+  /**
+   * Slices one page out of a full result list for providers that paginate by offset.
+   * @param {Array<object>} results All results, already formatted.
+   * @param {number} maxResults The page size.
+   * @param {{offset: number} | null} page Where to resume.
+   * @returns {{places: Array<object>, nextPage: {offset: number} | null}}
+   */
+  paginate(results, maxResults, page) {
+    const offset = page?.offset || 0;
+    const places = results.slice(offset, offset + maxResults);
+    const next = offset + places.length;
+    return {
+      places,
+      nextPage: next < results.length ? { offset: next } : null,
+    };
+  }
+
+  /**
+   * Normalizes a "lat,lng" string or {lat, lng} object into numbers.
+   * @param {string | object | null} location
+   * @returns {{lat: number, lng: number} | null}
+   */
+  parseLocation(location) {
+    if (!location) return null;
+    if (typeof location === "string") {
+      const [lat, lng] = location.split(",").map(Number);
+      return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+    }
+    const lat = Number(location.lat);
+    const lng = Number(location.lng);
+    return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+  }
+
+  /**
+   * Fetches a place photo for the photo proxy (GET /api/photo/:photoReference).
+   * Providers without photos return null.
+   * @param {string} reference The photo reference from the place details.
+   * @param {number} maxWidth The maximum width in pixels.
+   * @returns {Promise<{contentType: string, data: Buffer} | null>}
+   */
+  async getPhoto(reference, maxWidth) {
+    return null;
+  }
+
+  /**
+   * Checks that the provider answers and accepts our credentials, with a free request (see
+   * healthService). Providers without a cheap probe resolve without checking.
+   * @param {object} [options]
+   * @param {number} [options.timeout] The request timeout in ms.
+   * @returns {Promise<object>} Details for the health report.
+   * @throws When the provider cannot be reached or rejects the request.
+   */
+  async checkHealth(options) {
+    return { probed: false };
+  }
+
+  /**
+   * Reports billable events (see services/costService.js for the SKUs).
+   * @param {string} sku The billed SKU.
+   * @param {number} [units=1] The number of events.
+   * @protected
+   */
+  _recordUsage(sku, units = 1) {
+    this.usageListener?.(sku, units);
+  }
+}
+
+module.exports = PlacesProvider;
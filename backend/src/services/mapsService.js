@@ -1,11 +1,66 @@
-const { Client } = require("@googlemaps/google-maps-services-js");
 const config = require("../config/config");
 const logger = require("../utils/logger");
+const costService = require("./costService");
+const { encodeCursor, decodeCursor } = require("../utils/cursor");
+const { activeFilters, applyFilters } = require("../utils/placeFilters");
+const { haversineMeters, estimateTravel } = require("../utils/geo");
+const { sortPlaces } = require("../utils/placeRanking");
 
+const TRAVEL_MODES = ["walking", "driving"];
+
+/**
+ * The modes whose times are looked up with the provider's routing service. Walking times follow
+ * the straight-line distance closely enough to estimate; driving times depend on the roads.
+ */
+const LOOKUP_MODES = ["driving"];
+
+/**
+ * Factories for the available places providers. Providers are required lazily so that a
+ * deployment using OSM never needs a Google key (and vice versa).
+ */
+const PROVIDERS = {
+  google: () => new (require("./maps/googlePlacesProvider"))(),
+  osm: () => new (require("./maps/osmPlacesProvider"))(),
+};
+
+/**
+ * @class MapsService
+ * @description Provider-agnostic entry point for place search. Delegates to the adapter selected
+ * by `MAPS_PROVIDER` (see services/maps/placesProvider.js for the contract).
+ *
+ * Billable calls are recorded by costService. When the daily Maps budget runs low, travel times
+ * and routes are estimated and place details use a cheaper field mask; once it is spent, no calls
+ * are made: searches come back empty and details null, so only cached answers are served.
+ */
 class MapsService {
   constructor() {
-    this.client = new Client({});
-    this.apiKey = config.googleMaps.apiKey;
+    // Fixtures are recorded Google Places responses, so replay always uses the Google adapter.
+    const providerName =
+      config.fixtures.mode === "replay" ? "google" : config.maps.provider;
+    const factory = PROVIDERS[providerName];
+    if (!factory) {
+      throw new Error(
+        `Unknown maps provider: ${providerName}. Use one of: ${Object.keys(PROVIDERS).join(", ")}`
+      );
+    }
+    this.provider = factory();
+    this.provider.usageListener = (sku, units) =>
+      costService.record(sku, units);
+    logger.info(`Maps provider: ${this.provider.name}`);
+  }
+
+  /**
+   * Checks that the provider answers and accepts our credentials (see
+   * PlacesProvider#checkHealth).
+   * @param {object} [options] `timeout` in ms.
+   * @returns {Promise<{provider: string, probed: boolean}>}
+   * @throws When the provider cannot be reached or rejects the request.
+   */
+  async checkHealth(options) {
+    return {
+      provider: this.provider.name,
+      ...(await this.provider.checkHealth(options)),
+    };
   }
 
   /**
@@ -14,73 +69,42 @@ class MapsService {
    * @param {string | null} location The latitude/longitude around which to retrieve place information. Defaults to config.
    * @param {number | null} radius The radius in meters to search in. Defaults to config.
    * @param {string | null} placeType Restricts the results to places of the specified type.
-   * @returns {Promise<Array<object>>} A promise that resolves to an array of formatted place objects.
+   * @param {object} [options]
+   * @param {number} [options.maxResults=5] The maximum number of places to return.
+   * @param {object} [options.filters] Structured filters (see utils/placeFilters.js).
+   * @param {string | object | null} [options.origin] The user's location. Places are annotated with
+   *   `distance_m` and `travel` times from it.
+   * @param {string} [options.sortBy="relevance"] See utils/placeRanking.js. Sorts each page: the
+   *   provider decides which places are on a page, so a closer place may come on a later one.
+   * @param {string | null} [options.language] The language of the place data. Defaults to config.
+   * @returns {Promise<{places: Array<object>, next_page_token: string | null, filters: object}>} Formatted places,
+   *   a token for the next page and the filters that were actually applied.
    */
-  async searchPlaces(query, location = null, radius = null, placeType = null) {
-    try {
-      const params = {
-        key: this.apiKey,
-        query,
-        language: config.googleMaps.defaultLanguage,
-        region: config.googleMaps.defaultRegion,
-        location: location || config.googleMaps.defaultLocation,
-        radius: radius || config.googleMaps.searchRadius,
-      };
-
-      if (placeType) {
-        params.type = placeType;
-      }
-
-      const response = await this.client.textSearch({ params });
-
-      const places = response.data.results
-        .slice(0, 5)
-        .map((place) => this.formatPlace(place));
-
-      logger.info(`Found ${places.length} places for query: ${query}`);
-      return places;
-    } catch (error) {
-      logger.error("Places search failed:", error);
-      return [];
-    }
-  }
-
-  /**
-   * Retrieves detailed information about a specific place.
-   * @param {string} placeId The unique identifier of the place.
-   * @returns {Promise<object | null>} A promise that resolves to a formatted place details object or null if not found.
-   */
-  async getPlaceDetails(placeId) {
-    try {
-      const response = await this.client.placeDetails({
-        params: {
-          key: this.apiKey,
-          place_id: placeId,
-          fields: [
-            "name",
-            "formatted_address",
-            "geometry",
-            "rating",
-            "opening_hours",
-            "formatted_phone_number",
-            "website",
-            "photos",
-            "reviews",
-            "types",
-          ],
-          language: config.googleMaps.defaultLanguage,
-        },
-      });
-
-      if (response.data.result) {
-        return this.formatPlaceDetails(response.data.result);
-      }
-
-      return null;
-    } catch (error) {
-      logger.error("Failed to get place details:", error);
-      return null;
-    }
+  async searchPlaces(
+    query,
+    location = null,
+    radius = null,
+    placeType = null,
+    {
+      maxResults = 5,
+      filters = null,
+      origin = null,
+      sortBy = "relevance",
+      language = null,
+    } = {}
+  ) {
+    const search = {
+      kind: "text",
+      query,
+      location,
+      radius,
+      placeType,
+      filters: this._supportedFilters(filters),
+      origin: this.provider.parseLocation(origin),
+      sortBy,
+      language,
+    };
+    return this._runSearch(search, maxResults, null);
   }
 
   /**
@@ -89,138 +113,291 @@ class MapsService {
    * @param {string} placeType Restricts the results to places of the specified type.
    * @param {number} [radius=1000] The radius in meters to search in.
    * @param {string | null} keyword A keyword to match against place names, types, and addresses.
-   * @returns {Promise<Array<object>>} A promise that resolves to an array of formatted place objects.
+   * @param {object} [options]
+   * @param {number} [options.maxResults=5] The maximum number of places to return.
+   * @param {object} [options.filters] Structured filters (see utils/placeFilters.js).
+   * @param {string} [options.sortBy="relevance"] See utils/placeRanking.js. Distances are measured
+   *   from `location`.
+   * @param {string | null} [options.language] The language of the place data. Defaults to config.
+   * @returns {Promise<{places: Array<object>, next_page_token: string | null, filters: object}>} Formatted places,
+   *   a token for the next page and the filters that were actually applied.
    */
-  async nearbySearch(location, placeType, radius = 1000, keyword = null) {
-    try {
-      const params = {
-        key: this.apiKey,
-        location,
-        radius,
-        type: placeType,
-        language: config.googleMaps.defaultLanguage,
-      };
-
-      if (keyword) {
-        params.keyword = keyword;
-      }
-
-      const response = await this.client.placesNearby({ params });
+  async nearbySearch(
+    location,
+    placeType,
+    radius = 1000,
+    keyword = null,
+    {
+      maxResults = 5,
+      filters = null,
+      sortBy = "relevance",
+      language = null,
+    } = {}
+  ) {
+    const search = {
+      kind: "nearby",
+      location,
+      placeType,
+      radius,
+      keyword,
+      filters: this._supportedFilters(filters),
+      origin: this.provider.parseLocation(location),
+      sortBy,
+      language,
+    };
+    return this._runSearch(search, maxResults, null);
+  }
 
-      const places = response.data.results
-        .slice(0, 5)
-        .map((place) => this.formatPlace(place));
+  /**
+   * Filters already-retrieved places (e.g. the previous results of a conversation) with the
+   * filters the active provider supports.
+   * @param {Array<object>} places Formatted places.
+   * @param {object | null} filters Structured filters.
+   * @returns {{places: Array<object>, filters: object}} The matching places and the applied filters.
+   */
+  filterPlaces(places, filters) {
+    const applied = this._supportedFilters(filters);
+    return { places: applyFilters(places, applied), filters: applied };
+  }
 
-      return places;
-    } catch (error) {
-      logger.error("Nearby search failed:", error);
-      return [];
+  /**
+   * Fetches the next page of a previous searchPlaces/nearbySearch call.
+   * The token carries the original search, so callers only need to pass it back.
+   * @param {string} pageToken The `next_page_token` returned by a previous call.
+   * @param {object} [options]
+   * @param {number} [options.maxResults=5] The maximum number of places to return.
+   * @returns {Promise<{places: Array<object>, next_page_token: string | null, filters: object}>}
+   * @throws {Error} With `status = 400` when the token is invalid.
+   */
+  async continueSearch(pageToken, { maxResults = 5 } = {}) {
+    const { search, page, provider } = decodeCursor(pageToken);
+    if (!search || provider !== this.provider.name) {
+      const error = new Error("Invalid page token");
+      error.status = 400;
+      throw error;
     }
+    return this._runSearch(search, maxResults, page);
   }
 
   /**
-   * Formats a raw place object from the API response into a cleaner format.
-   * @param {object} place The raw place object.
-   * @returns {object} The formatted place object.
+   * Runs a search against the provider and wraps its resume state into an opaque token.
+   * @private
    */
-  formatPlace(place) {
-    const location = place.geometry?.location || {};
+  async _runSearch(search, maxResults, page) {
+    if ((await costService.getMode()) === "cache_only") {
+      logger.warn("Maps budget spent: skipping the search");
+      return {
+        places: [],
+        filters: search.filters || {},
+        next_page_token: null,
+      };
+    }
+
+    const options = {
+      maxResults,
+      page,
+      filters: search.filters || {},
+      language: search.language,
+    };
+    const result =
+      search.kind === "nearby"
+        ? await this.provider.nearbySearch(
+            search.location,
+            search.placeType,
+            search.radius,
+            search.keyword,
+            options
+          )
+        : await this.provider.searchPlaces(
+            search.query,
+            search.location,
+            search.radius,
+            search.placeType,
+            options
+          );
+
+    const places = sortPlaces(
+      await this.annotateTravel(result.places, search.origin, {
+        language: search.language,
+      }),
+      search.sortBy
+    );
 
     return {
-      place_id: place.place_id,
-      name: place.name,
-      address: place.formatted_address || place.vicinity,
-      lat: location.lat,
-      lng: location.lng,
-      rating: place.rating,
-      user_ratings_total: place.user_ratings_total,
-      types: place.types || [],
-      open_now: place.opening_hours?.open_now || null,
-      price_level: place.price_level,
-      maps_url: this.generateMapsUrl(location.lat, location.lng, place.name),
-      directions_url: this.generateDirectionsUrl(location.lat, location.lng),
-      embed_url: this.generateEmbedUrl(place.place_id),
+      places,
+      filters: search.filters || {},
+      next_page_token: result.nextPage
+        ? encodeCursor({
+            provider: this.provider.name,
+            search,
+            page: result.nextPage,
+          })
+        : null,
     };
   }
 
   /**
-   * Formats a raw place details object from the API response.
-   * @param {object} place The raw place details object.
-   * @returns {object} The formatted place details object.
+   * Annotates places with the straight-line distance from `origin` (`distance_m`) and walking
+   * and driving times (`travel`). Driving times come from the provider's routing service when it
+   * has one (one billed element per place), and walking times, like driving times without it,
+   * are estimated from the distance (`travel.<mode>.source`).
+   * @param {Array<object>} places Formatted places.
+   * @param {{lat: number, lng: number} | null} origin The user's location.
+   * @param {object} [options]
+   * @param {string | null} [options.language] The language of the lookups. Defaults to config.
+   * @returns {Promise<Array<object>>} The annotated places (unchanged without an origin).
    */
-  formatPlaceDetails(place) {
-    const formatted = this.formatPlace(place);
+  async annotateTravel(places, origin, { language = null } = {}) {
+    if (!origin) return places;
 
-    formatted.phone = place.formatted_phone_number;
-    formatted.website = place.website;
-    formatted.opening_hours = place.opening_hours?.weekday_text || [];
-    formatted.reviews = this.formatReviews(place.reviews || []);
-    formatted.photos = this.formatPhotos(place.photos || []);
+    const located = places.filter(
+      (place) => Number.isFinite(place.lat) && Number.isFinite(place.lng)
+    );
+    const lookups =
+      (await costService.getMode()) === "full"
+        ? await Promise.all(
+            LOOKUP_MODES.map((mode) =>
+              this.provider.getTravelTimes(origin, located, mode, { language })
+            )
+          )
+        : [];
 
-    return formatted;
+    return places.map((place) => {
+      const index = located.indexOf(place);
+      if (index === -1) return place;
+
+      const distance_m = Math.round(haversineMeters(origin, place));
+      const travel = {};
+      TRAVEL_MODES.forEach((mode) => {
+        const looked = lookups[LOOKUP_MODES.indexOf(mode)]?.[index];
+        travel[mode] = looked
+          ? { ...looked, source: "distance_matrix" }
+          : { ...estimateTravel(distance_m, mode), source: "estimate" };
+      });
+      return { ...place, distance_m, travel };
+    });
   }
 
   /**
-   * Formats and limits the number of reviews.
-   * @param {Array<object>} reviews An array of raw review objects.
-   * @param {number} [maxReviews=3] The maximum number of reviews to return.
-   * @returns {Array<object>} An array of formatted review objects.
+   * Plans a route through `points` in order, or lets the provider reorder the points between the
+   * first and the last when `optimize` is set. Legs the provider cannot route are estimated from
+   * the straight-line distance (`source`).
+   * @param {Array<{lat: number, lng: number}>} points The origin, the stops and the destination (at least 2).
+   * @param {object} [options]
+   * @param {"walking" | "driving"} [options.mode="walking"] The travel mode.
+   * @param {boolean} [options.optimize=false] Whether the intermediate points may be reordered.
+   * @param {string | null} [options.language] The language of the lookup. Defaults to config.
+   * @returns {Promise<{order: number[], legs: Array<{distance_m: number, duration_s: number, source: string}>}>}
+   *   The visiting order as indexes into `points`, and one leg per hop in that order.
    */
-  formatReviews(reviews, maxReviews = 3) {
-    return reviews.slice(0, maxReviews).map((review) => ({
-      author: review.author_name,
-      rating: review.rating,
-      text: review.text,
-      time: review.relative_time_description,
-    }));
+  async getRoute(
+    points,
+    { mode = "walking", optimize = false, language = null } = {}
+  ) {
+    const origin = points[0];
+    const destination = points[points.length - 1];
+    const waypoints = points.slice(1, -1);
+
+    const route =
+      (await costService.getMode()) === "full"
+        ? await this.provider.getRoute(origin, destination, waypoints, {
+            mode,
+            optimize,
+            language,
+          })
+        : null;
+    const order = route
+      ? [0, ...route.order.map((index) => index + 1), points.length - 1]
+      : points.map((_, index) => index);
+
+    if (route && route.legs.length === points.length - 1) {
+      return {
+        order,
+        legs: route.legs.map((leg) => ({ ...leg, source: "directions" })),
+      };
+    }
+
+    const legs = order.slice(1).map((to, i) => {
+      const distance_m = Math.round(
+        haversineMeters(points[order[i]], points[to])
+      );
+      return { ...estimateTravel(distance_m, mode), source: "estimate" };
+    });
+    return { order, legs };
   }
 
   /**
-   * Formats and limits the number of photos, generating API URLs.
-   * @param {Array<object>} photos An array of raw photo objects.
-   * @param {number} [maxPhotos=3] The maximum number of photos to return.
-   * @returns {Array<string>} An array of photo URLs.
+   * Keeps the active filters the provider can honour and logs the ones it cannot.
+   * @private
    */
-  formatPhotos(photos, maxPhotos = 3) {
-    return photos
-      .slice(0, maxPhotos)
-      .map((photo) => {
-        if (photo.photo_reference) {
-          return `https://maps.googleapis.com/maps/api/place/photo?maxwidth=400&photoreference=${photo.photo_reference}&key=${this.apiKey}`;
-        }
-        return null;
-      })
-      .filter((url) => url !== null);
+  _supportedFilters(filters) {
+    const requested = activeFilters(filters);
+    const supported = activeFilters(filters, this.provider.supportedFilters);
+    const dropped = Object.keys(requested).filter((key) => !(key in supported));
+    if (dropped.length > 0) {
+      logger.warn(
+        `Maps provider '${this.provider.name}' does not support filters: ${dropped.join(", ")}`
+      );
+    }
+    return supported;
   }
 
   /**
-   * Generates a Google Maps URL for a specific location and name.
-   * @param {number} lat The latitude of the place.
-   * @param {number} lng The longitude of the place.
-   * @param {string} name The name of the place.
-   * @returns {string} The formatted Google Maps URL.
+   * Retrieves detailed information about a specific place.
+   * @param {string} placeId The unique identifier of the place.
+   * @param {object} [options]
+   * @param {string | null} [options.language] The language of the place data. Defaults to config.
+   * @returns {Promise<object | null>} A promise that resolves to a formatted place details object
+   *   or null if not found (or when the Maps budget is spent).
    */
-  generateMapsUrl(lat, lng, name) {
-    return `https://www.google.com/maps/search/?api=1&query=${lat},${lng}&query_place_name=${encodeURIComponent(name)}`;
+  async getPlaceDetails(placeId, { language = null } = {}) {
+    const mode = await costService.getMode();
+    if (mode === "cache_only") {
+      logger.warn(`Maps budget spent: skipping details of ${placeId}`);
+      return null;
+    }
+    return this.provider.getPlaceDetails(placeId, {
+      fieldMask: mode === "reduced" ? "reduced" : "full",
+      language,
+    });
   }
 
   /**
-   * Generates a Google Maps directions URL.
-   * @param {number} lat The latitude of the destination.
-   * @param {number} lng The longitude of the destination.
-   * @returns {string} The formatted Google Maps directions URL.
+   * Fetches a place photo for the photo proxy. Returns null when the Maps budget is spent.
+   * @param {string} reference The photo reference.
+   * @param {number} maxWidth The maximum width in pixels.
+   * @returns {Promise<{contentType: string, data: Buffer} | null>}
    */
-  generateDirectionsUrl(lat, lng) {
-    return `https://www.google.com/maps/dir/?api=1&destination=${lat},${lng}`;
+  async getPhoto(reference, maxWidth) {
+    if ((await costService.getMode()) === "cache_only") {
+      logger.warn("Maps budget spent: skipping a photo");
+      return null;
+    }
+    return this.provider.getPhoto(reference, maxWidth);
   }
 
   /**
-   * Generates an embeddable Google Maps URL for an iframe.
-   * @param {string} placeId The unique identifier of the place.
-   * @returns {string} The formatted embed URL.
+   * URL builders of the active provider (see PlacesProvider).
    */
-  generateEmbedUrl(placeId) {
-    return `https://www.google.com/maps/embed/v1/place?key=${this.apiKey}&q=place_id:${placeId}`;
+  generateMapsUrl(lat, lng, name) {
+    return this.provider.generateMapsUrl(lat, lng, name);
+  }
+
+  generateDirectionsUrl(lat, lng) {
+    return this.provider.generateDirectionsUrl(lat, lng);
+  }
+
+  generateEmbedUrl(placeId, lat, lng) {
+    return this.provider.generateEmbedUrl(placeId, lat, lng);
+  }
+
+  generateRouteUrl(points, mode) {
+    return this.provider.generateRouteUrl(
+      points[0],
+      points[points.length - 1],
+      points.slice(1, -1),
+      mode
+    );
   }
 }
 
@@ -0,0 +1,136 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+const config = require("../config/config");
+const mapsService = require("./mapsService");
+const logger = require("../utils/logger");
+
+/**
+ * Expired photos are removed from disk at most this often.
+ */
+const SWEEP_INTERVAL_MS = 3600 * 1000;
+
+/**
+ * @class PhotoService
+ * @description Serves place photos for the photo proxy, so the Maps API key never reaches the
+ * browser. Photos are cached on disk (`PHOTO_CACHE_DIR`) for `PHOTO_CACHE_TTL` seconds rather
+ * than in Redis, to keep image bytes out of the shared cache. Each photo is stored as the image
+ * itself plus a small JSON sidecar with its content type and ETag.
+ */
+class PhotoService {
+  constructor() {
+    this.lastSweep = 0;
+  }
+
+  /**
+   * Loads a photo from the disk cache, or from the maps provider on a miss.
+   * @param {string} reference The photo reference.
+   * @param {number} maxWidth The maximum width in pixels.
+   * @returns {Promise<{contentType: string, data: Buffer, etag: string} | null>} The image and
+   *   a strong ETag, or null when the provider has no such photo.
+   */
+  async getPhoto(reference, maxWidth) {
+    const file = this._filePath(reference, maxWidth);
+    const cached = await this._read(file);
+    if (cached) {
+      logger.debug(`Photo cache hit: ${file}`);
+      return cached;
+    }
+
+    const photo = await mapsService.getPhoto(reference, maxWidth);
+    if (!photo) return null;
+
+    const entry = {
+      ...photo,
+      etag: crypto.createHash("sha1").update(photo.data).digest("hex"),
+    };
+    await this._write(file, entry);
+    return entry;
+  }
+
+  /**
+   * The path of a cached image, without extension: the image is at `<path>.img` and its
+   * metadata at `<path>.json`.
+   * @private
+   */
+  _filePath(reference, maxWidth) {
+    const name = crypto
+      .createHash("sha1")
+      .update(`${reference}\n${maxWidth}`)
+      .digest("hex");
+    return path.join(config.photos.cacheDir, name);
+  }
+
+  /**
+   * @private
+   */
+  async _read(file) {
+    try {
+      const stat = await fs.stat(`${file}.json`);
+      if (Date.now() - stat.mtimeMs > config.photos.cacheTtl * 1000) {
+        return null;
+      }
+      const { content_type, etag } = JSON.parse(
+        await fs.readFile(`${file}.json`, "utf8")
+      );
+      return {
+        contentType: content_type,
+        etag,
+        data: await fs.readFile(`${file}.img`),
+      };
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logger.warn(`Unreadable cached photo ${file}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Writes the image before its metadata, which marks the photo as cached.
+   * @private
+   */
+  async _write(file, { contentType, etag, data }) {
+    try {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await this._replace(`${file}.img`, data);
+      await this._replace(
+        `${file}.json`,
+        JSON.stringify({ content_type: contentType, etag })
+      );
+      await this._sweep();
+    } catch (error) {
+      logger.warn("Failed to cache photo:", error.message);
+    }
+  }
+
+  /**
+   * Writes a file then renames it into place, so concurrent readers never see a partial file.
+   * @private
+   */
+  async _replace(file, data) {
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, data);
+    await fs.rename(temporary, file);
+  }
+
+  /**
+   * Removes expired photos, at most once per SWEEP_INTERVAL_MS.
+   * @private
+   */
+  async _sweep() {
+    if (Date.now() - this.lastSweep < SWEEP_INTERVAL_MS) return;
+    this.lastSweep = Date.now();
+
+    const { cacheDir, cacheTtl } = config.photos;
+    for (const name of await fs.readdir(cacheDir)) {
+      const file = path.join(cacheDir, name);
+      const stat = await fs.stat(file).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > cacheTtl * 1000) {
+        await fs.rm(file, { force: true });
+      }
+    }
+  }
+}
+
+module.exports = new PhotoService();
@@ -0,0 +1,203 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("../config/config");
+const logger = require("../utils/logger");
+
+/**
+ * `<name>.txt` (any language) or `<name>.<language>.txt`.
+ */
+const FILE_PATTERN = /^([a-z0-9_]+)(?:\.([a-z]{2,3}))?\.txt$/;
+
+const VARIABLE_PATTERN = /\{\{\s*([a-z0-9_]+)\s*\}\}/g;
+
+/**
+ * Changes to the templates directory are applied after this quiet period (editors write in bursts).
+ */
+const RELOAD_DELAY_MS = 200;
+
+/**
+ * Builds an error carrying the HTTP status the controllers should answer with.
+ */
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * @class PromptService
+ * @description Registry of the LLM prompt templates in `PROMPTS_DIR` (backend/prompts).
+ * A template file starts with a header giving its `version` and `description`:
+ *
+ *   ---
+ *   version: 2
+ *   description: Summarizes the places found for the user's request.
+ *   ---
+ *   Based on the following places... {{places}}
+ *
+ * and uses `{{variable}}` placeholders. Templates are identified as `<name>[.<language>]@<version>`,
+ * which is what responses and logs record. Bump the version whenever the wording changes.
+ * With `PROMPTS_HOT_RELOAD` (on in development) edits are picked up without a restart.
+ */
+class PromptService {
+  constructor() {
+    this.templates = new Map();
+    this.watcher = null;
+    this.load();
+    if (config.prompts.hotReload) {
+      this.watch();
+    }
+  }
+
+  /**
+   * (Re)reads every template. A broken directory keeps the previous templates once loaded.
+   * @throws {Error} When the directory or a template is invalid on the first load.
+   */
+  load() {
+    const { dir } = config.prompts;
+    try {
+      const templates = new Map();
+      for (const file of fs.readdirSync(dir).sort()) {
+        const match = FILE_PATTERN.exec(file);
+        if (!match) continue;
+        const template = this._parse(
+          match[1],
+          match[2] || null,
+          path.join(dir, file)
+        );
+        templates.set(this._key(template.name, template.language), template);
+      }
+      this.templates = templates;
+      logger.info(`Loaded ${templates.size} prompt templates from ${dir}`);
+    } catch (error) {
+      if (this.templates.size === 0) throw error;
+      logger.error("Failed to reload prompt templates:", error.message);
+    }
+  }
+
+  /**
+   * Reloads the templates when a file in the directory changes.
+   */
+  watch() {
+    let timer = null;
+    this.watcher = fs.watch(config.prompts.dir, () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => this.load(), RELOAD_DELAY_MS);
+    });
+    this.watcher.unref();
+    logger.info("Prompt templates are reloaded on change");
+  }
+
+  /**
+   * Lists the loaded templates.
+   * @returns {Array<{id: string, name: string, language: string | null, version: number, description: string, variables: string[]}>}
+   */
+  list() {
+    return Array.from(this.templates.values()).map(
+      ({ id, name, language, version, description, variables }) => ({
+        id,
+        name,
+        language,
+        version,
+        description,
+        variables,
+      })
+    );
+  }
+
+  /**
+   * Finds the template for a language, falling back to the language-neutral one.
+   * @param {string} name The template name (e.g. "narrative").
+   * @param {string | null} [language] A language code.
+   * @returns {object} The template.
+   * @throws {Error} With `status = 404` when there is no such template.
+   */
+  get(name, language = null) {
+    const template =
+      (language && this.templates.get(this._key(name, language))) ||
+      this.templates.get(this._key(name, null));
+    if (!template) {
+      throw httpError(
+        404,
+        `Unknown prompt template '${name}'${language ? ` for language '${language}'` : ""}`
+      );
+    }
+    return template;
+  }
+
+  /**
+   * Renders a template.
+   * @param {string} name The template name.
+   * @param {string | null} language A language code (see get).
+   * @param {object} variables Values of the `{{variable}}` placeholders.
+   * @returns {{id: string, text: string}} The template id and the rendered prompt.
+   * @throws {Error} With `status = 404` for an unknown template and `status = 400` when a
+   *   variable is missing.
+   */
+  render(name, language, variables = {}) {
+    const template = this.get(name, language);
+    const missing = template.variables.filter(
+      (variable) => variables[variable] === undefined
+    );
+    if (missing.length > 0) {
+      throw httpError(
+        400,
+        `Prompt template ${template.id} needs: ${missing.join(", ")}`
+      );
+    }
+    return {
+      id: template.id,
+      text: template.body.replace(VARIABLE_PATTERN, (_, variable) =>
+        String(variables[variable])
+      ),
+    };
+  }
+
+  /**
+   * Parses a template file.
+   * @private
+   */
+  _parse(name, language, file) {
+    const source = fs.readFileSync(file, "utf8").replace(/\r\n/g, "\n");
+    const header = /^---\n([\s\S]*?)\n---\n/.exec(source);
+    if (!header) {
+      throw new Error(`Prompt template ${file} has no '---' header`);
+    }
+
+    const meta = {};
+    for (const line of header[1].split("\n")) {
+      const separator = line.indexOf(":");
+      if (separator > 0) {
+        meta[line.slice(0, separator).trim()] = line
+          .slice(separator + 1)
+          .trim();
+      }
+    }
+    const version = Number(meta.version);
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error(
+        `Prompt template ${file} needs a positive integer version`
+      );
+    }
+
+    // Files end with a newline that is not part of the prompt.
+    const body = source.slice(header[0].length).replace(/\n$/, "");
+    return {
+      id: `${this._key(name, language)}@${version}`,
+      name,
+      language,
+      version,
+      description: meta.description || "",
+      variables: [
+        ...new Set(Array.from(body.matchAll(VARIABLE_PATTERN), (m) => m[1])),
+      ],
+      body,
+    };
+  }
+
+  _key(name, language) {
+    return language ? `${name}.${language}` : name;
+  }
+}
+
+module.exports = new PromptService();
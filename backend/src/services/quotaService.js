@@ -0,0 +1,221 @@
+const config = require("../config/config");
+const cacheService = require("./cacheService");
+const logger = require("../utils/logger");
+
+/**
+ * Quota windows. Windows are fixed and aligned to the epoch, so the day window resets at 00:00 UTC.
+ */
+const WINDOWS = {
+  minute: { seconds: 60, limitKey: "perMinute" },
+  day: { seconds: 86400, limitKey: "perDay" },
+};
+
+/**
+ * The budgets a request can draw from.
+ */
+const BUDGETS = ["llm", "maps"];
+
+/**
+ * Builds an error carrying the HTTP status the middleware should answer with.
+ */
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * @class QuotaService
+ * @description Counts requests per caller against the LLM and Maps budgets in `config.quota`.
+ * Counters live in Redis (fixed windows through `cacheService.increment`), so they survive
+ * restarts and are shared by every instance. When Redis is unavailable requests are let through.
+ */
+class QuotaService {
+  /**
+   * Names the caller quotas are counted for: its API key, its user, or its IP when anonymous.
+   * API keys get their own budget, separate from the user's.
+   * @param {object | null} principal The authenticated caller (`req.user`).
+   * @param {string} ip The client IP.
+   * @returns {{type: string, id: string}}
+   */
+  subjectFor(principal, ip) {
+    if (principal?.api_key_id) {
+      return { type: "api_key", id: principal.api_key_id };
+    }
+    if (principal) {
+      return { type: "user", id: principal.id };
+    }
+    return { type: "ip", id: ip };
+  }
+
+  /**
+   * Counts one request against each budget, unless one of them is exhausted.
+   * @param {{type: string, id: string}} subject See subjectFor.
+   * @param {string[]} budgets The budgets the request uses, e.g. ["llm", "maps"].
+   * @param {number} [now] The current time in ms.
+   * @returns {Promise<object>} The usage after the request (see getUsage).
+   * @throws {Error} With `status` 429 and the usage in `usage` when a budget is exhausted; the
+   * request is then not counted.
+   */
+  async consume(subject, budgets, now = Date.now()) {
+    const counters = this._counters(budgets);
+    const counts = await Promise.all(
+      counters.map(({ budget, window }) =>
+        cacheService.increment(
+          WINDOWS[window].seconds,
+          ...this._counterKey(subject, budget, window, now)
+        )
+      )
+    );
+    if (counts.includes(0)) {
+      logger.warn("Quota counters unavailable; not enforcing quotas");
+    }
+    const exceeded = counters.filter(
+      ({ budget, window }, i) => counts[i] > this._limit(budget, window)
+    );
+    if (exceeded.length === 0) {
+      return this._usage(counters, counts, now);
+    }
+
+    await Promise.all(
+      counters.map(({ budget, window }) =>
+        cacheService.decrement(
+          ...this._counterKey(subject, budget, window, now)
+        )
+      )
+    );
+    const { budget, window } = exceeded[0];
+    const error = httpError(
+      429,
+      `The ${budget.toUpperCase()} quota for this ${window} is used up`
+    );
+    error.usage = this._usage(
+      counters,
+      counts.map((count) => count - 1),
+      now
+    );
+    error.retryAfter = this._resetIn(window, now);
+    throw error;
+  }
+
+  /**
+   * Gives back budgets a counted request turned out not to use, e.g. when it was answered from
+   * the cache. Each budget is given back at most once.
+   * @param {{subject: object, budgets: string[], now: number} | undefined} charge What the
+   *   request was counted for (`req.quota`, see middlewares/quota.js); nothing without one.
+   * @param {string[]} budgets The budgets to give back.
+   */
+  async refund(charge, budgets) {
+    if (!charge) return;
+    const refunded = charge.budgets.filter((budget) =>
+      budgets.includes(budget)
+    );
+    charge.budgets = charge.budgets.filter(
+      (budget) => !refunded.includes(budget)
+    );
+    await Promise.all(
+      this._counters(refunded).map(({ budget, window }) =>
+        // Counted in the window of the request, which may have ended since.
+        cacheService.incrementBy(
+          -1,
+          WINDOWS[window].seconds,
+          ...this._counterKey(charge.subject, budget, window, charge.now)
+        )
+      )
+    );
+  }
+
+  /**
+   * Reports a caller's usage of every budget without counting a request.
+   * @param {{type: string, id: string}} subject See subjectFor.
+   * @param {number} [now] The current time in ms.
+   * @returns {Promise<object>} `{llm: {minute: {limit, used, remaining, reset}, day: {...}}, maps: {...}}`,
+   * where `reset` is the number of seconds until the window resets.
+   */
+  async getUsage(subject, now = Date.now()) {
+    const counters = this._counters(BUDGETS);
+    const counts = await Promise.all(
+      counters.map(
+        async ({ budget, window }) =>
+          (await cacheService.get(
+            ...this._counterKey(subject, budget, window, now)
+          )) || 0
+      )
+    );
+    return this._usage(counters, counts, now);
+  }
+
+  /**
+   * Picks the window closest to exhaustion, for the `RateLimit-*` headers.
+   * @param {object} usage As returned by consume or getUsage.
+   * @returns {{limit: number, remaining: number, reset: number}}
+   */
+  tightest(usage) {
+    const windows = Object.values(usage).flatMap((budget) =>
+      Object.values(budget)
+    );
+    return windows.reduce((tightest, window) =>
+      window.remaining / window.limit < tightest.remaining / tightest.limit
+        ? window
+        : tightest
+    );
+  }
+
+  /**
+   * @param {string} window "minute" or "day".
+   * @returns {number} The length of the window in seconds.
+   */
+  windowSeconds(window) {
+    return WINDOWS[window].seconds;
+  }
+
+  _usage(counters, counts, now) {
+    const usage = {};
+    counters.forEach(({ budget, window }, i) => {
+      const limit = this._limit(budget, window);
+      const used = Math.min(counts[i], limit);
+      usage[budget] = usage[budget] || {};
+      usage[budget][window] = {
+        limit,
+        used,
+        remaining: limit - used,
+        reset: this._resetIn(window, now),
+      };
+    });
+    return usage;
+  }
+
+  _counters(budgets) {
+    return budgets.flatMap((budget) =>
+      Object.keys(WINDOWS).map((window) => ({ budget, window }))
+    );
+  }
+
+  _limit(budget, window) {
+    return config.quota[budget][WINDOWS[window].limitKey];
+  }
+
+  _windowIndex(window, now) {
+    return Math.floor(now / 1000 / WINDOWS[window].seconds);
+  }
+
+  _resetIn(window, now) {
+    const { seconds } = WINDOWS[window];
+    return (
+      (this._windowIndex(window, now) + 1) * seconds - Math.floor(now / 1000)
+    );
+  }
+
+  _counterKey(subject, budget, window, now) {
+    return [
+      "quota",
+      subject.type,
+      subject.id,
+      budget,
+      window,
+      this._windowIndex(window, now),
+    ];
+  }
+}
+
+module.exports = new QuotaService();
@@ -0,0 +1,152 @@
+const crypto = require("crypto");
+const config = require("../config/config");
+const cacheService = require("./cacheService");
+const logger = require("../utils/logger");
+
+/**
+ * How many turns a session keeps. Older turns are dropped from storage and from the LLM context.
+ */
+const MAX_TURNS = 20;
+
+/**
+ * How long appendTurn waits before trying again to lock a session another request is writing.
+ */
+const LOCK_RETRY_MS = 50;
+
+/**
+ * @class SessionService
+ * @description Stores conversations (prompts, extracted entities, returned places and narratives)
+ * in Redis through `cacheService`, so follow-up questions can build on earlier turns.
+ */
+class SessionService {
+  constructor() {
+    this.ttl = config.session.ttl;
+  }
+
+  /**
+   * Creates an empty session.
+   * @param {string | null} [userId] The owner, when the caller is authenticated.
+   * @returns {Promise<object>} The new session.
+   */
+  async create(userId = null) {
+    const now = new Date().toISOString();
+    const session = {
+      session_id: crypto.randomUUID(),
+      user_id: userId,
+      created_at: now,
+      updated_at: now,
+      turns: [],
+    };
+    await this._save(session);
+    logger.info(`Created session ${session.session_id}`);
+    return session;
+  }
+
+  /**
+   * Loads a session.
+   * @param {string} sessionId The session id.
+   * @returns {Promise<object | null>} The session or null when it does not exist (or expired).
+   */
+  async get(sessionId) {
+    return cacheService.get("session", sessionId);
+  }
+
+  /**
+   * Whether a caller may read and continue a session. Sessions created anonymously are open
+   * to anyone holding their id.
+   * @param {object} session The session.
+   * @param {object | null} user The authenticated caller (`req.user`).
+   * @returns {boolean}
+   */
+  isAccessibleBy(session, user) {
+    return !session.user_id || session.user_id === user?.id;
+  }
+
+  /**
+   * Appends a turn to a session and refreshes its expiry. The session is locked (see
+   * CacheService#acquireLock) and read again, so concurrent turns are all kept; `session` is
+   * updated with the stored turns.
+   * @param {object} session The session returned by `get` or `create`.
+   * @param {object} turn The turn to record (prompt, entities, places, llm_text, ...).
+   * @returns {Promise<object>} The recorded turn.
+   */
+  async appendTurn(session, turn) {
+    const token = await this._lock(session.session_id);
+    try {
+      const current = (await this.get(session.session_id)) || session;
+      const recorded = { ...turn, created_at: new Date().toISOString() };
+      Object.assign(session, current, {
+        turns: [...current.turns, recorded].slice(-MAX_TURNS),
+        updated_at: recorded.created_at,
+      });
+      await this._save(session);
+      return recorded;
+    } finally {
+      if (token) {
+        await cacheService.releaseLock(token, "session", session.session_id);
+      }
+    }
+  }
+
+  /**
+   * Deletes a session.
+   * @param {string} sessionId The session id.
+   * @returns {Promise<boolean>} Whether a session was deleted.
+   */
+  async delete(sessionId) {
+    return cacheService.delete("session", sessionId);
+  }
+
+  /**
+   * Builds the conversation context handed to the RAG flow: earlier prompts and answers, plus
+   * the entities and places of the most recent turn that returned places.
+   * @param {object} session The session.
+   * @returns {object | null} The context, or null for a session without turns.
+   */
+  buildContext(session) {
+    if (!session || session.turns.length === 0) return null;
+
+    const lastWithPlaces = [...session.turns]
+      .reverse()
+      .find((turn) => turn.places?.length > 0);
+    const lastTurn = session.turns[session.turns.length - 1];
+
+    return {
+      history: session.turns.map((turn) => ({
+        prompt: turn.prompt,
+        llm_text: turn.llm_text,
+      })),
+      entities: (lastWithPlaces || lastTurn).entities || null,
+      places: lastWithPlaces?.places || [],
+    };
+  }
+
+  /**
+   * Takes the lock of a session, waiting while another request holds it. Locks expire after
+   * `cache.lockTtl` seconds, so past that the session is written without one.
+   * @returns {Promise<string | null>} The token for releaseLock, or null without the lock.
+   * @private
+   */
+  async _lock(sessionId) {
+    const deadline = Date.now() + config.cache.lockTtl * 1000;
+    for (;;) {
+      const token = await cacheService.acquireLock("session", sessionId);
+      if (token || Date.now() >= deadline) return token;
+      await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+
+  async _save(session) {
+    const saved = await cacheService.set(
+      session,
+      this.ttl,
+      "session",
+      session.session_id
+    );
+    if (!saved) {
+      throw new Error(`Failed to save session ${session.session_id}`);
+    }
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,184 @@
+const crypto = require("crypto");
+const config = require("../config/config");
+const cacheService = require("./cacheService");
+const llmService = require("./llmService");
+const { cacheableAnswer } = require("../utils/queryCache");
+const logger = require("../utils/logger");
+
+/**
+ * Seconds a job can be read after it was last updated.
+ */
+const JOB_TTL = 86400;
+
+/**
+ * Builds an error carrying the HTTP status the controllers should answer with.
+ */
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * @class WarmupService
+ * @description Warms the query cache in the background: a job answers popular prompts one at a
+ * time, as POST /query would, and caches the answers. Jobs are stored through `cacheService`, so
+ * any instance can report or cancel them; one job runs per instance at a time, so warming does
+ * not crowd out the LLM. Each prompt has `cache.warmPromptTimeout` seconds, and the lookups of
+ * a job are not counted in the cache stats.
+ */
+class WarmupService {
+  constructor() {
+    this.promptTimeoutMs = config.cache.warmPromptTimeout * 1000;
+    // {job_id, controller} of the job running in this process
+    this.running = null;
+  }
+
+  /**
+   * Starts a job.
+   * @param {Array<object>} queries The queries to answer, as given to cacheService#getQuery.
+   * @returns {Promise<object>} The job (see get).
+   * @throws {Error} With `status` 409 while another job runs in this process.
+   */
+  async start(queries) {
+    if (this.running) {
+      throw httpError(
+        409,
+        `Cache warm-up ${this.running.job_id} is still running`
+      );
+    }
+    const job = {
+      job_id: crypto.randomUUID(),
+      status: "running",
+      total: queries.length,
+      results: [],
+      created_at: new Date().toISOString(),
+      finished_at: null,
+    };
+    await this._save(job);
+
+    const controller = new AbortController();
+    this.running = { job_id: job.job_id, controller };
+    cacheService
+      .withoutStats(() => this._run(job, queries, controller.signal))
+      .catch((error) =>
+        logger.error(`Cache warm-up ${job.job_id} failed:`, error)
+      )
+      .finally(() => {
+        this.running = null;
+      });
+    logger.info(`Started cache warm-up ${job.job_id} (${job.total} prompts)`);
+    return job;
+  }
+
+  /**
+   * Reads a job.
+   * @param {string} jobId The job id.
+   * @returns {Promise<object | null>} `{job_id, status, total, results, created_at,
+   *   finished_at}`, where `status` is "running", "done" or "cancelled" and `results` has one
+   *   entry per prompt answered so far; null when the job does not exist (or expired).
+   */
+  get(jobId) {
+    return cacheService.get("warm_job", jobId);
+  }
+
+  /**
+   * Cancels a running job. The prompt being answered is aborted; the answers cached so far
+   * stay.
+   * @param {string} jobId The job id.
+   * @returns {Promise<object | null>} The job, or null when it does not exist.
+   */
+  async cancel(jobId) {
+    const job = await this.get(jobId);
+    if (!job || job.status !== "running") return job;
+    const cancelled = {
+      ...job,
+      status: "cancelled",
+      finished_at: new Date().toISOString(),
+    };
+    await this._save(cancelled);
+    if (this.running?.job_id === jobId) {
+      this.running.controller.abort();
+    }
+    logger.info(`Cancelled cache warm-up ${jobId}`);
+    return cancelled;
+  }
+
+  /**
+   * Answers the prompts of a job, saving it after each one. Stops when the job is cancelled,
+   * here or through another instance.
+   * @private
+   */
+  async _run(job, queries, signal) {
+    for (const query of queries) {
+      if (signal.aborted) return;
+      const result = await this._warm(query, signal);
+      const stored = await this.get(job.job_id);
+      if (signal.aborted || stored?.status === "cancelled") return;
+      job.results.push(result);
+      await this._save(job);
+    }
+    job.status = "done";
+    job.finished_at = new Date().toISOString();
+    await this._save(job);
+    logger.info(`Finished cache warm-up ${job.job_id}`);
+  }
+
+  /**
+   * Answers and caches one prompt, unless a fresh answer is cached already.
+   * @returns {Promise<{prompt: string, language: string, status: string, places: number}>}
+   * @private
+   */
+  async _warm(query, signal) {
+    const result = { prompt: query.prompt, language: query.language };
+    try {
+      const hit = await cacheService.getQuery(query);
+      if (hit && !hit.stale) {
+        return { ...result, status: "fresh", places: hit.value.places.length };
+      }
+      const recommendation =
+        await llmService.findPlacesAndGenerateNarrativeWithRAG(
+          query.prompt,
+          query.user_location,
+          query.max_results,
+          {
+            signal: AbortSignal.any([
+              signal,
+              AbortSignal.timeout(this.promptTimeoutMs),
+            ]),
+          },
+          {
+            filters: query.filters,
+            sortBy: query.sort_by,
+            language: query.language,
+            cache: true,
+          }
+        );
+      if (!recommendation) {
+        return { ...result, status: "failed", places: 0 };
+      }
+      await cacheService.setQuery(
+        query,
+        cacheableAnswer(recommendation, query.language),
+        (text) => llmService.embed(text)
+      );
+      return {
+        ...result,
+        status: "warmed",
+        places: recommendation.places.length,
+      };
+    } catch (error) {
+      logger.error(`Failed to warm the cache for "${query.prompt}":`, error);
+      return { ...result, status: "failed", places: 0 };
+    }
+  }
+
+  async _save(job) {
+    const saved = await cacheService.set(job, JOB_TTL, "warm_job", job.job_id);
+    if (!saved) {
+      throw new Error(`Failed to save cache warm-up ${job.job_id}`);
+    }
+  }
+}
+
+module.exports = new WarmupService();
@@ -0,0 +1,78 @@
+// backend/src/utils/circuitBreaker.js
+const logger = require("./logger");
+
+/**
+ * @class CircuitBreaker
+ * @description Stops calling a failing dependency for a while. After `threshold` consecutive
+ * failures the circuit opens and calls are refused for `cooldownMs`; then a single trial call
+ * is let through (half open), which closes the circuit on success and opens it again on
+ * failure.
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name The dependency, used in logs.
+   * @param {object} options
+   * @param {number} options.threshold Consecutive failures that open the circuit.
+   * @param {number} options.cooldownMs How long the circuit stays open.
+   */
+  constructor(name, { threshold, cooldownMs }) {
+    this.name = name;
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialPending = false;
+  }
+
+  /**
+   * @returns {"closed" | "open" | "half_open"}
+   */
+  get state() {
+    if (this.openedAt === null) return "closed";
+    return Date.now() - this.openedAt < this.cooldownMs ? "open" : "half_open";
+  }
+
+  /**
+   * Whether a call may be made now. In the half-open state only one trial call is allowed
+   * until its outcome is recorded.
+   * @returns {boolean}
+   */
+  allow() {
+    const state = this.state;
+    if (state === "closed") return true;
+    if (state === "open" || this.trialPending) return false;
+    this.trialPending = true;
+    return true;
+  }
+
+  /**
+   * Records a successful call.
+   */
+  success() {
+    if (this.openedAt !== null) {
+      logger.info(`${this.name} is back; circuit closed`);
+    }
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialPending = false;
+  }
+
+  /**
+   * Records a failed call.
+   * @param {Error} error
+   */
+  failure(error) {
+    this.failures += 1;
+    if (this.trialPending || this.failures >= this.threshold) {
+      if (this.openedAt === null) {
+        logger.warn(
+          `${this.name} unavailable (${error.message || error}); circuit open for ${this.cooldownMs}ms`
+        );
+      }
+      this.openedAt = Date.now();
+      this.trialPending = false;
+    }
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,71 @@
+// backend/src/utils/citations.js
+
+/**
+ * A citation of the numbered place list in a narrative: "[1]", "[2, 3]".
+ */
+const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+/**
+ * Citations placed after the end of a sentence ("Great coffee. [1]") belong to it.
+ */
+const TRAILING_CITATIONS = /([.!?])((?:\s*\[\d+(?:\s*,\s*\d+)*\])+)/g;
+
+/**
+ * Numbers the places as the narrative prompt lists them, so the LLM can cite them.
+ * @param {Array<object>} places The places given to the LLM.
+ * @returns {Array<object>} The places with a 1-based `number`.
+ */
+const numberPlaces = (places) =>
+  places.map((place, index) => ({ number: index + 1, ...place }));
+
+/**
+ * Removes the citations from a text.
+ * @param {string} text
+ * @returns {string}
+ */
+const stripCitations = (text) =>
+  String(text)
+    .replace(new RegExp(`\\s*${CITATION_PATTERN.source}`, "g"), "")
+    .trim();
+
+/**
+ * Turns the citations of a narrative into segments: one per sentence, with the ids of the
+ * places it cites. Numbers outside the place list are ignored.
+ * @param {string} text The narrative, citing the places as numbered by numberPlaces.
+ * @param {Array<object>} places The places the narrative was generated from, in prompt order.
+ * @returns {{text: string, segments: Array<{text: string, place_ids: string[]}>}} The narrative
+ *   without citations and its segments; the segment texts add up to it.
+ */
+const parseCitations = (text, places) => {
+  const normalized = String(text || "")
+    .replace(TRAILING_CITATIONS, "$2$1")
+    .trim();
+  // Even indexes are sentences, odd ones the whitespace between them.
+  const parts = normalized.split(/((?<=[.!?])\s+|\n+)/);
+
+  const segments = [];
+  parts.forEach((part, index) => {
+    if (index % 2 === 1) {
+      if (segments.length > 0) segments[segments.length - 1].text += part;
+      return;
+    }
+    const placeIds = [];
+    for (const [, numbers] of part.matchAll(CITATION_PATTERN)) {
+      for (const number of numbers.split(",")) {
+        const place = places[Number(number) - 1];
+        if (place?.place_id && !placeIds.includes(place.place_id)) {
+          placeIds.push(place.place_id);
+        }
+      }
+    }
+    const sentence = stripCitations(part);
+    if (sentence) segments.push({ text: sentence, place_ids: placeIds });
+  });
+
+  return {
+    text: segments.map((segment) => segment.text).join(""),
+    segments,
+  };
+};
+
+module.exports = { numberPlaces, stripCitations, parseCitations };
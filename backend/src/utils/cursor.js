@@ -0,0 +1,47 @@
+// backend/src/utils/cursor.js
+const { signUrl, verifyUrlSignature } = require("./urlSignature");
+
+/**
+ * Encodes pagination state into an opaque, URL-safe token. The state is signed, as it holds
+ * the search to resume: a client must not be able to change it (a larger radius, other
+ * filters or origin) and skip the validation of the original request.
+ * @param {object} state JSON-serializable state.
+ * @returns {string}
+ */
+const encodeCursor = (state) => {
+  const payload = Buffer.from(JSON.stringify(state), "utf8").toString(
+    "base64url"
+  );
+  return `${payload}.${signUrl("cursor", payload)}`;
+};
+
+/**
+ * Decodes a token produced by encodeCursor.
+ * @param {string} token
+ * @returns {object}
+ * @throws {Error} With `status` 400 when the token is malformed or its signature does not match.
+ */
+const decodeCursor = (token) => {
+  try {
+    const [payload, signature] = String(token).split(".");
+    if (!verifyUrlSignature(signature, "cursor", payload)) {
+      throw new Error("bad signature");
+    }
+    const state = JSON.parse(
+      Buffer.from(payload, "base64url").toString("utf8")
+    );
+    if (!state || typeof state !== "object") {
+      throw new Error("not an object");
+    }
+    return state;
+  } catch (error) {
+    const invalid = new Error("Invalid page token");
+    invalid.status = 400;
+    throw invalid;
+  }
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+};
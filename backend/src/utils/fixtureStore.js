@@ -0,0 +1,68 @@
+// backend/src/utils/fixtureStore.js
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+
+/**
+ * @class FixtureStore
+ * @description Reads and writes recorded responses as pretty-printed JSON files under
+ * `<dir>/<kind>/<name>.json`, so fixtures can be reviewed and edited by hand.
+ */
+class FixtureStore {
+  /**
+   * @param {string} dir The root fixtures directory.
+   */
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  /**
+   * Turns free text into a stable, filesystem-safe fixture name.
+   * @param {string} text
+   * @returns {string}
+   */
+  static slug(text) {
+    return (
+      String(text)
+        .toLowerCase()
+        .normalize("NFKD")
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, 80) || "empty"
+    );
+  }
+
+  filePath(kind, name) {
+    return path.join(this.dir, kind, `${name}.json`);
+  }
+
+  /**
+   * Reads a fixture.
+   * @param {string} kind The fixture category (sub-directory).
+   * @param {string} name The fixture name (without extension).
+   * @returns {object | null} The parsed fixture or null when it does not exist.
+   */
+  read(kind, name) {
+    const file = this.filePath(kind, name);
+    if (!fs.existsSync(file)) {
+      logger.debug(`Fixture not found: ${file}`);
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  /**
+   * Writes (or overwrites) a fixture.
+   * @param {string} kind The fixture category (sub-directory).
+   * @param {string} name The fixture name (without extension).
+   * @param {object} data The data to record.
+   */
+  write(kind, name, data) {
+    const file = this.filePath(kind, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+    logger.info(`Recorded fixture: ${file}`);
+  }
+}
+
+module.exports = FixtureStore;
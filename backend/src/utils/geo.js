@@ -0,0 +1,102 @@
+// backend/src/utils/geo.js
+
+const EARTH_RADIUS_M = 6371000;
+
+/**
+ * Average speeds (m/s) and detour factors (road distance / straight-line distance) used to
+ * estimate travel times when the Distance Matrix API is unavailable.
+ */
+const TRAVEL_ESTIMATES = {
+  walking: { speed: 1.3, detour: 1.3 },
+  driving: { speed: 7, detour: 1.4 }, // ~25 km/h, typical for Indonesian city traffic
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points.
+ * @param {{lat: number, lng: number}} from
+ * @param {{lat: number, lng: number}} to
+ * @returns {number} The distance in meters.
+ */
+const haversineMeters = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) *
+      Math.cos(toRadians(to.lat)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Estimates a trip from the straight-line distance.
+ * @param {number} meters The straight-line distance.
+ * @param {"walking" | "driving"} mode
+ * @returns {{distance_m: number, duration_s: number}}
+ */
+const estimateTravel = (meters, mode) => {
+  const { speed, detour } = TRAVEL_ESTIMATES[mode];
+  const distance = meters * detour;
+  return {
+    distance_m: Math.round(distance),
+    duration_s: Math.round(distance / speed),
+  };
+};
+
+/**
+ * Formats a distance for people, e.g. "400 m" or "2.3 km".
+ * @param {number} meters
+ * @returns {string}
+ */
+const formatDistance = (meters) =>
+  meters < 1000
+    ? `${Math.round(meters / 10) * 10} m`
+    : `${(meters / 1000).toFixed(1)} km`;
+
+const GEOHASH_ALPHABET = "0123456789bcdefghjkmnpqrstuvwxyz";
+
+/**
+ * Encodes a point as a geohash: nearby points share a prefix, and every extra character
+ * shrinks the cell (5 characters ≈ 5 km, 7 ≈ 150 m, 9 ≈ 5 m).
+ * @param {{lat: number, lng: number}} point
+ * @param {number} precision The number of characters.
+ * @returns {string}
+ */
+const encodeGeohash = ({ lat, lng }, precision = 7) => {
+  const ranges = [
+    [-180, 180],
+    [-90, 90],
+  ];
+  let hash = "";
+  let bits = 0;
+  let value = 0;
+  // Bits alternate between longitude and latitude, starting with longitude.
+  for (let bit = 0; hash.length < precision; bit++) {
+    const range = ranges[bit % 2];
+    const coordinate = bit % 2 === 0 ? lng : lat;
+    const middle = (range[0] + range[1]) / 2;
+    value <<= 1;
+    if (coordinate >= middle) {
+      value |= 1;
+      range[0] = middle;
+    } else {
+      range[1] = middle;
+    }
+    if (++bits === 5) {
+      hash += GEOHASH_ALPHABET[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  return hash;
+};
+
+module.exports = {
+  TRAVEL_ESTIMATES,
+  haversineMeters,
+  estimateTravel,
+  formatDistance,
+  encodeGeohash,
+};
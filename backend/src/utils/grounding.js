@@ -0,0 +1,413 @@
+// backend/src/utils/grounding.js
+const { stripCitations } = require("./citations");
+
+/**
+ * What the RAG flow does with narrative claims the places do not support (`LLM_GROUNDING`):
+ * "flag" them in the response, "strip" the sentences making them, "regenerate" the narrative
+ * once with feedback, or "off" to skip the check.
+ */
+const GROUNDING_MODES = ["off", "flag", "strip", "regenerate"];
+
+/**
+ * Capitalized words that are not names: sentence openers and words narratives commonly
+ * capitalize, in the supported languages.
+ */
+const COMMON_WORDS = new Set([
+  "a",
+  "an",
+  "the",
+  "and",
+  "but",
+  "or",
+  "if",
+  "for",
+  "with",
+  "this",
+  "these",
+  "those",
+  "there",
+  "here",
+  "it",
+  "its",
+  "i",
+  "you",
+  "your",
+  "we",
+  "they",
+  "all",
+  "some",
+  "most",
+  "many",
+  "both",
+  "each",
+  "also",
+  "however",
+  "overall",
+  "whether",
+  "looking",
+  "enjoy",
+  "happy",
+  "sure",
+  "great",
+  "ada",
+  "dan",
+  "atau",
+  "di",
+  "ke",
+  "dari",
+  "untuk",
+  "dengan",
+  "ini",
+  "itu",
+  "yang",
+  "jika",
+  "kalau",
+  "kamu",
+  "anda",
+  "semua",
+  "beberapa",
+  "selain",
+  "selamat",
+  "tentu",
+  "namun",
+  "secara",
+  "pilihan",
+  "jalan",
+  "jl",
+  // Javanese
+  "lan",
+  "utawa",
+  "ing",
+  "saka",
+  "kanggo",
+  "karo",
+  "iki",
+  "kuwi",
+  "sing",
+  "yen",
+  "menawa",
+  "nanging",
+  "kabeh",
+  "sawetara",
+  "uga",
+  "sampeyan",
+  "panjenengan",
+  "kowe",
+  "sugeng",
+  "dalan",
+  // Sundanese
+  "jeung",
+  "atawa",
+  "ti",
+  "pikeun",
+  "kalawan",
+  "ieu",
+  "eta",
+  "anu",
+  "lamun",
+  "upami",
+  "tapi",
+  "sadaya",
+  "sababaraha",
+  "oge",
+  "anjeun",
+  "wilujeng",
+  "tangtos",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+  "sunday",
+  "senin",
+  "selasa",
+  "rabu",
+  "kamis",
+  "jumat",
+  "sabtu",
+  "minggu",
+  "senen",
+  "rebo",
+  "kemis",
+  "jemuah",
+  "setu",
+  "salasa",
+  "jumaah",
+  "saptu",
+  "google",
+  "maps",
+  "wifi",
+  "english",
+  "indonesia",
+  "indonesian",
+  "bahasa",
+  "basa",
+  "jawa",
+  "sunda",
+  "rp",
+]);
+
+/**
+ * A number with an optional currency prefix and unit. Times ("22:00") are kept whole.
+ */
+const NUMBER_PATTERN =
+  /(rp\.?\s?)?(\d+(?:[.,:]\d+)*)(?:\s?(\/\s?5|km|m|meters?|menit|minutes?|mins?|rb|ribu|k|stars?|bintang|★))?(?![\p{L}\d])/giu;
+
+const RATING_UNITS = /^(\/\s?5|stars?|bintang|★)$/i;
+const DISTANCE_UNITS = /^(km|m|meters?)$/i;
+const MINUTE_UNITS = /^(menit|minutes?|mins?)$/i;
+const THOUSAND_UNITS = /^(rb|ribu|k)$/i;
+
+/**
+ * Bare integers below this are counts ("3 cafes") or list markers rather than claims.
+ */
+const MIN_CLAIMED_INTEGER = 10;
+
+/**
+ * Rounding a narrative may apply to distances and travel times ("about 1 km" for 1.1 km).
+ */
+const APPROXIMATE_TOLERANCE = 0.15;
+
+const normalizeWord = (value) =>
+  String(value)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+const words = (text) => normalizeWord(text).match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Parses "4,5", "1.200" (Indonesian thousands) or "1,200". Null for times.
+ */
+const parseNumber = (raw) => {
+  if (raw.includes(":")) return null;
+  if (/^\d{1,3}([.,]\d{3})+$/.test(raw)) {
+    return Number(raw.replace(/[.,]/g, ""));
+  }
+  return Number(raw.replace(",", "."));
+};
+
+const numbersIn = (text) =>
+  Array.from(String(text || "").matchAll(NUMBER_PATTERN), (match) =>
+    parseNumber(match[2])
+  ).filter(Number.isFinite);
+
+/**
+ * The facts a narrative may state, gathered from the places and the user's request.
+ */
+const collectFacts = (places, prompt, allowed) => {
+  const facts = {
+    vocabulary: new Set([...words(prompt), ...allowed.flatMap(words)]),
+    ratings: [],
+    distances: [],
+    minutes: [],
+    numbers: numbersIn(prompt),
+    strings: [],
+  };
+  for (const place of places) {
+    const text = `${place.name || ""} ${place.address || ""} ${place.vicinity || ""}`;
+    words(`${text} ${(place.types || []).join(" ")}`).forEach((word) =>
+      facts.vocabulary.add(word)
+    );
+    facts.strings.push(text);
+    facts.numbers.push(...numbersIn(text));
+    if (typeof place.rating === "number") facts.ratings.push(place.rating);
+    if (typeof place.user_ratings_total === "number") {
+      facts.numbers.push(place.user_ratings_total);
+    }
+    if (typeof place.price_level === "number") {
+      facts.numbers.push(place.price_level);
+    }
+    if (typeof place.distance_m === "number") {
+      facts.distances.push(place.distance_m);
+    }
+    for (const travel of Object.values(place.travel || {})) {
+      if (typeof travel?.duration_s === "number") {
+        facts.minutes.push(travel.duration_s / 60);
+      }
+    }
+  }
+  return facts;
+};
+
+const near = (value, candidates, { absolute = 0, relative = 0 } = {}) =>
+  candidates.some(
+    (candidate) =>
+      Math.abs(value - candidate) <=
+      Math.max(absolute, relative * Math.abs(candidate))
+  );
+
+/**
+ * Checks one number of the narrative against the facts.
+ * @returns {{type: string, text: string, supported: boolean} | null} Null when it is no claim.
+ */
+const checkNumber = (match, facts) => {
+  const [text, currency, raw, unit = ""] = match;
+  const claim = (type, supported) => ({ type, text: text.trim(), supported });
+  const value = parseNumber(raw);
+
+  if (value === null) {
+    return claim(
+      "number",
+      facts.strings.some((source) => source.includes(raw))
+    );
+  }
+  if (
+    RATING_UNITS.test(unit) ||
+    (!currency && !unit && /^[0-5][.,]\d$/.test(raw))
+  ) {
+    return claim("rating", near(value, facts.ratings, { absolute: 0.05 }));
+  }
+  if (DISTANCE_UNITS.test(unit)) {
+    const meters = /^km$/i.test(unit) ? value * 1000 : value;
+    return claim(
+      "number",
+      near(meters, facts.distances, {
+        absolute: 100,
+        relative: APPROXIMATE_TOLERANCE,
+      })
+    );
+  }
+  if (MINUTE_UNITS.test(unit)) {
+    return claim(
+      "number",
+      near(value, facts.minutes, {
+        absolute: 1,
+        relative: APPROXIMATE_TOLERANCE,
+      })
+    );
+  }
+  const amount = THOUSAND_UNITS.test(unit) ? value * 1000 : value;
+  if (
+    !currency &&
+    !unit &&
+    Number.isInteger(amount) &&
+    amount < MIN_CLAIMED_INTEGER
+  ) {
+    return null;
+  }
+  return claim("number", near(amount, facts.numbers, { absolute: 0.5 }));
+};
+
+/**
+ * Finds the capitalized names of a sentence and checks them against the vocabulary of the
+ * places and the prompt. A lone capitalized word opening a sentence is not a name.
+ */
+const checkNames = (sentence, facts) => {
+  const tokens = sentence.match(/[\p{L}\p{N}'’&-]+/gu) || [];
+  const claims = [];
+  let name = [];
+  const flush = () => {
+    const meaningful = name.filter(
+      (token) => !COMMON_WORDS.has(normalizeWord(token))
+    );
+    if (meaningful.length > 0) {
+      claims.push({
+        type: "place",
+        text: name.join(" "),
+        supported: meaningful.every((token) =>
+          words(token).every((word) => facts.vocabulary.has(word))
+        ),
+      });
+    }
+    name = [];
+  };
+  tokens.forEach((token, index) => {
+    if (/^\p{Lu}/u.test(token)) {
+      if (index === 0 && !/^\p{Lu}/u.test(tokens[1] || "")) return;
+      name.push(token);
+    } else {
+      flush();
+    }
+  });
+  flush();
+  return claims;
+};
+
+/**
+ * Splits a narrative into sentences, keeping the separators so it can be put back together.
+ * Even indexes are sentences, odd ones the whitespace between them.
+ */
+const splitSentences = (text) => String(text).split(/((?<=[.!?])\s+|\n+)/);
+
+const analyze = (narrative, places, { prompt = "", allowed = [] } = {}) => {
+  const facts = collectFacts(places || [], prompt, allowed);
+  const parts = splitSentences(narrative);
+  return parts.map((part, index) =>
+    index % 2 === 1
+      ? []
+      : [
+          ...checkNames(stripCitations(part), facts),
+          ...Array.from(
+            stripCitations(part).matchAll(NUMBER_PATTERN),
+            (match) => checkNumber(match, facts)
+          ).filter(Boolean),
+        ]
+  );
+};
+
+const uniqueClaims = (claims) => {
+  const seen = new Set();
+  return claims
+    .filter(({ type, text }) => {
+      const key = `${type}:${text.toLowerCase()}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(({ type, text }) => ({ type, text }));
+};
+
+/**
+ * Checks the place names, ratings and numbers of a narrative against the places it was
+ * generated from. A heuristic: a name is supported when every word of it appears in a place's
+ * name, address or types, or in the prompt; a rating when a place has it; a distance or travel
+ * time when it is close to a place's; any other number when the places or the prompt contain it.
+ * @param {string} narrative The generated text.
+ * @param {Array<object>} places The places given to the LLM.
+ * @param {object} [options]
+ * @param {string} [options.prompt] The user's prompt.
+ * @param {string[]} [options.allowed] Other words the narrative may use (e.g. the locations searched).
+ * @returns {{supported: Array<{type: string, text: string}>, unsupported: Array<{type: string, text: string}>}}
+ *   Claims of type "place", "rating" or "number", in order of appearance.
+ */
+const checkGrounding = (narrative, places, options) => {
+  const claims = analyze(narrative, places, options).flat();
+  return {
+    supported: uniqueClaims(claims.filter(({ supported }) => supported)),
+    unsupported: uniqueClaims(claims.filter(({ supported }) => !supported)),
+  };
+};
+
+/**
+ * Removes the sentences of a narrative that make unsupported claims (see checkGrounding).
+ * @param {string} narrative
+ * @param {Array<object>} places
+ * @param {object} [options] See checkGrounding.
+ * @returns {{text: string, removed: string[]}} The remaining text and the removed sentences.
+ */
+const stripUnsupported = (narrative, places, options) => {
+  const parts = splitSentences(narrative);
+  const claims = analyze(narrative, places, options);
+  const removed = [];
+  let text = "";
+  parts.forEach((part, index) => {
+    if (index % 2 === 1) {
+      text += part;
+    } else if (claims[index].some(({ supported }) => !supported)) {
+      removed.push(part.trim());
+    } else {
+      text += part;
+    }
+  });
+  return {
+    text: text
+      .replace(/\n{3,}/g, "\n\n")
+      .replace(/[ \t]{2,}/g, " ")
+      .trim(),
+    removed,
+  };
+};
+
+module.exports = { GROUNDING_MODES, checkGrounding, stripUnsupported };
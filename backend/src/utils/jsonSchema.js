@@ -0,0 +1,79 @@
+// backend/src/utils/jsonSchema.js
+
+/**
+ * Returns the JSON-schema type name of a value.
+ * @param {*} value
+ * @returns {string}
+ */
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const types = Array.isArray(type) ? type : [type];
+  const actual = typeOf(value);
+  return types.some(
+    (t) => t === actual || (t === "number" && actual === "integer")
+  );
+};
+
+/**
+ * Validates a value against the small subset of JSON Schema we hand to the LLMs
+ * (`type`, `properties`, `required`, `items`, `enum`, `minimum`, `maximum`).
+ * @param {*} value - The value to validate.
+ * @param {object} schema - The JSON schema.
+ * @param {string} [path="$"] - The path used in error messages.
+ * @returns {string[]} A list of human-readable validation errors (empty when valid).
+ */
+const validateSchema = (value, schema, path = "$") => {
+  if (!schema || typeof schema !== "object") return [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    const expected = [].concat(schema.type).join(" | ");
+    return [`${path} should be ${expected}, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if (typeof value === "number") {
+    if (typeof schema.minimum === "number" && value < schema.minimum) {
+      errors.push(`${path} should be >= ${schema.minimum}`);
+    }
+    if (typeof schema.maximum === "number" && value > schema.maximum) {
+      errors.push(`${path} should be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+      if (key in value) {
+        errors.push(
+          ...validateSchema(value[key], propSchema, `${path}.${key}`)
+        );
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+};
+
+module.exports = {
+  validateSchema,
+};
@@ -0,0 +1,87 @@
+// backend/src/utils/openingHours.js
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+/**
+ * Converts "HH:MM" (or Places API "HHMM") into minutes since midnight.
+ * @param {string} time
+ * @returns {number | null}
+ */
+const parseTime = (time) => {
+  const match = /^(\d{1,2}):?(\d{2})$/.exec(String(time || "").trim());
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 24 || minutes > 59) return null;
+  return hours * 60 + minutes;
+};
+
+/**
+ * Formats minutes of the week (or day) as "HH:MM".
+ * @param {number} minutes
+ * @returns {string}
+ */
+const formatTime = (minutes) => {
+  const ofDay =
+    ((Math.round(minutes) % MINUTES_PER_DAY) + MINUTES_PER_DAY) %
+    MINUTES_PER_DAY;
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(Math.floor(ofDay / 60))}:${pad(ofDay % 60)}`;
+};
+
+/**
+ * Turns Places API `opening_hours.periods` into [open, close) intervals in minutes of the week
+ * (0 = Sunday 00:00). A single period without `close` means open 24/7.
+ * @param {Array<object>} periods
+ * @returns {Array<[number, number]>}
+ */
+const toIntervals = (periods) =>
+  periods.map((period) => {
+    const open =
+      period.open.day * MINUTES_PER_DAY + parseTime(period.open.time);
+    if (!period.close) return [open, open + MINUTES_PER_WEEK];
+    let close =
+      period.close.day * MINUTES_PER_DAY + parseTime(period.close.time);
+    if (close <= open) close += MINUTES_PER_WEEK;
+    return [open, close];
+  });
+
+/**
+ * Finds when a visit can start: `at` itself if the place is open then, otherwise the next
+ * opening within `maxWaitMinutes`.
+ * @param {Array<object> | null} periods Places API periods; null or empty means unknown.
+ * @param {number} at Minutes of the week.
+ * @param {number} [maxWaitMinutes=180]
+ * @returns {{start: number, known: boolean} | null} The start time (minutes of the week) and
+ *   whether it is backed by opening hours, or null when the place stays closed.
+ */
+const earliestVisit = (periods, at, maxWaitMinutes = 180) => {
+  if (!Array.isArray(periods) || periods.length === 0) {
+    return { start: at, known: false };
+  }
+
+  let best = null;
+  toIntervals(periods).forEach(([open, close]) => {
+    // Check this week's and next week's occurrence so late-week visits wrap around.
+    [0, MINUTES_PER_WEEK, -MINUTES_PER_WEEK].forEach((shift) => {
+      const o = open + shift;
+      const c = close + shift;
+      if (at >= o && at < c) {
+        best = at;
+      } else if (o > at && o - at <= maxWaitMinutes) {
+        best = best === null ? o : Math.min(best, o);
+      }
+    });
+  });
+
+  return best === null ? null : { start: best, known: true };
+};
+
+module.exports = {
+  MINUTES_PER_DAY,
+  MINUTES_PER_WEEK,
+  parseTime,
+  formatTime,
+  earliestVisit,
+};
@@ -0,0 +1,99 @@
+// backend/src/utils/placeFilters.js
+
+/**
+ * The structured constraints a user can put on a search, with their "no constraint" values.
+ * Prices use the Google Places scale: 0 (free) to 4 (very expensive).
+ */
+const EMPTY_FILTERS = {
+  open_now: false,
+  min_price: null,
+  max_price: null,
+  min_rating: null,
+  min_reviews: null,
+};
+
+const clampNumber = (value, min, max) => {
+  const number = Number(value);
+  if (value === null || value === undefined || !Number.isFinite(number)) {
+    return null;
+  }
+  return Math.min(Math.max(number, min), max);
+};
+
+/**
+ * Coerces raw filters (from the LLM, the regex fallback or the request body) into a complete,
+ * valid filters object.
+ * @param {object | null | undefined} raw
+ * @returns {{open_now: boolean, min_price: number|null, max_price: number|null, min_rating: number|null, min_reviews: number|null}}
+ */
+const normalizeFilters = (raw) => {
+  if (!raw || typeof raw !== "object") return { ...EMPTY_FILTERS };
+
+  const round = (value) => (value === null ? null : Math.round(value));
+  const filters = {
+    open_now: raw.open_now === true,
+    min_price: round(clampNumber(raw.min_price, 0, 4)),
+    max_price: round(clampNumber(raw.max_price, 0, 4)),
+    min_rating: clampNumber(raw.min_rating, 0, 5),
+    min_reviews: round(clampNumber(raw.min_reviews, 0, Infinity)),
+  };
+
+  if (
+    filters.min_price !== null &&
+    filters.max_price !== null &&
+    filters.min_price > filters.max_price
+  ) {
+    [filters.min_price, filters.max_price] = [
+      filters.max_price,
+      filters.min_price,
+    ];
+  }
+  return filters;
+};
+
+/**
+ * Keeps only the filters that constrain something, e.g. `{open_now: true, min_rating: 4.5}`.
+ * @param {object} filters Normalized filters.
+ * @param {string[]} [supported] Restricts the result to these filter names.
+ * @returns {object}
+ */
+const activeFilters = (filters, supported = Object.keys(EMPTY_FILTERS)) => {
+  const active = {};
+  Object.entries(normalizeFilters(filters)).forEach(([key, value]) => {
+    if (supported.includes(key) && value !== null && value !== false) {
+      active[key] = value;
+    }
+  });
+  return active;
+};
+
+/**
+ * Filters formatted places (see PlacesProvider) by the given constraints. A place missing the
+ * field a filter needs (e.g. no price level) does not match that filter.
+ * @param {Array<object>} places Formatted places.
+ * @param {object | null} filters Filters (active or normalized).
+ * @returns {Array<object>}
+ */
+const applyFilters = (places, filters) => {
+  const f = activeFilters(filters);
+  return places.filter(
+    (place) =>
+      (!f.open_now || place.open_now === true) &&
+      (f.min_price === undefined ||
+        (typeof place.price_level === "number" &&
+          place.price_level >= f.min_price)) &&
+      (f.max_price === undefined ||
+        (typeof place.price_level === "number" &&
+          place.price_level <= f.max_price)) &&
+      (f.min_rating === undefined || (place.rating ?? -1) >= f.min_rating) &&
+      (f.min_reviews === undefined ||
+        (place.user_ratings_total ?? -1) >= f.min_reviews)
+  );
+};
+
+module.exports = {
+  EMPTY_FILTERS,
+  normalizeFilters,
+  activeFilters,
+  applyFilters,
+};
@@ -0,0 +1,79 @@
+// backend/src/utils/placeRanking.js
+
+/**
+ * The orders a client can request with `sort_by`. "relevance" keeps the provider's order.
+ */
+const SORT_OPTIONS = ["relevance", "distance", "rating", "reviews", "score"];
+
+/**
+ * Bayesian prior for the blended score: a place is assumed to have PRIOR_REVIEWS reviews at
+ * PRIOR_RATING, so a 5.0 from 3 reviews does not beat a 4.7 from 2,000.
+ */
+const PRIOR_RATING = 4.0;
+const PRIOR_REVIEWS = 50;
+
+/**
+ * Weight of proximity in the blended score (the rest is the adjusted rating), and the distance
+ * at which proximity counts half.
+ */
+const PROXIMITY_WEIGHT = 0.3;
+const PROXIMITY_HALF_M = 1000;
+
+/**
+ * Blends the review-adjusted rating with proximity into a 0..1 score. Places without a
+ * distance are scored on their rating alone.
+ * @param {object} place A formatted place, optionally annotated with `distance_m`.
+ * @returns {number}
+ */
+const blendedScore = (place) => {
+  const reviews = place.user_ratings_total || 0;
+  const rating =
+    typeof place.rating === "number"
+      ? (reviews * place.rating + PRIOR_REVIEWS * PRIOR_RATING) /
+        (reviews + PRIOR_REVIEWS)
+      : PRIOR_RATING;
+  const ratingScore = rating / 5;
+
+  if (typeof place.distance_m !== "number") return ratingScore;
+  const proximity = 1 / (1 + place.distance_m / PROXIMITY_HALF_M);
+  return (1 - PROXIMITY_WEIGHT) * ratingScore + PROXIMITY_WEIGHT * proximity;
+};
+
+/**
+ * Sorts places (stable; places missing the sort field go last). "score" also annotates each
+ * place with its `score`.
+ * @param {Array<object>} places Formatted places.
+ * @param {string} sortBy One of SORT_OPTIONS, or "price" (cheapest first).
+ * @returns {Array<object>} A new, sorted array.
+ */
+const sortPlaces = (places, sortBy = "relevance") => {
+  const ascending = (key) => (a, b) =>
+    (a[key] ?? Infinity) - (b[key] ?? Infinity);
+  const descending = (key) => (a, b) =>
+    (b[key] ?? -Infinity) - (a[key] ?? -Infinity);
+
+  const comparators = {
+    distance: ascending("distance_m"),
+    rating: descending("rating"),
+    reviews: descending("user_ratings_total"),
+    price: ascending("price_level"),
+    score: descending("score"),
+  };
+
+  const sorted =
+    sortBy === "score"
+      ? places.map((place) => ({
+          ...place,
+          score: Math.round(blendedScore(place) * 1000) / 1000,
+        }))
+      : [...places];
+
+  const compare = comparators[sortBy];
+  return compare ? sorted.sort(compare) : sorted;
+};
+
+module.exports = {
+  SORT_OPTIONS,
+  blendedScore,
+  sortPlaces,
+};
@@ -0,0 +1,89 @@
+// backend/src/utils/queryCache.js
+const { encodeGeohash } = require("./geo");
+
+/**
+ * Punctuation that does not change what a prompt asks for when it starts or ends it.
+ */
+const EDGE_PUNCTUATION = /^[\s.,!?;:]+|[\s.,!?;:]+$/g;
+
+/**
+ * Normalizes a prompt for cache lookups, so "Cafe di bandung " and "cafe di Bandung?" share
+ * an answer: case, repeated whitespace and punctuation at either end are ignored.
+ * @param {string} prompt
+ * @returns {string}
+ */
+const normalizePrompt = (prompt) =>
+  String(prompt || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(EDGE_PUNCTUATION, "");
+
+/**
+ * Writes filters as a readable key part, e.g. "min_rating=4.5,open_now=true" ("none" without
+ * filters). Keys are sorted, so {a, b} and {b, a} give the same part.
+ * @param {object | null} filters Flat filters (see utils/placeFilters.js).
+ * @returns {string}
+ */
+const filtersKey = (filters) => {
+  const entries = Object.entries(filters || {})
+    .filter(([, value]) => value !== null && value !== undefined)
+    .sort(([a], [b]) => a.localeCompare(b));
+  return entries.length > 0
+    ? entries.map(([key, value]) => `${key}=${value}`).join(",")
+    : "none";
+};
+
+/**
+ * The user's location as a geohash cell, so moving a few metres does not miss the cache.
+ * @param {{lat: number, lng: number} | null} location
+ * @param {number} precision The geohash length (see encodeGeohash).
+ * @returns {string}
+ */
+const locationKey = (location, precision) =>
+  location ? encodeGeohash(location, precision) : "anywhere";
+
+/**
+ * Everything but the prompt that a cached answer depends on, as key parts.
+ * @param {object} query The query: `user_location`, `max_results`, `filters`, `sort_by` and
+ *   `language`.
+ * @param {number} precision The geohash length of the location cell.
+ * @returns {Array<string | number>}
+ */
+const queryScope = (
+  { user_location, max_results, filters, sort_by, language },
+  precision
+) => [
+  locationKey(user_location, precision),
+  max_results,
+  filtersKey(filters),
+  sort_by,
+  language,
+];
+
+/**
+ * The part of an answer that is cached; the request id and timings belong to each request. The
+ * entities are only returned inside a conversation, whose next turn builds on them.
+ * @param {object} recommendation The result of findPlacesAndGenerateNarrativeWithRAG.
+ * @param {string} language The answer language.
+ * @returns {object}
+ */
+const cacheableAnswer = (recommendation, language) => ({
+  llm_text: recommendation.llm_text,
+  segments: recommendation.segments,
+  places: recommendation.places,
+  next_page_token: recommendation.next_page_token,
+  filters: recommendation.filters,
+  language,
+  prompt_versions: recommendation.prompt_versions,
+  grounding: recommendation.grounding,
+  entities: recommendation.entities,
+});
+
+module.exports = {
+  normalizePrompt,
+  filtersKey,
+  locationKey,
+  queryScope,
+  cacheableAnswer,
+};
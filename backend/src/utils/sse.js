@@ -0,0 +1,52 @@
+// backend/src/utils/sse.js
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Prepares an Express response for Server-Sent Events and returns helpers to write to it.
+ * `no-transform` keeps the compression middleware from buffering the stream, and
+ * `X-Accel-Buffering` does the same for nginx.
+ * @param {object} res - The Express response object.
+ * @returns {{send: function(string, object): void, close: function(): void, isOpen: function(): boolean}}
+ */
+const openEventStream = (res) => {
+  res.status(200).set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  let open = true;
+
+  // Comment lines keep idle proxies from closing the connection while the model loads.
+  const heartbeat = setInterval(() => {
+    if (open) res.write(": ping\n\n");
+  }, HEARTBEAT_INTERVAL_MS);
+
+  res.on("close", () => {
+    open = false;
+    clearInterval(heartbeat);
+  });
+
+  return {
+    send(event, data) {
+      if (!open) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (!open) return;
+      open = false;
+      clearInterval(heartbeat);
+      res.end();
+    },
+    isOpen() {
+      return open;
+    },
+  };
+};
+
+module.exports = {
+  openEventStream,
+};
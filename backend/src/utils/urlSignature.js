@@ -0,0 +1,36 @@
+// backend/src/utils/urlSignature.js
+const crypto = require("crypto");
+const config = require("../config/config");
+
+/**
+ * Signs the parts of a URL or token the backend hands out (e.g. a photo reference and its
+ * width, or a page token), so public endpoints only serve what the API itself linked to.
+ * @param {...(string | number)} parts The values to sign.
+ * @returns {string} A URL-safe signature.
+ */
+const signUrl = (...parts) =>
+  crypto
+    .createHmac("sha256", config.security.sessionSecret)
+    .update(parts.join("\n"))
+    .digest("base64url")
+    .slice(0, 32);
+
+/**
+ * Checks a signature from signUrl in constant time.
+ * @param {string} signature The signature from the request.
+ * @param {...(string | number)} parts The values that were signed.
+ * @returns {boolean}
+ */
+const verifyUrlSignature = (signature, ...parts) => {
+  const expected = Buffer.from(signUrl(...parts));
+  const actual = Buffer.from(String(signature || ""));
+  return (
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+  );
+};
+
+module.exports = {
+  signUrl,
+  verifyUrlSignature,
+};
@@ -0,0 +1,13 @@
+// backend/tests/setup.js
+// Run the suite offline: Maps and LLM calls are served from tests/fixtures.
+process.env.NODE_ENV = "test";
+process.env.FIXTURE_MODE = "replay";
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+// The suite does not run Redis; cache in process.
+process.env.CACHE_BACKEND = "memory";
+// Endpoints are public unless a test turns auth on (config.auth.required).
+process.env.AUTH_REQUIRED = "false";
+// Every test shares the same caller; tests of quotas turn them on (config.quota.enabled).
+process.env.QUOTA_ENABLED = "false";
+// Every request comes from the same address; keep the per-IP flood guard out of the way.
+process.env.RATE_LIMIT_MAX_REQUESTS = "1000";
@@ -1,32 +1,70 @@
 // frontend/src/App.tsx
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import {
   Container,
   Grid,
-  Paper,
   Typography,
   Alert,
-  Box,
   AppBar,
   Toolbar,
   IconButton,
   Button,
 } from "@mui/material";
+import AddCommentIcon from "@mui/icons-material/AddComment";
+import AccountCircleIcon from "@mui/icons-material/AccountCircle";
+import LogoutIcon from "@mui/icons-material/Logout";
 import LocationOnIcon from "@mui/icons-material/LocationOn";
 import MapIcon from "@mui/icons-material/Map";
 import { ToastContainer, toast } from "react-toastify";
 import "react-toastify/dist/ReactToastify.css";
 
 import SearchForm from "./components/SearchForm";
-import PlaceCard from "./components/PlaceCard";
+import ChatThread, { scrollToPlace } from "./components/ChatThread";
 import MapView from "./components/MapView";
-import { QueryRequest, QueryResponse } from "./types";
-import api from "./services/api";
+import AuthDialog from "./components/AuthDialog";
+import {
+  AuthResponse,
+  ChatTurn,
+  ItineraryRequest,
+  PlaceFilters,
+  QueryRequest,
+  SessionTurn,
+  User,
+} from "./types";
+import api, { AUTH_REQUIRED_EVENT, TOKEN_STORAGE_KEY } from "./services/api";
+
+const SESSION_STORAGE_KEY = "session_id";
+
+const toChatTurn = (turn: SessionTurn): ChatTurn => ({
+  id: turn.request_id,
+  prompt: turn.prompt,
+  llm_text: turn.llm_text,
+  segments: turn.segments,
+  places: turn.places,
+  next_page_token: turn.next_page_token,
+  filters: turn.filters,
+  request_id: turn.request_id,
+  refined: turn.refined,
+  grounding: turn.grounding,
+  cached: false,
+  processing_time: 0,
+});
 
 function App() {
   const [loading, setLoading] = useState(false);
-  const [response, setResponse] = useState<QueryResponse | null>(null);
+  const [turns, setTurns] = useState<ChatTurn[]>([]);
+  const [sessionId, setSessionId] = useState<string | null>(null);
+  const [loadingMoreId, setLoadingMoreId] = useState<string | null>(null);
+  // The place last picked from a citation, card or marker, highlighted in its turn and on the map.
+  // Closing its info window clears placeId but keeps the map on that turn.
+  const [selection, setSelection] = useState<{
+    turnId: string;
+    placeId: string | null;
+  } | null>(null);
+  const streamAbortRef = useRef<AbortController | null>(null);
   const [error, setError] = useState<string | null>(null);
+  const [user, setUser] = useState<User | null>(null);
+  const [authOpen, setAuthOpen] = useState(false);
   const [userLocation, setUserLocation] = useState<{
     lat: number;
     lng: number;
@@ -42,6 +80,36 @@ function App() {
 
     // Try to get user location
     getUserLocation();
+
+    // Restore the signed-in user; ask to sign in whenever the API answers 401
+    if (localStorage.getItem(TOKEN_STORAGE_KEY)) {
+      api
+        .me()
+        .then(setUser)
+        .catch(() => undefined);
+    }
+    const onAuthRequired = () => {
+      setUser(null);
+      setAuthOpen(true);
+    };
+    window.addEventListener(AUTH_REQUIRED_EVENT, onAuthRequired);
+
+    // Restore the previous conversation, if it has not expired
+    const storedSessionId = localStorage.getItem(SESSION_STORAGE_KEY);
+    if (storedSessionId) {
+      api
+        .getSession(storedSessionId)
+        .then((session) => {
+          setSessionId(session.session_id);
+          setTurns(session.turns.map(toChatTurn));
+        })
+        .catch(() => localStorage.removeItem(SESSION_STORAGE_KEY));
+    }
+
+    return () => {
+      streamAbortRef.current?.abort();
+      window.removeEventListener(AUTH_REQUIRED_EVENT, onAuthRequired);
+    };
   }, []);
 
   const getUserLocation = () => {
@@ -63,31 +131,212 @@ function App() {
     }
   };
 
+  const updateTurn = (id: string, patch: (turn: ChatTurn) => ChatTurn) => {
+    setTurns((prev) =>
+      prev.map((turn) => (turn.id === id ? patch(turn) : turn))
+    );
+  };
+
+  const ensureSession = async (): Promise<string> => {
+    if (sessionId) return sessionId;
+    const session = await api.createSession();
+    setSessionId(session.session_id);
+    localStorage.setItem(SESSION_STORAGE_KEY, session.session_id);
+    return session.session_id;
+  };
+
   const handleSearch = async (request: QueryRequest) => {
+    streamAbortRef.current?.abort();
+    const abortController = new AbortController();
+    streamAbortRef.current = abortController;
+
+    const turnId = `turn_${Date.now()}`;
     setLoading(true);
     setError(null);
+    setSelection(null);
+    setTurns((prev) => [
+      ...prev,
+      {
+        id: turnId,
+        prompt: request.prompt,
+        request,
+        llm_text: "",
+        places: [],
+        request_id: "",
+        cached: false,
+        processing_time: 0,
+        streaming: true,
+      },
+    ]);
 
     try {
-      const data = await api.queryPlaces(request);
-      setResponse(data);
-
-      if (data.cached) {
-        toast.info("Results loaded from cache");
+      const session_id = await ensureSession();
+      await api.streamQuery(
+        { ...request, session_id },
+        {
+          onPlaces: (places, nextPageToken, filters) => {
+            updateTurn(turnId, (turn) => ({
+              ...turn,
+              places,
+              next_page_token: nextPageToken,
+              filters,
+            }));
+            if (places.length === 0) {
+              toast.warning("No places found for your query");
+            }
+          },
+          onToken: (text) => {
+            updateTurn(turnId, (turn) => ({
+              ...turn,
+              llm_text: turn.llm_text + text,
+            }));
+          },
+          onDone: (done) => {
+            updateTurn(turnId, (turn) => ({
+              ...turn,
+              request_id: done.request_id,
+              cached: done.cached,
+              cache: done.cache,
+              processing_time: done.processing_time,
+              refined: done.refined,
+              grounding: done.grounding,
+              segments: done.segments,
+              llm_text: done.llm_text ?? turn.llm_text,
+            }));
+            if (done.cache?.hit_type === "semantic") {
+              toast.info("Results loaded from cache for a similar question");
+            } else if (done.cached) {
+              toast.info("Results loaded from cache");
+            }
+          },
+        },
+        abortController.signal
+      );
+    } catch (err: any) {
+      if (abortController.signal.aborted) return;
+      const errorMessage = err.message || "Failed to process your request";
+      if (errorMessage === "Session not found") {
+        // The session expired: start over with a fresh one next time.
+        setSessionId(null);
+        localStorage.removeItem(SESSION_STORAGE_KEY);
       }
+      setError(errorMessage);
+      toast.error(errorMessage);
+    } finally {
+      updateTurn(turnId, (turn) => ({ ...turn, streaming: false }));
+      if (streamAbortRef.current === abortController) {
+        setLoading(false);
+      }
+    }
+  };
+
+  const handlePlanItinerary = async (request: ItineraryRequest) => {
+    const turnId = `turn_${Date.now()}`;
+    setLoading(true);
+    setError(null);
+    setSelection(null);
+    setTurns((prev) => [
+      ...prev,
+      {
+        id: turnId,
+        prompt: request.prompt,
+        llm_text: "",
+        places: [],
+        request_id: "",
+        cached: false,
+        processing_time: 0,
+        streaming: true,
+      },
+    ]);
 
-      if (data.places.length === 0) {
-        toast.warning("No places found for your query");
+    try {
+      const itinerary = await api.planItinerary(request);
+      updateTurn(turnId, (turn) => ({
+        ...turn,
+        itinerary,
+        llm_text: itinerary.llm_text,
+        places: itinerary.stops.map((stop) => stop.place),
+        request_id: itinerary.request_id,
+        processing_time: itinerary.processing_time,
+      }));
+      if (itinerary.stops.length === 0) {
+        toast.warning("No places found for your trip");
       }
     } catch (err: any) {
       const errorMessage =
-        err.response?.data?.error || "Failed to process your request";
+        err.response?.data?.error || err.message || "Failed to plan the trip";
       setError(errorMessage);
       toast.error(errorMessage);
     } finally {
+      updateTurn(turnId, (turn) => ({ ...turn, streaming: false }));
       setLoading(false);
     }
   };
 
+  const handleLoadMore = async (turn: ChatTurn) => {
+    if (!turn.next_page_token) return;
+
+    setLoadingMoreId(turn.id);
+    try {
+      const page = await api.loadMorePlaces(
+        turn.request || { prompt: turn.prompt },
+        turn.next_page_token
+      );
+      updateTurn(turn.id, (current) => {
+        const seen = new Set(current.places.map((place) => place.place_id));
+        return {
+          ...current,
+          places: [
+            ...current.places,
+            ...page.places.filter((place) => !seen.has(place.place_id)),
+          ],
+          next_page_token: page.next_page_token,
+        };
+      });
+    } catch (err: any) {
+      toast.error(
+        err.response?.data?.error || err.message || "Failed to load more places"
+      );
+    } finally {
+      setLoadingMoreId(null);
+    }
+  };
+
+  const handleRemoveFilter = (turn: ChatTurn, filter: keyof PlaceFilters) => {
+    // Re-run the question with the remaining filters instead of the extracted ones.
+    const filters = { ...turn.filters };
+    delete filters[filter];
+    handleSearch({ ...(turn.request || { prompt: turn.prompt }), filters });
+  };
+
+  const startNewConversation = () => {
+    streamAbortRef.current?.abort();
+    if (sessionId) {
+      api.deleteSession(sessionId).catch(() => undefined);
+    }
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    setSessionId(null);
+    setTurns([]);
+    setSelection(null);
+    setError(null);
+    setLoading(false);
+  };
+
+  const handleAuthenticated = (auth: AuthResponse) => {
+    localStorage.setItem(TOKEN_STORAGE_KEY, auth.token);
+    setUser(auth.user);
+    setAuthOpen(false);
+    setError(null);
+    toast.success(`Signed in as ${auth.user.email}`);
+  };
+
+  const signOut = () => {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    setUser(null);
+    // Conversations belong to the signed-in user.
+    startNewConversation();
+  };
+
   const requestUserLocation = () => {
     if ("geolocation" in navigator) {
       navigator.geolocation.getCurrentPosition(
@@ -109,6 +358,12 @@ function App() {
     }
   };
 
+  // The map shows the turn of the selected place, or the latest turn with places
+  const mapTurn =
+    turns.find(
+      (turn) => turn.id === selection?.turnId && turn.places.length > 0
+    ) || [...turns].reverse().find((turn) => turn.places.length > 0);
+
   return (
     <>
       <AppBar position="static">
@@ -117,6 +372,35 @@ function App() {
           <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
             LLM Maps Integration
           </Typography>
+          {turns.length > 0 && (
+            <Button
+              color="inherit"
+              startIcon={<AddCommentIcon />}
+              onClick={startNewConversation}
+              sx={{ mr: 1 }}
+            >
+              New conversation
+            </Button>
+          )}
+          {user ? (
+            <Button
+              color="inherit"
+              startIcon={<LogoutIcon />}
+              onClick={signOut}
+              sx={{ mr: 1 }}
+            >
+              Sign out ({user.email})
+            </Button>
+          ) : (
+            <Button
+              color="inherit"
+              startIcon={<AccountCircleIcon />}
+              onClick={() => setAuthOpen(true)}
+              sx={{ mr: 1 }}
+            >
+              Sign in
+            </Button>
+          )}
           <Button
             color="inherit"
             startIcon={<LocationOnIcon />}
@@ -132,14 +416,21 @@ function App() {
 
       <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
         <Grid container spacing={3}>
-          {/* Search Form */}
-          <Grid size={{ xs: 12 }}>
-            <SearchForm
-              onSearch={handleSearch}
-              loading={loading}
-              userLocation={userLocation}
-            />
-          </Grid>
+          {/* Conversation */}
+          {turns.length > 0 && (
+            <Grid size={{ xs: 12 }}>
+              <ChatThread
+                turns={turns}
+                loadingMoreId={loadingMoreId}
+                onLoadMore={handleLoadMore}
+                onRemoveFilter={handleRemoveFilter}
+                selection={selection}
+                onSelectPlace={(turn, placeId) =>
+                  setSelection({ turnId: turn.id, placeId })
+                }
+              />
+            </Grid>
+          )}
 
           {/* Error Alert */}
           {error && (
@@ -150,53 +441,41 @@ function App() {
             </Grid>
           )}
 
-          {/* Results */}
-          {response && (
-            <>
-              {/* LLM Response */}
-              <Grid size={{ xs: 12 }}>
-                <Paper elevation={3} sx={{ p: 3 }}>
-                  <Typography variant="h6" gutterBottom>
-                    AI Recommendations
-                  </Typography>
-                  <Typography variant="body1" paragraph>
-                    {response.llm_text}
-                  </Typography>
-                  <Box sx={{ mt: 2 }}>
-                    <Typography variant="caption" color="text.secondary">
-                      Request ID: {response.request_id} | Processing time:{" "}
-                      {response.processing_time}ms |
-                      {response.cached ? "Cached" : "Fresh"}
-                    </Typography>
-                  </Box>
-                </Paper>
-              </Grid>
-
-              {/* Places Grid */}
-              {response.places.length > 0 && (
-                <>
-                  <Grid size={{ xs: 12 }}>
-                    <Typography variant="h5" gutterBottom>
-                      Found Places
-                    </Typography>
-                  </Grid>
-                  {response.places.map((place, index) => (
-                    <Grid size={{ xs: 12, sm: 6, md: 4 }} key={place.place_id}>
-                      <PlaceCard place={place} index={index} />
-                    </Grid>
-                  ))}
-
-                  {/* Map View */}
-                  <Grid size={{ xs: 12 }}>
-                    <MapView places={response.places} />
-                  </Grid>
-                </>
-              )}
-            </>
+          {/* Message input */}
+          <Grid size={{ xs: 12 }}>
+            <SearchForm
+              onSearch={handleSearch}
+              onPlanItinerary={handlePlanItinerary}
+              loading={loading}
+              userLocation={userLocation}
+              followUp={turns.length > 0}
+            />
+          </Grid>
+
+          {/* Map of the selected or latest places */}
+          {mapTurn && (
+            <Grid size={{ xs: 12 }}>
+              <MapView
+                places={mapTurn.places}
+                selectedPlaceId={
+                  selection?.turnId === mapTurn.id ? selection.placeId : null
+                }
+                userLocation={userLocation}
+                onSelectPlace={(placeId) => {
+                  setSelection({ turnId: mapTurn.id, placeId });
+                  if (placeId) scrollToPlace(mapTurn.id, placeId);
+                }}
+              />
+            </Grid>
           )}
         </Grid>
       </Container>
 
+      <AuthDialog
+        open={authOpen}
+        onClose={() => setAuthOpen(false)}
+        onAuthenticated={handleAuthenticated}
+      />
       <ToastContainer position="bottom-right" />
     </>
   );
@@ -0,0 +1,128 @@
+import React, { useState } from "react";
+import {
+  Alert,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Tab,
+  Tabs,
+  TextField,
+} from "@mui/material";
+import { AuthResponse } from "../types";
+import api from "../services/api";
+
+interface AuthDialogProps {
+  open: boolean;
+  onClose: () => void;
+  onAuthenticated: (auth: AuthResponse) => void;
+}
+
+const AuthDialog: React.FC<AuthDialogProps> = ({
+  open,
+  onClose,
+  onAuthenticated,
+}) => {
+  const [mode, setMode] = useState<"login" | "register">("login");
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [name, setName] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const auth =
+        mode === "login"
+          ? await api.login(email, password)
+          : await api.register(email, password, name || undefined);
+      setPassword("");
+      onAuthenticated(auth);
+    } catch (err: any) {
+      const validation = err.response?.data?.errors?.[0];
+      setError(
+        err.response?.data?.error ||
+          (validation ? `Invalid ${validation.path}` : null) ||
+          err.message ||
+          "Failed to sign in"
+      );
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <form onSubmit={handleSubmit}>
+        <DialogTitle>
+          {mode === "login" ? "Sign in" : "Create an account"}
+        </DialogTitle>
+        <DialogContent>
+          <Tabs
+            value={mode}
+            onChange={(_, value) => {
+              setMode(value);
+              setError(null);
+            }}
+            sx={{ mb: 2 }}
+          >
+            <Tab value="login" label="Sign in" />
+            <Tab value="register" label="Register" />
+          </Tabs>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          {mode === "register" && (
+            <TextField
+              fullWidth
+              label="Name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              sx={{ mb: 2 }}
+            />
+          )}
+          <TextField
+            fullWidth
+            required
+            type="email"
+            label="Email"
+            autoComplete="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            sx={{ mb: 2 }}
+          />
+          <TextField
+            fullWidth
+            required
+            type="password"
+            label="Password"
+            autoComplete={
+              mode === "login" ? "current-password" : "new-password"
+            }
+            helperText={
+              mode === "register" ? "At least 8 characters" : undefined
+            }
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={onClose} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="contained" disabled={submitting}>
+            {mode === "login" ? "Sign in" : "Register"}
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+export default AuthDialog;
@@ -0,0 +1,239 @@
+import React from "react";
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  Grid,
+  LinearProgress,
+  Paper,
+  Typography,
+} from "@mui/material";
+import FilterListIcon from "@mui/icons-material/FilterList";
+import PlaceCard from "./PlaceCard";
+import ItineraryPlan from "./ItineraryPlan";
+import { ChatTurn, PlaceFilters } from "../types";
+
+interface ChatThreadProps {
+  turns: ChatTurn[];
+  loadingMoreId?: string | null;
+  onLoadMore?: (turn: ChatTurn) => void;
+  onRemoveFilter?: (turn: ChatTurn, filter: keyof PlaceFilters) => void;
+  selection?: { turnId: string; placeId: string | null } | null;
+  onSelectPlace?: (turn: ChatTurn, placeId: string) => void;
+}
+
+const placeElementId = (turnId: string, placeId: string) =>
+  `place-${turnId}-${placeId}`;
+
+/**
+ * Scrolls the card of a place of a turn into view.
+ */
+export const scrollToPlace = (turnId: string, placeId: string) =>
+  document
+    .getElementById(placeElementId(turnId, placeId))
+    ?.scrollIntoView({ behavior: "smooth", block: "center" });
+
+const priceLabel = (level: number) =>
+  level === 0 ? "free" : "$".repeat(level);
+
+const filterLabel = (filter: keyof PlaceFilters, value: number | boolean) => {
+  switch (filter) {
+    case "open_now":
+      return "Open now";
+    case "min_price":
+      return `Price from ${priceLabel(Number(value))}`;
+    case "max_price":
+      return `Price up to ${priceLabel(Number(value))}`;
+    case "min_rating":
+      return `Rating ≥ ${value}`;
+    case "min_reviews":
+      return `${value}+ reviews`;
+    default:
+      return String(filter);
+  }
+};
+
+/**
+ * Names, ratings and numbers of the narrative that the places do not back up.
+ */
+const unsupportedClaims = (turn: ChatTurn) =>
+  (turn.grounding?.unsupported ?? []).map((claim) => claim.text);
+
+const ChatThread: React.FC<ChatThreadProps> = ({
+  turns,
+  loadingMoreId,
+  onLoadMore,
+  onRemoveFilter,
+  selection,
+  onSelectPlace,
+}) => {
+  const selectPlace = (turn: ChatTurn, placeId: string) => {
+    scrollToPlace(turn.id, placeId);
+    onSelectPlace?.(turn, placeId);
+  };
+
+  /**
+   * The narrative with its citations as chips numbered like the place cards.
+   */
+  const renderNarrative = (turn: ChatTurn) => {
+    if (turn.streaming || !turn.segments?.length) return turn.llm_text;
+    return turn.segments.map((segment, index) => {
+      const sentence = segment.text.trimEnd();
+      return (
+        <React.Fragment key={index}>
+          {sentence}
+          {segment.place_ids.map((placeId) => {
+            const number =
+              turn.places.findIndex((place) => place.place_id === placeId) + 1;
+            if (number === 0) return null;
+            const selected =
+              selection?.turnId === turn.id && selection.placeId === placeId;
+            return (
+              <Chip
+                key={placeId}
+                component="span"
+                size="small"
+                label={number}
+                color={selected ? "primary" : "default"}
+                onClick={() => selectPlace(turn, placeId)}
+                sx={{ ml: 0.5, height: 20, verticalAlign: "text-bottom" }}
+              />
+            );
+          })}
+          {segment.text.slice(sentence.length)}
+        </React.Fragment>
+      );
+    });
+  };
+
+  return (
+    <Box sx={{ display: "flex", flexDirection: "column", gap: 2 }}>
+      {turns.map((turn) => (
+        <Box
+          key={turn.id}
+          sx={{ display: "flex", flexDirection: "column", gap: 1 }}
+        >
+          {/* User message */}
+          <Box sx={{ display: "flex", justifyContent: "flex-end" }}>
+            <Paper
+              elevation={1}
+              sx={{
+                px: 2,
+                py: 1,
+                maxWidth: "75%",
+                backgroundColor: "primary.main",
+                color: "primary.contrastText",
+              }}
+            >
+              <Typography variant="body1" sx={{ whiteSpace: "pre-line" }}>
+                {turn.prompt}
+              </Typography>
+            </Paper>
+          </Box>
+
+          {/* Assistant answer */}
+          <Paper elevation={3} sx={{ p: 3 }}>
+            {(turn.refined || Object.keys(turn.filters || {}).length > 0) && (
+              <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1, mb: 1 }}>
+                {turn.refined && (
+                  <Chip
+                    size="small"
+                    icon={<FilterListIcon />}
+                    label="Refined previous results"
+                  />
+                )}
+                {Object.entries(turn.filters || {}).map(([filter, value]) => (
+                  <Chip
+                    key={filter}
+                    size="small"
+                    color="primary"
+                    variant="outlined"
+                    label={filterLabel(filter as keyof PlaceFilters, value)}
+                    onDelete={
+                      onRemoveFilter && !turn.streaming
+                        ? () =>
+                            onRemoveFilter(turn, filter as keyof PlaceFilters)
+                        : undefined
+                    }
+                  />
+                ))}
+              </Box>
+            )}
+            {turn.streaming && !turn.llm_text && (
+              <LinearProgress sx={{ mb: 2 }} />
+            )}
+            <Typography
+              variant="body1"
+              paragraph
+              sx={{ whiteSpace: "pre-line" }}
+            >
+              {renderNarrative(turn)}
+              {turn.streaming && turn.llm_text && "▍"}
+            </Typography>
+
+            {!turn.streaming && unsupportedClaims(turn).length > 0 && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                This answer mentions details not found in the places below:{" "}
+                {unsupportedClaims(turn).join(", ")}. Check the place cards
+                before relying on them.
+              </Alert>
+            )}
+
+            {turn.itinerary && <ItineraryPlan itinerary={turn.itinerary} />}
+
+            {!turn.itinerary && turn.places.length > 0 && (
+              <Grid container spacing={2}>
+                {turn.places.map((place, index) => (
+                  <Grid
+                    size={{ xs: 12, sm: 6, md: 4 }}
+                    key={place.place_id}
+                    id={placeElementId(turn.id, place.place_id)}
+                  >
+                    <PlaceCard
+                      place={place}
+                      index={index}
+                      selected={
+                        selection?.turnId === turn.id &&
+                        selection.placeId === place.place_id
+                      }
+                      onSelect={() => onSelectPlace?.(turn, place.place_id)}
+                    />
+                  </Grid>
+                ))}
+              </Grid>
+            )}
+
+            {turn.next_page_token && !turn.streaming && onLoadMore && (
+              <Box sx={{ mt: 2, textAlign: "center" }}>
+                <Button
+                  variant="outlined"
+                  onClick={() => onLoadMore(turn)}
+                  disabled={loadingMoreId === turn.id}
+                >
+                  {loadingMoreId === turn.id ? "Loading..." : "Load more"}
+                </Button>
+              </Box>
+            )}
+
+            {!turn.streaming && turn.request_id && (
+              <Box sx={{ mt: 2 }}>
+                <Typography variant="caption" color="text.secondary">
+                  Request ID: {turn.request_id}
+                  {turn.processing_time > 0 &&
+                    ` | Processing time: ${turn.processing_time}ms`}
+                  {turn.cached &&
+                    (turn.cache?.hit_type === "semantic"
+                      ? ` | Cached (similar question, ${Math.round(turn.cache.similarity * 100)}%)`
+                      : " | Cached")}
+                </Typography>
+              </Box>
+            )}
+          </Paper>
+        </Box>
+      ))}
+    </Box>
+  );
+};
+
+export default ChatThread;
@@ -0,0 +1,85 @@
+import React from "react";
+import { fireEvent, render, screen } from "@testing-library/react";
+import GoogleMapView from "./GoogleMapView";
+import { Place } from "../types";
+
+// The Maps JavaScript API does not load in jsdom: render the markers and the info window as
+// buttons that call their handlers.
+jest.mock("@react-google-maps/api", () => ({
+  useJsApiLoader: () => ({ isLoaded: true, loadError: undefined }),
+  GoogleMap: ({ children }: any) => <div>{children}</div>,
+  MarkerClustererF: ({ children }: any) => <>{children(null)}</>,
+  MarkerF: ({ title, onClick }: any) => (
+    <button onClick={onClick}>{title}</button>
+  ),
+  InfoWindowF: ({ children, onCloseClick }: any) => (
+    <div role="dialog">
+      {children}
+      <button onClick={onCloseClick}>Close</button>
+    </div>
+  ),
+}));
+
+const place = (id: string, name: string, lat: number): Place => ({
+  place_id: id,
+  name,
+  address: "Jakarta",
+  lat,
+  lng: 106.8456,
+  maps_url: "",
+  directions_url: "",
+  embed_url: "",
+});
+
+const places = [
+  place("jkt-1", "Kopi Kenangan", -6.2088),
+  place("jkt-2", "Tanamera Coffee", -6.21),
+];
+
+beforeAll(() => {
+  (window as any).google = {
+    maps: {
+      Size: class {},
+      LatLngBounds: class {
+        extend() {}
+      },
+      SymbolPath: { CIRCLE: 0 },
+    },
+  };
+});
+
+test("selects a place from its marker and shows its info window", () => {
+  const onSelectPlace = jest.fn();
+  const { rerender } = render(
+    <GoogleMapView apiKey="key" places={places} onSelectPlace={onSelectPlace} />
+  );
+  expect(screen.queryByRole("dialog")).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByText("Tanamera Coffee"));
+  expect(onSelectPlace).toHaveBeenCalledWith("jkt-2");
+
+  rerender(
+    <GoogleMapView
+      apiKey="key"
+      places={places}
+      selectedPlaceId="jkt-2"
+      onSelectPlace={onSelectPlace}
+    />
+  );
+  expect(screen.getByRole("dialog")).toHaveTextContent("2. Tanamera Coffee");
+});
+
+test("clears the selection when the info window is closed", () => {
+  const onSelectPlace = jest.fn();
+  render(
+    <GoogleMapView
+      apiKey="key"
+      places={places}
+      selectedPlaceId="jkt-1"
+      onSelectPlace={onSelectPlace}
+    />
+  );
+
+  fireEvent.click(screen.getByText("Close"));
+  expect(onSelectPlace).toHaveBeenCalledWith(null);
+});
@@ -0,0 +1,136 @@
+import React, { useEffect, useState } from "react";
+import {
+  GoogleMap,
+  InfoWindowF,
+  MarkerClustererF,
+  MarkerF,
+  useJsApiLoader,
+} from "@react-google-maps/api";
+import { Alert, Box, CircularProgress } from "@mui/material";
+import MapPlaceInfo from "./MapPlaceInfo";
+import { PlacesMapProps } from "../types";
+
+interface GoogleMapViewProps extends PlacesMapProps {
+  apiKey: string;
+}
+
+// Zoom for a single point, where fitting bounds would zoom in all the way
+const SINGLE_POINT_ZOOM = 15;
+const FIT_PADDING = 48;
+
+/**
+ * Interactive map on the Maps JavaScript API: a numbered marker per place (clustered when they
+ * overlap), the user's position, and an info window for the selected place.
+ */
+const GoogleMapView: React.FC<GoogleMapViewProps> = ({
+  apiKey,
+  places,
+  selectedPlaceId,
+  userLocation,
+  onSelectPlace,
+}) => {
+  const { isLoaded, loadError } = useJsApiLoader({
+    id: "google-maps-script",
+    googleMapsApiKey: apiKey,
+  });
+  const [map, setMap] = useState<google.maps.Map | null>(null);
+
+  // Fit every place and the user's position whenever they change
+  useEffect(() => {
+    if (!map) return;
+    const points = [
+      ...places.map(({ lat, lng }) => ({ lat, lng })),
+      ...(userLocation ? [userLocation] : []),
+    ];
+    if (points.length === 0) return;
+    if (points.length === 1) {
+      map.setCenter(points[0]);
+      map.setZoom(SINGLE_POINT_ZOOM);
+      return;
+    }
+    const bounds = new google.maps.LatLngBounds();
+    points.forEach((point) => bounds.extend(point));
+    map.fitBounds(bounds, FIT_PADDING);
+  }, [map, places, userLocation]);
+
+  const selectedIndex = places.findIndex(
+    (place) => place.place_id === selectedPlaceId
+  );
+  const selected = selectedIndex >= 0 ? places[selectedIndex] : null;
+
+  useEffect(() => {
+    if (map && selected) map.panTo({ lat: selected.lat, lng: selected.lng });
+  }, [map, selected]);
+
+  if (loadError) {
+    return <Alert severity="error">Google Maps failed to load.</Alert>;
+  }
+  if (!isLoaded) {
+    return (
+      <Box
+        sx={{
+          height: "100%",
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "center",
+        }}
+      >
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <GoogleMap
+      mapContainerStyle={{ width: "100%", height: "100%" }}
+      onLoad={setMap}
+      onUnmount={() => setMap(null)}
+      options={{ streetViewControl: false, mapTypeControl: false }}
+    >
+      <MarkerClustererF>
+        {(clusterer) => (
+          <>
+            {places.map((place, index) => (
+              <MarkerF
+                key={place.place_id}
+                position={{ lat: place.lat, lng: place.lng }}
+                label={String(index + 1)}
+                title={place.name}
+                clusterer={clusterer}
+                zIndex={place.place_id === selectedPlaceId ? 1000 : index}
+                onClick={() => onSelectPlace?.(place.place_id)}
+              />
+            ))}
+          </>
+        )}
+      </MarkerClustererF>
+
+      {selected && (
+        <InfoWindowF
+          position={{ lat: selected.lat, lng: selected.lng }}
+          options={{ pixelOffset: new google.maps.Size(0, -36) }}
+          onCloseClick={() => onSelectPlace?.(null)}
+        >
+          <MapPlaceInfo place={selected} index={selectedIndex} />
+        </InfoWindowF>
+      )}
+
+      {userLocation && (
+        <MarkerF
+          position={userLocation}
+          title="You are here"
+          icon={{
+            path: google.maps.SymbolPath.CIRCLE,
+            scale: 8,
+            fillColor: "#1976d2",
+            fillOpacity: 1,
+            strokeColor: "#ffffff",
+            strokeWeight: 2,
+          }}
+        />
+      )}
+    </GoogleMap>
+  );
+};
+
+export default GoogleMapView;
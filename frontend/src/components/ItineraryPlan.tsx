@@ -0,0 +1,171 @@
+import React from "react";
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  Divider,
+  Link,
+  Typography,
+} from "@mui/material";
+import DirectionsIcon from "@mui/icons-material/Directions";
+import DirectionsWalkIcon from "@mui/icons-material/DirectionsWalk";
+import DirectionsCarIcon from "@mui/icons-material/DirectionsCar";
+import { ItineraryLeg, ItineraryResponse } from "../types";
+import { formatDistance, formatDuration } from "./PlaceCard";
+
+interface ItineraryPlanProps {
+  itinerary: ItineraryResponse;
+}
+
+const LegRow: React.FC<{ leg: ItineraryLeg; mode: string }> = ({
+  leg,
+  mode,
+}) => (
+  <Box
+    sx={{
+      display: "flex",
+      alignItems: "center",
+      gap: 1,
+      ml: 2,
+      pl: 2,
+      py: 1,
+      borderLeft: 2,
+      borderColor: "divider",
+      color: "text.secondary",
+    }}
+  >
+    {mode === "driving" ? (
+      <DirectionsCarIcon fontSize="small" />
+    ) : (
+      <DirectionsWalkIcon fontSize="small" />
+    )}
+    <Typography variant="body2">
+      {leg.source === "estimate" && "~"}
+      {formatDuration(leg.duration_s)} · {formatDistance(leg.distance_m)}
+    </Typography>
+  </Box>
+);
+
+const ItineraryPlan: React.FC<ItineraryPlanProps> = ({ itinerary }) => {
+  // With a start location, the first leg leads to the first stop.
+  const offset = itinerary.legs.length === itinerary.stops.length ? 0 : 1;
+
+  return (
+    <Box>
+      <Box
+        sx={{
+          display: "flex",
+          flexWrap: "wrap",
+          alignItems: "center",
+          gap: 1,
+          mb: 2,
+        }}
+      >
+        <Chip
+          size="small"
+          label={`${itinerary.start_time} – ${itinerary.end_time ?? "?"}`}
+        />
+        <Chip
+          size="small"
+          label={`Travel ${formatDuration(itinerary.total_duration_s)} · ${formatDistance(itinerary.total_distance_m)}`}
+        />
+        {itinerary.route_url && (
+          <Button
+            size="small"
+            variant="contained"
+            startIcon={<DirectionsIcon />}
+            href={itinerary.route_url}
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            Open route
+          </Button>
+        )}
+      </Box>
+
+      {itinerary.warnings.map((warning) => (
+        <Alert key={warning} severity="warning" sx={{ mb: 1 }}>
+          {warning}
+        </Alert>
+      ))}
+
+      {itinerary.stops.map((stop, index) => {
+        const leg = itinerary.legs[index - offset];
+        return (
+          <React.Fragment key={`${stop.order}-${stop.place.place_id}`}>
+            {leg && <LegRow leg={leg} mode={itinerary.mode} />}
+            <Box sx={{ display: "flex", gap: 2, alignItems: "flex-start" }}>
+              <Box
+                sx={{
+                  width: 32,
+                  height: 32,
+                  borderRadius: "50%",
+                  backgroundColor: "primary.main",
+                  color: "white",
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "center",
+                  fontWeight: "bold",
+                  flexShrink: 0,
+                }}
+              >
+                {stop.order}
+              </Box>
+              <Box sx={{ flexGrow: 1 }}>
+                <Typography variant="caption" color="text.secondary">
+                  {stop.arrival_time} – {stop.departure_time} · {stop.label}
+                </Typography>
+                <Typography variant="subtitle1">
+                  <Link
+                    href={stop.place.maps_url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    underline="hover"
+                  >
+                    {stop.place.name}
+                  </Link>
+                </Typography>
+                <Typography variant="body2" color="text.secondary">
+                  {stop.place.address}
+                </Typography>
+                <Box sx={{ display: "flex", gap: 1, mt: 0.5 }}>
+                  {stop.open_at_arrival === false && (
+                    <Chip size="small" color="error" label="May be closed" />
+                  )}
+                  {stop.wait_minutes > 0 && (
+                    <Chip
+                      size="small"
+                      variant="outlined"
+                      label={`Opens in ${stop.wait_minutes} min`}
+                    />
+                  )}
+                </Box>
+                {stop.alternatives.length > 0 && (
+                  <Typography variant="caption" color="text.secondary">
+                    Alternatives:{" "}
+                    {stop.alternatives.map((place, i) => (
+                      <React.Fragment key={place.place_id}>
+                        {i > 0 && ", "}
+                        <Link
+                          href={place.maps_url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                        >
+                          {place.name}
+                        </Link>
+                      </React.Fragment>
+                    ))}
+                  </Typography>
+                )}
+              </Box>
+            </Box>
+          </React.Fragment>
+        );
+      })}
+      <Divider sx={{ mt: 2 }} />
+    </Box>
+  );
+};
+
+export default ItineraryPlan;
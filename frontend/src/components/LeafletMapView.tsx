@@ -0,0 +1,137 @@
+import React, { useEffect, useRef } from "react";
+import {
+  CircleMarker,
+  MapContainer,
+  Marker,
+  Popup,
+  TileLayer,
+  useMap,
+} from "react-leaflet";
+import MarkerClusterGroup from "react-leaflet-cluster";
+import L from "leaflet";
+import "leaflet/dist/leaflet.css";
+import "react-leaflet-cluster/dist/assets/MarkerCluster.css";
+import "react-leaflet-cluster/dist/assets/MarkerCluster.Default.css";
+import MapPlaceInfo from "./MapPlaceInfo";
+import { Location, Place, PlacesMapProps } from "../types";
+
+interface LeafletMapViewProps extends PlacesMapProps {
+  tileUrl: string;
+  attribution: string;
+}
+
+const SINGLE_POINT_ZOOM = 15;
+const FIT_PADDING: [number, number] = [40, 40];
+
+/**
+ * A numbered marker; the bundled marker images do not survive the build, so markers are drawn
+ * with CSS.
+ */
+const numberedIcon = (number: number, selected: boolean) =>
+  L.divIcon({
+    className: "",
+    iconSize: [28, 28],
+    iconAnchor: [14, 14],
+    popupAnchor: [0, -14],
+    html: `<div style="width:28px;height:28px;border-radius:50%;display:flex;align-items:center;justify-content:center;font:bold 13px sans-serif;color:#fff;border:2px solid #fff;box-shadow:0 1px 4px rgba(0,0,0,.4);background:${
+      selected ? "#d32f2f" : "#1976d2"
+    }">${number}</div>`,
+  });
+
+/**
+ * Fits every place and the user's position whenever they change.
+ */
+const FitBounds: React.FC<{
+  places: Place[];
+  userLocation?: Location | null;
+}> = ({ places, userLocation }) => {
+  const map = useMap();
+  useEffect(() => {
+    const points = [
+      ...places.map(({ lat, lng }) => L.latLng(lat, lng)),
+      ...(userLocation ? [L.latLng(userLocation.lat, userLocation.lng)] : []),
+    ];
+    if (points.length === 1) {
+      map.setView(points[0], SINGLE_POINT_ZOOM);
+    } else if (points.length > 1) {
+      map.fitBounds(L.latLngBounds(points), { padding: FIT_PADDING });
+    }
+  }, [map, places, userLocation]);
+  return null;
+};
+
+/**
+ * Interactive map on Leaflet with raster tiles (OpenStreetMap by default): a numbered marker per
+ * place (clustered when they overlap), the user's position, and a popup for the selected place.
+ */
+const LeafletMapView: React.FC<LeafletMapViewProps> = ({
+  tileUrl,
+  attribution,
+  places,
+  selectedPlaceId,
+  userLocation,
+  onSelectPlace,
+}) => {
+  const clusterRef = useRef<L.MarkerClusterGroup | null>(null);
+  const markerRefs = useRef<Record<string, L.Marker | null>>({});
+
+  // Open the selected place's popup, zooming into its cluster first if needed
+  useEffect(() => {
+    const marker = selectedPlaceId && markerRefs.current[selectedPlaceId];
+    if (!marker) return;
+    if (clusterRef.current) {
+      clusterRef.current.zoomToShowLayer(marker, () => marker.openPopup());
+    } else {
+      marker.openPopup();
+    }
+  }, [selectedPlaceId, places]);
+
+  const center = places[0] || userLocation || { lat: 0, lng: 0 };
+
+  return (
+    <MapContainer
+      center={[center.lat, center.lng]}
+      zoom={SINGLE_POINT_ZOOM}
+      style={{ width: "100%", height: "100%" }}
+    >
+      <TileLayer url={tileUrl} attribution={attribution} />
+      <FitBounds places={places} userLocation={userLocation} />
+
+      <MarkerClusterGroup ref={clusterRef} chunkedLoading>
+        {places.map((place, index) => (
+          <Marker
+            key={place.place_id}
+            position={[place.lat, place.lng]}
+            icon={numberedIcon(index + 1, place.place_id === selectedPlaceId)}
+            title={place.name}
+            ref={(marker) => {
+              markerRefs.current[place.place_id] = marker;
+            }}
+            eventHandlers={{ click: () => onSelectPlace?.(place.place_id) }}
+          >
+            <Popup>
+              <MapPlaceInfo place={place} index={index} />
+            </Popup>
+          </Marker>
+        ))}
+      </MarkerClusterGroup>
+
+      {userLocation && (
+        <CircleMarker
+          center={[userLocation.lat, userLocation.lng]}
+          radius={8}
+          pathOptions={{
+            color: "#ffffff",
+            weight: 2,
+            fillColor: "#1976d2",
+            fillOpacity: 1,
+          }}
+        >
+          <Popup>You are here</Popup>
+        </CircleMarker>
+      )}
+    </MapContainer>
+  );
+};
+
+export default LeafletMapView;
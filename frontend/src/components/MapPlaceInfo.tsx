@@ -0,0 +1,37 @@
+import React from "react";
+import { Box, Rating, Typography } from "@mui/material";
+import { Place } from "../types";
+
+interface MapPlaceInfoProps {
+  place: Place;
+  index: number;
+}
+
+/**
+ * The info window (popup) of a map marker: number, name, rating and whether it is open.
+ */
+const MapPlaceInfo: React.FC<MapPlaceInfoProps> = ({ place, index }) => (
+  <Box sx={{ minWidth: 160, maxWidth: 240 }}>
+    <Typography variant="subtitle2">
+      {index + 1}. {place.name}
+    </Typography>
+    {place.rating !== undefined && (
+      <Box sx={{ display: "flex", alignItems: "center", gap: 0.5 }}>
+        <Rating value={place.rating} readOnly precision={0.1} size="small" />
+        <Typography variant="caption">
+          {place.rating} ({place.user_ratings_total || 0})
+        </Typography>
+      </Box>
+    )}
+    {place.open_now !== null && place.open_now !== undefined && (
+      <Typography
+        variant="caption"
+        color={place.open_now ? "success.main" : "error.main"}
+      >
+        {place.open_now ? "Open now" : "Closed"}
+      </Typography>
+    )}
+  </Box>
+);
+
+export default MapPlaceInfo;
@@ -1,12 +1,25 @@
 import React from "react";
 import { Box, Paper, Typography } from "@mui/material";
-import { Place } from "../types";
+import GoogleMapView from "./GoogleMapView";
+import LeafletMapView from "./LeafletMapView";
+import { PlacesMapProps } from "../types";
 
-interface MapViewProps {
-  places: Place[];
-}
+// A browser key with the Maps JavaScript API enabled (restricted to your site's referrers)
+const GOOGLE_MAPS_API_KEY = process.env.REACT_APP_GOOGLE_MAPS_API_KEY || "";
+// "google" or "leaflet"; Leaflet with OpenStreetMap tiles unless a Google key is set
+const MAP_PROVIDER =
+  process.env.REACT_APP_MAP_PROVIDER ||
+  (GOOGLE_MAPS_API_KEY ? "google" : "leaflet");
+const MAP_TILE_URL =
+  process.env.REACT_APP_MAP_TILE_URL ||
+  "https://tile.openstreetmap.org/{z}/{x}/{y}.png";
+const MAP_TILE_ATTRIBUTION =
+  process.env.REACT_APP_MAP_TILE_ATTRIBUTION ||
+  '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+const MapView: React.FC<PlacesMapProps> = (props) => {
+  const { places, selectedPlaceId } = props;
 
-const MapView: React.FC<MapViewProps> = ({ places }) => {
   if (!places || places.length === 0) {
     return (
       <Paper elevation={3} sx={{ p: 3, height: 400 }}>
@@ -31,24 +44,30 @@ const MapView: React.FC<MapViewProps> = ({ places }) => {
     );
   }
 
-  // Use the first place's embed URL
-  const embedUrl = places[0].embed_url;
+  const selectedPlace = places.find(
+    (place) => place.place_id === selectedPlaceId
+  );
 
   return (
     <Paper elevation={3} sx={{ p: 3 }}>
       <Typography variant="h6" gutterBottom>
         Map View
+        {selectedPlace && (
+          <Typography component="span" color="text.secondary" sx={{ ml: 1 }}>
+            · {selectedPlace.name}
+          </Typography>
+        )}
       </Typography>
       <Box sx={{ height: 400, borderRadius: 1, overflow: "hidden" }}>
-        <iframe
-          src={embedUrl}
-          width="100%"
-          height="100%"
-          style={{ border: 0 }}
-          allowFullScreen
-          loading="lazy"
-          referrerPolicy="no-referrer-when-downgrade"
-        />
+        {MAP_PROVIDER === "google" && GOOGLE_MAPS_API_KEY ? (
+          <GoogleMapView apiKey={GOOGLE_MAPS_API_KEY} {...props} />
+        ) : (
+          <LeafletMapView
+            tileUrl={MAP_TILE_URL}
+            attribution={MAP_TILE_ATTRIBUTION}
+            {...props}
+          />
+        )}
       </Box>
     </Paper>
   );
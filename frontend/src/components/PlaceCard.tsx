@@ -10,26 +10,55 @@ import {
   Rating,
 } from "@mui/material";
 import DirectionsIcon from "@mui/icons-material/Directions";
+import DirectionsWalkIcon from "@mui/icons-material/DirectionsWalk";
+import DirectionsCarIcon from "@mui/icons-material/DirectionsCar";
 import MapIcon from "@mui/icons-material/Map";
 import { Place } from "../types";
 
+export const formatDistance = (meters: number) =>
+  meters < 1000
+    ? `${Math.round(meters / 10) * 10} m`
+    : `${(meters / 1000).toFixed(1)} km`;
+
+export const formatDuration = (seconds: number) => {
+  const minutes = Math.max(1, Math.round(seconds / 60));
+  return minutes < 60
+    ? `${minutes} min`
+    : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
 interface PlaceCardProps {
   place: Place;
   index: number;
+  // Highlights the card (e.g. after its citation or map marker was clicked)
+  selected?: boolean;
+  onSelect?: () => void;
   onShowDetails?: (place: Place) => void;
 }
 
 const PlaceCard: React.FC<PlaceCardProps> = ({
   place,
   index,
+  selected = false,
+  onSelect,
   onShowDetails,
 }) => {
   return (
     <Card
-      elevation={2}
-      sx={{ height: "100%", display: "flex", flexDirection: "column" }}
+      elevation={selected ? 8 : 2}
+      sx={{
+        height: "100%",
+        display: "flex",
+        flexDirection: "column",
+        outline: selected ? "2px solid" : "none",
+        outlineColor: "primary.main",
+        transition: "box-shadow 0.2s",
+      }}
     >
-      <CardContent sx={{ flexGrow: 1 }}>
+      <CardContent
+        onClick={onSelect}
+        sx={{ flexGrow: 1, cursor: onSelect ? "pointer" : undefined }}
+      >
         <Box sx={{ display: "flex", alignItems: "flex-start", mb: 2 }}>
           <Box
             sx={{
@@ -86,6 +115,35 @@ const PlaceCard: React.FC<PlaceCardProps> = ({
             Price: {"$".repeat(place.price_level)}
           </Typography>
         )}
+
+        {place.distance_m !== undefined && (
+          <Box
+            sx={{ display: "flex", alignItems: "center", gap: 1, mb: 1 }}
+            title={
+              place.travel?.walking.source === "estimate"
+                ? "Travel times are estimated"
+                : undefined
+            }
+          >
+            <Typography variant="body2" color="text.secondary">
+              {formatDistance(place.distance_m)} away
+            </Typography>
+            {place.travel && (
+              <>
+                <DirectionsWalkIcon fontSize="small" color="action" />
+                <Typography variant="body2" color="text.secondary">
+                  {place.travel.walking.source === "estimate" && "~"}
+                  {formatDuration(place.travel.walking.duration_s)}
+                </Typography>
+                <DirectionsCarIcon fontSize="small" color="action" />
+                <Typography variant="body2" color="text.secondary">
+                  {place.travel.driving.source === "estimate" && "~"}
+                  {formatDuration(place.travel.driving.duration_s)}
+                </Typography>
+              </>
+            )}
+          </Box>
+        )}
       </CardContent>
 
       <CardActions>
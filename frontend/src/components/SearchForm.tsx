@@ -8,33 +8,63 @@ import {
   Paper,
   Typography,
   CircularProgress,
+  MenuItem,
 } from "@mui/material";
 import SearchIcon from "@mui/icons-material/Search";
-import { QueryRequest } from "../types";
+import RouteIcon from "@mui/icons-material/Route";
+import { ItineraryRequest, QueryRequest, SortBy, TravelMode } from "../types";
 
 interface SearchFormProps {
   onSearch: (request: QueryRequest) => void;
+  onPlanItinerary?: (request: ItineraryRequest) => void;
   loading?: boolean;
   userLocation?: { lat: number; lng: number } | null;
+  followUp?: boolean;
 }
 
+const MAX_RESULTS_OPTIONS = [5, 10, 20, 40, 60];
+
+const SORT_OPTIONS: { value: SortBy; label: string }[] = [
+  { value: "relevance", label: "Relevance" },
+  { value: "distance", label: "Distance" },
+  { value: "rating", label: "Rating" },
+  { value: "reviews", label: "Reviews" },
+  { value: "score", label: "Best match" },
+];
+
 const SearchForm: React.FC<SearchFormProps> = ({
   onSearch,
+  onPlanItinerary,
   loading,
   userLocation,
+  followUp,
 }) => {
   const [prompt, setPrompt] = useState("");
   const [useCache, setUseCache] = useState(true);
   const [maxResults, setMaxResults] = useState(5);
+  const [sortBy, setSortBy] = useState<SortBy>("relevance");
+  const [planRoute, setPlanRoute] = useState(false);
+  const [travelMode, setTravelMode] = useState<TravelMode>("walking");
 
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
     if (!prompt.trim()) return;
 
+    if (planRoute && onPlanItinerary) {
+      onPlanItinerary({
+        prompt,
+        mode: travelMode,
+        ...(userLocation ? { user_location: userLocation } : {}),
+      });
+      setPrompt("");
+      return;
+    }
+
     const request: QueryRequest = {
       prompt,
       use_cache: useCache,
       max_results: maxResults,
+      sort_by: sortBy,
     };
 
     if (userLocation) {
@@ -42,12 +72,13 @@ const SearchForm: React.FC<SearchFormProps> = ({
     }
 
     onSearch(request);
+    setPrompt("");
   };
 
   return (
     <Paper elevation={3} sx={{ p: 3 }}>
       <Typography variant="h5" gutterBottom>
-        Find Places with AI
+        {followUp ? "Continue the conversation" : "Find Places with AI"}
       </Typography>
       <Box component="form" onSubmit={handleSubmit} sx={{ mt: 2 }}>
         <TextField
@@ -55,8 +86,20 @@ const SearchForm: React.FC<SearchFormProps> = ({
           multiline
           rows={3}
           variant="outlined"
-          label="What are you looking for?"
-          placeholder="e.g., Cari tempat makan ramen enak di Bandung dekat stasiun..."
+          label={
+            planRoute
+              ? "Describe your trip"
+              : followUp
+                ? "Ask a follow-up"
+                : "What are you looking for?"
+          }
+          placeholder={
+            planRoute
+              ? "e.g., Food tour di Bandung: sarapan, museum, lalu ngopi"
+              : followUp
+                ? "e.g., Yang lebih murah? / Which of those is open now?"
+                : "e.g., Cari tempat makan ramen enak di Bandung dekat stasiun..."
+          }
           value={prompt}
           onChange={(e) => setPrompt(e.target.value)}
           disabled={loading}
@@ -70,26 +113,104 @@ const SearchForm: React.FC<SearchFormProps> = ({
             alignItems: "center",
           }}
         >
-          <FormControlLabel
-            control={
-              <Checkbox
-                checked={useCache}
-                onChange={(e) => setUseCache(e.target.checked)}
-                disabled={loading}
+          <Box sx={{ display: "flex", alignItems: "center", gap: 2 }}>
+            <FormControlLabel
+              control={
+                <Checkbox
+                  checked={useCache}
+                  onChange={(e) => setUseCache(e.target.checked)}
+                  disabled={loading}
+                />
+              }
+              label="Use cached results (faster)"
+            />
+            {onPlanItinerary && (
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={planRoute}
+                    onChange={(e) => setPlanRoute(e.target.checked)}
+                    disabled={loading}
+                  />
+                }
+                label="Plan a route"
               />
-            }
-            label="Use cached results (faster)"
-          />
+            )}
+            {planRoute ? (
+              <TextField
+                select
+                size="small"
+                label="Travel by"
+                value={travelMode}
+                onChange={(e) => setTravelMode(e.target.value as TravelMode)}
+                disabled={loading}
+                sx={{ minWidth: 120 }}
+              >
+                <MenuItem value="walking">Walking</MenuItem>
+                <MenuItem value="driving">Driving</MenuItem>
+              </TextField>
+            ) : (
+              <>
+                <TextField
+                  select
+                  size="small"
+                  label="Results"
+                  value={maxResults}
+                  onChange={(e) => setMaxResults(Number(e.target.value))}
+                  disabled={loading}
+                  sx={{ minWidth: 100 }}
+                >
+                  {MAX_RESULTS_OPTIONS.map((option) => (
+                    <MenuItem key={option} value={option}>
+                      {option}
+                    </MenuItem>
+                  ))}
+                </TextField>
+                <TextField
+                  select
+                  size="small"
+                  label="Sort by"
+                  value={sortBy}
+                  onChange={(e) => setSortBy(e.target.value as SortBy)}
+                  disabled={loading}
+                  sx={{ minWidth: 140 }}
+                  helperText={
+                    sortBy === "distance" && !userLocation
+                      ? "Needs your location"
+                      : undefined
+                  }
+                >
+                  {SORT_OPTIONS.map((option) => (
+                    <MenuItem key={option.value} value={option.value}>
+                      {option.label}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </>
+            )}
+          </Box>
 
           <Button
             type="submit"
             variant="contained"
             startIcon={
-              loading ? <CircularProgress size={20} /> : <SearchIcon />
+              loading ? (
+                <CircularProgress size={20} />
+              ) : planRoute ? (
+                <RouteIcon />
+              ) : (
+                <SearchIcon />
+              )
             }
             disabled={loading || !prompt.trim()}
           >
-            {loading ? "Searching..." : "Search"}
+            {loading
+              ? "Searching..."
+              : planRoute
+                ? "Plan"
+                : followUp
+                  ? "Send"
+                  : "Search"}
           </Button>
         </Box>
       </Box>
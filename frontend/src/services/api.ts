@@ -1,5 +1,16 @@
 import axios from "axios";
-import { QueryRequest, QueryResponse, Place } from "../types";
+import {
+  AuthResponse,
+  ItineraryRequest,
+  ItineraryResponse,
+  QueryRequest,
+  QueryResponse,
+  QueryStreamHandlers,
+  Place,
+  PlacesPage,
+  Session,
+  User,
+} from "../types";
 
 const API_BASE_URL =
   process.env.REACT_APP_API_URL || "http://localhost:5000/api";
@@ -11,11 +22,23 @@ const apiClient = axios.create({
   },
 });
 
+export const TOKEN_STORAGE_KEY = "token";
+
+/**
+ * Dispatched on `window` when the API answers 401, so the app can ask the user to sign in.
+ */
+export const AUTH_REQUIRED_EVENT = "auth:required";
+
+const handleUnauthorized = () => {
+  localStorage.removeItem(TOKEN_STORAGE_KEY);
+  window.dispatchEvent(new Event(AUTH_REQUIRED_EVENT));
+};
+
 // Request interceptor
 apiClient.interceptors.request.use(
   (config) => {
     // Add auth token if available
-    const token = localStorage.getItem("token");
+    const token = localStorage.getItem(TOKEN_STORAGE_KEY);
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -33,16 +56,174 @@ apiClient.interceptors.response.use(
     if (error.response?.status === 429) {
       console.error("Rate limit exceeded");
     }
+    if (error.response?.status === 401) {
+      handleUnauthorized();
+    }
     return Promise.reject(error);
   }
 );
 
+/**
+ * Parses one Server-Sent Events block ("event: x\ndata: {...}") and dispatches it.
+ */
+const dispatchStreamEvent = (block: string, handlers: QueryStreamHandlers) => {
+  let event = "message";
+  const dataLines: string[] = [];
+  block.split("\n").forEach((line) => {
+    if (line.startsWith("event:")) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith("data:")) {
+      dataLines.push(line.slice(5).trim());
+    }
+  });
+  if (dataLines.length === 0) return;
+
+  const data = JSON.parse(dataLines.join("\n"));
+  switch (event) {
+    case "entities":
+      handlers.onEntities?.(data.entities);
+      break;
+    case "places":
+      handlers.onPlaces?.(
+        data.places,
+        data.next_page_token ?? null,
+        data.filters || {}
+      );
+      break;
+    case "token":
+      handlers.onToken?.(data.text);
+      break;
+    case "done":
+      handlers.onDone?.(data);
+      break;
+    case "error":
+      throw new Error(data.error || "Failed to process your request");
+    default:
+      break;
+  }
+};
+
 export const api = {
   queryPlaces: async (request: QueryRequest): Promise<QueryResponse> => {
     const response = await apiClient.post<QueryResponse>("/query", request);
     return response.data;
   },
 
+  /**
+   * Fetches the next page of places for a previous query (no new narrative).
+   */
+  loadMorePlaces: async (
+    request: QueryRequest,
+    pageToken: string
+  ): Promise<PlacesPage> => {
+    const response = await apiClient.post<PlacesPage>("/query", {
+      ...request,
+      page_token: pageToken,
+    });
+    return response.data;
+  },
+
+  /**
+   * Streams a query over Server-Sent Events. EventSource only supports GET,
+   * so the stream is read from a POST through fetch instead.
+   */
+  streamQuery: async (
+    request: QueryRequest,
+    handlers: QueryStreamHandlers,
+    signal?: AbortSignal
+  ): Promise<void> => {
+    const headers: Record<string, string> = {
+      "Content-Type": "application/json",
+      Accept: "text/event-stream",
+    };
+    const token = localStorage.getItem(TOKEN_STORAGE_KEY);
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    const response = await fetch(`${API_BASE_URL}/query/stream`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(request),
+      signal,
+    });
+
+    if (!response.ok || !response.body) {
+      if (response.status === 401) {
+        handleUnauthorized();
+      }
+      const body = await response.json().catch(() => null);
+      throw new Error(body?.error || `Request failed (${response.status})`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let separator;
+      while ((separator = buffer.indexOf("\n\n")) !== -1) {
+        const block = buffer.slice(0, separator);
+        buffer = buffer.slice(separator + 2);
+        dispatchStreamEvent(block, handlers);
+      }
+    }
+  },
+
+  planItinerary: async (
+    request: ItineraryRequest
+  ): Promise<ItineraryResponse> => {
+    const response = await apiClient.post<ItineraryResponse>(
+      "/itinerary",
+      request
+    );
+    return response.data;
+  },
+
+  register: async (
+    email: string,
+    password: string,
+    name?: string
+  ): Promise<AuthResponse> => {
+    const response = await apiClient.post<AuthResponse>("/auth/register", {
+      email,
+      password,
+      name,
+    });
+    return response.data;
+  },
+
+  login: async (email: string, password: string): Promise<AuthResponse> => {
+    const response = await apiClient.post<AuthResponse>("/auth/login", {
+      email,
+      password,
+    });
+    return response.data;
+  },
+
+  me: async (): Promise<User> => {
+    const response = await apiClient.get<User>("/auth/me");
+    return response.data;
+  },
+
+  createSession: async (): Promise<Session> => {
+    const response = await apiClient.post<Session>("/sessions");
+    return response.data;
+  },
+
+  getSession: async (sessionId: string): Promise<Session> => {
+    const response = await apiClient.get<Session>(`/sessions/${sessionId}`);
+    return response.data;
+  },
+
+  deleteSession: async (sessionId: string): Promise<void> => {
+    await apiClient.delete(`/sessions/${sessionId}`);
+  },
+
   getPlaceDetails: async (placeId: string): Promise<Place> => {
     const response = await apiClient.get<Place>(`/place/${placeId}`);
     return response.data;
@@ -52,13 +233,17 @@ export const api = {
     location: { lat: number; lng: number },
     placeType: string,
     radius?: number,
-    keyword?: string
+    keyword?: string,
+    maxResults?: number,
+    pageToken?: string
   ) => {
     const response = await apiClient.post("/nearby", {
       location,
       place_type: placeType,
       radius,
       keyword,
+      max_results: maxResults,
+      page_token: pageToken,
     });
     return response.data;
   },
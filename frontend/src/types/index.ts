@@ -3,6 +3,17 @@ export interface Location {
   lng: number;
 }
 
+export interface TravelEstimate {
+  distance_m: number;
+  duration_s: number;
+  source: "distance_matrix" | "estimate";
+}
+
+export type SortBy = "relevance" | "distance" | "rating" | "reviews" | "score";
+
+// Without `language`, the backend answers in the browser's Accept-Language or the prompt's language.
+export type Language = "id" | "en" | "jv" | "su";
+
 export interface Place {
   place_id: string;
   name: string;
@@ -17,6 +28,12 @@ export interface Place {
   maps_url: string;
   directions_url: string;
   embed_url: string;
+  distance_m?: number;
+  travel?: {
+    walking: TravelEstimate;
+    driving: TravelEstimate;
+  };
+  score?: number;
   phone?: string;
   website?: string;
   opening_hours?: string[];
@@ -24,6 +41,17 @@ export interface Place {
   photos?: string[];
 }
 
+/**
+ * Props of the interactive map implementations (see components/MapView.tsx).
+ */
+export interface PlacesMapProps {
+  places: Place[];
+  selectedPlaceId?: string | null;
+  userLocation?: Location | null;
+  // null when the user closes the selected place's info window
+  onSelectPlace?: (placeId: string | null) => void;
+}
+
 export interface Review {
   author: string;
   rating: number;
@@ -31,19 +59,215 @@ export interface Review {
   time: string;
 }
 
+export interface PlaceFilters {
+  open_now?: boolean;
+  min_price?: number | null;
+  max_price?: number | null;
+  min_rating?: number | null;
+  min_reviews?: number | null;
+}
+
 export interface QueryRequest {
   prompt: string;
   user_location?: Location;
   max_results?: number;
   use_cache?: boolean;
+  page_token?: string;
+  session_id?: string;
+  filters?: PlaceFilters;
+  sort_by?: SortBy;
+  language?: Language;
+}
+
+export interface GroundingClaim {
+  type: "place" | "rating" | "number";
+  text: string;
+}
+
+/**
+ * The check of a narrative's names, ratings and numbers against the returned places.
+ */
+export interface Grounding {
+  supported: GroundingClaim[];
+  unsupported: GroundingClaim[];
+  action: "none" | "flagged" | "stripped" | "regenerated";
+  removed?: string[];
+}
+
+/**
+ * A sentence of the narrative and the places it cites.
+ */
+export interface NarrativeSegment {
+  text: string;
+  place_ids: string[];
+}
+
+/**
+ * How a cached answer was found: the same prompt, or a similar one. A stale answer is being
+ * refreshed for the next request.
+ */
+export interface CacheHit {
+  hit_type: "exact" | "semantic";
+  similarity: number;
+  stale: boolean;
 }
 
 export interface QueryResponse {
   llm_text: string;
+  segments?: NarrativeSegment[];
+  places: Place[];
+  next_page_token?: string | null;
+  filters?: PlaceFilters;
+  language?: Language;
+  prompt_versions?: string[];
+  grounding?: Grounding | null;
+  request_id: string;
+  cached: boolean;
+  cache?: CacheHit | null;
+  processing_time: number;
+}
+
+export interface PlacesPage {
   places: Place[];
+  next_page_token: string | null;
+  request_id: string;
+  cached: boolean;
+  processing_time: number;
+}
+
+export interface QueryEntities {
+  place_names: string[];
+  place_types: string[];
+  locations: string[];
+  filters?: PlaceFilters;
+}
+
+export interface StreamDoneEvent {
   request_id: string;
+  language?: Language;
+  prompt_versions?: string[];
+  grounding?: Grounding | null;
+  segments?: NarrativeSegment[];
+  // Replaces the streamed narrative when it differs (citations removed, or rewritten).
+  llm_text?: string;
   cached: boolean;
+  cache?: CacheHit | null;
   processing_time: number;
+  session_id?: string;
+  refined?: boolean;
+  timings: {
+    entities_ms?: number;
+    places_ms?: number;
+    first_token_ms?: number;
+    narrative_ms?: number;
+  };
+}
+
+export interface QueryStreamHandlers {
+  onEntities?: (entities: QueryEntities) => void;
+  onPlaces?: (
+    places: Place[],
+    nextPageToken: string | null,
+    filters: PlaceFilters
+  ) => void;
+  onToken?: (text: string) => void;
+  onDone?: (event: StreamDoneEvent) => void;
+}
+
+export interface SessionTurn {
+  request_id: string;
+  prompt: string;
+  entities: QueryEntities;
+  places: Place[];
+  next_page_token: string | null;
+  llm_text: string;
+  segments?: NarrativeSegment[];
+  filters?: PlaceFilters;
+  refined: boolean;
+  prompt_versions?: string[];
+  grounding?: Grounding | null;
+  created_at: string;
+}
+
+export interface Session {
+  session_id: string;
+  created_at: string;
+  updated_at: string;
+  turns: SessionTurn[];
+}
+
+export type TravelMode = "walking" | "driving";
+
+export interface ItineraryRequest {
+  prompt: string;
+  user_location?: Location;
+  mode?: TravelMode;
+  start_time?: string;
+  date?: string;
+  optimize_order?: boolean;
+  candidates_per_stop?: number;
+}
+
+export interface ItineraryStop {
+  order: number;
+  label: string;
+  query: string;
+  place: Place;
+  arrival_time: string;
+  departure_time: string;
+  wait_minutes: number;
+  stay_minutes: number;
+  open_at_arrival: boolean | null;
+  alternatives: Pick<Place, "place_id" | "name" | "rating" | "maps_url">[];
+}
+
+export interface ItineraryLeg {
+  from: string;
+  to: string;
+  distance_m: number;
+  duration_s: number;
+  source: "directions" | "estimate";
+}
+
+export interface ItineraryResponse {
+  mode: TravelMode;
+  date: string;
+  start_time: string;
+  end_time: string | null;
+  stops: ItineraryStop[];
+  legs: ItineraryLeg[];
+  total_distance_m: number;
+  total_duration_s: number;
+  route_url: string | null;
+  llm_text: string;
+  warnings: string[];
+  request_id: string;
+  processing_time: number;
+}
+
+/**
+ * One question/answer pair of the chat thread shown in the UI.
+ */
+export interface ChatTurn extends QueryResponse {
+  id: string;
+  prompt: string;
+  request?: QueryRequest;
+  refined?: boolean;
+  streaming?: boolean;
+  itinerary?: ItineraryResponse;
+}
+
+export interface User {
+  id: string;
+  email: string;
+  name: string | null;
+  role: "user" | "admin";
+  created_at: string;
+}
+
+export interface AuthResponse {
+  user: User;
+  token: string;
 }
 
 export interface ApiError {